@@ -1,4 +1,5 @@
 import { PrismaClient } from '@prisma/client';
+import { Client } from 'pg';
 
 const prisma = new PrismaClient({
   log: ['query', 'info', 'warn', 'error'],
@@ -9,4 +10,22 @@ process.on('beforeExit', async () => {
   await prisma.$disconnect();
 });
 
+/**
+ * Create a plain pg client for the local database (DATABASE_URL)
+ * Used for bulk writes that need one connection for a whole transaction
+ * The caller is responsible for connect() and end()
+ * @param {Object} options - Extra pg client options (e.g. custom types)
+ * @returns {Client} Unconnected pg client
+ */
+export function createLocalPgClient(options = {}) {
+  // Prisma-only connection string parameters are not understood by pg
+  const url = new URL(process.env.DATABASE_URL);
+  ['schema', 'connection_limit', 'pool_timeout', 'pgbouncer'].forEach(param => url.searchParams.delete(param));
+
+  return new Client({
+    connectionString: url.toString(),
+    ...options
+  });
+}
+
 export default prisma;
@@ -1,4 +1,20 @@
 import prisma from '../config/database.js';
+import Setting from '../models/Setting.js';
+import {
+  getBackupSchedules,
+  getBackupSchedule,
+  createBackupSchedule,
+  updateBackupSchedule,
+  deleteBackupSchedule,
+  setBackupScheduleEnabled
+} from '../services/backupScheduleService.js';
+import {
+  loadBackupSchedules,
+  getScheduleNextRun,
+  getAutoBackupStatus,
+  restartAutoBackup,
+  runBackupSchedule
+} from '../services/autoBackupService.js';
 
 /**
  * Get automatic files backup status
@@ -85,3 +101,273 @@ export const getAutomaticDatabaseBackupController = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * Add the next run of a loaded schedule
+ */
+function withNextRun(schedule) {
+  return {
+    ...schedule,
+    nextRun: getScheduleNextRun(schedule.id)
+  };
+}
+
+/**
+ * Get backup schedules
+ * Route: GET /api/auto-backup/schedules
+ * Query: backendName (optional)
+ */
+export const getBackupSchedulesController = async (req, res, next) => {
+  try {
+    const schedules = await getBackupSchedules(req.query.backendName || null);
+
+    res.json({
+      success: true,
+      total: schedules.length,
+      data: schedules.map(withNextRun)
+    });
+  } catch (error) {
+    console.error('Error getting backup schedules:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a backup schedule
+ * Route: GET /api/auto-backup/schedules/:id
+ */
+export const getBackupScheduleController = async (req, res, next) => {
+  try {
+    const schedule = await getBackupSchedule(req.params.id);
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup schedule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withNextRun(schedule)
+    });
+  } catch (error) {
+    console.error('Error getting backup schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Create a backup schedule; it takes effect immediately
+ * Route: POST /api/auto-backup/schedules
+ * Body: { backendName: string, type: 'files' | 'database' | 'dump', cron: string, timezone?: string, enabled?: boolean }
+ */
+export const createBackupScheduleController = async (req, res, next) => {
+  try {
+    const { backendName, type, cron, timezone, enabled } = req.body;
+
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const schedule = await createBackupSchedule({ backendName, type, cron, timezone, enabled });
+    await loadBackupSchedules();
+
+    res.status(201).json({
+      success: true,
+      message: 'Backup schedule created successfully',
+      data: withNextRun(schedule)
+    });
+  } catch (error) {
+    console.error('Error creating backup schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Update a backup schedule; it takes effect immediately
+ * Route: PUT /api/auto-backup/schedules/:id
+ * Body: same as create
+ */
+export const updateBackupScheduleController = async (req, res, next) => {
+  try {
+    const { backendName, type, cron, timezone, enabled } = req.body;
+
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const schedule = await updateBackupSchedule(req.params.id, { backendName, type, cron, timezone, enabled });
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup schedule not found'
+      });
+    }
+    await loadBackupSchedules();
+
+    res.json({
+      success: true,
+      message: 'Backup schedule updated successfully',
+      data: withNextRun(schedule)
+    });
+  } catch (error) {
+    console.error('Error updating backup schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Delete a backup schedule
+ * Route: DELETE /api/auto-backup/schedules/:id
+ * The backend falls back to the global AUTO_BACKUP_* job of that type, if enabled
+ */
+export const deleteBackupScheduleController = async (req, res, next) => {
+  try {
+    const deleted = await deleteBackupSchedule(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup schedule not found'
+      });
+    }
+    await loadBackupSchedules();
+
+    res.json({
+      success: true,
+      message: 'Backup schedule deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting backup schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Pause or resume a backup schedule
+ */
+const setScheduleEnabled = (enabled) => async (req, res, next) => {
+  try {
+    const schedule = await setBackupScheduleEnabled(req.params.id, enabled);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup schedule not found'
+      });
+    }
+    await loadBackupSchedules();
+
+    res.json({
+      success: true,
+      message: enabled ? 'Backup schedule resumed' : 'Backup schedule paused',
+      data: withNextRun(schedule)
+    });
+  } catch (error) {
+    console.error(`Error ${enabled ? 'resuming' : 'pausing'} backup schedule:`, error);
+    next(error);
+  }
+};
+
+/**
+ * Pause a backup schedule
+ * Route: POST /api/auto-backup/schedules/:id/pause
+ */
+export const pauseBackupScheduleController = setScheduleEnabled(false);
+
+/**
+ * Resume a paused backup schedule
+ * Route: POST /api/auto-backup/schedules/:id/resume
+ */
+export const resumeBackupScheduleController = setScheduleEnabled(true);
+
+/**
+ * Run a backup schedule now - queued, runs in background
+ * Route: POST /api/auto-backup/schedules/:id/run
+ * Works for paused schedules too; the next scheduled run is unchanged
+ */
+export const runBackupScheduleController = async (req, res, next) => {
+  try {
+    const schedule = await getBackupSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Backup schedule not found'
+      });
+    }
+
+    const setting = await Setting.findByBackendName(schedule.backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${schedule.backendName}" not found`
+      });
+    }
+
+    const jobId = await runBackupSchedule(schedule, setting);
+
+    if (!jobId) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${schedule.type} backup is already queued or running for this backend`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      message: `${schedule.type} backup queued, runs in background`,
+      statusUrl: `/api/backup/status/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error running backup schedule:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get auto-backup status
+ * Route: GET /api/auto-backup/status
+ * Returns the global database and files jobs and the per-backend schedules, with their next runs
+ */
+export const getAutoBackupStatusController = async (req, res, next) => {
+  try {
+    const status = await getAutoBackupStatus();
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error getting auto-backup status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Restart auto-backup jobs
+ * Route: POST /api/auto-backup/restart
+ * Re-reads the AUTO_BACKUP_* variables from .env and reloads the schedules
+ */
+export const restartAutoBackupController = async (req, res, next) => {
+  try {
+    await restartAutoBackup();
+    const status = await getAutoBackupStatus();
+
+    res.json({
+      success: true,
+      message: 'Auto-backup jobs restarted',
+      data: status
+    });
+  } catch (error) {
+    console.error('Error restarting auto-backup jobs:', error);
+    next(error);
+  }
+};
@@ -1,8 +1,6 @@
 import path from 'path';
 import Setting from '../models/Setting.js';
 import { 
-  backupFiles, 
-  backupDatabase,
   getBackupTableData,
   getAllBackupTables,
   deleteBackupById,
@@ -14,21 +12,37 @@ import {
   compareBackupFiles
 } from '../services/backupService.js';
 import { 
-  setBackupStatus, 
   getBackupStatus as getBackupStatusFromService,
   getAllBackupStatuses,
   deleteBackupStatus,
-  generateJobId 
+  getBackupCheckpoint
 } from '../services/backupStatusService.js';
+import { listSnapshots, getSnapshot, getSnapshotTableData } from '../services/snapshotService.js';
+import { getSchemaHistory } from '../services/schemaDriftService.js';
+import { getTableDefinition } from '../services/tableDefinitionService.js';
+import { listWatermarks } from '../services/watermarkService.js';
+import { listDumps } from '../services/dumpService.js';
+import { listVersionedFiles, listFileVersions } from '../services/fileVersionService.js';
+import {
+  queueBackupJob,
+  cancelBackupJob,
+  retryBackupJob,
+  getFailedBackupItems
+} from '../services/backupJobService.js';
+import { queueRetentionJob, cancelRetentionJob } from '../services/retentionJobService.js';
 
 /**
- * Create backup (files or database) - runs in background
+ * Create backup (files, database or dump) - queued, runs in background
  * Route: POST /api/backup
- * Body: { type: 'files' | 'database', backendName: string }
+ * Body: { type: 'files' | 'database' | 'dump', backendName: string, forceFullResync?: boolean, priority?: number }
+ * forceFullResync reads every table in full, ignoring stored watermarks
+ * 'dump' writes a pg_dump archive of the whole database
+ * priority overrides the default queue priority (10); 409 when the backend already has a
+ * backup of this type queued or running
  */
 export const createBackup = async (req, res, next) => {
   try {
-    const { type, backendName } = req.body;
+    const { type, backendName, forceFullResync = false, priority } = req.body;
 
     // Validation
     if (!type || !backendName) {
@@ -38,10 +52,17 @@ export const createBackup = async (req, res, next) => {
       });
     }
 
-    if (type !== 'files' && type !== 'database') {
+    if (type !== 'files' && type !== 'database' && type !== 'dump') {
       return res.status(400).json({
         success: false,
-        message: 'Type must be either "files" or "database"'
+        message: 'Type must be "files", "database" or "dump"'
+      });
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: 'priority must be an integer'
       });
     }
 
@@ -55,29 +76,26 @@ export const createBackup = async (req, res, next) => {
       });
     }
 
-    // Generate job ID
-    const jobId = generateJobId(backendName, type);
-
-    // Initialize status (manual backup)
-    await setBackupStatus(jobId, {
-      status: 'processing',
-      type,
-      backendName: setting.backendname,
-      progress: 0,
-      message: 'Backup process started...',
-      result: null,
-      error: null,
-      isAutomatic: false
+    // Queue the backup (manual)
+    const { jobId, duplicateJobId } = await queueBackupJob(setting, type, {
+      forceFullResync: forceFullResync === true,
+      priority
     });
 
-    // Start backup in background (don't await)
-    processBackupInBackground(jobId, type, setting);
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: `A ${type} backup is already queued or running for this backend`,
+        statusUrl: `/api/backup/status/${duplicateJobId}`
+      });
+    }
 
     // Return immediately with job ID
     res.json({
       success: true,
       jobId,
-      message: 'Backup process started in background',
+      message: 'Backup queued, runs in background',
       statusUrl: `/api/backup/status/${jobId}`
     });
 
@@ -88,107 +106,185 @@ export const createBackup = async (req, res, next) => {
 };
 
 /**
- * Process backup in background
+ * Resume an interrupted or failed files backup from its checkpoint
+ * Route: POST /api/backup/resume/:jobId
+ * The job keeps its jobId; files completed before the interruption are not transferred again
  */
-async function processBackupInBackground(jobId, type, setting) {
+export const resumeBackup = async (req, res, next) => {
   try {
-    if (type === 'files') {
-      // Backup files
-      if (!setting.bucketurl) {
-        await setBackupStatus(jobId, {
-          status: 'failed',
-          error: 'Bucket URL not configured for this backend'
-        });
-        return;
-      }
+    const { jobId } = req.params;
 
-      await setBackupStatus(jobId, {
-        status: 'processing',
-        progress: 10,
-        message: 'Fetching files from bucket...'
-      });
-
-      // Get backup path from env and resolve to absolute path
-      const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
-      const baseBackupPath = path.isAbsolute(backupPathEnv) 
-        ? backupPathEnv 
-        : path.resolve(process.cwd(), backupPathEnv);
-      
-      // Create backend-specific path: BACKUP_UPLOAD_PATH/{backendName}
-      const backupPath = path.join(baseBackupPath, setting.backendname);
-      
-      console.log(`[createBackup] Saving files to: ${backupPath}`);
-      console.log(`[createBackup] BACKUP_UPLOAD_PATH from env: ${backupPathEnv}`);
-      console.log(`[createBackup] Resolved base path: ${baseBackupPath}`);
-      
-      await setBackupStatus(jobId, {
-        status: 'processing',
-        progress: 30,
-        message: 'Downloading files...'
-      });
-
-      const result = await backupFiles(
-        setting.bucketurl,
-        setting.attributes || {},
-        backupPath
-      );
-
-      await setBackupStatus(jobId, {
-        status: 'completed',
-        progress: 100,
-        message: 'Backup completed successfully',
-          result: {
-            type: 'files',
-            backendName: setting.backendname,
-            backupPath: backupPath,
-            baseBackupPath: baseBackupPath,
-            ...result
-          }
-      });
-
-    } else if (type === 'database') {
-      // Backup database
-      if (!setting.DBurl) {
-        await setBackupStatus(jobId, {
-          status: 'failed',
-          error: 'Database URL not configured for this backend'
-        });
-        return;
-      }
+    const status = await getBackupStatusFromService(jobId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: `Backup job "${jobId}" not found`
+      });
+    }
 
-      await setBackupStatus(jobId, {
-        status: 'processing',
-        progress: 10,
-        message: 'Connecting to database...'
+    if (!status.resumable) {
+      return res.status(400).json({
+        success: false,
+        message: `Backup job "${jobId}" can't be resumed (only interrupted or failed files backups with a checkpoint can)`
       });
+    }
 
-      await setBackupStatus(jobId, {
-        status: 'processing',
-        progress: 30,
-        message: 'Fetching tables...'
+    const setting = await Setting.findByBackendName(status.backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${status.backendName}" not found`
       });
+    }
 
-      const result = await backupDatabase(setting.DBurl, setting.backendname);
+    const checkpoint = await getBackupCheckpoint(jobId);
 
-      await setBackupStatus(jobId, {
-        status: 'completed',
-        progress: 100,
-        message: 'Backup completed successfully',
-        result: {
-          type: 'database',
-          backendName: setting.backendname,
-          ...result
-        }
+    // The job runs again under its own jobId and continues from the checkpoint
+    const { duplicateJobId } = await queueBackupJob(setting, 'files', { jobId });
+
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: 'A files backup is already queued or running for this backend',
+        statusUrl: `/api/backup/status/${duplicateJobId}`
       });
     }
+
+    res.json({
+      success: true,
+      jobId,
+      message: `Backup resumed, ${checkpoint.completedKeys?.length || 0} files already done`,
+      statusUrl: `/api/backup/status/${jobId}`
+    });
   } catch (error) {
-    console.error('Error in background backup process:', error);
-    await setBackupStatus(jobId, {
-      status: 'failed',
-      error: error.message || 'Backup process failed'
+    console.error('Error resuming backup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Cancel a queued or running backup
+ * Route: POST /api/backup/status/:jobId/cancel
+ * A queued backup is cancelled right away; a running one stops after the current batch
+ * or the files in flight, and its status becomes 'cancelled'
+ */
+export const cancelBackupController = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const status = await getBackupStatusFromService(jobId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: `Backup job "${jobId}" not found`
+      });
+    }
+
+    // Retention runs share the backup job history
+    const cancelled = status.type === 'retention'
+      ? await cancelRetentionJob(jobId)
+      : await cancelBackupJob(jobId);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Backup job "${jobId}" is not queued or running (status: ${status.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      status: cancelled.status,
+      message: cancelled.status === 'cancelled'
+        ? 'Backup cancelled'
+        : 'Cancelling backup, it stops after the current batch or files',
+      statusUrl: `/api/backup/status/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error cancelling backup:', error);
+    next(error);
+  }
+};
+
+/**
+ * Retry a failed, cancelled or interrupted backup as a new job with the same parameters
+ * Route: POST /api/backup/status/:jobId/retry
+ * Body: { onlyFailed?: boolean }
+ * onlyFailed retries only the tables or files the job failed on; it also applies to
+ * completed jobs that had failed tables or files
+ */
+export const retryBackupController = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { onlyFailed = false } = req.body || {};
+
+    if (typeof onlyFailed !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'onlyFailed must be a boolean'
+      });
+    }
+
+    const status = await getBackupStatusFromService(jobId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: `Backup job "${jobId}" not found`
+      });
+    }
+
+    if (onlyFailed) {
+      if (getFailedBackupItems(status).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Backup job "${jobId}" has no failed tables or files recorded; retry it without onlyFailed`
+        });
+      }
+    } else if (!['failed', 'cancelled', 'interrupted'].includes(status.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Backup job "${jobId}" can't be retried (status: ${status.status}); only failed, cancelled or interrupted jobs can`
+      });
+    }
+
+    const setting = await Setting.findByBackendName(status.backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${status.backendName}" not found`
+      });
+    }
+
+    const { jobId: retryJobId, duplicateJobId } = status.type === 'retention'
+      ? await queueRetentionJob(setting, { retryOf: jobId })
+      : await retryBackupJob(status, setting, { onlyFailed });
+
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: status.type === 'retention'
+          ? 'A retention run is already queued or running for this backend'
+          : `A ${status.type} backup is already queued or running for this backend`,
+        statusUrl: `/api/backup/status/${duplicateJobId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: retryJobId,
+      retryOf: jobId,
+      message: onlyFailed
+        ? `Retry of ${getFailedBackupItems(status).length} failed ${status.type === 'database' ? 'table(s)' : 'file(s)'} queued`
+        : 'Retry queued, runs in background',
+      statusUrl: `/api/backup/status/${retryJobId}`
     });
+  } catch (error) {
+    console.error('Error retrying backup:', error);
+    next(error);
   }
-}
+};
 
 /**
  * Get backup status(es)
@@ -607,3 +703,269 @@ export const compareBackupFilesController = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * List database backup snapshots for a backend
+ * Route: GET /api/backup/snapshots/:backendName
+ */
+export const getSnapshotsController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    if (!backendName) {
+      return res.status(400).json({
+        success: false,
+        message: 'backendName is required'
+      });
+    }
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const snapshots = await listSnapshots(backendName);
+
+    res.json({
+      success: true,
+      backendName,
+      total: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    console.error('Error listing snapshots:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get a snapshot, or the rows of one table as of that snapshot
+ * Route: GET /api/backup/snapshots/:backendName/:snapshotNumber?tableName=users&page=1&limit=10
+ * If tableName is not provided, returns the snapshot with per-table row counts
+ * Otherwise returns paginated rows of that table as they were at the snapshot
+ */
+export const getSnapshotDataController = async (req, res, next) => {
+  try {
+    const { backendName, snapshotNumber } = req.params;
+    const { tableName } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    if (!backendName || isNaN(parseInt(snapshotNumber))) {
+      return res.status(400).json({
+        success: false,
+        message: 'backendName and a numeric snapshotNumber are required'
+      });
+    }
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    if (!tableName) {
+      const snapshot = await getSnapshot(backendName, snapshotNumber);
+
+      if (!snapshot) {
+        return res.status(404).json({
+          success: false,
+          message: `Snapshot ${snapshotNumber} not found for backend "${backendName}"`
+        });
+      }
+
+      return res.json({
+        success: true,
+        ...snapshot
+      });
+    }
+
+    const result = await getSnapshotTableData(backendName, snapshotNumber, tableName, page, limit);
+
+    res.json({
+      success: true,
+      backendName,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error getting snapshot data:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the schema history of a backend's backup tables
+ * Route: GET /api/backup/schema-history/:backendName/:tableName (tableName optional)
+ * Returns schema change events (newest first); with tableName, also the table's
+ * current stored source definition
+ */
+export const getSchemaHistoryController = async (req, res, next) => {
+  try {
+    const { backendName, tableName } = req.params;
+
+    if (!backendName) {
+      return res.status(400).json({
+        success: false,
+        message: 'backendName is required'
+      });
+    }
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const changes = await getSchemaHistory(backendName, tableName || null);
+
+    if (!tableName) {
+      return res.json({
+        success: true,
+        backendName,
+        total: changes.length,
+        changes
+      });
+    }
+
+    const definition = await getTableDefinition(backendName, tableName);
+    if (!definition && changes.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No schema history for table "${tableName}" of backend "${backendName}"`
+      });
+    }
+
+    res.json({
+      success: true,
+      backendName,
+      tableName: tableName.replace(/^backup_/, ''),
+      definition,
+      total: changes.length,
+      changes
+    });
+  } catch (error) {
+    console.error('Error getting schema history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the incremental backup watermarks of a backend
+ * Route: GET /api/backup/watermarks/:backendName
+ */
+export const getWatermarksController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const watermarks = await listWatermarks(backendName);
+
+    res.json({
+      success: true,
+      backendName,
+      total: Object.keys(watermarks).length,
+      watermarks
+    });
+  } catch (error) {
+    console.error('Error getting watermarks:', error);
+    next(error);
+  }
+};
+
+/**
+ * List the pg_dump archives of a backend
+ * Route: GET /api/backup/dumps/:backendName
+ */
+export const getDumpsController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    const dumps = await listDumps(backendName);
+
+    res.json({
+      success: true,
+      backendName,
+      total: dumps.length,
+      dumps
+    });
+  } catch (error) {
+    console.error('Error listing dumps:', error);
+    next(error);
+  }
+};
+
+/**
+ * List archived file versions (local copies of objects changed or deleted in the bucket)
+ * Route: GET /api/backup/files/versions/:backendName?key=path/to/file
+ * Without key: every file with versions; with key: the versions of that file (newest first)
+ */
+export const getFileVersionsController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+    const { key } = req.query;
+
+    // Validate backend exists
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    if (key) {
+      const versions = await listFileVersions(backendName, key);
+
+      return res.json({
+        success: true,
+        backendName,
+        key,
+        total: versions.length,
+        versions
+      });
+    }
+
+    const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+    const baseBackupPath = path.isAbsolute(backupPathEnv)
+      ? backupPathEnv
+      : path.resolve(process.cwd(), backupPathEnv);
+    const files = await listVersionedFiles(backendName, path.join(baseBackupPath, backendName));
+
+    res.json({
+      success: true,
+      backendName,
+      total: files.length,
+      files
+    });
+  } catch (error) {
+    console.error('Error listing file versions:', error);
+    next(error);
+  }
+};
@@ -33,7 +33,7 @@ export const getComparison = async (req, res, next) => {
     }
 
     // Perform comparison
-    const comparison = await compareBackupWithRemote(setting.DBurl, backendName);
+    const comparison = await compareBackupWithRemote(setting.DBurl, backendName, setting.attributes || {});
 
     res.json({
       success: true,
@@ -2,7 +2,8 @@ import Setting from '../models/Setting.js';
 import { 
   getAllTablesWithData, 
   getAllTablesWithCounts,
-  getTableDataPaginated 
+  getTableDataPaginated,
+  getDatabaseScope
 } from '../services/fhsDatabaseService.js';
 
 /**
@@ -37,8 +38,8 @@ export const getAllDataFromDb = async (req, res, next) => {
       });
     }
 
-    // Get all tables with row counts (not full data)
-    const tablesData = await getAllTablesWithCounts(setting.DBurl);
+    // Get all tables with row counts (not full data), in the schemas configured for this backend
+    const tablesData = await getAllTablesWithCounts(setting.DBurl, getDatabaseScope(setting.attributes));
 
     res.json({
       success: true,
@@ -55,7 +56,7 @@ export const getAllDataFromDb = async (req, res, next) => {
 
 /**
  * Get paginated data from a specific table
- * Route: GET /api/getallDatafromdb/:backendName/:tableName
+ * Route: GET /api/getallDatafromdb/:backendName/:tableName (tableName is `schema.table` outside public)
  */
 export const getTableDataPaginatedRoute = async (req, res, next) => {
   try {
@@ -34,7 +34,7 @@ export const getAllFilesFromBucket = async (req, res, next) => {
     }
 
     // Get all files from bucket
-    // Pass attributes for S3 credentials if available
+    // Pass attributes for the storage driver, its credentials and file filters if available
     const folderStructure = await getAllFiles(setting.bucketurl, setting.attributes || {});
 
     // Calculate total files count recursively
@@ -55,6 +55,10 @@ export const getAllFilesFromBucket = async (req, res, next) => {
       backendName: setting.backendname,
       bucketUrl: setting.bucketurl,
       filesCount: totalFiles,
+      storageDriver: folderStructure.driver,
+      // Files left out by the backend's file filters
+      excludedFiles: folderStructure.excluded.files,
+      excludedBytes: folderStructure.excluded.bytes,
       folderStructure: folderStructure
     });
   } catch (error) {
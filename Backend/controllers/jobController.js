@@ -0,0 +1,31 @@
+import { getQueuedJobs, getJobQueueStats } from '../services/jobQueueService.js';
+
+/**
+ * Get the job queue
+ * Route: GET /api/jobs
+ * Query: status ('queued', 'running', 'completed', 'failed'), backendName, limit
+ * Returns the queue's limits, how many jobs are queued and running, and the latest jobs
+ */
+export const getJobsController = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const [queue, jobs] = await Promise.all([
+      getJobQueueStats(),
+      getQueuedJobs({
+        status: req.query.status || null,
+        backendName: req.query.backendName || null,
+        limit
+      })
+    ]);
+
+    res.json({
+      success: true,
+      queue,
+      total: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error getting job queue:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,117 @@
+import Setting from '../models/Setting.js';
+import { startReplication, getReplicationTarget, getReplicationLag } from '../services/replicationService.js';
+import {
+  getReplicationStatus as getReplicationStatusFromService,
+  getReplicationStatuses
+} from '../services/replicationStatusService.js';
+
+/**
+ * Replicate a backend's backups to its replication target - runs in background
+ * Route: POST /api/replication
+ * Body: { backendName: string }
+ */
+export const createReplication = async (req, res, next) => {
+  try {
+    const { backendName } = req.body;
+
+    if (!backendName) {
+      return res.status(400).json({
+        success: false,
+        message: 'backendName is required in request body'
+      });
+    }
+
+    const setting = await Setting.findByBackendName(backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${backendName}" not found`
+      });
+    }
+
+    if (!getReplicationTarget(setting.attributes || {})) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replication target not configured for this backend (REPLICATION_TARGET)'
+      });
+    }
+
+    const { jobId, started } = await startReplication(setting, { trigger: 'manual' });
+
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        jobId,
+        message: 'A replication is already running for this backend',
+        statusUrl: `/api/replication/status/${jobId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      message: 'Replication started in background',
+      statusUrl: `/api/replication/status/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error starting replication:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get replication status(es)
+ * Route: GET /api/replication/status/:jobId (optional)
+ * Without jobId, returns the latest jobs (query: backendName, limit)
+ */
+export const getReplicationStatus = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    if (jobId) {
+      const status = await getReplicationStatusFromService(jobId);
+
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          message: 'Replication job not found'
+        });
+      }
+
+      return res.json({
+        success: true,
+        ...status
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 50;
+    const statuses = await getReplicationStatuses(req.query.backendName || null, limit);
+
+    res.json({
+      success: true,
+      total: statuses.length,
+      statuses
+    });
+  } catch (error) {
+    console.error('Error getting replication status:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the replication lag of every backend
+ * Route: GET /api/replication/lag
+ */
+export const getReplicationLagController = async (req, res, next) => {
+  try {
+    const backends = await getReplicationLag();
+
+    res.json({
+      success: true,
+      backends
+    });
+  } catch (error) {
+    console.error('Error getting replication lag:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,173 @@
+import Setting from '../models/Setting.js';
+import { applyRetention, getRetentionPolicy, hasRetentionPolicy } from '../services/retentionService.js';
+import { queueRetentionJob, getRetentionPrunerStatus } from '../services/retentionJobService.js';
+import { getBackupStatusesByType } from '../services/backupStatusService.js';
+
+/**
+ * Read a backend's retention policy, answering 404 or 400 itself
+ * @returns {Promise<Object|null>} { setting, policy }, or null when a response was sent
+ */
+async function loadRetentionPolicy(backendName, res) {
+  const setting = await Setting.findByBackendName(backendName);
+  if (!setting) {
+    res.status(404).json({
+      success: false,
+      message: `Setting with backend name "${backendName}" not found`
+    });
+    return null;
+  }
+
+  try {
+    return { setting, policy: getRetentionPolicy(setting.attributes || {}) };
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Get a backend's retention policy
+ * Route: GET /api/retention/:backendName
+ * Each target (snapshots, dumps, fileVersions) has { daily, weekly, monthly }, or null
+ * when it is not pruned
+ */
+export const getRetentionPolicyController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    const loaded = await loadRetentionPolicy(backendName, res);
+    if (!loaded) {
+      return;
+    }
+
+    res.json({
+      success: true,
+      backendName,
+      configured: hasRetentionPolicy(loaded.policy),
+      policy: loaded.policy
+    });
+  } catch (error) {
+    console.error('Error getting retention policy:', error);
+    next(error);
+  }
+};
+
+/**
+ * Preview what a prune of a backend would remove (dry run, nothing is deleted)
+ * Route: GET /api/retention/:backendName/preview
+ */
+export const previewRetentionController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    const loaded = await loadRetentionPolicy(backendName, res);
+    if (!loaded) {
+      return;
+    }
+
+    if (!hasRetentionPolicy(loaded.policy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No retention policy configured for this backend (RETENTION_POLICY or RETENTION_KEEP_*)'
+      });
+    }
+
+    const preview = await applyRetention(loaded.setting, { dryRun: true });
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Error previewing retention:', error);
+    next(error);
+  }
+};
+
+/**
+ * Prune a backend's backups by its retention policy - queued, runs in background
+ * Route: POST /api/retention/:backendName/prune
+ * The run shows up in the backup job history with everything it removed
+ */
+export const pruneBackendController = async (req, res, next) => {
+  try {
+    const { backendName } = req.params;
+
+    const loaded = await loadRetentionPolicy(backendName, res);
+    if (!loaded) {
+      return;
+    }
+
+    if (!hasRetentionPolicy(loaded.policy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No retention policy configured for this backend (RETENTION_POLICY or RETENTION_KEEP_*)'
+      });
+    }
+
+    const { jobId, duplicateJobId } = await queueRetentionJob(loaded.setting);
+
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: 'A retention run is already queued or running for this backend',
+        statusUrl: `/api/backup/status/${duplicateJobId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      message: 'Retention run queued, runs in background',
+      statusUrl: `/api/backup/status/${jobId}`
+    });
+  } catch (error) {
+    console.error('Error starting retention run:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the history of retention runs
+ * Route: GET /api/retention/history
+ * Query: backendName, limit
+ * Each run's result lists the snapshots, dumps and file versions it removed
+ */
+export const getRetentionHistoryController = async (req, res, next) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const history = await getBackupStatusesByType('retention', {
+      backendName: req.query.backendName || null,
+      limit
+    });
+
+    res.json({
+      success: true,
+      total: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error getting retention history:', error);
+    next(error);
+  }
+};
+
+/**
+ * Get the scheduled pruner's status
+ * Route: GET /api/retention/status
+ */
+export const getRetentionStatusController = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: getRetentionPrunerStatus()
+    });
+  } catch (error) {
+    console.error('Error getting retention status:', error);
+    next(error);
+  }
+};
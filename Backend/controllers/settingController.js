@@ -1,4 +1,5 @@
 import Setting from '../models/Setting.js';
+import { getBackendNameError } from '../middleware/validateSetting.js';
 
 /**
  * Get all settings with optional filters
@@ -90,6 +91,14 @@ const createBulkSettings = async (req, res, next) => {
           message: 'Each item must have backendname, DBurl, and bucketurl'
         });
       }
+
+      const backendNameError = getBackendNameError(item.backendname);
+      if (backendNameError) {
+        return res.status(400).json({
+          success: false,
+          message: backendNameError
+        });
+      }
     }
 
     const result = await Setting.createMany(data);
@@ -1,21 +1,38 @@
 import Setting from '../models/Setting.js';
-import { uploadTableRecords, uploadFiles, getBackupTableData } from '../services/uploadService.js';
+import { OVERWRITE_POLICIES } from '../services/uploadService.js';
 import { 
-  setUploadStatus, 
   getUploadStatusByBackend,
-  deleteUploadStatus,
-  generateUploadJobId 
+  getUploadStatusByJobId,
+  deleteUploadStatus
 } from '../services/uploadStatusService.js';
-import path from 'path';
+import {
+  queueUploadJob,
+  cancelUploadJob,
+  retryUploadJob,
+  getFailedUploadItems
+} from '../services/uploadJobService.js';
+import { getQueuedJob } from '../services/jobQueueService.js';
 
 /**
  * Upload data from local to remote
  * Route: POST /api/upload
- * Body: { type: 'files' | 'database', backendName: string, tableName?: string }
+ * Body: { type: 'files' | 'database' | 'dump', backendName: string, tableName?: string,
+ *         fileName?: string, target?: 'database' | 'scratch', clean?: boolean,
+ *         key?: string, versionId?: string,
+ *         targetBucketUrl?: string, targetPrefix?: string, keys?: string[],
+ *         overwrite?: 'overwrite' | 'skip-if-exists' | 'only-if-newer', priority?: number }
+ * The upload is queued (see jobQueueService); priority overrides the default queue priority (20)
+ * 'files' with key and versionId uploads one archived version of a file instead of the local backup
+ * 'files' restores into targetBucketUrl (default: the backend's bucketurl, with the backend's
+ * storage driver attributes) under targetPrefix, only the given keys and folders when keys is set;
+ * overwrite decides what happens to files already there (default: overwrite)
+ * 'dump' restores a pg_dump archive (latest when fileName is omitted) with pg_restore,
+ * into the backend's DBurl or a new scratch database on the same server
  */
 export const uploadData = async (req, res, next) => {
   try {
-    const { type, backendName, tableName } = req.body;
+    const { type, backendName, tableName, fileName, target = 'database', clean = false, key, versionId } = req.body;
+    const { targetBucketUrl, targetPrefix, keys, overwrite = 'overwrite', priority } = req.body;
 
     // Validation
     if (!type || !backendName) {
@@ -25,10 +42,53 @@ export const uploadData = async (req, res, next) => {
       });
     }
 
-    if (type !== 'files' && type !== 'database') {
+    if (type !== 'files' && type !== 'database' && type !== 'dump') {
       return res.status(400).json({
         success: false,
-        message: 'Type must be either "files" or "database"'
+        message: 'Type must be "files", "database" or "dump"'
+      });
+    }
+
+    if (type === 'dump' && target !== 'database' && target !== 'scratch') {
+      return res.status(400).json({
+        success: false,
+        message: 'target must be either "database" or "scratch"'
+      });
+    }
+
+    if (type === 'files' && !!key !== !!versionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'key and versionId must be given together to restore a file version'
+      });
+    }
+
+    if (type === 'files' && !OVERWRITE_POLICIES.includes(overwrite)) {
+      return res.status(400).json({
+        success: false,
+        message: `overwrite must be one of: ${OVERWRITE_POLICIES.join(', ')}`
+      });
+    }
+
+    if (type === 'files' && keys !== undefined &&
+        (!Array.isArray(keys) || keys.some(selected => typeof selected !== 'string' || !selected.trim()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'keys must be an array of object keys or folders'
+      });
+    }
+
+    if (type === 'files' && versionId && keys !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'keys can\'t be combined with a file version restore'
+      });
+    }
+
+    if (priority !== undefined && !Number.isInteger(priority)) {
+      return res.status(400).json({
+        success: false,
+        message: 'priority must be an integer'
       });
     }
 
@@ -51,29 +111,36 @@ export const uploadData = async (req, res, next) => {
     // Remove backup_ prefix from table name if present
     const remoteTableName = tableName ? tableName.replace(/^backup_/i, '') : null;
 
-    // Generate job ID (use original table name with backup_ prefix for job tracking)
-    const jobId = generateUploadJobId(backendName, type, tableName);
-
-    // Initialize status (store remote table name without backup_ prefix)
-    await setUploadStatus(jobId, {
-      status: 'processing',
-      type,
-      backendName: setting.backendname,
-      tableName: remoteTableName || null, // Store table name without backup_ prefix
-      progress: 0,
-      message: 'Upload process started...',
-      result: null,
-      error: null
+    // Queue the upload (pass both backup table name and remote table name)
+    const { jobId, duplicateJobId } = await queueUploadJob(setting, type, {
+      backupTableName: tableName,
+      remoteTableName,
+      fileName,
+      target,
+      clean: clean === true,
+      key,
+      versionId,
+      targetBucketUrl,
+      targetPrefix,
+      keys,
+      overwrite,
+      priority
     });
 
-    // Start upload in background (pass both backup table name and remote table name)
-    processUploadInBackground(jobId, type, setting, tableName, remoteTableName);
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: 'The same upload is already queued or running for this backend',
+        statusUrl: `/api/upload/status/${backendName}`
+      });
+    }
 
     // Return immediately with job ID
     res.json({
       success: true,
       jobId,
-      message: 'Upload process started in background',
+      message: 'Upload queued, runs in background',
       statusUrl: `/api/upload/status/${backendName}`
     });
 
@@ -83,118 +150,6 @@ export const uploadData = async (req, res, next) => {
   }
 };
 
-/**
- * Process upload in background
- */
-async function processUploadInBackground(jobId, type, setting, backupTableName, remoteTableName) {
-  try {
-    if (type === 'files') {
-      // Upload files
-      if (!setting.bucketurl) {
-        await setUploadStatus(jobId, {
-          status: 'failed',
-          error: 'Bucket URL not configured for this backend'
-        });
-        return;
-      }
-
-      await setUploadStatus(jobId, {
-        status: 'processing',
-        progress: 10,
-        message: 'Reading local files...'
-      });
-
-      // Get local backup path
-      const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
-      const baseBackupPath = path.isAbsolute(backupPathEnv) 
-        ? backupPathEnv 
-        : path.resolve(process.cwd(), backupPathEnv);
-      const localPath = path.join(baseBackupPath, setting.backendname);
-
-      await setUploadStatus(jobId, {
-        status: 'processing',
-        progress: 30,
-        message: 'Uploading files to remote...'
-      });
-
-      const result = await uploadFiles(localPath, setting.bucketurl, setting.attributes || {});
-
-      await setUploadStatus(jobId, {
-        status: 'completed',
-        progress: 100,
-        message: 'Upload completed successfully',
-        result: {
-          type: 'files',
-          backendName: setting.backendname,
-          ...result
-        }
-      });
-
-    } else if (type === 'database') {
-      // Upload database table
-      if (!setting.DBurl) {
-        await setUploadStatus(jobId, {
-          status: 'failed',
-          error: 'Database URL not configured for this backend'
-        });
-        return;
-      }
-
-      await setUploadStatus(jobId, {
-        status: 'processing',
-        progress: 10,
-        message: `Fetching data from local backup table: ${backupTableName}...`
-      });
-
-      // Get all data from backup table (fetch in chunks)
-      // Use backupTableName (with backup_ prefix) to fetch from local backup
-      let allRecords = [];
-      let page = 1;
-      const limit = 1000;
-      let hasMore = true;
-
-      while (hasMore) {
-        const pageData = await getBackupTableData(backupTableName.replace(/^backup_/i, ''), setting.backendname, page, limit);
-        allRecords = [...allRecords, ...pageData.data];
-        
-        if (pageData.data.length < limit || page >= pageData.totalPages) {
-          hasMore = false;
-        } else {
-          page++;
-        }
-      }
-
-      await setUploadStatus(jobId, {
-        status: 'processing',
-        progress: 50,
-        message: `Uploading ${allRecords.length} records to remote table: ${remoteTableName}...`
-      });
-
-      // Use remoteTableName (without backup_ prefix) to upload to remote database
-      const result = await uploadTableRecords(setting.DBurl, remoteTableName, allRecords);
-
-      await setUploadStatus(jobId, {
-        status: 'completed',
-        progress: 100,
-        message: 'Upload completed successfully',
-        result: {
-          type: 'database',
-          backendName: setting.backendname,
-          tableName: remoteTableName, // Store remote table name (without backup_ prefix)
-          backupTableName: backupTableName, // Also store backup table name for reference
-          ...result
-        }
-      });
-    }
-  } catch (error) {
-    await setUploadStatus(jobId, {
-      status: 'failed',
-      error: error.message,
-      message: `Upload failed: ${error.message}`
-    });
-  }
-}
-
 /**
  * Get upload status by backend name
  * Route: GET /api/upload/status/:backendName
@@ -223,6 +178,125 @@ export const getUploadStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Cancel a queued or running upload
+ * Route: POST /api/upload/status/:jobId/cancel
+ * A queued upload is cancelled right away; a running one stops after the current batch
+ * of records or file. What was already written stays in the target.
+ */
+export const cancelUploadController = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const status = await getUploadStatusByJobId(jobId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: `Upload job "${jobId}" not found`
+      });
+    }
+
+    const cancelled = await cancelUploadJob(jobId);
+    if (!cancelled) {
+      return res.status(409).json({
+        success: false,
+        message: `Upload job "${jobId}" is not queued or running (status: ${status.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId,
+      status: cancelled.status,
+      message: cancelled.status === 'cancelled'
+        ? 'Upload cancelled'
+        : 'Cancelling upload, it stops after the current batch or file',
+      statusUrl: `/api/upload/status/${status.backendName}`
+    });
+  } catch (error) {
+    console.error('Error cancelling upload:', error);
+    next(error);
+  }
+};
+
+/**
+ * Retry a failed or cancelled upload as a new job with the same parameters
+ * Route: POST /api/upload/status/:jobId/retry
+ * Body: { onlyFailed?: boolean }
+ * onlyFailed retries only the files a files upload failed on; it also applies to completed
+ * uploads that had failed files. Database uploads are always retried for the whole table.
+ */
+export const retryUploadController = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { onlyFailed = false } = req.body || {};
+
+    if (typeof onlyFailed !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'onlyFailed must be a boolean'
+      });
+    }
+
+    const status = await getUploadStatusByJobId(jobId);
+    if (!status) {
+      return res.status(404).json({
+        success: false,
+        message: `Upload job "${jobId}" not found`
+      });
+    }
+
+    const failedFiles = getFailedUploadItems(status);
+    if (!['failed', 'cancelled'].includes(status.status) && !(onlyFailed && failedFiles.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload job "${jobId}" can't be retried (status: ${status.status}); only failed or cancelled uploads, or completed ones with failed files, can`
+      });
+    }
+
+    // The parameters are kept with the job in the queue
+    const queued = await getQueuedJob(jobId);
+    if (!queued) {
+      return res.status(404).json({
+        success: false,
+        message: `Parameters of upload job "${jobId}" not found; start the upload again instead`
+      });
+    }
+
+    const setting = await Setting.findByBackendName(status.backendName);
+    if (!setting) {
+      return res.status(404).json({
+        success: false,
+        message: `Setting with backend name "${status.backendName}" not found`
+      });
+    }
+
+    const { jobId: retryJobId, duplicateJobId } = await retryUploadJob(status, queued, setting, { onlyFailed });
+
+    if (duplicateJobId) {
+      return res.status(409).json({
+        success: false,
+        jobId: duplicateJobId,
+        message: 'The same upload is already queued or running for this backend',
+        statusUrl: `/api/upload/status/${status.backendName}`
+      });
+    }
+
+    res.json({
+      success: true,
+      jobId: retryJobId,
+      retryOf: jobId,
+      message: onlyFailed && failedFiles.length > 0
+        ? `Retry of ${failedFiles.length} failed file(s) queued`
+        : 'Retry queued, runs in background',
+      statusUrl: `/api/upload/status/${status.backendName}`
+    });
+  } catch (error) {
+    console.error('Error retrying upload:', error);
+    next(error);
+  }
+};
+
 /**
  * Delete upload status by ID
  * Route: DELETE /api/upload/status/:id
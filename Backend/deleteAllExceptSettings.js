@@ -3,31 +3,31 @@ const prisma = new PrismaClient();
 
 async function deleteAllExceptSettings() {
   try {
-    // Get ALL table names from the database
+    // Get ALL table names from the database (public + per-backend backup schemas)
     const tablesQuery = `
-      SELECT table_name 
+      SELECT table_schema, table_name 
       FROM information_schema.tables 
-      WHERE table_schema = 'public' 
+      WHERE (table_schema = 'public' OR table_schema LIKE 'backend\\_%')
       AND table_type = 'BASE TABLE'
       AND table_name != '_prisma_migrations';
     `;
     
     const allTables = await prisma.$queryRawUnsafe(tablesQuery);
     
-    console.log('Found tables:', allTables.map(t => t.table_name));
+    console.log('Found tables:', allTables.map(t => `${t.table_schema}.${t.table_name}`));
     console.log('\nStarting deletion process...\n');
     
     // Delete from all tables EXCEPT 'settings'
     for (const table of allTables) {
-      const tableName = table.table_name;
+      const tableName = `${table.table_schema}.${table.table_name}`;
       
-      if (tableName === 'settings') {
+      if (table.table_schema === 'public' && table.table_name === 'settings') {
         console.log(`⏭️  Skipping: ${tableName} (keeping this table)`);
         continue;
       }
       
       // Delete all data from this table
-      await prisma.$executeRawUnsafe(`DELETE FROM "${tableName}";`);
+      await prisma.$executeRawUnsafe(`DELETE FROM "${table.table_schema}"."${table.table_name}";`);
       console.log(`✓ Deleted all data from: ${tableName}`);
     }
     
@@ -0,0 +1,44 @@
+import cron from 'node-cron';
+import { BACKUP_SCHEDULE_TYPES, isValidTimezone } from '../services/backupScheduleService.js';
+
+/**
+ * Validation middleware for BackupSchedule model
+ */
+
+const validateBackupSchedule = (req, res, next) => {
+  const { backendName, type, cron: cronExpression, timezone, enabled } = req.body;
+
+  const errors = [];
+
+  if (!backendName || typeof backendName !== 'string' || backendName.trim().length === 0) {
+    errors.push('backendName is required and must be a non-empty string');
+  }
+
+  if (!BACKUP_SCHEDULE_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${BACKUP_SCHEDULE_TYPES.join(', ')}`);
+  }
+
+  if (!cronExpression || typeof cronExpression !== 'string' || !cron.validate(cronExpression.trim())) {
+    errors.push('cron is required and must be a valid cron expression, e.g. "0 2 * * *"');
+  }
+
+  if (timezone !== undefined && timezone !== null && timezone !== '' && !isValidTimezone(timezone)) {
+    errors.push('timezone must be a valid IANA time zone, e.g. "UTC" or "Europe/Berlin"');
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors
+    });
+  }
+
+  next();
+};
+
+export default validateBackupSchedule;
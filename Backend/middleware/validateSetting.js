@@ -2,13 +2,33 @@
  * Validation middleware for Setting model
  */
 
+/**
+ * Check a backend name, which also names its directory under BACKUP_UPLOAD_PATH
+ * The shared directories next to those (.store, .incoming, .versions, .dumps) start
+ * with a dot, so dot-prefixed names are reserved: a backend named after one of them
+ * would mix its files with every other backend's blobs, versions or dumps.
+ * @returns {string|null} Error message, or null when the name is valid
+ */
+export const getBackendNameError = (backendname) => {
+  if (!backendname || typeof backendname !== 'string' || backendname.trim().length === 0) {
+    return 'backendname is required and must be a non-empty string';
+  }
+
+  if (backendname.trim().startsWith('.')) {
+    return 'backendname must not start with "." (reserved for shared backup directories)';
+  }
+
+  return null;
+};
+
 const validateSetting = (req, res, next) => {
   const { backendname, DBurl, bucketurl, attributes } = req.body;
 
   const errors = [];
 
-  if (!backendname || typeof backendname !== 'string' || backendname.trim().length === 0) {
-    errors.push('backendname is required and must be a non-empty string');
+  const backendNameError = getBackendNameError(backendname);
+  if (backendNameError) {
+    errors.push(backendNameError);
   }
 
   if (!DBurl || typeof DBurl !== 'string' || DBurl.trim().length === 0) {
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "backup_snapshots" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "snapshotNumber" INTEGER NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "tables" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "backup_snapshots_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_snapshots_jobId_key" ON "backup_snapshots"("jobId");
+
+-- CreateIndex
+CREATE INDEX "backup_snapshots_backendName_idx" ON "backup_snapshots"("backendName");
+
+-- CreateIndex
+CREATE INDEX "backup_snapshots_createdAt_idx" ON "backup_snapshots"("createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_snapshots_backendName_snapshotNumber_key" ON "backup_snapshots"("backendName", "snapshotNumber");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "backup_table_definitions" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "tableName" TEXT NOT NULL,
+    "columns" JSONB NOT NULL,
+    "primaryKey" JSONB,
+    "uniqueConstraints" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "backup_table_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backup_table_definitions_backendName_idx" ON "backup_table_definitions"("backendName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_table_definitions_backendName_tableName_key" ON "backup_table_definitions"("backendName", "tableName");
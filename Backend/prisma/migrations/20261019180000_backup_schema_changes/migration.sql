@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "backup_schema_changes" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "tableName" TEXT NOT NULL,
+    "changeType" TEXT NOT NULL,
+    "columnName" TEXT,
+    "breaking" BOOLEAN NOT NULL DEFAULT false,
+    "applied" BOOLEAN NOT NULL DEFAULT true,
+    "details" JSONB,
+    "jobId" TEXT,
+    "snapshotNumber" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "backup_schema_changes_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backup_schema_changes_backendName_tableName_idx" ON "backup_schema_changes"("backendName", "tableName");
+
+-- CreateIndex
+CREATE INDEX "backup_schema_changes_createdAt_idx" ON "backup_schema_changes"("createdAt");
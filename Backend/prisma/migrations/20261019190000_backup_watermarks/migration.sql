@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "backup_watermarks" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "tableName" TEXT NOT NULL,
+    "column" TEXT NOT NULL,
+    "value" TEXT,
+    "jobId" TEXT,
+    "snapshotNumber" INTEGER,
+    "fullSync" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "backup_watermarks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backup_watermarks_backendName_idx" ON "backup_watermarks"("backendName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_watermarks_backendName_tableName_key" ON "backup_watermarks"("backendName", "tableName");
@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "backup_file_entries" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "etag" TEXT,
+    "lastModified" TIMESTAMP(3),
+    "sha256" TEXT,
+    "backedUpAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "backup_file_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backup_file_entries_backendName_idx" ON "backup_file_entries"("backendName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "backup_file_entries_backendName_key_key" ON "backup_file_entries"("backendName", "key");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "backup_statuses" ADD COLUMN     "checkpoint" JSONB;
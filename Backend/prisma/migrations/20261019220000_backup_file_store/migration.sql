@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "backup_file_entries" ADD COLUMN     "storage" TEXT NOT NULL DEFAULT 'plain';
+
+-- CreateIndex
+CREATE INDEX "backup_file_entries_sha256_idx" ON "backup_file_entries"("sha256");
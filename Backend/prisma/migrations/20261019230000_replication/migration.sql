@@ -0,0 +1,48 @@
+-- CreateTable
+CREATE TABLE "replication_statuses" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "target" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL DEFAULT 'manual',
+    "progress" INTEGER NOT NULL DEFAULT 0,
+    "message" TEXT,
+    "result" JSONB,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "replication_statuses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "replication_entries" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "target" TEXT NOT NULL,
+    "size" BIGINT NOT NULL,
+    "modifiedAt" TIMESTAMP(3) NOT NULL,
+    "replicatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "replication_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "replication_statuses_jobId_key" ON "replication_statuses"("jobId");
+
+-- CreateIndex
+CREATE INDEX "replication_statuses_backendName_idx" ON "replication_statuses"("backendName");
+
+-- CreateIndex
+CREATE INDEX "replication_statuses_status_idx" ON "replication_statuses"("status");
+
+-- CreateIndex
+CREATE INDEX "replication_statuses_createdAt_idx" ON "replication_statuses"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "replication_entries_backendName_idx" ON "replication_entries"("backendName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "replication_entries_backendName_target_key_key" ON "replication_entries"("backendName", "target", "key");
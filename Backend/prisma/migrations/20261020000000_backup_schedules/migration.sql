@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "backup_schedules" (
+    "id" SERIAL NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "cron" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL DEFAULT 'UTC',
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "lastRunAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "backup_schedules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "backup_schedules_backendName_idx" ON "backup_schedules"("backendName");
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "job_queue" (
+    "id" TEXT NOT NULL,
+    "jobId" TEXT NOT NULL,
+    "kind" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "backendName" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "dedupeKey" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "maxAttempts" INTEGER NOT NULL DEFAULT 1,
+    "leaseOwner" TEXT,
+    "leaseExpiresAt" TIMESTAMP(3),
+    "error" TEXT,
+    "startedAt" TIMESTAMP(3),
+    "finishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "job_queue_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "job_queue_dedupeKey_key" ON "job_queue"("dedupeKey");
+
+-- CreateIndex
+CREATE INDEX "job_queue_jobId_idx" ON "job_queue"("jobId");
+
+-- CreateIndex
+CREATE INDEX "job_queue_status_priority_createdAt_idx" ON "job_queue"("status", "priority", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "job_queue_backendName_idx" ON "job_queue"("backendName");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "job_queue" ADD COLUMN     "cancelRequestedAt" TIMESTAMP(3);
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "backup_file_entries" ADD COLUMN     "blobId" TEXT;
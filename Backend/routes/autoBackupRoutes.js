@@ -1,11 +1,30 @@
 import express from 'express';
 import { 
   getAutomaticFilesBackupController,
-  getAutomaticDatabaseBackupController
+  getAutomaticDatabaseBackupController,
+  getBackupSchedulesController,
+  getBackupScheduleController,
+  createBackupScheduleController,
+  updateBackupScheduleController,
+  deleteBackupScheduleController,
+  pauseBackupScheduleController,
+  resumeBackupScheduleController,
+  runBackupScheduleController,
+  getAutoBackupStatusController,
+  restartAutoBackupController
 } from '../controllers/autoBackupController.js';
+import validateBackupSchedule from '../middleware/validateBackupSchedule.js';
 
 const router = express.Router();
 
+// Route: GET /api/auto-backup/status
+// Global database and files jobs and the per-backend schedules, with their next runs
+router.get('/status', getAutoBackupStatusController);
+
+// Route: POST /api/auto-backup/restart
+// Re-read the AUTO_BACKUP_* variables from .env and restart all jobs
+router.post('/restart', restartAutoBackupController);
+
 // Route: GET /api/auto-backup/files
 // Get all automatic files backup statuses from BackupStatus table
 router.get('/files', getAutomaticFilesBackupController);
@@ -14,4 +33,29 @@ router.get('/files', getAutomaticFilesBackupController);
 // Get all automatic database backup statuses from BackupStatus table
 router.get('/database', getAutomaticDatabaseBackupController);
 
+// Route: GET /api/auto-backup/schedules
+// Per-backend backup schedules with their next run (query: backendName)
+router.get('/schedules', getBackupSchedulesController);
+
+// Route: GET /api/auto-backup/schedules/:id
+router.get('/schedules/:id', getBackupScheduleController);
+
+// Route: POST /api/auto-backup/schedules
+// Body: { backendName, type: 'files' | 'database' | 'dump', cron, timezone?, enabled? }
+router.post('/schedules', validateBackupSchedule, createBackupScheduleController);
+
+// Route: PUT /api/auto-backup/schedules/:id
+router.put('/schedules/:id', validateBackupSchedule, updateBackupScheduleController);
+
+// Route: DELETE /api/auto-backup/schedules/:id
+router.delete('/schedules/:id', deleteBackupScheduleController);
+
+// Route: POST /api/auto-backup/schedules/:id/pause and /resume
+router.post('/schedules/:id/pause', pauseBackupScheduleController);
+router.post('/schedules/:id/resume', resumeBackupScheduleController);
+
+// Route: POST /api/auto-backup/schedules/:id/run
+// Start the schedule's backup now
+router.post('/schedules/:id/run', runBackupScheduleController);
+
 export default router;
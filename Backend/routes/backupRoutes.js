@@ -1,6 +1,9 @@
 import express from 'express';
 import { 
   createBackup,
+  resumeBackup,
+  cancelBackupController,
+  retryBackupController,
   getBackupData,
   deleteBackupRecord,
   deleteAllBackupRecords,
@@ -10,13 +13,19 @@ import {
   getBackupStatus,
   deleteBackupStatusController,
   getLocalBackupFilesController,
-  compareBackupFilesController
+  compareBackupFilesController,
+  getSnapshotsController,
+  getSnapshotDataController,
+  getSchemaHistoryController,
+  getWatermarksController,
+  getDumpsController,
+  getFileVersionsController
 } from '../controllers/backupController.js';
 
 const router = express.Router();
 
 // Route: POST /api/backup
-// Body: { type: 'files' | 'database', backendName: string }
+// Body: { type: 'files' | 'database' | 'dump', backendName: string, forceFullResync?: boolean }
 router.post('/', createBackup);
 
 // Route: GET /api/backup/status/:jobId (optional)
@@ -26,15 +35,58 @@ router.post('/', createBackup);
 router.get('/status', getBackupStatus);
 router.get('/status/:jobId', getBackupStatus);
 
+// Route: POST /api/backup/status/:jobId/cancel
+// Cancel a queued or running backup
+router.post('/status/:jobId/cancel', cancelBackupController);
+
+// Route: POST /api/backup/status/:jobId/retry
+// Body: { onlyFailed?: boolean }
+// Queue a failed, cancelled or interrupted backup again with the same parameters
+router.post('/status/:jobId/retry', retryBackupController);
+
+// Route: POST /api/backup/resume/:jobId
+// Resume an interrupted or failed files backup from its checkpoint
+router.post('/resume/:jobId', resumeBackup);
+
 // Route: DELETE /api/backup/status/:jobId
 // Delete backup status by jobId
 router.delete('/status/:jobId', deleteBackupStatusController);
 
+// Route: GET /api/backup/snapshots/:backendName
+// List database backup snapshots for a backend (newest first)
+// Note: Must be before /:backendName route to avoid conflicts
+router.get('/snapshots/:backendName', getSnapshotsController);
+
+// Route: GET /api/backup/snapshots/:backendName/:snapshotNumber?tableName=users&page=1&limit=10
+// Without tableName: snapshot details with per-table row counts as of the snapshot
+// With tableName: paginated rows of that table as of the snapshot
+router.get('/snapshots/:backendName/:snapshotNumber', getSnapshotDataController);
+
+// Route: GET /api/backup/schema-history/:backendName
+// Schema change events of all backup tables of a backend (newest first)
+router.get('/schema-history/:backendName', getSchemaHistoryController);
+
+// Route: GET /api/backup/schema-history/:backendName/:tableName
+// Schema change events of one table, with its current source definition
+router.get('/schema-history/:backendName/:tableName', getSchemaHistoryController);
+
+// Route: GET /api/backup/watermarks/:backendName
+// Last incremental backup watermark of each table with a watermark column
+router.get('/watermarks/:backendName', getWatermarksController);
+
+// Route: GET /api/backup/dumps/:backendName
+// pg_dump archives of a backend (newest first)
+router.get('/dumps/:backendName', getDumpsController);
+
 // Route: GET /api/backup/files/comparison/:backendName
 // Compare files between bucket and local backup
 // Note: Must be before /files/:backendName to avoid route conflicts
 router.get('/files/comparison/:backendName', compareBackupFilesController);
 
+// Route: GET /api/backup/files/versions/:backendName?key=path/to/file
+// Files with archived versions, or the versions of one file when key is given
+router.get('/files/versions/:backendName', getFileVersionsController);
+
 // Route: GET /api/backup/files/:backendName
 // Get all local backup files for a backend
 router.get('/files/:backendName', getLocalBackupFilesController);
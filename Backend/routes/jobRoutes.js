@@ -0,0 +1,10 @@
+import express from 'express';
+import { getJobsController } from '../controllers/jobController.js';
+
+const router = express.Router();
+
+// Route: GET /api/jobs
+// Job queue: limits, queued and running counts, and the latest jobs (query: status, backendName, limit)
+router.get('/', getJobsController);
+
+export default router;
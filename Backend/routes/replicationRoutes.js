@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  createReplication,
+  getReplicationStatus,
+  getReplicationLagController
+} from '../controllers/replicationController.js';
+
+const router = express.Router();
+
+// Route: POST /api/replication
+// Body: { backendName: string }
+router.post('/', createReplication);
+
+// Route: GET /api/replication/status/:jobId (optional)
+// Without jobId: latest replication jobs (query: backendName, limit)
+router.get('/status', getReplicationStatus);
+router.get('/status/:jobId', getReplicationStatus);
+
+// Route: GET /api/replication/lag
+// Replication lag per backend
+router.get('/lag', getReplicationLagController);
+
+export default router;
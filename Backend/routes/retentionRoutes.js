@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+  getRetentionPolicyController,
+  previewRetentionController,
+  pruneBackendController,
+  getRetentionHistoryController,
+  getRetentionStatusController
+} from '../controllers/retentionController.js';
+
+const router = express.Router();
+
+// Route: GET /api/retention/status
+// Scheduled pruner: enabled, schedule, last and next run
+router.get('/status', getRetentionStatusController);
+
+// Route: GET /api/retention/history
+// Retention runs with what they removed (query: backendName, limit)
+router.get('/history', getRetentionHistoryController);
+
+// Route: GET /api/retention/:backendName
+// Backend's retention policy
+router.get('/:backendName', getRetentionPolicyController);
+
+// Route: GET /api/retention/:backendName/preview
+// Dry run: what a prune would remove
+router.get('/:backendName/preview', previewRetentionController);
+
+// Route: POST /api/retention/:backendName/prune
+// Queue a prune by the backend's retention policy
+router.post('/:backendName/prune', pruneBackendController);
+
+export default router;
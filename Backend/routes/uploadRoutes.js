@@ -2,19 +2,34 @@ import express from 'express';
 import { 
   uploadData,
   getUploadStatus,
+  cancelUploadController,
+  retryUploadController,
   deleteUploadStatusById
 } from '../controllers/uploadController.js';
 
 const router = express.Router();
 
 // Route: POST /api/upload
-// Body: { type: 'files' | 'database', backendName: string, tableName?: string }
+// Body: { type: 'files' | 'database' | 'dump', backendName: string, tableName?: string }
+// Dump restores: { fileName?: string, target?: 'database' | 'scratch', clean?: boolean }
+// File version restores: { type: 'files', key: string, versionId: string }
+// File restores: { targetBucketUrl?: string, targetPrefix?: string, keys?: string[],
+//   overwrite?: 'overwrite' | 'skip-if-exists' | 'only-if-newer' }
 router.post('/', uploadData);
 
 // Route: GET /api/upload/status/:backendName
 // Get all upload statuses for a backend
 router.get('/status/:backendName', getUploadStatus);
 
+// Route: POST /api/upload/status/:jobId/cancel
+// Cancel a queued or running upload
+router.post('/status/:jobId/cancel', cancelUploadController);
+
+// Route: POST /api/upload/status/:jobId/retry
+// Body: { onlyFailed?: boolean }
+// Queue a failed or cancelled upload again with the same parameters
+router.post('/status/:jobId/retry', retryUploadController);
+
 // Route: DELETE /api/upload/status/:id
 // Delete upload status by ID
 router.delete('/status/:id', deleteUploadStatusById);
@@ -11,7 +11,10 @@ import backupRoutes from './routes/backupRoutes.js';
 import comparisonRoutes from './routes/comparisonRoutes.js';
 import reportsRoutes from './routes/reportsRoutes.js';
 import autoBackupRoutes from './routes/autoBackupRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js';
+import replicationRoutes from './routes/replicationRoutes.js';
+import retentionRoutes from './routes/retentionRoutes.js';
 import errorHandler from './middleware/errorHandler.js';
 import prisma from './config/database.js';
 
@@ -63,6 +66,9 @@ app.use('/api/comparison', comparisonRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/auto-backup', autoBackupRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/replication', replicationRoutes);
+app.use('/api/retention', retentionRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -78,13 +84,46 @@ app.get('/', (req, res) => {
       getTableDataPaginated: '/api/getallDatafromdb/:backendName/:tableName?page=1&limit=10',
       getAllFiles: '/api/getallFiles/:backendName',
       backup: {
-        create: 'POST /api/backup (body: { type: "files" | "database", backendName: string }) - Returns jobId, runs in background',
+        create: 'POST /api/backup (body: { type: "files" | "database" | "dump", backendName: string, forceFullResync?: boolean, priority?: number }) - Returns jobId, queued and run in background',
         getData: 'GET /api/backup/:backendName/:tableName?page=1&limit=10',
         getStatus: 'GET /api/backup/status (all) or /api/backup/status/:jobId (specific) - Get backup job status(es)',
+        resume: 'POST /api/backup/resume/:jobId - Resume an interrupted files backup from its checkpoint',
+        cancel: 'POST /api/backup/status/:jobId/cancel - Cancel a queued or running backup',
+        retry: 'POST /api/backup/status/:jobId/retry (body: { onlyFailed?: boolean }) - Queue a failed or cancelled backup again, optionally only its failed tables or files',
+        snapshots: 'GET /api/backup/snapshots/:backendName - List database snapshots',
+        snapshotData: 'GET /api/backup/snapshots/:backendName/:snapshotNumber?tableName=users&page=1&limit=10 - Browse a table as of a snapshot',
+        schemaHistory: 'GET /api/backup/schema-history/:backendName/:tableName - Schema change history (tableName optional)',
+        watermarks: 'GET /api/backup/watermarks/:backendName - Incremental backup watermark per table',
+        dumps: 'GET /api/backup/dumps/:backendName - List pg_dump archives',
+        fileVersions: 'GET /api/backup/files/versions/:backendName?key=path/to/file - Archived versions of changed or deleted files',
         deleteById: 'DELETE /api/backup/:backendName/:tableName/:id',
         deleteAll: 'DELETE /api/backup/:backendName/:tableName',
         deleteByDateRange: 'DELETE /api/backup/:backendName/:tableName/date-range (body: { startDate: string, endDate: string })'
       },
+      replication: {
+        create: 'POST /api/replication (body: { backendName: string }) - Copy the backend\'s file backups and dumps to its replication target, runs in background',
+        getStatus: 'GET /api/replication/status (query: backendName, limit) or /api/replication/status/:jobId - Replication job status(es)',
+        lag: 'GET /api/replication/lag - Replication lag per backend'
+      },
+      retention: {
+        policy: 'GET /api/retention/:backendName - Retention policy (keep daily, weekly, monthly) per target',
+        preview: 'GET /api/retention/:backendName/preview - Dry run: snapshots, dumps and file versions a prune would remove',
+        prune: 'POST /api/retention/:backendName/prune - Queue a prune by the retention policy, returns a jobId (status under /api/backup/status)',
+        history: 'GET /api/retention/history (query: backendName, limit) - Retention runs with what they removed',
+        status: 'GET /api/retention/status - Scheduled pruner (RETENTION_ENABLED, RETENTION_SCHEDULE) with its next run'
+      },
+      autoBackup: {
+        history: 'GET /api/auto-backup/files or /api/auto-backup/database - Automatic backup job history',
+        schedules: 'GET /api/auto-backup/schedules (query: backendName) or /api/auto-backup/schedules/:id - Per-backend backup schedules with their next run',
+        createSchedule: 'POST /api/auto-backup/schedules (body: { backendName: string, type: "files" | "database" | "dump", cron: string, timezone?: string, enabled?: boolean })',
+        updateSchedule: 'PUT /api/auto-backup/schedules/:id (body: same as create)',
+        deleteSchedule: 'DELETE /api/auto-backup/schedules/:id',
+        pauseSchedule: 'POST /api/auto-backup/schedules/:id/pause or /resume',
+        runSchedule: 'POST /api/auto-backup/schedules/:id/run - Start the schedule\'s backup now, returns a jobId',
+        status: 'GET /api/auto-backup/status - Global jobs and schedules with their next runs',
+        restart: 'POST /api/auto-backup/restart - Re-read AUTO_BACKUP_* from .env and restart all jobs'
+      },
+      jobs: 'GET /api/jobs (query: status, backendName, limit) - Job queue: limits, queued and running counts, and jobs',
       comparison: 'GET /api/comparison/:backendName - Compare backup tables with remote database tables'
     }
   });
@@ -152,15 +191,21 @@ async function checkBackupPath() {
 async function startStatusCleanup() {
   const { cleanupOldStatuses } = await import('./services/backupStatusService.js');
   const { cleanupOldUploadStatuses } = await import('./services/uploadStatusService.js');
+  const { cleanupOldReplicationStatuses } = await import('./services/replicationStatusService.js');
+  const { cleanupOldJobs } = await import('./services/jobQueueService.js');
   
   // Run cleanup on startup
   await cleanupOldStatuses();
   await cleanupOldUploadStatuses();
+  await cleanupOldReplicationStatuses();
+  await cleanupOldJobs();
   
   // Run cleanup every 24 hours
   setInterval(async () => {
     await cleanupOldStatuses();
     await cleanupOldUploadStatuses();
+    await cleanupOldReplicationStatuses();
+    await cleanupOldJobs();
   }, 24 * 60 * 60 * 1000); // 24 hours
 }
 
@@ -177,6 +222,26 @@ app.listen(PORT, async () => {
   if (!dbConnected) {
     console.warn('⚠️  Warning: Database connection failed. Some features may not work.');
   } else {
+    // Jobs still marked as processing were cut off by the last shutdown; the ones
+    // still in the job queue are re-queued or failed by the queue itself
+    const { markInterruptedStatuses } = await import('./services/backupStatusService.js');
+    const { markInterruptedUploadStatuses } = await import('./services/uploadStatusService.js');
+    const { markInterruptedReplications } = await import('./services/replicationStatusService.js');
+    const { registerJobHandler, getActiveJobIds, startJobQueue } = await import('./services/jobQueueService.js');
+    const { backupJobHandler } = await import('./services/backupJobService.js');
+    const { uploadJobHandler } = await import('./services/uploadJobService.js');
+    const { retentionJobHandler, startRetentionPruner } = await import('./services/retentionJobService.js');
+    const activeJobIds = await getActiveJobIds();
+    await markInterruptedStatuses(activeJobIds);
+    await markInterruptedUploadStatuses(activeJobIds);
+    await markInterruptedReplications();
+
+    // Start the job queue worker
+    registerJobHandler('backup', backupJobHandler);
+    registerJobHandler('upload', uploadJobHandler);
+    registerJobHandler('retention', retentionJobHandler);
+    await startJobQueue();
+
     // Start status cleanup job
     startStatusCleanup().catch(err => {
       console.error('Error starting status cleanup:', err);
@@ -185,6 +250,9 @@ app.listen(PORT, async () => {
     // Initialize auto-backup jobs
     const { initializeAutoBackup } = await import('./services/autoBackupService.js');
     initializeAutoBackup();
+
+    // Start the scheduled retention pruner
+    startRetentionPruner();
   }
   
   // Check backup path
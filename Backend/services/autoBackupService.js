@@ -1,13 +1,16 @@
 import cron from 'node-cron';
+import dotenv from 'dotenv';
 import Setting from '../models/Setting.js';
-import { backupFiles, backupDatabase } from './backupService.js';
-import { setBackupStatus, generateJobId } from './backupStatusService.js';
-import path from 'path';
+import { queueBackupJob } from './backupJobService.js';
+import { getBackupSchedules, getBackupSchedule, markBackupScheduleRun } from './backupScheduleService.js';
 
 // Store cron job references
 let databaseCronJob = null;
 let filesCronJob = null;
 
+// Cron jobs of the persisted backup schedules, by schedule id
+const scheduledJobs = new Map();
+
 // Store auto-backup status
 let autoBackupStatus = {
   database: {
@@ -26,6 +29,37 @@ let autoBackupStatus = {
   }
 };
 
+/**
+ * Queue an automatic backup of one backend
+ * Skipped when the backend already has a backup of this type queued or running
+ * @param {Object} setting - Setting of the backend
+ * @param {string} type - 'files', 'database' or 'dump'
+ * @returns {Promise<string|null>} Job id, or null if skipped
+ */
+export async function runAutomaticBackup(setting, type) {
+  const { jobId, duplicateJobId } = await queueBackupJob(setting, type, { isAutomatic: true });
+
+  if (duplicateJobId) {
+    console.log(`⏭️  Skipped automatic ${type} backup for ${setting.backendname}: ${duplicateJobId} is still queued or running`);
+    return null;
+  }
+  return jobId;
+}
+
+/**
+ * Get the backends that have a persisted schedule of this type
+ * The global env-driven jobs skip them, enabled or not: a disabled schedule pauses the backend
+ */
+async function getScheduledBackendNames(type) {
+  try {
+    const schedules = await getBackupSchedules();
+    return new Set(schedules.filter(schedule => schedule.type === type).map(schedule => schedule.backendName));
+  } catch (error) {
+    console.error('Error getting backup schedules:', error.message);
+    return new Set();
+  }
+}
+
 /**
  * Start automatic database backup cron job
  */
@@ -60,53 +94,16 @@ export function startDatabaseAutoBackup() {
       try {
         // Get all backends from settings
         const settings = await Setting.findAll();
+        const scheduledBackends = await getScheduledBackendNames('database');
         
         for (const setting of settings) {
+          // Backends with their own database schedule are left to it
+          if (scheduledBackends.has(setting.backendname)) {
+            continue;
+          }
+
           try {
-            const jobId = generateJobId(setting.backendname, 'database');
-            
-            // Set initial status (automatic backup)
-            await setBackupStatus(jobId, {
-              status: 'processing',
-              type: 'database',
-              backendName: setting.backendname,
-              progress: 0,
-              message: 'Automatic backup started...',
-              isAutomatic: true
-            });
-
-            // Run backup in background
-            (async () => {
-              try {
-                await setBackupStatus(jobId, {
-                  status: 'processing',
-                  progress: 30,
-                  message: 'Fetching tables...'
-                });
-
-                const result = await backupDatabase(setting.DBurl, setting.backendname);
-
-                await setBackupStatus(jobId, {
-                  status: 'completed',
-                  progress: 100,
-                  message: 'Automatic backup completed successfully',
-                  result: {
-                    type: 'database',
-                    backendName: setting.backendname,
-                    ...result
-                  }
-                });
-
-                console.log(`✅ Automatic database backup completed for ${setting.backendname}`);
-              } catch (error) {
-                await setBackupStatus(jobId, {
-                  status: 'failed',
-                  error: error.message,
-                  message: `Automatic backup failed: ${error.message}`
-                });
-                console.error(`❌ Automatic database backup failed for ${setting.backendname}:`, error.message);
-              }
-            })();
+            await runAutomaticBackup(setting, 'database');
           } catch (error) {
             console.error(`Error starting auto backup for ${setting.backendname}:`, error.message);
           }
@@ -115,34 +112,22 @@ export function startDatabaseAutoBackup() {
         console.error('Error in automatic database backup:', error);
       } finally {
         autoBackupStatus.database.running = false;
-        // Calculate next run time
-        const nextRun = getNextCronRun(schedule);
-        autoBackupStatus.database.nextRun = nextRun ? nextRun.toISOString() : null;
       }
     }, {
       scheduled: true,
       timezone: process.env.TZ || 'UTC'
     });
 
-    // Calculate next run time (async, but we'll set it later)
-    getNextCronRun(schedule).then(nextRun => {
-      if (nextRun) {
-        autoBackupStatus.database.nextRun = nextRun.toISOString();
-      }
-    }).catch(() => {
-      // Ignore errors
-    });
-    
     autoBackupStatus.database = {
       enabled: true,
       schedule,
       lastRun: null,
-      nextRun: null, // Will be set by getNextCronRun if cron-parser is available
+      nextRun: null, // Read from the cron job by getAutoBackupStatus
       running: false
     };
 
     console.log(`✅ Automatic database backup scheduled: ${schedule}`);
-    console.log(`   Next run: ${autoBackupStatus.database.nextRun || 'Calculating...'}`);
+    console.log(`   Next run: ${getNextRun(databaseCronJob) || 'Unknown'}`);
   } catch (error) {
     console.error('Error starting automatic database backup:', error);
     autoBackupStatus.database.enabled = false;
@@ -183,61 +168,16 @@ export function startFilesAutoBackup() {
       try {
         // Get all backends from settings
         const settings = await Setting.findAll();
+        const scheduledBackends = await getScheduledBackendNames('files');
         
         for (const setting of settings) {
+          // Backends with their own files schedule are left to it
+          if (scheduledBackends.has(setting.backendname)) {
+            continue;
+          }
+
           try {
-            const jobId = generateJobId(setting.backendname, 'files');
-            
-            // Set initial status (automatic backup)
-            await setBackupStatus(jobId, {
-              status: 'processing',
-              type: 'files',
-              backendName: setting.backendname,
-              progress: 0,
-              message: 'Automatic backup started...',
-              isAutomatic: true
-            });
-
-            // Prepare backup path
-            const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
-            const baseBackupPath = path.isAbsolute(backupPathEnv) 
-              ? backupPathEnv 
-              : path.resolve(process.cwd(), backupPathEnv);
-            const backupPath = path.join(baseBackupPath, setting.backendname);
-
-            // Run backup in background
-            (async () => {
-              try {
-                await setBackupStatus(jobId, {
-                  status: 'processing',
-                  progress: 30,
-                  message: 'Downloading files...'
-                });
-
-                const result = await backupFiles(setting.bucketurl, setting.attributes || {}, backupPath);
-
-                await setBackupStatus(jobId, {
-                  status: 'completed',
-                  progress: 100,
-                  message: 'Automatic backup completed successfully',
-                  result: {
-                    type: 'files',
-                    backendName: setting.backendname,
-                    backupPath: backupPath,
-                    ...result
-                  }
-                });
-
-                console.log(`✅ Automatic files backup completed for ${setting.backendname}`);
-              } catch (error) {
-                await setBackupStatus(jobId, {
-                  status: 'failed',
-                  error: error.message,
-                  message: `Automatic backup failed: ${error.message}`
-                });
-                console.error(`❌ Automatic files backup failed for ${setting.backendname}:`, error.message);
-              }
-            })();
+            await runAutomaticBackup(setting, 'files');
           } catch (error) {
             console.error(`Error starting auto backup for ${setting.backendname}:`, error.message);
           }
@@ -246,39 +186,22 @@ export function startFilesAutoBackup() {
         console.error('Error in automatic files backup:', error);
       } finally {
         autoBackupStatus.files.running = false;
-        // Calculate next run time (async)
-        getNextCronRun(schedule).then(nextRun => {
-          if (nextRun) {
-            autoBackupStatus.files.nextRun = nextRun.toISOString();
-          }
-        }).catch(() => {
-          // Ignore errors
-        });
       }
     }, {
       scheduled: true,
       timezone: process.env.TZ || 'UTC'
     });
 
-    // Calculate next run time (async, but we'll set it later)
-    getNextCronRun(schedule).then(nextRun => {
-      if (nextRun) {
-        autoBackupStatus.files.nextRun = nextRun.toISOString();
-      }
-    }).catch(() => {
-      // Ignore errors
-    });
-    
     autoBackupStatus.files = {
       enabled: true,
       schedule,
       lastRun: null,
-      nextRun: null, // Will be set by getNextCronRun if cron-parser is available
+      nextRun: null, // Read from the cron job by getAutoBackupStatus
       running: false
     };
 
     console.log(`✅ Automatic files backup scheduled: ${schedule}`);
-    console.log(`   Next run: ${autoBackupStatus.files.nextRun || 'Calculating...'}`);
+    console.log(`   Next run: ${getNextRun(filesCronJob) || 'Unknown'}`);
   } catch (error) {
     console.error('Error starting automatic files backup:', error);
     autoBackupStatus.files.enabled = false;
@@ -286,34 +209,115 @@ export function startFilesAutoBackup() {
 }
 
 /**
- * Get next cron run time
- * Note: For accurate next run times, install cron-parser: npm install cron-parser
+ * Get the next run of a cron job
+ * node-cron computes it from the expression and the job's time zone
+ * @param {Object} task - Scheduled cron job
+ * @returns {string|null} ISO date, or null if the job is stopped or missing
  */
-async function getNextCronRun(cronExpression) {
+function getNextRun(task) {
+  const nextRun = task?.getNextRun();
+  return nextRun ? nextRun.toISOString() : null;
+}
+
+/**
+ * Run a persisted schedule's backup now, whether the schedule is enabled or not
+ * @param {Object} schedule - Backup schedule
+ * @param {Object} setting - Setting of the schedule's backend
+ * @returns {Promise<string|null>} Job id, or null if the backup is already queued or running
+ */
+export async function runBackupSchedule(schedule, setting) {
+  console.log(`🔄 Starting scheduled ${schedule.type} backup for ${schedule.backendName} (schedule ${schedule.id})`);
+  await markBackupScheduleRun(schedule.id);
+  return runAutomaticBackup(setting, schedule.type);
+}
+
+/**
+ * Run a persisted schedule when its cron job fires
+ * The schedule and setting are read again, so edits made since loading are respected
+ */
+async function runScheduledBackup(scheduleId) {
   try {
-    if (!cronExpression) return null;
-    
-    // Try to use cron-parser if available
-    try {
-      const cronParser = (await import('cron-parser')).default;
-      const interval = cronParser.parseExpression(cronExpression);
-      return interval.next().toDate();
-    } catch {
-      // cron-parser not available, return null
-      return null;
+    const schedule = await getBackupSchedule(scheduleId);
+    if (!schedule || !schedule.enabled) {
+      return;
+    }
+
+    const setting = await Setting.findByBackendName(schedule.backendName);
+    if (!setting) {
+      console.warn(`⚠️  Backup schedule ${scheduleId}: backend "${schedule.backendName}" not found in settings`);
+      return;
     }
+
+    await runBackupSchedule(schedule, setting);
   } catch (error) {
-    return null;
+    console.error(`Error in scheduled backup ${scheduleId}:`, error.message);
   }
 }
 
+/**
+ * (Re)load the cron jobs of the persisted backup schedules
+ * Called on startup and after every schedule change, so edits apply without a restart
+ * @returns {Promise<number>} Number of scheduled jobs
+ */
+export async function loadBackupSchedules() {
+  for (const task of scheduledJobs.values()) {
+    task.stop();
+  }
+  scheduledJobs.clear();
+
+  let schedules;
+  try {
+    schedules = await getBackupSchedules();
+  } catch (error) {
+    console.error('Error loading backup schedules:', error.message);
+    return 0;
+  }
+
+  for (const schedule of schedules) {
+    if (!schedule.enabled) {
+      continue;
+    }
+
+    try {
+      const task = cron.schedule(schedule.cron, () => runScheduledBackup(schedule.id), {
+        name: `backup-schedule-${schedule.id}`,
+        timezone: schedule.timezone
+      });
+      scheduledJobs.set(schedule.id, task);
+    } catch (error) {
+      console.error(`❌ Invalid backup schedule ${schedule.id} (${schedule.cron}, ${schedule.timezone}):`, error.message);
+    }
+  }
+
+  if (schedules.length > 0) {
+    console.log(`✅ Loaded ${scheduledJobs.size} of ${schedules.length} backup schedule(s)`);
+  }
+  return scheduledJobs.size;
+}
+
+/**
+ * Get the next run of a persisted schedule
+ * @param {number} scheduleId - Schedule id
+ * @returns {string|null} ISO date, or null if the schedule is disabled or not loaded
+ */
+export function getScheduleNextRun(scheduleId) {
+  return getNextRun(scheduledJobs.get(scheduleId));
+}
+
 /**
  * Get auto-backup status
+ * database and files are the global env-driven jobs; schedules are the persisted per-backend ones
  */
-export function getAutoBackupStatus() {
+export async function getAutoBackupStatus() {
+  const schedules = await getBackupSchedules();
+
   return {
-    database: { ...autoBackupStatus.database },
-    files: { ...autoBackupStatus.files }
+    database: { ...autoBackupStatus.database, nextRun: getNextRun(databaseCronJob) },
+    files: { ...autoBackupStatus.files, nextRun: getNextRun(filesCronJob) },
+    schedules: schedules.map(schedule => ({
+      ...schedule,
+      nextRun: getScheduleNextRun(schedule.id)
+    }))
   };
 }
 
@@ -324,13 +328,35 @@ export function initializeAutoBackup() {
   console.log('🚀 Initializing automatic backup jobs...');
   startDatabaseAutoBackup();
   startFilesAutoBackup();
+  loadBackupSchedules().catch(error => {
+    console.error('Error loading backup schedules:', error);
+  });
+}
+
+/**
+ * Re-read the AUTO_BACKUP_* variables from .env
+ * Other variables are left alone; they are only read on startup
+ */
+function reloadAutoBackupEnv() {
+  const { parsed } = dotenv.config({ processEnv: {} });
+  if (!parsed) {
+    return;
+  }
+
+  for (const [key, value] of Object.entries(parsed)) {
+    if (key.startsWith('AUTO_BACKUP_')) {
+      process.env[key] = value;
+    }
+  }
 }
 
 /**
  * Restart auto-backup jobs (useful when env changes)
+ * Picks up AUTO_BACKUP_* edits in .env and reloads the persisted schedules
  */
-export function restartAutoBackup() {
+export async function restartAutoBackup() {
   console.log('🔄 Restarting automatic backup jobs...');
+  reloadAutoBackupEnv();
   if (databaseCronJob) {
     databaseCronJob.stop();
     databaseCronJob = null;
@@ -341,4 +367,5 @@ export function restartAutoBackup() {
   }
   startDatabaseAutoBackup();
   startFilesAutoBackup();
+  return loadBackupSchedules();
 }
@@ -0,0 +1,340 @@
+import path from 'path';
+import Setting from '../models/Setting.js';
+import { backupFiles, backupDatabase } from './backupService.js';
+import {
+  setBackupStatus,
+  getBackupCheckpoint,
+  setFilesBackupProgress,
+  deleteBackupStatus,
+  generateJobId
+} from './backupStatusService.js';
+import { createDump } from './dumpService.js';
+import { failSnapshot } from './snapshotService.js';
+import { replicateAfterBackup } from './replicationService.js';
+import { enqueueJob, getActiveJob, cancelJob, getQueuedJob } from './jobQueueService.js';
+
+// Queue priorities: manual backups go before automatic ones
+export const MANUAL_BACKUP_PRIORITY = 10;
+export const AUTOMATIC_BACKUP_PRIORITY = 0;
+
+/**
+ * Dedupe key of a backup: one files, database or dump backup per backend at a time
+ */
+function getBackupDedupeKey(backendName, type) {
+  return `backup:${backendName}:${type}`;
+}
+
+/**
+ * Queue a backup job
+ * @param {Object} setting - Setting of the backend
+ * @param {string} type - 'files', 'database' or 'dump'
+ * @param {Object} options - Options
+ * @param {boolean} options.isAutomatic - Started by a schedule (default: false)
+ * @param {boolean} options.forceFullResync - Database: ignore stored watermarks
+ * @param {number} options.priority - Queue priority (default: manual 10, automatic 0)
+ * @param {Array<string>} options.tables - Database: only these tables
+ * @param {Array<string>} options.keys - Files: only these keys
+ * @param {string} options.retryOf - jobId of the job this one retries
+ * @param {string} options.jobId - Existing job to run again (resume); a new job otherwise
+ * @returns {Promise<Object>} { jobId } when queued, { duplicateJobId } when the backend
+ *   already has a backup of this type queued or running
+ */
+export async function queueBackupJob(setting, type, options = {}) {
+  const backendName = setting.backendname;
+  const dedupeKey = getBackupDedupeKey(backendName, type);
+  const isAutomatic = options.isAutomatic === true;
+
+  const active = await getActiveJob(dedupeKey);
+  if (active) {
+    return { duplicateJobId: active.jobId };
+  }
+
+  const jobId = options.jobId || generateJobId(backendName, type);
+
+  await setBackupStatus(jobId, {
+    status: 'queued',
+    type,
+    backendName,
+    message: 'Waiting in queue...',
+    error: null,
+    ...(!options.jobId && { progress: 0, result: null, isAutomatic })
+  });
+
+  const { duplicate } = await enqueueJob({
+    jobId,
+    kind: 'backup',
+    type,
+    backendName,
+    payload: {
+      isAutomatic,
+      forceFullResync: options.forceFullResync === true,
+      ...(options.tables && { tables: options.tables }),
+      ...(options.keys && { keys: options.keys }),
+      ...(options.retryOf && { retryOf: options.retryOf })
+    },
+    priority: Number.isInteger(options.priority)
+      ? options.priority
+      : (isAutomatic ? AUTOMATIC_BACKUP_PRIORITY : MANUAL_BACKUP_PRIORITY),
+    maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS || '3'),
+    dedupeKey
+  });
+
+  // Lost a race with another request for the same backup
+  if (duplicate) {
+    if (!options.jobId) {
+      await deleteBackupStatus(jobId);
+    }
+    return { duplicateJobId: duplicate.jobId };
+  }
+
+  return { jobId };
+}
+
+/**
+ * Get the tables or files a backup failed on
+ * @param {Object} status - Backup status (from getBackupStatus)
+ * @returns {Array<string>} Tables (database) or keys (files); empty when the result records none
+ */
+export function getFailedBackupItems(status) {
+  const result = status.result || {};
+
+  if (status.type === 'database') {
+    return [...new Set((result.errors || []).map(error => error.table).filter(Boolean))];
+  }
+  if (status.type === 'files') {
+    return [...new Set((result.files || []).filter(file => file.status === 'failed').map(file => file.key))];
+  }
+  return [];
+}
+
+/**
+ * Queue a backup again with the parameters of an earlier job
+ * The retry is a new manual job; with onlyFailed it covers only the tables or files
+ * the earlier job failed on
+ * @param {Object} status - Backup status of the earlier job
+ * @param {Object} setting - Setting of the backend
+ * @param {Object} options - { onlyFailed }
+ * @returns {Promise<Object>} Same as queueBackupJob
+ */
+export async function retryBackupJob(status, setting, options = {}) {
+  // Jobs queued before the queue recorded payloads run with the defaults
+  const queued = await getQueuedJob(status.jobId);
+  const payload = queued?.payload || {};
+  const failed = options.onlyFailed ? getFailedBackupItems(status) : null;
+
+  return queueBackupJob(setting, status.type, {
+    forceFullResync: payload.forceFullResync === true,
+    tables: status.type === 'database' ? (failed || payload.tables) : undefined,
+    keys: status.type === 'files' ? (failed || payload.keys) : undefined,
+    retryOf: status.jobId
+  });
+}
+
+/**
+ * Cancel a queued or running backup
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Same as cancelJob
+ */
+export async function cancelBackupJob(jobId) {
+  return cancelJob(jobId, 'backup');
+}
+
+/**
+ * Run a queued backup job
+ * Files backups continue from the job's checkpoint, so a resumed or re-queued job
+ * doesn't transfer completed files again
+ * @param {Object} job - Queued job
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ */
+async function runBackupJob(job, signal) {
+  const { jobId, type, payload = {} } = job;
+  const label = payload.isAutomatic ? 'Automatic backup' : 'Backup';
+
+  try {
+    const setting = await Setting.findByBackendName(job.backendName);
+    if (!setting) {
+      throw new Error(`Setting with backend name "${job.backendName}" not found`);
+    }
+
+    if (type === 'files') {
+      // Backup files
+      if (!setting.bucketurl) {
+        throw new Error('Bucket URL not configured for this backend');
+      }
+
+      const checkpoint = await getBackupCheckpoint(jobId);
+
+      await setBackupStatus(jobId, {
+        status: 'processing',
+        message: checkpoint ? 'Resuming: fetching files from bucket...' : 'Fetching files from bucket...'
+      });
+
+      // Get backup path from env and resolve to absolute path
+      const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+      const baseBackupPath = path.isAbsolute(backupPathEnv)
+        ? backupPathEnv
+        : path.resolve(process.cwd(), backupPathEnv);
+
+      // Create backend-specific path: BACKUP_UPLOAD_PATH/{backendName}
+      const backupPath = path.join(baseBackupPath, setting.backendname);
+
+      console.log(`[backupJob] Saving files to: ${backupPath}`);
+
+      const result = await backupFiles(
+        setting.bucketurl,
+        setting.attributes || {},
+        backupPath,
+        {
+          backendName: setting.backendname,
+          checkpoint,
+          keys: payload.keys,
+          signal,
+          onProgress: (progress) => setFilesBackupProgress(jobId, progress)
+        }
+      );
+
+      await setBackupStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: `${label} completed successfully`,
+        checkpoint: null,
+        result: {
+          type: 'files',
+          backendName: setting.backendname,
+          backupPath: backupPath,
+          baseBackupPath: baseBackupPath,
+          ...result
+        }
+      });
+
+      // Copy the new files to the replication target, when one is configured
+      replicateAfterBackup(setting, jobId, 'files');
+
+    } else if (type === 'database') {
+      // Backup database
+      if (!setting.DBurl) {
+        throw new Error('Database URL not configured for this backend');
+      }
+
+      await setBackupStatus(jobId, {
+        status: 'processing',
+        progress: 30,
+        message: 'Fetching tables...'
+      });
+
+      const result = await backupDatabase(setting.DBurl, setting.backendname, {
+        jobId,
+        attributes: setting.attributes || {},
+        forceFullResync: payload.forceFullResync,
+        tables: payload.tables,
+        signal
+      });
+
+      await setBackupStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: `${label} completed successfully`,
+        result: {
+          type: 'database',
+          backendName: setting.backendname,
+          ...result
+        }
+      });
+
+    } else if (type === 'dump') {
+      // pg_dump archive of the whole database
+      if (!setting.DBurl) {
+        throw new Error('Database URL not configured for this backend');
+      }
+
+      await setBackupStatus(jobId, {
+        status: 'processing',
+        progress: 10,
+        message: 'Running pg_dump...'
+      });
+
+      const result = await createDump(setting.DBurl, setting.backendname, {
+        jobId,
+        attributes: setting.attributes || {},
+        signal
+      });
+
+      await setBackupStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: payload.isAutomatic ? `${label} completed successfully` : 'Dump completed successfully',
+        result: {
+          type: 'dump',
+          backendName: setting.backendname,
+          ...result
+        }
+      });
+
+      replicateAfterBackup(setting, jobId, 'dump');
+    }
+
+    console.log(`✅ ${label} (${type}) completed for ${job.backendName}`);
+  } catch (error) {
+    if (signal?.aborted) {
+      // A files backup keeps its checkpoint and can be resumed
+      console.log(`⏹️  ${label} (${type}) cancelled for ${job.backendName}`);
+      await setBackupStatus(jobId, {
+        status: 'cancelled',
+        error: null,
+        message: `${label} cancelled`
+      });
+      throw error;
+    }
+
+    console.error(`❌ ${label} (${type}) failed for ${job.backendName}:`, error.message);
+    await setBackupStatus(jobId, {
+      status: 'failed',
+      error: error.message || 'Backup process failed',
+      message: `${label} failed: ${error.message}`
+    });
+    throw error;
+  }
+}
+
+/**
+ * Update the status of a backup job a stopped server left unfinished
+ * A job that won't run again is interrupted, so a files backup can still be resumed.
+ * A database backup's snapshot is failed meanwhile; a run again reopens it.
+ */
+async function backupJobInterrupted(job, requeued) {
+  if (job.type === 'database') {
+    await failSnapshot(job.jobId, 'Server stopped while the backup was running');
+  }
+
+  await setBackupStatus(job.jobId, requeued
+    ? {
+        status: 'queued',
+        message: 'Server stopped while the backup was running, waiting in queue to run again...'
+      }
+    : {
+        status: 'interrupted',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the backup was running'
+      });
+}
+
+/**
+ * Update the status of a backup job cancelled before it ran
+ * (or, after a server restart, before it could run again)
+ */
+async function backupJobCancelled(job) {
+  if (job.type === 'database') {
+    await failSnapshot(job.jobId, 'Backup cancelled');
+  }
+
+  await setBackupStatus(job.jobId, {
+    status: 'cancelled',
+    message: 'Cancelled before it started'
+  });
+}
+
+export const backupJobHandler = {
+  run: runBackupJob,
+  interrupted: backupJobInterrupted,
+  cancelled: backupJobCancelled
+};
@@ -0,0 +1,208 @@
+import prisma from '../config/database.js';
+
+export const BACKUP_SCHEDULE_TYPES = ['files', 'database', 'dump'];
+
+/**
+ * Format schedule record for API responses
+ */
+function formatSchedule(schedule) {
+  return {
+    id: schedule.id,
+    backendName: schedule.backendName,
+    type: schedule.type,
+    cron: schedule.cron,
+    timezone: schedule.timezone,
+    enabled: schedule.enabled,
+    lastRunAt: schedule.lastRunAt ? schedule.lastRunAt.toISOString() : null,
+    createdAt: schedule.createdAt.toISOString(),
+    updatedAt: schedule.updatedAt.toISOString()
+  };
+}
+
+/**
+ * Check that a time zone is a valid IANA name, e.g. "Europe/Berlin"
+ * @param {string} timezone - Time zone
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get backup schedules
+ * @param {string} backendName - Only this backend's schedules (optional)
+ * @returns {Promise<Array>} Schedules, by backend and type
+ */
+export async function getBackupSchedules(backendName = null) {
+  try {
+    if (!prisma.backupSchedule) {
+      return [];
+    }
+
+    const schedules = await prisma.backupSchedule.findMany({
+      where: backendName ? { backendName } : {},
+      orderBy: [{ backendName: 'asc' }, { type: 'asc' }, { id: 'asc' }]
+    });
+
+    return schedules.map(formatSchedule);
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      console.warn('⚠️  BackupSchedule table does not exist yet. Please run: npx prisma migrate dev');
+      return [];
+    }
+    throw new Error(`Failed to get backup schedules: ${error.message}`);
+  }
+}
+
+/**
+ * Get a backup schedule by id
+ * @param {number} id - Schedule id
+ * @returns {Promise<Object|null>} Schedule, or null if not found
+ */
+export async function getBackupSchedule(id) {
+  try {
+    const scheduleId = parseInt(id);
+    if (!prisma.backupSchedule || Number.isNaN(scheduleId)) {
+      return null;
+    }
+
+    const schedule = await prisma.backupSchedule.findUnique({
+      where: { id: scheduleId }
+    });
+
+    return schedule ? formatSchedule(schedule) : null;
+  } catch (error) {
+    throw new Error(`Failed to get backup schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Create a backup schedule
+ * @param {Object} data - Schedule data
+ * @param {string} data.backendName - Backend name
+ * @param {string} data.type - 'files', 'database' or 'dump'
+ * @param {string} data.cron - Cron expression
+ * @param {string} data.timezone - IANA time zone (default: UTC)
+ * @param {boolean} data.enabled - Whether the schedule runs (default: true)
+ * @returns {Promise<Object>} Created schedule
+ */
+export async function createBackupSchedule(data) {
+  try {
+    if (!prisma.backupSchedule) {
+      throw new Error('BackupSchedule model not found. Please run: npx prisma generate');
+    }
+
+    const schedule = await prisma.backupSchedule.create({
+      data: {
+        backendName: data.backendName,
+        type: data.type,
+        cron: data.cron.trim(),
+        timezone: data.timezone || 'UTC',
+        enabled: data.enabled !== false
+      }
+    });
+
+    return formatSchedule(schedule);
+  } catch (error) {
+    throw new Error(`Failed to create backup schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Update a backup schedule
+ * @param {number} id - Schedule id
+ * @param {Object} data - Schedule data (same fields as createBackupSchedule)
+ * @returns {Promise<Object|null>} Updated schedule, or null if not found
+ */
+export async function updateBackupSchedule(id, data) {
+  try {
+    if (!(await getBackupSchedule(id))) {
+      return null;
+    }
+
+    const schedule = await prisma.backupSchedule.update({
+      where: { id: parseInt(id) },
+      data: {
+        backendName: data.backendName,
+        type: data.type,
+        cron: data.cron.trim(),
+        timezone: data.timezone || 'UTC',
+        enabled: data.enabled !== false
+      }
+    });
+
+    return formatSchedule(schedule);
+  } catch (error) {
+    throw new Error(`Failed to update backup schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Pause or resume a backup schedule
+ * A paused schedule keeps its backend away from the global job (see autoBackupService)
+ * @param {number} id - Schedule id
+ * @param {boolean} enabled - false pauses, true resumes
+ * @returns {Promise<Object|null>} Updated schedule, or null if not found
+ */
+export async function setBackupScheduleEnabled(id, enabled) {
+  try {
+    if (!(await getBackupSchedule(id))) {
+      return null;
+    }
+
+    const schedule = await prisma.backupSchedule.update({
+      where: { id: parseInt(id) },
+      data: { enabled }
+    });
+
+    return formatSchedule(schedule);
+  } catch (error) {
+    throw new Error(`Failed to ${enabled ? 'resume' : 'pause'} backup schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a backup schedule
+ * @param {number} id - Schedule id
+ * @returns {Promise<boolean>} false if not found
+ */
+export async function deleteBackupSchedule(id) {
+  try {
+    if (!(await getBackupSchedule(id))) {
+      return false;
+    }
+
+    await prisma.backupSchedule.delete({
+      where: { id: parseInt(id) }
+    });
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to delete backup schedule: ${error.message}`);
+  }
+}
+
+/**
+ * Record that a schedule fired
+ * @param {number} id - Schedule id
+ * @param {Date} date - Run time
+ */
+export async function markBackupScheduleRun(id, date = new Date()) {
+  try {
+    await prisma.backupSchedule.update({
+      where: { id },
+      data: { lastRunAt: date }
+    });
+  } catch (error) {
+    console.error('Error recording backup schedule run:', error.message);
+    // Don't throw - the backup itself already started
+  }
+}
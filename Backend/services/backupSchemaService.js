@@ -0,0 +1,131 @@
+import crypto from 'crypto';
+import prisma, { createLocalPgClient } from '../config/database.js';
+import { decryptRow } from './encryptionService.js';
+
+/**
+ * Columns added to backup tables by the backup process (not present at the source)
+ * Each row is a version: valid from backup_snapshot until backup_valid_to (exclusive),
+ * or current while backup_valid_to is NULL. backup_deleted marks a source-side deletion.
+ */
+export const BACKUP_METADATA_COLUMNS = {
+  backup_row_hash: 'TEXT',
+  backup_snapshot: 'INTEGER',
+  backup_seen_snapshot: 'INTEGER',
+  backup_valid_to: 'INTEGER',
+  backup_deleted: 'BOOLEAN NOT NULL DEFAULT false',
+  backup_created_at: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP',
+  backup_updated_at: 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP'
+};
+
+/**
+ * Get the local PostgreSQL schema that holds a backend's backup tables
+ * Name is deterministic: a readable slug of the backend name plus a short hash,
+ * so backends whose names only differ in punctuation or case never share a schema
+ * @param {string} backendName - Backend name
+ * @returns {string} Schema name (e.g. backend_fhs_app_1a2b3c4d)
+ */
+export function getBackupSchemaName(backendName) {
+  if (!backendName) {
+    throw new Error('Backend name is required to resolve backup schema');
+  }
+
+  const slug = String(backendName)
+    .toLowerCase()
+    .replace(/[^a-z0-9_]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '')
+    .slice(0, 40);
+  const hash = crypto.createHash('sha1').update(String(backendName)).digest('hex').slice(0, 8);
+
+  return `backend_${slug || 'backend'}_${hash}`;
+}
+
+/**
+ * Get the backup table name for a source table (adds backup_ prefix once)
+ * @param {string} tableName - Source table name, with or without backup_ prefix
+ * @returns {string} Backup table name
+ */
+export function getBackupTableName(tableName) {
+  return tableName.startsWith('backup_') ? tableName : `backup_${tableName}`;
+}
+
+/**
+ * Get the fully qualified, quoted reference to a backend's backup table
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name, with or without backup_ prefix
+ * @returns {string} Quoted reference, e.g. "backend_app_1a2b3c4d"."backup_users"
+ */
+export function getBackupTableRef(backendName, tableName) {
+  const schemaName = getBackupSchemaName(backendName);
+  const backupTableName = getBackupTableName(tableName).replace(/"/g, '');
+  return `"${schemaName}"."${backupTableName}"`;
+}
+
+/**
+ * Create the backend's backup schema if it doesn't exist
+ * @param {string} backendName - Backend name
+ * @returns {Promise<string>} Schema name
+ */
+export async function ensureBackupSchema(backendName) {
+  const schemaName = getBackupSchemaName(backendName);
+  await prisma.$executeRawUnsafe(`CREATE SCHEMA IF NOT EXISTS "${schemaName}"`);
+  return schemaName;
+}
+
+/**
+ * Check whether a backup table exists in the backend's schema
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name, with or without backup_ prefix
+ * @returns {Promise<boolean>} True if the table exists
+ */
+export async function backupTableExists(backendName, tableName) {
+  const result = await prisma.$queryRawUnsafe(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = $1
+      AND table_name = $2
+    );
+  `, getBackupSchemaName(backendName), getBackupTableName(tableName));
+
+  return result[0].exists;
+}
+
+/**
+ * List all backup tables stored for a backend
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Array>} Array of backup table names (with backup_ prefix)
+ */
+export async function listBackupTables(backendName) {
+  const result = await prisma.$queryRawUnsafe(`
+    SELECT table_name
+    FROM information_schema.tables
+    WHERE table_schema = $1
+    AND table_name LIKE 'backup\\_%'
+    ORDER BY table_name;
+  `, getBackupSchemaName(backendName));
+
+  return result.map(row => row.table_name);
+}
+
+/**
+ * Run a read query against backup tables, returning every value in PostgreSQL text format
+ * Prisma can't deserialize types such as interval, enums or tsvector; text values
+ * also restore losslessly, since the target column parses them back.
+ * Encrypted column values are decrypted (see encryptionService).
+ * @param {string} query - SQL query
+ * @param {Array} params - Query parameters
+ * @returns {Promise<Array>} Rows
+ */
+export async function queryBackupRows(query, params = []) {
+  const client = createLocalPgClient({
+    types: { getTypeParser: () => (value) => value }
+  });
+
+  try {
+    await client.connect();
+    const result = await client.query(query, params);
+    return result.rows.map(decryptRow);
+  } finally {
+    await client.end();
+  }
+}
@@ -1,510 +1,1384 @@
-import { S3Client, ListObjectsV2Command, GetObjectCommand } from '@aws-sdk/client-s3';
-import { Client } from 'pg';
 import fs from 'fs/promises';
+import crypto from 'crypto';
 import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
 import path from 'path';
-import https from 'https';
-import http from 'http';
 import { getAllFiles } from './fhsFilesService.js';
-import { getAllTablesWithCounts, getTableDataPaginated } from './fhsDatabaseService.js';
-import prisma from '../config/database.js';
+import { getStorageDriver } from './storageDrivers/index.js';
+import { getAllTablesWithCounts, streamTableRows, getDatabaseScope, getColumnMaxValue } from './fhsDatabaseService.js';
+import { getTableFilters, getRowFilterCondition, getFileFilters, isFileKeyIncluded } from './filterService.js';
+import {
+  getWatermarkColumn,
+  getWatermarkCondition,
+  getWatermark,
+  saveWatermark,
+  listWatermarks,
+  deleteWatermarks
+} from './watermarkService.js';
+import prisma, { createLocalPgClient } from '../config/database.js';
+import {
+  BACKUP_METADATA_COLUMNS,
+  getBackupSchemaName,
+  getBackupTableRef,
+  ensureBackupSchema,
+  backupTableExists,
+  listBackupTables,
+  queryBackupRows
+} from './backupSchemaService.js';
+import { createSnapshot, completeSnapshot, failSnapshot } from './snapshotService.js';
+import {
+  getSourceTableDefinition,
+  ensureBackupEnumTypes,
+  buildBackupTableStatement,
+  applyBackupColumnDefaults,
+  getBackupColumnTypes,
+  saveTableDefinition,
+  getTableDefinition
+} from './tableDefinitionService.js';
+import { migrateBackupTable, recordSchemaChanges } from './schemaDriftService.js';
+import {
+  normalizeEtag,
+  loadManifest,
+  saveManifestEntry,
+  deleteManifestEntry,
+  hasObjectChanged,
+  hashLocalFile
+} from './fileManifestService.js';
+import { archiveFileVersion, discardFileVersion } from './fileVersionService.js';
+import {
+  getFileStorageMode,
+  getBlobPath,
+  getEntryBlobId,
+  getIncomingPath,
+  storeBlob,
+  pruneStore
+} from './fileStoreService.js';
+import {
+  getBackupEncoding,
+  getEncodingSummary,
+  createEncodeStreams,
+  readEnvelope,
+  encodeFile,
+  decodeFile,
+  getEncryptedColumns,
+  getColumnEncryptionKey,
+  encryptValue
+} from './encryptionService.js';
+
+// Attempts per file before a download counts as failed
+const DOWNLOAD_ATTEMPTS = 3;
+
+// Retry delays double from the base delay up to the maximum
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30000;
+
+// Parallel file downloads when FILE_TRANSFER_CONCURRENCY is not set
+const DEFAULT_TRANSFER_CONCURRENCY = 4;
+
+// Minimum time between progress reports (and checkpoints) of a files backup
+const PROGRESS_INTERVAL_MS = 2000;
+
+// Downloads are written next to their target under this suffix and renamed when complete
+const TEMP_DOWNLOAD_SUFFIX = '.download';
 
 /**
- * Download file from S3
+ * Pass-through stream computing the checksums of everything written through it
+ * With a part size, the MD5 of every part is kept as well, to rebuild a multipart ETag
+ * @param {number} partSize - Multipart upload part size in bytes (0 for single part)
+ * @returns {Transform} Stream with a getChecksums() method, valid once the stream has ended
  */
-async function downloadFileFromS3(s3Client, bucketName, key, localPath) {
-  try {
-    const command = new GetObjectCommand({
-      Bucket: bucketName,
-      Key: key
-    });
+function createChecksumStream(partSize = 0) {
+  const sha256 = crypto.createHash('sha256');
+  const md5 = crypto.createHash('md5');
+  const partDigests = [];
+  let partHash = partSize > 0 ? crypto.createHash('md5') : null;
+  let partBytes = 0;
+  let bytes = 0;
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      sha256.update(chunk);
+      md5.update(chunk);
+      bytes += chunk.length;
+
+      if (partHash) {
+        let offset = 0;
+        while (offset < chunk.length) {
+          const length = Math.min(partSize - partBytes, chunk.length - offset);
+          partHash.update(chunk.subarray(offset, offset + length));
+          partBytes += length;
+          offset += length;
+          if (partBytes === partSize) {
+            partDigests.push(partHash.digest());
+            partHash = crypto.createHash('md5');
+            partBytes = 0;
+          }
+        }
+      }
+
+      callback(null, chunk);
+    }
+  });
+
+  stream.getChecksums = () => {
+    if (partHash && partBytes > 0) {
+      partDigests.push(partHash.digest());
+    }
+    const sha256Digest = sha256.digest();
+
+    return {
+      bytes,
+      md5: md5.digest('hex'),
+      sha256: sha256Digest.toString('hex'),
+      sha256Base64: sha256Digest.toString('base64'),
+      multipartEtag: partDigests.length > 0
+        ? `${crypto.createHash('md5').update(Buffer.concat(partDigests)).digest('hex')}-${partDigests.length}`
+        : null
+    };
+  };
 
-    const response = await s3Client.send(command);
-    const chunks = [];
+  return stream;
+}
 
-    for await (const chunk of response.Body) {
-      chunks.push(chunk);
+/**
+ * Check a downloaded object against the bucket listing
+ * Uses the strongest checksum available: a SHA-256 from the listing or the object's
+ * SHA-256 checksum, then its ETag (the MD5 for single part uploads, the MD5 of part
+ * MD5s for multipart ones), then the size alone.
+ * ETags are only checked when the driver reports them as MD5s (not for KMS or
+ * customer-key encrypted S3 objects, nor for drivers without content hashes).
+ * @param {Object} file - File from the bucket listing
+ * @param {Object} object - Object opened by the storage driver
+ * @param {Object} checksums - Checksums of the downloaded content
+ * @returns {string} Verification method that passed
+ * @throws {Error} When the content doesn't match
+ */
+function verifyDownload(file, object, checksums) {
+  if (file.size !== undefined && file.size !== null && Number(file.size) !== checksums.bytes) {
+    throw new Error(`Size mismatch: expected ${file.size} bytes, got ${checksums.bytes}`);
+  }
+
+  if (file.sha256) {
+    if (String(file.sha256).toLowerCase() !== checksums.sha256) {
+      throw new Error('SHA-256 checksum mismatch');
     }
+    return 'sha256';
+  }
+
+  if (object.checksumSha256) {
+    if (object.checksumSha256 !== checksums.sha256Base64) {
+      throw new Error('SHA-256 checksum mismatch');
+    }
+    return 'sha256';
+  }
 
-    const buffer = Buffer.concat(chunks);
-    await fs.writeFile(localPath, buffer);
-    return true;
+  const etag = String(file.etag || object.etag || '').replace(/"/g, '');
+  if (etag && object.etagIsMd5) {
+    if (!etag.includes('-')) {
+      if (etag !== checksums.md5) {
+        throw new Error(`ETag mismatch: expected ${etag}, got ${checksums.md5}`);
+      }
+      return 'etag';
+    }
+    // Parts of unequal size can't be rebuilt from the first part's size; fall back to the size
+    if (checksums.multipartEtag && checksums.multipartEtag.split('-')[1] === etag.split('-')[1]) {
+      if (etag !== checksums.multipartEtag) {
+        throw new Error(`Multipart ETag mismatch: expected ${etag}, got ${checksums.multipartEtag}`);
+      }
+      return 'multipart-etag';
+    }
+  }
+
+  return file.size !== undefined && file.size !== null ? 'size' : 'none';
+}
+
+/**
+ * Download a file through the storage driver, streamed to a temporary file and verified
+ * before it is renamed
+ * Checksums are taken before the content is encoded for storage
+ * @param {Object} driver - Storage driver
+ * @param {Object} file - File from the bucket listing ({ key, size, etag })
+ * @param {string} localPath - Target path
+ * @param {Object} encoding - Encoding from getBackupEncoding (null to store as is)
+ * @returns {Promise<Object>} { bytes, sha256, verification }
+ */
+async function downloadFile(driver, file, localPath, encoding = null) {
+  const tempPath = `${localPath}${TEMP_DOWNLOAD_SUFFIX}`;
+
+  try {
+    const object = await driver.getObject(file);
+
+    const checksumStream = createChecksumStream(object.partSize || 0);
+    await pipeline(object.body, checksumStream, ...createEncodeStreams(encoding), createWriteStream(tempPath));
+
+    const checksums = checksumStream.getChecksums();
+    const verification = verifyDownload(file, object, checksums);
+
+    await fs.rename(tempPath, localPath);
+    return { bytes: checksums.bytes, sha256: checksums.sha256, verification };
   } catch (error) {
-    console.error(`Error downloading file ${key}:`, error.message);
-    return false;
+    await fs.unlink(tempPath).catch(() => {});
+    throw error;
   }
 }
 
 /**
- * Download file from HTTP/HTTPS URL
+ * Delay before retrying a failed attempt: exponential backoff with jitter,
+ * so parallel downloads failing together don't retry in lockstep
  */
-async function downloadFileFromHttp(url, localPath) {
-  return new Promise((resolve, reject) => {
-    try {
-      const urlObj = new URL(url);
-      const protocol = urlObj.protocol === 'https:' ? https : http;
-
-      const options = {
-        hostname: urlObj.hostname,
-        port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
-        path: urlObj.pathname + (urlObj.search || ''),
-        method: 'GET',
-        headers: {
-          'User-Agent': 'BackupSystem/1.0'
-        }
-      };
+function getRetryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+  return delay / 2 + Math.random() * delay / 2;
+}
 
-      const file = createWriteStream(localPath);
-      
-      protocol.get(options, (response) => {
-        if (response.statusCode === 200) {
-          response.pipe(file);
-          file.on('finish', () => {
-            file.close();
-            resolve(true);
-          });
-        } else {
-          file.close();
-          fs.unlink(localPath).catch(() => {});
-          reject(new Error(`Failed to download: ${response.statusCode}`));
-        }
-      }).on('error', (error) => {
-        file.close();
-        fs.unlink(localPath).catch(() => {});
-        reject(error);
-      });
+/**
+ * Run a download, retrying failed attempts and verification failures
+ * @param {Function} download - Async function performing one attempt
+ * @returns {Promise<Object>} Download result with the number of attempts
+ */
+async function downloadWithRetries(download) {
+  let lastError = null;
+
+  for (let attempt = 1; attempt <= DOWNLOAD_ATTEMPTS; attempt++) {
+    try {
+      const result = await download();
+      return { ...result, attempts: attempt };
     } catch (error) {
-      reject(error);
+      lastError = error;
+      if (error.retryable === false) {
+        break;
+      }
+      if (attempt < DOWNLOAD_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt)));
+      }
+    }
+  }
+
+  lastError.attempts = lastError.retryable === false ? 1 : DOWNLOAD_ATTEMPTS;
+  throw lastError;
+}
+
+/**
+ * Check whether a local file backed up before the manifest existed matches a bucket object
+ * Compares the size and, for single part uploads, the MD5 against the ETag
+ * @returns {Promise<Object|null>} Local hashes when it matches, null otherwise
+ */
+async function matchLocalFile(file, filePath) {
+  const hasSize = file.size !== undefined && file.size !== null;
+  const stats = await fs.stat(filePath);
+  // Encoded copies differ in size from their content
+  if (hasSize && Number(file.size) !== stats.size && !(await readEnvelope(filePath))) {
+    return null;
+  }
+
+  const hashes = await hashLocalFile(filePath);
+  if (hasSize && Number(file.size) !== hashes.bytes) {
+    return null;
+  }
+  const etag = normalizeEtag(file.etag);
+  if (etag && !etag.includes('-') && etag !== hashes.md5) {
+    return null;
+  }
+  return hashes;
+}
+
+/**
+ * Compare a bucket file with its local backup copy
+ * With a manifest entry, the bucket object is checked against the recorded ETag and
+ * lastModified and the local copy against the recorded SHA-256. Without one, the local
+ * MD5 is compared with a single part ETag; other files fall back to their size.
+ * Encrypted or compressed copies are compared by their original content.
+ * @returns {Promise<Object>} { match, basis, reason }
+ */
+async function compareFileContent(bucketFile, localFile, entry) {
+  // Encoded copies are hashed up front: their size on disk is not their content's
+  let hashes = (await readEnvelope(localFile.fullPath)) ? await hashLocalFile(localFile.fullPath) : null;
+  const getHashes = async () => hashes || (hashes = await hashLocalFile(localFile.fullPath));
+  const localSize = hashes ? hashes.bytes : localFile.size;
+
+  if (entry) {
+    if (hasObjectChanged(bucketFile, entry)) {
+      return { match: false, basis: 'manifest', reason: 'changed_in_bucket' };
+    }
+    if (localSize !== entry.size) {
+      return { match: false, basis: 'size', reason: 'local_modified' };
+    }
+    if (entry.sha256) {
+      const { sha256 } = await getHashes();
+      return sha256 === entry.sha256
+        ? { match: true, basis: 'sha256' }
+        : { match: false, basis: 'sha256', reason: 'local_modified' };
+    }
+    return { match: true, basis: 'manifest' };
+  }
+
+  if (bucketFile.size !== localSize) {
+    return { match: false, basis: 'size', reason: 'size_mismatch' };
+  }
+  const etag = normalizeEtag(bucketFile.etag);
+  if (etag && !etag.includes('-')) {
+    const { md5 } = await getHashes();
+    return md5 === etag
+      ? { match: true, basis: 'md5' }
+      : { match: false, basis: 'md5', reason: 'content_mismatch' };
+  }
+  return { match: true, basis: 'size' };
+}
+
+/**
+ * Resolve how many files a backup downloads at once
+ * FILE_TRANSFER_CONCURRENCY from the Setting's attributes, then the environment (default 4)
+ */
+function getTransferConcurrency(attributes) {
+  const concurrency = parseInt(attributes?.FILE_TRANSFER_CONCURRENCY || process.env.FILE_TRANSFER_CONCURRENCY || DEFAULT_TRANSFER_CONCURRENCY);
+  return isNaN(concurrency) ? DEFAULT_TRANSFER_CONCURRENCY : Math.min(Math.max(concurrency, 1), 32);
+}
+
+/**
+ * Run a worker over every item with at most `concurrency` items in flight
+ * The worker handles its own errors; items are started in order
+ * @param {Array} items - Work items
+ * @param {number} concurrency - Maximum number of parallel workers
+ * @param {Function} worker - Async function called with each item
+ * @param {AbortSignal} signal - Stops starting items once aborted; items in flight finish
+ */
+async function runTransferQueue(items, concurrency, worker, signal = null) {
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length && !signal?.aborted) {
+      const item = items[nextIndex++];
+      await worker(item);
     }
   });
+
+  await Promise.all(runners);
 }
 
 /**
  * Backup files from bucket to local storage
+ * Files are streamed to disk and verified against the listing; the result reports
+ * every downloaded, refreshed or failed file under `files`.
+ * Every backed-up file is recorded in the backend's manifest (key, size, ETag,
+ * lastModified); files whose ETag or lastModified changed in the bucket are downloaded again.
+ * The replaced local copy is kept as a 'changed' version, and the copy of an object deleted
+ * from the bucket is moved to a 'deleted' version (see fileVersionService).
+ * With FILE_STORAGE_MODE 'dedup', contents are kept once in the shared store by their SHA-256
+ * and the manifest maps each key to its hash (see fileStoreService); files switch modes in place.
+ * Downloads are compressed and encrypted as they are written when configured (see
+ * getBackupEncoding); the manifest keeps the hash of the original content either way.
+ * Only files passing the backend's file filters are backed up (see getFileFilters); local copies
+ * of files filtered out are neither updated nor archived.
+ * Files are transferred by a bounded queue (see getTransferConcurrency). Progress is reported
+ * through onProgress with a checkpoint; passing that checkpoint back resumes the run,
+ * skipping the files it had already completed.
+ * Aborting the signal stops the queue after the downloads in flight; the checkpoint is
+ * reported once more and the backup throws without archiving deleted files.
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes
+ * @param {string} backupPath - Backend's backup directory
+ * @param {Object} options - { backendName (default: name of the backup directory),
+ *   checkpoint (from an interrupted run), onProgress (async callback), signal (AbortSignal),
+ *   keys (only these keys are transferred, e.g. the files a previous run failed on) }
  */
-export async function backupFiles(bucketUrl, attributes, backupPath) {
+export async function backupFiles(bucketUrl, attributes, backupPath, options = {}) {
+  let driver = null;
+
   try {
+    const backendName = options.backendName || path.basename(backupPath);
+    const checkpoint = options.checkpoint || null;
+    const storeMode = getFileStorageMode(attributes) === 'dedup';
+    const encoding = getBackupEncoding(attributes);
+
     // Ensure backup directory exists
     await fs.mkdir(backupPath, { recursive: true });
+    const manifest = await loadManifest(backendName);
+
+    // Get all files from bucket (the backend's file filters are applied)
+    driver = getStorageDriver(bucketUrl, attributes || {});
+    const folderStructure = await getAllFiles(bucketUrl, attributes || {}, { driver });
+    const fileFilters = getFileFilters(attributes);
+    const excluded = folderStructure.excluded || { files: 0, bytes: 0, oversizedKeys: [] };
+    const oversizedKeys = new Set(excluded.oversizedKeys);
 
-    // Get all files from bucket
-    const folderStructure = await getAllFiles(bucketUrl, attributes || {});
-    
     let totalFiles = 0;
-    let downloadedFiles = 0;
-    let skippedFiles = 0;
+    let totalBytes = 0;
+    let processedFiles = 0;
+    let processedBytes = 0;
+    let downloadedFiles = checkpoint?.downloadedFiles || 0;
+    let skippedFiles = checkpoint?.skippedFiles || 0;
+    let refreshedFiles = checkpoint?.refreshedFiles || 0; // Files changed in the bucket and downloaded again
+    let deletedFiles = 0; // Files deleted from the bucket, kept as versions
+    let failedFiles = 0;
+    let downloadedBytes = checkpoint?.downloadedBytes || 0;
     let errors = [];
+    // Per-file report: downloaded, refreshed, deleted and failed files
+    const files = Array.isArray(checkpoint?.files) ? [...checkpoint.files] : [];
+    const listedKeys = new Set();
+    // Files done by this job, including the runs it resumes (failed files are retried)
+    const completedKeys = new Set(checkpoint?.completedKeys || []);
+    const resumedFiles = completedKeys.size;
+    const onlyKeys = Array.isArray(options.keys) ? new Set(options.keys) : null;
+
+    // Flatten the folder structure into the transfer queue
+    const transfers = [];
+    const collectFiles = (structure, currentPath = '') => {
+      for (const file of structure.files || []) {
+        const fullKey = currentPath ? `${currentPath}/${file.name}` : file.name;
+        const key = file.key || fullKey;
+
+        // Files left out are still listed, so they aren't mistaken for deleted ones
+        listedKeys.add(key);
+        if (onlyKeys && !onlyKeys.has(key)) {
+          continue;
+        }
+
+        transfers.push({ file, key, filePath: path.join(backupPath, currentPath, file.name) });
+        totalFiles++;
+        totalBytes += Number(file.size) || 0;
+      }
+
+      for (const [folderName, folder] of Object.entries(structure.folders || {})) {
+        collectFiles(folder, currentPath ? `${currentPath}/${folderName}` : folderName);
+      }
+    };
+
+    collectFiles(folderStructure);
+
+    const buildCheckpoint = () => ({
+      completedKeys: [...completedKeys],
+      downloadedFiles,
+      skippedFiles,
+      refreshedFiles,
+      downloadedBytes,
+      files: files.filter(file => file.status !== 'failed'),
+      savedAt: new Date().toISOString()
+    });
 
-    // Check if S3 credentials are available
-    const hasS3Credentials = attributes?.S3_REGION && 
-                            attributes?.AWS_ACCESS_KEY_ID && 
-                            attributes?.AWS_SECRET_ACCESS_KEY;
+    // Progress by bytes (files when sizes are unknown), reported at most every few seconds
+    let lastProgressAt = 0;
+    const reportProgress = async (force = false) => {
+      if (!options.onProgress || (!force && Date.now() - lastProgressAt < PROGRESS_INTERVAL_MS)) {
+        return;
+      }
+      lastProgressAt = Date.now();
 
-    let s3Client = null;
-    let bucketName = '';
+      const ratio = totalBytes > 0
+        ? processedBytes / totalBytes
+        : (totalFiles > 0 ? processedFiles / totalFiles : 1);
 
-    if (hasS3Credentials && bucketUrl.startsWith('http')) {
       try {
-        const url = new URL(bucketUrl);
-        const endpoint = `${url.protocol}//${url.host}`;
-        bucketName = url.pathname.replace(/^\//, '').replace(/\/$/, '');
-
-        s3Client = new S3Client({
-          endpoint: endpoint,
-          region: attributes.S3_REGION || 'us-east-1',
-          credentials: {
-            accessKeyId: attributes.AWS_ACCESS_KEY_ID,
-            secretAccessKey: attributes.AWS_SECRET_ACCESS_KEY
-          },
-          forcePathStyle: true
+        await options.onProgress({
+          percent: Math.min(Math.floor(ratio * 100), 99),
+          totalFiles,
+          processedFiles,
+          downloadedFiles,
+          failedFiles,
+          totalBytes,
+          processedBytes,
+          downloadedBytes,
+          checkpoint: buildCheckpoint()
         });
       } catch (error) {
-        console.warn('S3 client creation failed, will try HTTP:', error.message);
+        console.warn('Failed to report files backup progress:', error.message);
       }
-    }
+    };
 
-    // Recursive function to process folder structure
-    const processFolder = async (structure, currentPath = '') => {
-      // Process files in current folder
-      if (structure.files && structure.files.length > 0) {
-        for (const file of structure.files) {
-          totalFiles++;
-          const filePath = path.join(backupPath, currentPath, file.name);
-          const fileDir = path.dirname(filePath);
+    // Move an unchanged file to the backend's storage mode; false if the plain copy no longer matches
+    const syncStorage = async (key, entry, filePath) => {
+      if (storeMode && entry.storage !== 'store') {
+        const hashes = await hashLocalFile(filePath);
+        if (!entry.sha256 || hashes.sha256 !== entry.sha256) {
+          return false;
+        }
+        const { blobId } = await storeBlob(filePath, entry.sha256);
+        await saveManifestEntry(backendName, { ...entry, storage: 'store', blobId });
+      } else if (!storeMode && entry.storage === 'store') {
+        await fs.copyFile(getBlobPath(getEntryBlobId(entry)), filePath);
+        await saveManifestEntry(backendName, { ...entry, storage: 'plain' });
+      } else if (storeMode && !entry.blobId) {
+        // Stored before blobs carried their encoding: the blob may be shared with a backend
+        // that encodes differently, so the backend gets its own copy in its own encoding
+        const decodedPath = await getIncomingPath();
+        const encodedPath = await getIncomingPath();
+        try {
+          await decodeFile(getBlobPath(entry.sha256), decodedPath);
+          await encodeFile(decodedPath, encodedPath, encoding);
+          const { blobId } = await storeBlob(encodedPath, entry.sha256);
+          await saveManifestEntry(backendName, { ...entry, blobId });
+        } finally {
+          await fs.rm(decodedPath, { force: true });
+          await fs.rm(encodedPath, { force: true });
+        }
+      }
+      return true;
+    };
 
-          try {
-            // Create directory if it doesn't exist
-            await fs.mkdir(fileDir, { recursive: true });
+    const processFile = async ({ file, key, filePath }) => {
+      if (completedKeys.has(key)) {
+        // Done before the job was interrupted
+        processedFiles++;
+        processedBytes += Number(file.size) || 0;
+        return;
+      }
+
+      try {
+        // Create directory if it doesn't exist
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+        // The current local copy: a blob for deduplicated entries, else the plain file
+        const entry = manifest.get(key);
+        const stored = entry?.storage === 'store';
+        const localPath = stored ? getBlobPath(getEntryBlobId(entry)) : filePath;
+
+        // Check if file already exists
+        let exists = true;
+        try {
+          await fs.access(localPath);
+        } catch {
+          exists = false;
+        }
 
-            // Check if file already exists
-            try {
-              await fs.access(filePath);
+        // Skip files that are unchanged since they were backed up
+        if (exists) {
+          if (entry && !hasObjectChanged(file, entry) && await syncStorage(key, entry, filePath)) {
+            skippedFiles++;
+            completedKeys.add(key);
+            return;
+          }
+          if (!entry) {
+            const hashes = await matchLocalFile(file, filePath);
+            if (hashes) {
+              const matched = { ...file, key, size: hashes.bytes, sha256: hashes.sha256 };
+              const blobId = storeMode ? (await storeBlob(filePath, hashes.sha256)).blobId : null;
+              await saveManifestEntry(backendName, { ...matched, storage: storeMode ? 'store' : 'plain', blobId });
               skippedFiles++;
-              continue; // Skip if file exists
-            } catch {
-              // File doesn't exist, proceed to download
+              completedKeys.add(key);
+              return;
             }
+          }
+        }
 
-            // Download file
-            const fullKey = currentPath ? `${currentPath}/${file.name}` : file.name;
-            let downloaded = false;
-
-            if (s3Client && bucketName) {
-              downloaded = await downloadFileFromS3(s3Client, bucketName, file.key || fullKey, filePath);
-            } else {
-              // Try HTTP download
-              const fileUrl = bucketUrl.endsWith('/') 
-                ? `${bucketUrl}${file.key || fullKey}`
-                : `${bucketUrl}/${file.key || fullKey}`;
-              try {
-                await downloadFileFromHttp(fileUrl, filePath);
-                downloaded = true;
-              } catch (error) {
-                errors.push(`Failed to download ${file.key || fullKey}: ${error.message}`);
-              }
-            }
+        // Download file (replaces a changed local copy once the new one is verified)
+        let version = null;
 
-            if (downloaded) {
-              downloadedFiles++;
-            } else {
-              errors.push(`Failed to download ${file.key || fullKey}`);
-            }
-          } catch (error) {
-            errors.push(`Error processing ${file.key || fullKey}: ${error.message}`);
+        try {
+          if (exists) {
+            version = await archiveFileVersion(backendName, key, localPath, 'changed');
           }
+
+          // Deduplicated downloads land in the store's incoming directory first
+          const targetPath = storeMode ? await getIncomingPath() : filePath;
+
+          const download = await downloadWithRetries(() =>
+            downloadFile(driver, { ...file, key }, targetPath, encoding)
+          );
+
+          let blobId = null;
+          if (storeMode) {
+            ({ blobId } = await storeBlob(targetPath, download.sha256));
+            // A plain copy of the old content is kept as the version above
+            await fs.rm(filePath, { force: true });
+          }
+
+          await saveManifestEntry(backendName, {
+            key,
+            size: download.bytes,
+            etag: file.etag,
+            lastModified: file.lastModified,
+            sha256: download.sha256,
+            storage: storeMode ? 'store' : 'plain',
+            blobId
+          });
+
+          downloadedFiles++;
+          downloadedBytes += download.bytes;
+          if (exists) {
+            refreshedFiles++;
+          }
+          completedKeys.add(key);
+          files.push({
+            key,
+            status: exists ? 'refreshed' : 'downloaded',
+            size: download.bytes,
+            sha256: download.sha256,
+            verification: download.verification,
+            attempts: download.attempts,
+            versionId: version ? version.versionId : undefined
+          });
+        } catch (error) {
+          // The local copy was not replaced, so the version kept for it is not needed
+          if (version) {
+            await discardFileVersion(version.path);
+          }
+          failedFiles++;
+          errors.push(`Failed to download ${key}: ${error.message}`);
+          files.push({
+            key,
+            status: 'failed',
+            size: file.size ?? null,
+            attempts: error.attempts || 1,
+            error: error.message
+          });
         }
+      } catch (error) {
+        errors.push(`Error processing ${key}: ${error.message}`);
+      } finally {
+        processedFiles++;
+        processedBytes += Number(file.size) || 0;
+        await reportProgress();
       }
+    };
+
+    const concurrency = getTransferConcurrency(attributes);
+    console.log(`📥 Transferring ${totalFiles} files with ${concurrency} parallel downloads${resumedFiles > 0 ? ` (${resumedFiles} done before resume)` : ''}`);
+
+    await reportProgress(true);
+    await runTransferQueue(transfers, concurrency, processFile, options.signal);
+
+    // Cancelled: save the checkpoint so the job can be resumed, and leave deleted files alone
+    if (options.signal?.aborted) {
+      await reportProgress(true);
+      options.signal.throwIfAborted();
+    }
+
+    // Objects gone from the bucket: keep the local copy as a version instead of an orphan.
+    // Only keys in the filters' scope are candidates; files filtered out are left as they are.
+    // An empty listing for a non-empty manifest is more likely a failed listing than a wiped bucket.
+    const scopedKeys = [...manifest.keys()].filter(key => isFileKeyIncluded(key, fileFilters) && !oversizedKeys.has(key));
+    if (totalFiles === 0 && scopedKeys.length > 0) {
+      errors.push('Bucket listing is empty; deleted files were not archived');
+    } else {
+      for (const key of scopedKeys) {
+        if (listedKeys.has(key)) {
+          continue;
+        }
+
+        try {
+          const entry = manifest.get(key);
+          const stored = entry.storage === 'store';
+          const filePath = stored ? getBlobPath(getEntryBlobId(entry)) : path.join(backupPath, ...key.split('/'));
+          let exists = true;
+          try {
+            await fs.access(filePath);
+          } catch {
+            exists = false;
+          }
+
+          // A blob may be shared with other files, so it is left for pruneStore
+          const version = exists
+            ? await archiveFileVersion(backendName, key, filePath, 'deleted', { shared: stored })
+            : null;
+          await deleteManifestEntry(backendName, key);
 
-      // Process subfolders
-      if (structure.folders) {
-        for (const [folderName, folder] of Object.entries(structure.folders)) {
-          const newPath = currentPath ? `${currentPath}/${folderName}` : folderName;
-          await processFolder(folder, newPath);
+          if (version) {
+            deletedFiles++;
+            files.push({ key, status: 'deleted', versionId: version.versionId });
+          }
+        } catch (error) {
+          errors.push(`Failed to archive deleted file ${key}: ${error.message}`);
         }
       }
-    };
+    }
 
-    await processFolder(folderStructure);
+    // Blobs replaced, deleted or turned back into plain files may no longer be referenced
+    let prunedStore = null;
+    if (storeMode || [...manifest.values()].some(entry => entry.storage === 'store')) {
+      try {
+        prunedStore = await pruneStore();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
 
     return {
       success: true,
+      storageDriver: driver.name,
+      storageMode: storeMode ? 'dedup' : 'plain',
+      encryption: getEncodingSummary(encoding),
+      prunedStore,
       totalFiles,
+      totalBytes,
+      excludedFiles: excluded.files,
+      excludedBytes: excluded.bytes,
       downloadedFiles,
       skippedFiles,
+      refreshedFiles,
+      deletedFiles,
+      failedFiles,
+      downloadedBytes,
+      concurrency,
+      resumedFiles,
+      files,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
     throw new Error(`Backup files failed: ${error.message}`);
+  } finally {
+    if (driver) {
+      await driver.close().catch(() => {});
+    }
   }
 }
 
 /**
  * Create table in local database if it doesn't exist
+ * Columns copy the exact source types and nullability (see tableDefinitionService)
  */
-async function createTableIfNotExists(tableName, columns) {
+async function createTableIfNotExists(backendName, tableName, definition) {
   try {
     const backupTableName = `backup_${tableName}`;
-    
-    // Check if source table already has an "id" column
-    const hasIdColumn = columns.some(col => col.name.toLowerCase() === 'id');
-    
-    // Create table with columns (IF NOT EXISTS will handle if it already exists)
-    const columnDefinitions = columns.map(col => {
-      const colName = col.name.replace(/[^a-zA-Z0-9_]/g, '');
-      let colType = 'TEXT';
-      
-      // Map PostgreSQL types to appropriate types
-      if (col.type === 'integer' || col.type === 'bigint') {
-        colType = 'BIGINT';
-      } else if (col.type === 'numeric' || col.type === 'double precision') {
-        colType = 'NUMERIC';
-      } else if (col.type === 'boolean') {
-        colType = 'BOOLEAN';
-      } else if (col.type === 'timestamp' || col.type === 'timestamp with time zone') {
-        colType = 'TIMESTAMP';
-      } else if (col.type === 'date') {
-        colType = 'DATE';
-      }
+    const backupTableRef = getBackupTableRef(backendName, tableName);
 
-      return `"${colName}" ${colType}`;
-    }).join(', ');
-
-    // Only add our own id if source table doesn't have one
-    let createTableQuery;
-    if (hasIdColumn) {
-      // Source table has id, don't add our own
-      createTableQuery = `
-        CREATE TABLE IF NOT EXISTS "backup_${tableName}" (
-          ${columnDefinitions},
-          backup_created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          backup_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `;
-    } else {
-      // Source table doesn't have id, add our own
-      createTableQuery = `
-        CREATE TABLE IF NOT EXISTS "backup_${tableName}" (
-          id SERIAL PRIMARY KEY,
-          ${columnDefinitions},
-          backup_created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          backup_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `;
+    // Each backend keeps its backup tables in its own schema
+    await ensureBackupSchema(backendName);
+    await ensureBackupEnumTypes(backendName, definition.columns);
+
+    const existed = await backupTableExists(backendName, backupTableName);
+    await prisma.$executeRawUnsafe(
+      buildBackupTableStatement(backendName, tableName, definition, BACKUP_METADATA_COLUMNS)
+    );
+
+    // Tables created by older versions lack some metadata columns
+    for (const [name, columnDefinition] of Object.entries(BACKUP_METADATA_COLUMNS)) {
+      await prisma.$executeRawUnsafe(`ALTER TABLE ${backupTableRef} ADD COLUMN IF NOT EXISTS ${name} ${columnDefinition}`);
     }
 
-    await prisma.$executeRawUnsafe(createTableQuery);
+    // Tables of a source with an "ID" column were once created without the serial id reads are ordered by
+    if (!definition.columns.some(col => col.name === 'id')) {
+      await prisma.$executeRawUnsafe(`ALTER TABLE ${backupTableRef} ADD COLUMN IF NOT EXISTS id SERIAL`);
+    }
 
-    // Check if table was just created or already existed
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = '${backupTableName}'
+    const warnings = existed ? [] : await applyBackupColumnDefaults(backendName, tableName, definition.columns);
+
+    // Current-version lookups by source primary key, id or row hash.
+    // The primary key is unique among current versions; older versions share it
+    const idColumn = definition.columns.find(col => col.name.toLowerCase() === 'id');
+    let currentIndexCreated = false;
+    if (definition.primaryKey.length > 0) {
+      try {
+        await prisma.$executeRawUnsafe(
+          `CREATE UNIQUE INDEX IF NOT EXISTS "${backupTableName}_current_key" ON ${backupTableRef} (${definition.primaryKey.map(col => `"${col}"`).join(', ')}) WHERE backup_valid_to IS NULL`
+        );
+        currentIndexCreated = true;
+      } catch (error) {
+        warnings.push(`Primary key of ${tableName} not enforced on current rows: ${error.message}`);
+      }
+    }
+    if (!currentIndexCreated) {
+      const indexColumn = idColumn ? `"${idColumn.name}"` : 'backup_row_hash';
+      await prisma.$executeRawUnsafe(
+        `CREATE INDEX IF NOT EXISTS "${backupTableName}_current_idx" ON ${backupTableRef} (${indexColumn}) WHERE backup_valid_to IS NULL`
       );
-    `;
-    
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery);
-    
-    if (tableExists[0].exists) {
-      // Check if table has any data to determine if it was just created
-      const countQuery = `SELECT COUNT(*) as count FROM "${backupTableName}"`;
-      const countResult = await prisma.$queryRawUnsafe(countQuery);
-      const wasJustCreated = parseInt(countResult[0].count) === 0;
-      
-      return { 
-        created: wasJustCreated, 
-        message: wasJustCreated ? 'Table created successfully' : 'Table already exists' 
-      };
     }
 
-    return { created: true, message: 'Table created successfully' };
+    return {
+      created: !existed,
+      warnings,
+      message: existed ? 'Table already exists' : 'Table created successfully'
+    };
   } catch (error) {
     throw new Error(`Failed to create table: ${error.message}`);
   }
 }
 
 /**
- * Get table columns information
+ * Normalize a column value so the same source value always hashes the same way
  */
-async function getTableColumns(databaseUrl, tableName) {
-  const client = new Client({
-    connectionString: databaseUrl
-  });
+function normalizeHashValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return `\\x${value.toString('hex')}`;
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeHashValue);
+  }
+  if (typeof value === 'object') {
+    const normalized = {};
+    for (const key of Object.keys(value).sort()) {
+      normalized[key] = normalizeHashValue(value[key]);
+    }
+    return normalized;
+  }
+  return value;
+}
 
-  try {
-    await client.connect();
-    const validTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '');
-    
-    const result = await client.query(`
-      SELECT column_name, data_type 
-      FROM information_schema.columns 
-      WHERE table_schema = 'public' 
-      AND table_name = $1
-      ORDER BY ordinal_position;
-    `, [validTableName]);
-
-    return result.rows.map(row => ({
-      name: row.column_name,
-      type: row.data_type
-    }));
-  } finally {
-    await client.end();
+/**
+ * Compute a content hash of a source row over the given columns
+ * Used to detect rows that changed at the source since the last backup
+ * @param {Object} row - Row as returned by pg
+ * @param {Array<string>} columnNames - Source column names, in table order
+ * @returns {string} SHA-256 hex digest
+ */
+export function computeRowHash(row, columnNames) {
+  const values = columnNames.map(col => normalizeHashValue(row[col]));
+  return crypto.createHash('sha256').update(JSON.stringify(values)).digest('hex');
+}
+
+// Rows fetched from the source cursor and written per local transaction
+const BACKUP_BATCH_SIZE = 1000;
+
+// Stay well below PostgreSQL's limit of 65535 parameters per statement
+const MAX_INSERT_PARAMETERS = 60000;
+
+/**
+ * Insert row versions with multi-row INSERT statements
+ * Values of encrypted columns are encrypted here, after their row was hashed
+ */
+async function insertRowVersions(localClient, backupTableRef, columnNames, entries, snapshot, encryption = null) {
+  if (entries.length === 0) {
+    return;
+  }
+
+  const insertColumns = [...columnNames.map(col => `"${col}"`), 'backup_row_hash', 'backup_snapshot', 'backup_seen_snapshot'];
+  const rowsPerStatement = Math.max(1, Math.floor(MAX_INSERT_PARAMETERS / insertColumns.length));
+
+  for (let start = 0; start < entries.length; start += rowsPerStatement) {
+    const chunk = entries.slice(start, start + rowsPerStatement);
+    const values = [];
+    const placeholders = chunk.map(({ row, rowHash }) => {
+      const rowValues = [
+        ...columnNames.map(col => (encryption?.columns.has(col)
+          ? encryptValue(row[col] ?? null, encryption.key)
+          : row[col] ?? null)),
+        rowHash,
+        snapshot,
+        snapshot
+      ];
+      const rowPlaceholders = rowValues.map((value, index) => `$${values.length + index + 1}`);
+      values.push(...rowValues);
+      return `(${rowPlaceholders.join(', ')})`;
+    });
+
+    await localClient.query(
+      `INSERT INTO ${backupTableRef} (${insertColumns.join(', ')}) VALUES ${placeholders.join(', ')}`,
+      values
+    );
   }
 }
 
 /**
- * Insert new records in backup table (skip if already exists)
+ * Get the columns identifying a row across its versions in a backup table
+ * The source primary key, else "id"; only columns the backup table has count
+ * @param {Object} definition - Source table definition
+ * @param {Object} backupColumnTypes - Column types of the backup table
+ * @returns {Array<string>} Key columns; empty when rows are identified by their hash
  */
-async function upsertTableData(tableName, data, columns) {
-  try {
-    const backupTableName = `backup_${tableName}`;
-    
-    // Ensure table exists, create if not
-    const tableInfo = await createTableIfNotExists(tableName, columns);
-    
-    if (tableInfo.created) {
-      console.log(`✅ Created table: ${backupTableName}`);
+function getRowKeyColumns(definition, backupColumnTypes) {
+  const idColumn = definition.columns.find(col => col.name.toLowerCase() === 'id');
+  let keyColumns = definition.primaryKey.length > 0 ? definition.primaryKey : (idColumn ? [idColumn.name] : []);
+  if (!keyColumns.every(col => backupColumnTypes[col])) {
+    keyColumns = idColumn && backupColumnTypes[idColumn.name] ? [idColumn.name] : [];
+  }
+  return keyColumns;
+}
+
+/**
+ * Delete the row versions of a backup table stored within a date range, with every
+ * other version of the same rows
+ * Deleting single versions would leave a row's history with gaps, and snapshot reads
+ * of the versions left would be wrong. Rows identified by their hash are single versions.
+ * @returns {Promise<number>} Number of deleted versions
+ */
+async function deleteRowVersionsByDateRange(backendName, tableName, start, end) {
+  const backupTableRef = getBackupTableRef(backendName, tableName);
+  const inRange = (alias) =>
+    `${alias}.backup_created_at >= '${start.toISOString()}' AND ${alias}.backup_created_at <= '${end.toISOString()}'`;
+
+  const definition = await getTableDefinition(backendName, tableName);
+  const keyColumns = definition
+    ? getRowKeyColumns(definition, await getBackupColumnTypes(backendName, tableName))
+    : [];
+
+  let condition = inRange('backup');
+  if (keyColumns.length > 0) {
+    const sameRow = keyColumns.map(col => `ranged."${col}" = backup."${col}"`).join(' AND ');
+    condition = `(${condition}) OR EXISTS (SELECT 1 FROM ${backupTableRef} AS ranged WHERE ${inRange('ranged')} AND ${sameRow})`;
+  }
+
+  return prisma.$executeRawUnsafe(`DELETE FROM ${backupTableRef} AS backup WHERE ${condition}`);
+}
+
+/**
+ * Capture a batch of rows into the backup table as versions, in one transaction
+ * - New rows are inserted, tagged with the snapshot that first captured them
+ * - Unchanged rows (same hash) are only marked as seen by this snapshot
+ * - Changed rows close their current version (backup_valid_to) and get a new one
+ * Rows are identified by their key columns (source primary key, else "id"), or by
+ * their hash when there are none.
+ * Current versions are looked up once per batch and new versions are written with
+ * multi-row inserts; a failing batch is rolled back and counted as failed.
+ * @param {Client} localClient - Connected pg client for the local database
+ * @param {Array} options.keyColumns - Columns identifying a row across versions
+ * @param {Object} options.keyTypes - Backup table types of the key columns
+ * @param {boolean} options.hasLegacyRows - Table still holds rows without a hash (keyless tables only)
+ * @param {Object} options.encryption - { columns (Set of column names), key } of encrypted columns
+ */
+async function writeTableBatch(localClient, backendName, tableName, data, columns, snapshotNumber, options = {}) {
+  const backupTableRef = getBackupTableRef(backendName, tableName);
+  const stats = { inserted: 0, updated: 0, skipped: 0, failed: 0 };
+
+  if (data.length === 0) {
+    return stats;
+  }
+
+  // Get column names (sanitized)
+  const columnNames = columns.map(col => col.name.replace(/[^a-zA-Z0-9_]/g, ''));
+  const snapshot = parseInt(snapshotNumber);
+  const keyColumns = options.keyColumns || [];
+
+  // Values arrive in text format, so a key is the text of its key columns
+  const buildKey = (values) => (values.length === 1 ? values[0] : JSON.stringify(values));
+
+  // Hash rows and key them (or use the hash); repeated keys in a batch are stored once
+  const entries = [];
+  const seenKeys = new Set();
+  for (const row of data) {
+    const rowHash = computeRowHash(row, columns.map(col => col.name));
+    const keyValues = keyColumns.map(col => row[col]);
+    const byKey = keyValues.length > 0 && keyValues.every(value => value !== null && value !== undefined);
+    const key = byKey ? buildKey(keyValues) : rowHash;
+    if (seenKeys.has(key)) {
+      stats.skipped++;
+      continue;
     }
+    seenKeys.add(key);
+    entries.push({ row, rowHash, key, keyValues, byKey });
+  }
 
-    // Insert data
-    if (data.length === 0) {
-      return { inserted: 0, skipped: 0 };
+  try {
+    await localClient.query('BEGIN');
+
+    // Find the current version of every row in the batch
+    const existing = new Map();
+    const keyedEntries = entries.filter(entry => entry.byKey);
+    const hashes = entries.filter(entry => !entry.byKey).map(entry => entry.key);
+
+    if (keyedEntries.length > 0) {
+      const keyParams = keyColumns.map((col, index) => `$${index + 1}::text[]`);
+      const keyAliases = keyColumns.map((col, index) => `key_${index}`);
+      const joinConditions = keyColumns.map((col, index) =>
+        `backup."${col}" = k.key_${index}::${options.keyTypes?.[col] || 'text'}`
+      );
+      const result = await localClient.query(
+        `SELECT backup.ctid::text AS row_ref, backup.backup_row_hash,
+                ${keyColumns.map((col, index) => `backup."${col}"::text AS key_${index}`).join(', ')}
+         FROM ${backupTableRef} AS backup
+         JOIN unnest(${keyParams.join(', ')}) AS k(${keyAliases.join(', ')}) ON ${joinConditions.join(' AND ')}
+         WHERE backup.backup_valid_to IS NULL`,
+        keyColumns.map((col, index) => keyedEntries.map(entry => entry.keyValues[index]))
+      );
+      result.rows.forEach(row => {
+        existing.set(buildKey(keyAliases.map(alias => row[alias])), row);
+      });
+    }
+    if (hashes.length > 0) {
+      const result = await localClient.query(
+        `SELECT ctid::text AS row_ref, backup_row_hash AS row_key, backup_row_hash FROM ${backupTableRef}
+         WHERE backup_valid_to IS NULL AND backup_row_hash = ANY($1)`,
+        [hashes]
+      );
+      result.rows.forEach(row => existing.set(row.row_key, row));
     }
 
-    // Get column names (sanitized)
-    const columnNames = columns.map(col => col.name.replace(/[^a-zA-Z0-9_]/g, ''));
-    
-    // Check if source table has an "id" column (for optimized duplicate checking)
-    const hasIdColumn = columns.some(col => col.name.toLowerCase() === 'id');
-    
-    let inserted = 0;
-    let skipped = 0;
+    const newEntries = [];
+    const unchanged = [];
+    const changed = [];
+
+    for (const entry of entries) {
+      let current = existing.get(entry.key);
+
+      // Rows backed up before change capture have no hash; match them on all columns
+      if (!current && !entry.byKey && options.hasLegacyRows) {
+        const conditions = columnNames.map((col, index) => `"${col}" IS NOT DISTINCT FROM $${index + 1}`);
+        const result = await localClient.query(
+          `SELECT ctid::text AS row_ref, backup_row_hash FROM ${backupTableRef}
+           WHERE backup_row_hash IS NULL AND backup_valid_to IS NULL AND ${conditions.join(' AND ')}
+           LIMIT 1`,
+          columnNames.map(col => entry.row[col] ?? null)
+        );
+        current = result.rows[0];
+      }
 
-    // Process each row
-    for (const row of data) {
-      try {
-        const insertColumns = [];
-        const insertValues = [];
-        let checkQuery;
-
-        // Build insert clause
-        for (const col of columnNames) {
-          const value = row[col];
-          const sanitizedCol = col.replace(/[^a-zA-Z0-9_]/g, '');
-          
-          insertColumns.push(`"${sanitizedCol}"`);
-          
-          if (value === null || value === undefined) {
-            insertValues.push('NULL');
-          } else if (typeof value === 'object') {
-            const jsonValue = JSON.stringify(value).replace(/'/g, "''");
-            insertValues.push(`'${jsonValue}'`);
-          } else {
-            const strValue = String(value).replace(/'/g, "''");
-            insertValues.push(`'${strValue}'`);
-          }
-        }
+      if (!current) {
+        newEntries.push(entry);
+      } else if (!current.backup_row_hash || current.backup_row_hash === entry.rowHash) {
+        // Unchanged row (legacy rows without a hash adopt the current one)
+        unchanged.push({ rowRef: current.row_ref, rowHash: entry.rowHash });
+      } else {
+        changed.push({ rowRef: current.row_ref, entry });
+      }
+    }
 
-        // Check if record already exists
-        // If source has "id" column, use it for faster duplicate checking
-        if (hasIdColumn && row.id !== null && row.id !== undefined) {
-          const idValue = typeof row.id === 'object' 
-            ? JSON.stringify(row.id).replace(/'/g, "''")
-            : String(row.id).replace(/'/g, "''");
-          checkQuery = `SELECT id FROM "${backupTableName}" WHERE "id" = '${idValue}' LIMIT 1`;
-        } else {
-          // Use all columns to match (slower but more thorough)
-          const whereConditions = [];
-          for (const col of columnNames) {
-            const value = row[col];
-            const sanitizedCol = col.replace(/[^a-zA-Z0-9_]/g, '');
-            
-            if (value === null || value === undefined) {
-              whereConditions.push(`"${sanitizedCol}" IS NULL`);
-            } else if (typeof value === 'object') {
-              const jsonValue = JSON.stringify(value).replace(/'/g, "''");
-              whereConditions.push(`"${sanitizedCol}" = '${jsonValue}'`);
-            } else {
-              const strValue = String(value).replace(/'/g, "''");
-              whereConditions.push(`"${sanitizedCol}" = '${strValue}'`);
-            }
-          }
-          const whereClause = whereConditions.join(' AND ');
-          checkQuery = `SELECT id FROM "${backupTableName}" WHERE ${whereClause} LIMIT 1`;
-        }
-        
-        const existing = await prisma.$queryRawUnsafe(checkQuery);
+    if (unchanged.length > 0) {
+      await localClient.query(
+        `UPDATE ${backupTableRef} AS backup
+         SET backup_seen_snapshot = $1, backup_row_hash = seen.row_hash
+         FROM (SELECT unnest($2::tid[]) AS row_ref, unnest($3::text[]) AS row_hash) AS seen
+         WHERE backup.ctid = seen.row_ref`,
+        [snapshot, unchanged.map(item => item.rowRef), unchanged.map(item => item.rowHash)]
+      );
+    }
 
-        if (existing && existing.length > 0) {
-          // Skip existing record
-          skipped++;
-        } else {
-          // Insert new record
-          const insertQuery = `
-            INSERT INTO "${backupTableName}" (${insertColumns.join(', ')})
-            VALUES (${insertValues.join(', ')})
-          `;
-          await prisma.$executeRawUnsafe(insertQuery);
-          inserted++;
-        }
-      } catch (error) {
-        // If error is duplicate key or constraint violation, skip it
-        if (error.message && (
-          error.message.includes('duplicate') || 
-          error.message.includes('unique') ||
-          error.message.includes('constraint')
-        )) {
-          skipped++;
-        } else {
-          console.error(`Error processing row in ${tableName}:`, error.message);
-        }
-      }
+    // Changed rows: close the current version, then store the new one
+    if (changed.length > 0) {
+      await localClient.query(
+        `UPDATE ${backupTableRef}
+         SET backup_valid_to = $1, backup_updated_at = CURRENT_TIMESTAMP
+         WHERE ctid = ANY($2::tid[])`,
+        [snapshot, changed.map(item => item.rowRef)]
+      );
     }
 
-    return { inserted, skipped };
+    await insertRowVersions(
+      localClient,
+      backupTableRef,
+      columnNames,
+      [...newEntries, ...changed.map(item => item.entry)],
+      snapshot,
+      options.encryption
+    );
+
+    await localClient.query('COMMIT');
+
+    stats.inserted += newEntries.length;
+    stats.updated += changed.length;
+    stats.skipped += unchanged.length;
   } catch (error) {
-    throw new Error(`Failed to insert data: ${error.message}`);
+    await localClient.query('ROLLBACK').catch(() => {});
+    stats.failed += entries.length;
+    stats.error = error.message;
+    console.error(`Error writing batch of ${entries.length} rows to ${tableName}:`, error.message);
+  }
+
+  return stats;
+}
+
+/**
+ * Mark current row versions that were not seen by this snapshot as deleted at the source
+ * Only valid after the whole source table was read successfully
+ * With a row filter, only versions matching it are candidates: rows that left the
+ * filtered window (e.g. older than the last N days) are kept as they are
+ */
+async function markDeletedRows(backendName, tableName, snapshotNumber, rowFilter = null) {
+  const backupTableRef = getBackupTableRef(backendName, tableName);
+  const snapshot = parseInt(snapshotNumber);
+
+  return await prisma.$executeRawUnsafe(`
+    UPDATE ${backupTableRef}
+    SET backup_valid_to = ${snapshot}, backup_deleted = true, backup_updated_at = CURRENT_TIMESTAMP
+    WHERE backup_valid_to IS NULL
+    AND COALESCE(backup_seen_snapshot, 0) < ${snapshot}
+    ${rowFilter ? `AND (${rowFilter})` : ''}
+  `);
+}
+
+/**
+ * Resolve the encrypted columns of a table (see getEncryptedColumns)
+ * Primary key and "id" columns identify row versions, so they are never encrypted
+ * @returns {Object} { columns, key, definition (columns flagged for the backup table), warnings }
+ */
+function getTableEncryption(tableName, definition, attributes) {
+  const configured = getEncryptedColumns(tableName, attributes);
+  const warnings = [];
+  if (configured.length === 0) {
+    return { columns: [], key: null, definition, warnings };
   }
+
+  const allColumns = configured.includes('*');
+  const idColumn = definition.columns.find(col => col.name.toLowerCase() === 'id');
+  const keyColumns = [...definition.primaryKey, ...(idColumn ? [idColumn.name] : [])];
+  const columns = [];
+
+  for (const column of definition.columns) {
+    if (!allColumns && !configured.includes(column.name)) {
+      continue;
+    }
+    if (keyColumns.includes(column.name)) {
+      if (!allColumns) {
+        warnings.push(`Key column "${column.name}" is not encrypted`);
+      }
+      continue;
+    }
+    columns.push(column.name);
+  }
+  configured
+    .filter(name => name !== '*' && !definition.columns.some(col => col.name === name))
+    .forEach(name => warnings.push(`Encrypted column "${name}" not found`));
+
+  return {
+    columns,
+    key: columns.length > 0 ? getColumnEncryptionKey() : null,
+    definition: {
+      ...definition,
+      columns: definition.columns.map(col => (columns.includes(col.name) ? { ...col, encrypted: true } : col))
+    },
+    warnings
+  };
 }
 
 /**
  * Backup database tables to local database
+ * @param {string} databaseUrl - Remote database URL
+ * @param {string} backendName - Backend name
+ * @param {Object} options - Backup options
+ * @param {string} options.jobId - BackupStatus jobId; the run is recorded as a numbered snapshot
+ * @param {Object} options.attributes - Setting attributes (schemas and views to include, see getDatabaseScope;
+ *   table include/exclude rules and row filters, see getTableFilters; watermark columns, see getWatermarkColumn;
+ *   encrypted columns, see getEncryptedColumns)
+ * @param {boolean} options.forceFullResync - Read every table in full, ignoring stored watermarks
+ * @param {Array<string>} options.tables - Only back up these tables, e.g. the ones a previous run failed on
+ * @param {AbortSignal} options.signal - Stops the backup between batches and marks the snapshot
+ *   failed. Each batch commits on its own, so the batches already written for the table being
+ *   read stay (tagged with the failed snapshot); its deletion detection and watermark are skipped,
+ *   and the next run compares those rows like any other
+ * @returns {Promise<Object>} Backup results
  */
-export async function backupDatabase(databaseUrl, backendName) {
+export async function backupDatabase(databaseUrl, backendName, options = {}) {
+  const { jobId, forceFullResync = false } = options;
+  const startedAt = Date.now();
+  const localClient = createLocalPgClient();
+  let snapshot = null;
+
   try {
-    // Get all tables with counts
-    const tablesData = await getAllTablesWithCounts(databaseUrl);
-    const tableNames = Object.keys(tablesData);
+    if (!jobId) {
+      throw new Error('jobId is required to record the backup snapshot');
+    }
+
+    snapshot = await createSnapshot(backendName, jobId);
+
+    // One local connection carries every batch transaction of this run
+    await localClient.connect();
+
+    // Get all tables with counts (excluded tables are left out)
+    const tableFilters = getTableFilters(options.attributes);
+    const tablesData = await getAllTablesWithCounts(databaseUrl, getDatabaseScope(options.attributes), tableFilters);
+    const tableNames = Object.keys(tablesData)
+      .filter(tableName => !options.tables || options.tables.includes(tableName));
 
     const results = {
+      backupSchema: getBackupSchemaName(backendName),
+      snapshotNumber: snapshot.snapshotNumber,
+      forceFullResync,
       totalTables: tableNames.length,
+      incrementalTables: 0, // Tables read from their last watermark
       processedTables: 0,
       createdTables: [],
-      insertedRecords: 0,
-      skippedRecords: 0, // Records that already existed (skipped)
+      insertedRecords: 0, // New rows
+      updatedRecords: 0, // Rows changed at the source (new version stored)
+      deletedRecords: 0, // Rows deleted at the source (tombstoned)
+      skippedRecords: 0, // Unchanged rows (skipped)
+      totalRowsRead: 0, // Rows read from the source
+      durationMs: 0,
+      rowsPerSecond: 0,
       errors: [],
-      manualCommands: []
+      warnings: [],
+      schemaChanges: [], // Schema drift detected at the source (see schemaDriftService)
+      encryption: null, // Key of the encrypted columns written by this run
+      manualCommands: [],
+      tables: {}
     };
 
+    (options.tables || [])
+      .filter(tableName => !tablesData[tableName])
+      .forEach(tableName => results.warnings.push({ table: tableName, warning: 'Table no longer found at the source; not backed up' }));
+
     for (const tableName of tableNames) {
+      options.signal?.throwIfAborted();
+
       try {
-        // Get table columns
-        const columns = await getTableColumns(databaseUrl, tableName);
-        
-        // Get all data from table (paginated to handle large tables)
-        let page = 1;
-        const limit = 1000;
-        let totalInserted = 0;
-        let totalUpdated = 0;
-
-        while (true) {
-          const pageData = await getTableDataPaginated(databaseUrl, tableName, page, limit);
-          
-          if (pageData.data.length === 0) {
-            break;
-          }
+        // Read the exact source definition; the previous one tells what changed since
+        const definition = await getSourceTableDefinition(databaseUrl, tableName);
+        const columns = definition.columns;
+        const previousDefinition = await getTableDefinition(backendName, tableName);
+
+        // Encrypted columns are stored as text; the backup table is built from the flagged definition
+        const encryption = getTableEncryption(tableName, definition, options.attributes);
+        const backupDefinition = encryption.definition;
+        encryption.warnings.forEach(warning => results.warnings.push({ table: tableName, warning }));
+        if (encryption.key) {
+          results.encryption = getEncodingSummary({ key: encryption.key, compression: null });
+        }
 
-          // Insert new data (skip existing)
-          const { inserted, skipped } = await upsertTableData(tableName, pageData.data, columns);
-          totalInserted += inserted;
-          totalUpdated += skipped; // Track skipped as "already exists"
+        // Ensure table exists, create if not
+        const tableInfo = await createTableIfNotExists(backendName, tableName, backupDefinition);
+        let schemaChanges;
+        if (tableInfo.created) {
+          console.log(`✅ Created table: ${getBackupTableRef(backendName, tableName)}`);
+          results.createdTables.push(`backup_${tableName}`);
+          schemaChanges = [{ changeType: 'table_created', columnName: null, breaking: false, applied: true, details: null }];
+        } else {
+          // Bring an existing backup table in line with the source columns
+          schemaChanges = await migrateBackupTable(backendName, tableName, backupDefinition, previousDefinition);
+        }
+        tableInfo.warnings.forEach(warning => results.warnings.push({ table: tableName, warning }));
 
-          if (pageData.data.length < limit) {
-            break;
+        await recordSchemaChanges(backendName, tableName, schemaChanges, {
+          jobId,
+          snapshotNumber: snapshot.snapshotNumber
+        });
+        schemaChanges.forEach(change => {
+          results.schemaChanges.push({ table: tableName, ...change });
+          if (change.breaking) {
+            console.warn(`⚠️ Breaking schema change in ${tableName}: ${change.changeType}${change.columnName ? ` (${change.columnName})` : ''}`);
           }
-          page++;
+        });
+
+        // Keep the source definition for restores and the next drift check
+        await saveTableDefinition(backendName, tableName, definition);
+
+        // Versions of a row share its primary key (or "id" when the source has no key)
+        const backupColumnTypes = await getBackupColumnTypes(backendName, tableName);
+        const keyColumns = getRowKeyColumns(definition, backupColumnTypes);
+
+        // Keyless tables may still hold rows backed up before change capture
+        let hasLegacyRows = false;
+        if (keyColumns.length === 0 && !tableInfo.created) {
+          const legacyResult = await localClient.query(
+            `SELECT EXISTS (SELECT 1 FROM ${getBackupTableRef(backendName, tableName)} WHERE backup_row_hash IS NULL AND backup_valid_to IS NULL)`
+          );
+          hasLegacyRows = legacyResult.rows[0].exists;
         }
 
-        results.processedTables++;
-        results.insertedRecords += totalInserted;
-        results.skippedRecords += totalUpdated; // Records that already existed (skipped)
+        // Only rows matching the table's row filter are read
+        const rowFilter = getRowFilterCondition(tableName, tableFilters);
+        if (rowFilter && encryption.columns.some(col => rowFilter.includes(col))) {
+          results.warnings.push({ table: tableName, warning: 'Row filter refers to an encrypted column; deletion detection compares it with ciphertext' });
+        }
 
-        // Generate manual command for table creation (for reference)
-        const columnDefs = columns.map(col => {
-          const colName = col.name.replace(/[^a-zA-Z0-9_]/g, '');
-          let colType = 'TEXT';
-          
-          if (col.type === 'integer' || col.type === 'bigint') {
-            colType = 'BIGINT';
-          } else if (col.type === 'numeric' || col.type === 'double precision') {
-            colType = 'NUMERIC';
-          } else if (col.type === 'boolean') {
-            colType = 'BOOLEAN';
-          } else if (col.type === 'timestamp' || col.type === 'timestamp with time zone') {
-            colType = 'TIMESTAMP';
-          } else if (col.type === 'date') {
-            colType = 'DATE';
+        // Tables with a watermark column are read from the last watermark on
+        let watermarkColumn = getWatermarkColumn(tableName, options.attributes);
+        if (watermarkColumn && !columns.some(col => col.name === watermarkColumn)) {
+          results.warnings.push({ table: tableName, warning: `Watermark column "${watermarkColumn}" not found; table read in full` });
+          watermarkColumn = null;
+        }
+        const previousWatermark = watermarkColumn ? await getWatermark(backendName, tableName) : null;
+        const incremental = !forceFullResync && !tableInfo.created &&
+          previousWatermark?.column === watermarkColumn && previousWatermark.value !== null;
+        // Taken before reading, so rows written meanwhile are read again next run rather than missed
+        const nextWatermark = watermarkColumn
+          ? await getColumnMaxValue(databaseUrl, tableName, watermarkColumn, rowFilter)
+          : null;
+        const streamCondition = [
+          rowFilter,
+          incremental ? getWatermarkCondition(watermarkColumn, previousWatermark.value) : null
+        ].filter(Boolean).map(condition => `(${condition})`).join(' AND ') || null;
+
+        // Stream the source table through a cursor and write it batch by batch
+        const tableStartedAt = Date.now();
+        const tableStats = { inserted: 0, updated: 0, deleted: 0, skipped: 0, failed: 0 };
+        let lastBatchError = null;
+
+        const rowsRead = await streamTableRows(databaseUrl, tableName, async (rows) => {
+          options.signal?.throwIfAborted();
+          const batchStats = await writeTableBatch(
+            localClient,
+            backendName,
+            tableName,
+            rows,
+            columns,
+            snapshot.snapshotNumber,
+            {
+              keyColumns,
+              keyTypes: backupColumnTypes,
+              hasLegacyRows,
+              encryption: encryption.key ? {
+                columns: new Set(encryption.columns.map(col => col.replace(/[^a-zA-Z0-9_]/g, ''))),
+                key: encryption.key
+              } : null
+            }
+          );
+          tableStats.inserted += batchStats.inserted;
+          tableStats.updated += batchStats.updated;
+          tableStats.skipped += batchStats.skipped;
+          tableStats.failed += batchStats.failed;
+          if (batchStats.error) {
+            lastBatchError = batchStats.error;
           }
+        }, BACKUP_BATCH_SIZE, streamCondition);
 
-          return `"${colName}" ${colType}`;
-        }).join(',\n    ');
+        // Rows that failed were not marked as seen; don't mistake them for deletions.
+        // An incremental read doesn't see unchanged rows either, so deletions wait for a full read
+        if (incremental) {
+          results.incrementalTables++;
+        }
+        if (tableStats.failed === 0 && !incremental) {
+          try {
+            tableStats.deleted = await markDeletedRows(backendName, tableName, snapshot.snapshotNumber, rowFilter);
+          } catch (error) {
+            if (!rowFilter) {
+              throw error;
+            }
+            // The filter may refer to something the backup table doesn't have
+            results.warnings.push({
+              table: tableName,
+              warning: `Row filter can't be applied to the backup table (${error.message}); deletion detection skipped`
+            });
+          }
+        } else if (tableStats.failed > 0) {
+          results.errors.push({
+            table: tableName,
+            error: `${tableStats.failed} row(s) failed to back up (${lastBatchError}); deletion detection skipped`
+          });
+        }
+
+        // Advance the watermark only once every row up to it is backed up
+        // (an empty table resets it, so the next run reads in full)
+        const watermarkAdvanced = watermarkColumn && tableStats.failed === 0;
+        if (watermarkAdvanced) {
+          await saveWatermark(backendName, tableName, {
+            column: watermarkColumn,
+            value: nextWatermark,
+            jobId,
+            snapshotNumber: snapshot.snapshotNumber,
+            fullSync: !incremental
+          });
+        }
+
+        results.processedTables++;
+        results.insertedRecords += tableStats.inserted;
+        results.updatedRecords += tableStats.updated;
+        results.deletedRecords += tableStats.deleted;
+        results.skippedRecords += tableStats.skipped;
+        const durationMs = Date.now() - tableStartedAt;
+        results.totalRowsRead += rowsRead;
+        results.tables[tableName] = {
+          count: tablesData[tableName]?.count ?? 0,
+          ...(rowFilter ? { rowFilter } : {}),
+          ...(encryption.columns.length > 0 ? { encryptedColumns: encryption.columns } : {}),
+          mode: incremental ? 'incremental' : 'full',
+          ...(watermarkColumn ? {
+            watermark: {
+              column: watermarkColumn,
+              from: incremental ? previousWatermark.value : null,
+              to: watermarkAdvanced ? nextWatermark : (previousWatermark?.value ?? null)
+            }
+          } : {}),
+          ...tableStats,
+          rowsRead,
+          durationMs,
+          rowsPerSecond: durationMs > 0 ? Math.round((rowsRead / durationMs) * 1000) : rowsRead
+        };
 
+        // Generate manual command for table creation (for reference)
         results.manualCommands.push({
           table: `backup_${tableName}`,
-          command: `CREATE TABLE IF NOT EXISTS "backup_${tableName}" (\n    id SERIAL PRIMARY KEY,\n    ${columnDefs},\n    backup_created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,\n    backup_updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP\n);`
+          command: buildBackupTableStatement(backendName, tableName, backupDefinition, BACKUP_METADATA_COLUMNS)
         });
 
       } catch (error) {
+        if (options.signal?.aborted) {
+          throw error;
+        }
         results.errors.push({
           table: tableName,
           error: error.message
@@ -512,9 +1386,21 @@ export async function backupDatabase(databaseUrl, backendName) {
       }
     }
 
+    results.durationMs = Date.now() - startedAt;
+    results.rowsPerSecond = results.durationMs > 0
+      ? Math.round((results.totalRowsRead / results.durationMs) * 1000)
+      : results.totalRowsRead;
+
+    await completeSnapshot(jobId, results.tables);
+
     return results;
   } catch (error) {
+    if (snapshot) {
+      await failSnapshot(jobId, error.message);
+    }
     throw new Error(`Backup database failed: ${error.message}`);
+  } finally {
+    await localClient.end().catch(() => {});
   }
 }
 
@@ -523,19 +1409,11 @@ export async function backupDatabase(databaseUrl, backendName) {
  */
 export async function getAllBackupTables(backendName) {
   try {
-    // Get all tables that start with 'backup_'
-    const query = `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name LIKE 'backup_%'
-      ORDER BY table_name;
-    `;
-    
-    const result = await prisma.$queryRawUnsafe(query);
-    const tables = result.map(row => row.table_name);
+    // Get all backup tables from this backend's schema
+    const tables = await listBackupTables(backendName);
+    const watermarks = await listWatermarks(backendName);
 
-    // Get row count for each table (show ALL backup tables from local database)
+    // Get row count for each table
     const tablesWithCounts = {};
     for (const tableName of tables) {
       try {
@@ -544,7 +1422,7 @@ export async function getAllBackupTables(backendName) {
           continue;
         }
 
-        const countQuery = `SELECT COUNT(*) as total FROM "${tableName}"`;
+        const countQuery = `SELECT COUNT(*) as total FROM ${getBackupTableRef(backendName, tableName)}`;
         const countResult = await prisma.$queryRawUnsafe(countQuery);
         // Handle BigInt values from COUNT(*)
         const countValue = countResult[0].total;
@@ -553,7 +1431,8 @@ export async function getAllBackupTables(backendName) {
           : parseInt(countValue);
         tablesWithCounts[tableName] = {
           count: count,
-          originalTableName: tableName.replace('backup_', '')
+          originalTableName: tableName.replace('backup_', ''),
+          watermark: watermarks[tableName.replace('backup_', '')] || null
         };
       } catch (error) {
         // Include table even if there's an error getting count
@@ -567,6 +1446,7 @@ export async function getAllBackupTables(backendName) {
 
     return {
       backendName,
+      backupSchema: getBackupSchemaName(backendName),
       totalTables: tables.length,
       tables: tablesWithCounts
     };
@@ -610,26 +1490,17 @@ function convertBigIntToString(obj) {
 export async function getBackupTableData(tableName, backendName, page = 1, limit = 10) {
   try {
     const backupTableName = `backup_${tableName}`;
+    const backupTableRef = getBackupTableRef(backendName, tableName);
     
-    // Check if table exists
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = '${backupTableName}'
-      );
-    `;
-    
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery);
-
-    if (!tableExists[0].exists) {
-      throw new Error(`Table ${backupTableName} does not exist`);
+    // Check if table exists in this backend's schema
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Table ${backupTableName} does not exist for backend ${backendName}`);
     }
 
     const offset = (page - 1) * limit;
 
     // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM "${backupTableName}"`;
+    const countQuery = `SELECT COUNT(*) as total FROM ${backupTableRef}`;
     const countResult = await prisma.$queryRawUnsafe(countQuery);
     // Handle BigInt values from COUNT(*)
     const countValue = countResult[0].total;
@@ -638,8 +1509,8 @@ export async function getBackupTableData(tableName, backendName, page = 1, limit
       : parseInt(countValue);
 
     // Get paginated data
-    const dataQuery = `SELECT * FROM "${backupTableName}" ORDER BY id DESC LIMIT ${limit} OFFSET ${offset}`;
-    const dataResult = await prisma.$queryRawUnsafe(dataQuery);
+    const dataQuery = `SELECT * FROM ${backupTableRef} ORDER BY id DESC LIMIT ${limit} OFFSET ${offset}`;
+    const dataResult = await queryBackupRows(dataQuery);
 
     // Convert BigInt values to strings for JSON serialization
     const convertedData = convertBigIntToString(dataResult);
@@ -662,20 +1533,11 @@ export async function getBackupTableData(tableName, backendName, page = 1, limit
 export async function deleteBackupById(tableName, backendName, id) {
   try {
     const backupTableName = `backup_${tableName}`;
+    const backupTableRef = getBackupTableRef(backendName, tableName);
     
-    // Check if table exists
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = '${backupTableName}'
-      );
-    `;
-    
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery);
-
-    if (!tableExists[0].exists) {
-      throw new Error(`Table ${backupTableName} does not exist`);
+    // Check if table exists in this backend's schema
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Table ${backupTableName} does not exist for backend ${backendName}`);
     }
 
     // Delete record (sanitize ID)
@@ -683,13 +1545,16 @@ export async function deleteBackupById(tableName, backendName, id) {
     if (isNaN(recordId)) {
       throw new Error('Invalid ID format');
     }
-    const deleteQuery = `DELETE FROM "${backupTableName}" WHERE id = $1 RETURNING id`;
+    const deleteQuery = `DELETE FROM ${backupTableRef} WHERE id = $1 RETURNING id`;
     const result = await prisma.$queryRawUnsafe(deleteQuery.replace('$1', recordId));
 
     if (result.length === 0) {
       throw new Error(`Record with id ${id} not found`);
     }
 
+    // The next run reads the table in full, so the record comes back while it exists in the source
+    await deleteWatermarks(backendName, [tableName]);
+
     return { deleted: true, id: result[0].id };
   } catch (error) {
     throw new Error(`Failed to delete backup record: ${error.message}`);
@@ -702,30 +1567,22 @@ export async function deleteBackupById(tableName, backendName, id) {
 export async function deleteAllBackupData(tableName, backendName) {
   try {
     const backupTableName = `backup_${tableName}`;
+    const backupTableRef = getBackupTableRef(backendName, tableName);
     
-    // Check if table exists
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = '${backupTableName}'
-      );
-    `;
-    
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery);
-
-    if (!tableExists[0].exists) {
-      throw new Error(`Table ${backupTableName} does not exist`);
+    // Check if table exists in this backend's schema
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Table ${backupTableName} does not exist for backend ${backendName}`);
     }
 
     // Get count before deletion
-    const countQuery = `SELECT COUNT(*) as total FROM "${backupTableName}"`;
+    const countQuery = `SELECT COUNT(*) as total FROM ${backupTableRef}`;
     const countResult = await prisma.$queryRawUnsafe(countQuery);
     const totalBefore = parseInt(countResult[0].total);
 
     // Delete all records
-    const deleteQuery = `DELETE FROM "${backupTableName}"`;
+    const deleteQuery = `DELETE FROM ${backupTableRef}`;
     await prisma.$executeRawUnsafe(deleteQuery);
+    await deleteWatermarks(backendName, [tableName]);
 
     return { deleted: true, deletedCount: totalBefore };
   } catch (error) {
@@ -739,20 +1596,11 @@ export async function deleteAllBackupData(tableName, backendName) {
 export async function deleteBackupByDateRange(tableName, backendName, startDate, endDate) {
   try {
     const backupTableName = `backup_${tableName}`;
+    const backupTableRef = getBackupTableRef(backendName, tableName);
     
-    // Check if table exists
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = '${backupTableName}'
-      );
-    `;
-    
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery);
-
-    if (!tableExists[0].exists) {
-      throw new Error(`Table ${backupTableName} does not exist`);
+    // Check if table exists in this backend's schema
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Table ${backupTableName} does not exist for backend ${backendName}`);
     }
 
     // Validate dates
@@ -767,29 +1615,13 @@ export async function deleteBackupByDateRange(tableName, backendName, startDate,
       throw new Error('Start date must be before end date');
     }
 
-    // Get count before deletion
-    const countQuery = `
-      SELECT COUNT(*) as total 
-      FROM "${backupTableName}" 
-      WHERE backup_created_at >= '${start.toISOString()}' 
-      AND backup_created_at <= '${end.toISOString()}'
-    `;
-    const countResult = await prisma.$queryRawUnsafe(countQuery);
-    const totalBefore = parseInt(countResult[0].total);
-
-    // Delete records in date range (sanitize dates)
-    const startISO = start.toISOString();
-    const endISO = end.toISOString();
-    const deleteQuery = `
-      DELETE FROM "${backupTableName}" 
-      WHERE backup_created_at >= '${startISO}' 
-      AND backup_created_at <= '${endISO}'
-    `;
-    await prisma.$executeRawUnsafe(deleteQuery);
+    // Delete records in date range, with the other versions of their rows
+    const deletedCount = await deleteRowVersionsByDateRange(backendName, tableName, start, end);
+    await deleteWatermarks(backendName, [tableName]);
 
     return { 
       deleted: true, 
-      deletedCount: totalBefore,
+      deletedCount,
       startDate: start.toISOString(),
       endDate: end.toISOString()
     };
@@ -803,17 +1635,8 @@ export async function deleteBackupByDateRange(tableName, backendName, startDate,
  */
 export async function deleteAllBackupTablesData(backendName) {
   try {
-    // Get all backup tables
-    const query = `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name LIKE 'backup_%'
-      ORDER BY table_name;
-    `;
-    
-    const result = await prisma.$queryRawUnsafe(query);
-    const tables = result.map(row => row.table_name);
+    // Get all backup tables for this backend
+    const tables = await listBackupTables(backendName);
 
     const results = {
       totalTables: tables.length,
@@ -827,13 +1650,14 @@ export async function deleteAllBackupTablesData(backendName) {
     for (const tableName of tables) {
       try {
         // Get count before deletion
-        const countQuery = `SELECT COUNT(*) as total FROM "${tableName}"`;
+        const countQuery = `SELECT COUNT(*) as total FROM ${getBackupTableRef(backendName, tableName)}`;
         const countResult = await prisma.$queryRawUnsafe(countQuery);
         const totalBefore = parseInt(countResult[0].total);
 
         // Delete all records
-        const deleteQuery = `DELETE FROM "${tableName}"`;
+        const deleteQuery = `DELETE FROM ${getBackupTableRef(backendName, tableName)}`;
         await prisma.$executeRawUnsafe(deleteQuery);
+        await deleteWatermarks(backendName, [tableName.replace(/^backup_/, '')]);
 
         results.deletedTables++;
         results.totalDeletedRecords += totalBefore;
@@ -872,17 +1696,8 @@ export async function deleteAllBackupTablesByDateRange(backendName, startDate, e
       throw new Error('Start date must be before end date');
     }
 
-    // Get all backup tables
-    const query = `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name LIKE 'backup_%'
-      ORDER BY table_name;
-    `;
-    
-    const result = await prisma.$queryRawUnsafe(query);
-    const tables = result.map(row => row.table_name);
+    // Get all backup tables for this backend
+    const tables = await listBackupTables(backendName);
 
     const results = {
       totalTables: tables.length,
@@ -897,30 +1712,17 @@ export async function deleteAllBackupTablesByDateRange(backendName, startDate, e
     // Delete records in date range from each table
     for (const tableName of tables) {
       try {
-        // Get count before deletion
-        const countQuery = `
-          SELECT COUNT(*) as total 
-          FROM "${tableName}" 
-          WHERE backup_created_at >= '${start.toISOString()}' 
-          AND backup_created_at <= '${end.toISOString()}'
-        `;
-        const countResult = await prisma.$queryRawUnsafe(countQuery);
-        const totalBefore = parseInt(countResult[0].total);
+        // Delete records in date range, with the other versions of their rows
+        const deletedCount = await deleteRowVersionsByDateRange(backendName, tableName, start, end);
 
-        if (totalBefore > 0) {
-          // Delete records in date range
-          const deleteQuery = `
-            DELETE FROM "${tableName}" 
-            WHERE backup_created_at >= '${start.toISOString()}' 
-            AND backup_created_at <= '${end.toISOString()}'
-          `;
-          await prisma.$executeRawUnsafe(deleteQuery);
+        if (deletedCount > 0) {
+          await deleteWatermarks(backendName, [tableName.replace(/^backup_/, '')]);
 
           results.processedTables++;
-          results.totalDeletedRecords += totalBefore;
+          results.totalDeletedRecords += deletedCount;
           results.tableDetails.push({
             tableName,
-            deletedCount: totalBefore
+            deletedCount
           });
         }
       } catch (error) {
@@ -957,19 +1759,14 @@ export async function getLocalBackupFiles(backendName) {
     console.log(`[getLocalBackupFiles] BACKUP_UPLOAD_PATH from env: ${backupPathEnv}`);
     console.log(`[getLocalBackupFiles] Resolved backup path: ${backupPath}`);
 
-    // Check if directory exists
+    // Check if directory exists (deduplicated files are listed from the manifest either way)
+    let hasDirectory = true;
     try {
       await fs.access(backendPath);
       console.log(`[getLocalBackupFiles] Directory exists: ${backendPath}`);
     } catch (error) {
-      // Directory doesn't exist, return empty structure
+      hasDirectory = false;
       console.log(`[getLocalBackupFiles] Directory does not exist: ${backendPath}`, error.message);
-      return {
-        folders: {},
-        files: [],
-        totalFiles: 0,
-        totalSize: 0
-      };
     }
 
     // Recursively get all files
@@ -985,7 +1782,8 @@ export async function getLocalBackupFiles(backendName) {
 
         if (entry.isDirectory()) {
           await scanDirectory(fullPath, fileRelativePath);
-        } else if (entry.isFile()) {
+        } else if (entry.isFile() && !entry.name.endsWith(TEMP_DOWNLOAD_SUFFIX)) {
+          // Unfinished downloads are not backups
           try {
             const stats = await fs.stat(fullPath);
             files.push({
@@ -1004,7 +1802,27 @@ export async function getLocalBackupFiles(backendName) {
       }
     }
 
-    await scanDirectory(backendPath);
+    if (hasDirectory) {
+      await scanDirectory(backendPath);
+    }
+
+    // Files kept in the deduplicated store are read through the manifest
+    const manifest = await loadManifest(backendName);
+    const plainKeys = new Set(files.map(file => file.key));
+    for (const entry of manifest.values()) {
+      if (entry.storage === 'store' && !plainKeys.has(entry.key)) {
+        files.push({
+          key: entry.key,
+          name: entry.key.split('/').pop(),
+          path: entry.key,
+          size: entry.size,
+          lastModified: entry.backedUpAt,
+          fullPath: getBlobPath(getEntryBlobId(entry)),
+          storage: 'dedup'
+        });
+        totalSize += entry.size;
+      }
+    }
 
     console.log(`[getLocalBackupFiles] Found ${files.length} files, total size: ${totalSize} bytes`);
 
@@ -1083,8 +1901,9 @@ export async function getLocalBackupFiles(backendName) {
 
 /**
  * Compare files between bucket and local backup
+ * Files left out by the backend's file filters are counted but not compared
  * @param {string} bucketUrl - Bucket URL
- * @param {Object} attributes - Attributes containing S3 credentials
+ * @param {Object} attributes - Attributes containing the storage driver and its credentials
  * @param {string} backendName - Backend name
  * @returns {Promise<Object>} Comparison results
  */
@@ -1095,6 +1914,7 @@ export async function compareBackupFiles(bucketUrl, attributes, backendName) {
     
     // Get files from local backup
     const localFiles = await getLocalBackupFiles(backendName);
+    const manifest = await loadManifest(backendName);
 
     // Helper function to flatten file structure into a map
     function flattenFiles(structure, prefix = '') {
@@ -1110,6 +1930,8 @@ export async function compareBackupFiles(bucketUrl, attributes, backendName) {
               name: file.name || file.key,
               size: file.size || 0,
               lastModified: file.lastModified || null,
+              etag: file.etag || null,
+              fullPath: file.fullPath || null,
               source: 'bucket'
             });
           });
@@ -1132,12 +1954,25 @@ export async function compareBackupFiles(bucketUrl, attributes, backendName) {
     const bucketFileMap = flattenFiles(bucketFiles, 'bucket');
     const localFileMap = flattenFiles(localFiles, 'local');
 
+    // Local copies of files the backend's file filters leave out are not compared
+    const fileFilters = getFileFilters(attributes);
+    const oversizedKeys = new Set(bucketFiles.excluded?.oversizedKeys || []);
+    let excludedLocalFiles = 0;
+    for (const key of [...localFileMap.keys()]) {
+      if (!isFileKeyIncluded(key, fileFilters) || oversizedKeys.has(key)) {
+        localFileMap.delete(key);
+        excludedLocalFiles++;
+      }
+    }
+
     // Compare files
     const comparison = {
       backendName,
       summary: {
         totalBucketFiles: bucketFileMap.size,
         totalLocalFiles: localFileMap.size,
+        excludedBucketFiles: bucketFiles.excluded?.files || 0,
+        excludedLocalFiles,
         missingInLocal: 0,
         missingInBucket: 0,
         matchingFiles: 0,
@@ -1163,15 +1998,21 @@ export async function compareBackupFiles(bucketUrl, attributes, backendName) {
           lastModified: bucketFile.lastModified
         });
       } else {
-        // File exists in both, check if they match
-        const sizeMatch = bucketFile.size === localFile.size;
-        // Note: We're not comparing content hash, just size for now
-        if (sizeMatch) {
+        // File exists in both, compare content (see compareFileContent)
+        let result;
+        try {
+          result = await compareFileContent(bucketFile, localFile, manifest.get(key));
+        } catch (error) {
+          result = { match: false, basis: 'error', reason: `unreadable: ${error.message}` };
+        }
+
+        if (result.match) {
           comparison.summary.matchingFiles++;
           comparison.matchingFiles.push({
             key: key,
             name: bucketFile.name,
             size: bucketFile.size,
+            basis: result.basis,
             bucketLastModified: bucketFile.lastModified,
             localLastModified: localFile.lastModified
           });
@@ -1182,6 +2023,8 @@ export async function compareBackupFiles(bucketUrl, attributes, backendName) {
             name: bucketFile.name,
             bucketSize: bucketFile.size,
             localSize: localFile.size,
+            reason: result.reason,
+            basis: result.basis,
             bucketLastModified: bucketFile.lastModified,
             localLastModified: localFile.lastModified
           });
@@ -1,5 +1,14 @@
 import prisma from '../config/database.js';
 
+/**
+ * Whether a job can be resumed: an interrupted, failed or cancelled files backup that saved a checkpoint
+ */
+function isResumable(status) {
+  return status.type === 'files' &&
+    ['interrupted', 'failed', 'cancelled'].includes(status.status) &&
+    !!status.checkpoint;
+}
+
 /**
  * Set backup status
  */
@@ -36,6 +45,7 @@ export async function setBackupStatus(jobId, status) {
           ...(status.message !== undefined && { message: status.message }),
           ...(status.result !== undefined && { result: status.result }),
           ...(status.error !== undefined && { error: status.error }),
+          ...(status.checkpoint !== undefined && { checkpoint: status.checkpoint }),
           ...(status.isAutomatic !== undefined && { isAutomatic: status.isAutomatic }),
           updatedAt: new Date()
         }
@@ -52,6 +62,7 @@ export async function setBackupStatus(jobId, status) {
           message: status.message || null,
           result: status.result || null,
           error: status.error || null,
+          checkpoint: status.checkpoint || null,
           isAutomatic: status.isAutomatic !== undefined ? status.isAutomatic : false
         }
       });
@@ -90,6 +101,7 @@ export async function getBackupStatus(jobId) {
       message: status.message,
       result: status.result,
       error: status.error,
+      resumable: isResumable(status),
       createdAt: status.createdAt.toISOString(),
       updatedAt: status.updatedAt.toISOString()
     };
@@ -125,6 +137,7 @@ export async function getAllBackupStatuses(limit = 50) {
       result: status.result,
       error: status.error,
       isAutomatic: status.isAutomatic,
+      resumable: isResumable(status),
       createdAt: status.createdAt.toISOString(),
       updatedAt: status.updatedAt.toISOString()
     }));
@@ -134,6 +147,121 @@ export async function getAllBackupStatuses(limit = 50) {
   }
 }
 
+/**
+ * Get the backup statuses of one type (newest first)
+ * @param {string} type - Backup type ('files', 'database', 'dump' or 'retention')
+ * @param {Object} options - { backendName, limit }
+ */
+export async function getBackupStatusesByType(type, { backendName = null, limit = 50 } = {}) {
+  try {
+    if (!prisma.backupStatus) {
+      console.warn('⚠️  BackupStatus model not found. Please run: npx prisma generate');
+      return [];
+    }
+
+    const statuses = await prisma.backupStatus.findMany({
+      where: {
+        type,
+        ...(backendName && { backendName })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    return statuses.map(status => ({
+      jobId: status.jobId,
+      status: status.status,
+      type: status.type,
+      backendName: status.backendName,
+      progress: status.progress,
+      message: status.message,
+      result: status.result,
+      error: status.error,
+      isAutomatic: status.isAutomatic,
+      createdAt: status.createdAt.toISOString(),
+      updatedAt: status.updatedAt.toISOString()
+    }));
+  } catch (error) {
+    console.error('Error getting backup statuses:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the checkpoint saved by a files backup job
+ * @returns {Promise<Object|null>} Checkpoint, or null if the job saved none
+ */
+export async function getBackupCheckpoint(jobId) {
+  try {
+    const status = await prisma.backupStatus.findUnique({
+      where: { jobId },
+      select: { checkpoint: true }
+    });
+
+    return status?.checkpoint || null;
+  } catch (error) {
+    console.error('Error getting backup checkpoint:', error);
+    return null;
+  }
+}
+
+/**
+ * Report the progress of a files backup job
+ * @param {string} jobId - Job ID
+ * @param {Object} progress - Progress from backupFiles' onProgress
+ */
+export async function setFilesBackupProgress(jobId, progress) {
+  const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  await setBackupStatus(jobId, {
+    status: 'processing',
+    progress: progress.percent,
+    message: `Processed ${progress.processedFiles}/${progress.totalFiles} files ` +
+      `(${megabytes(progress.processedBytes)} of ${megabytes(progress.totalBytes)} MB), ` +
+      `downloaded ${progress.downloadedFiles} files (${megabytes(progress.downloadedBytes)} MB)` +
+      (progress.failedFiles > 0 ? `, ${progress.failedFiles} failed` : ''),
+    checkpoint: progress.checkpoint
+  });
+}
+
+/**
+ * Mark jobs left in processing by a stopped server as interrupted
+ * Runs on startup, before any new job is started
+ * @param {Array<string>} activeJobIds - Jobs still in the job queue, which recovers them itself
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+export async function markInterruptedStatuses(activeJobIds = []) {
+  try {
+    if (!prisma.backupStatus) {
+      console.warn('⚠️  BackupStatus model not found. Please run: npx prisma generate');
+      return 0;
+    }
+
+    const result = await prisma.backupStatus.updateMany({
+      where: {
+        status: { in: ['queued', 'processing'] },
+        ...(activeJobIds.length > 0 && { jobId: { notIn: activeJobIds } })
+      },
+      data: {
+        status: 'interrupted',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the backup was running'
+      }
+    });
+
+    if (result.count > 0) {
+      console.log(`⚠️  Marked ${result.count} unfinished backup job(s) as interrupted`);
+    }
+    return result.count;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return 0;
+    }
+    console.error('Error marking interrupted statuses:', error.message);
+    return 0;
+  }
+}
+
 /**
  * Delete backup status (cleanup)
  */
@@ -149,6 +277,7 @@ export async function deleteBackupStatus(jobId) {
 
 /**
  * Cleanup old backup statuses
+ * Retention runs record what was pruned, so they are kept for RETENTION_HISTORY_DAYS instead
  */
 export async function cleanupOldStatuses() {
   try {
@@ -162,14 +291,19 @@ export async function cleanupOldStatuses() {
     const cutoffDate = new Date();
     cutoffDate.setDate(cutoffDate.getDate() - cleanupDays);
 
+    const historyDays = parseInt(process.env.RETENTION_HISTORY_DAYS || '365');
+    const historyCutoffDate = new Date();
+    historyCutoffDate.setDate(historyCutoffDate.getDate() - historyDays);
+
     const result = await prisma.backupStatus.deleteMany({
       where: {
-        createdAt: {
-          lt: cutoffDate
-        },
         status: {
-          in: ['completed', 'failed']
-        }
+          in: ['completed', 'failed', 'interrupted', 'cancelled']
+        },
+        OR: [
+          { type: { not: 'retention' }, createdAt: { lt: cutoffDate } },
+          { type: 'retention', createdAt: { lt: historyCutoffDate } }
+        ]
       }
     });
 
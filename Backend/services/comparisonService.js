@@ -1,11 +1,50 @@
 import { Client } from 'pg';
-import { getAllTablesWithCounts, getTableDataPaginated } from './fhsDatabaseService.js';
+import { getAllTablesWithCounts, streamTableRows, getDatabaseScope, getRemoteTableRef } from './fhsDatabaseService.js';
 import prisma from '../config/database.js';
+import { getBackupSchemaName, getBackupTableRef, listBackupTables } from './backupSchemaService.js';
+import { computeRowHash } from './backupService.js';
+import { getTableFilters, isTableIncluded } from './filterService.js';
+
+// Only the current, not-deleted version of each row counts as "in the backup"
+const CURRENT_ROWS_CONDITION = 'backup_valid_to IS NULL AND backup_deleted = false';
+
+/**
+ * Build the condition selecting backup rows that are compared with the remote table
+ * A row filtered table only compares the rows inside its filter; rows that left the
+ * window stay in the backup and would otherwise count as extra
+ */
+function getBackupRowsCondition(rowFilter) {
+  return rowFilter ? `${CURRENT_ROWS_CONDITION} AND (${rowFilter})` : CURRENT_ROWS_CONDITION;
+}
+
+/**
+ * Count the current rows of a backup table, limited to a row filter when it applies
+ * Falls back to all current rows if the filter can't be evaluated on the backup table
+ */
+async function countBackupRows(backupTableRef, rowFilter = null) {
+  const count = async (condition) => {
+    const countResult = await prisma.$queryRawUnsafe(`SELECT COUNT(*) as total FROM ${backupTableRef} WHERE ${condition}`);
+    return Number(countResult[0].total);
+  };
+
+  if (rowFilter) {
+    try {
+      return await count(getBackupRowsCondition(rowFilter));
+    } catch (error) {
+      console.warn(`Row filter can't be applied to ${backupTableRef}:`, error.message);
+    }
+  }
+  return await count(CURRENT_ROWS_CONDITION);
+}
 
 /**
  * Compare backup tables with remote database
+ * @param {string} databaseUrl - Remote database URL
+ * @param {string} backendName - Backend name
+ * @param {Object} attributes - Setting attributes (schemas and views to compare, see getDatabaseScope;
+ *   table include/exclude rules and row filters, see getTableFilters)
  */
-export async function compareBackupWithRemote(databaseUrl, backendName) {
+export async function compareBackupWithRemote(databaseUrl, backendName, attributes = {}) {
   try {
     // Internal Prisma schema tables (should not be compared)
     // These are tables defined in schema.prisma for internal use only
@@ -33,25 +72,19 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
     };
     
     // Get all tables from remote database
-    const remoteTablesData = await getAllTablesWithCounts(databaseUrl);
+    // Tables excluded from the backup are left out of the comparison as well
+    const tableFilters = getTableFilters(attributes);
+    const remoteTablesData = await getAllTablesWithCounts(databaseUrl, getDatabaseScope(attributes), tableFilters);
     // Filter out internal Prisma schema tables
     const remoteTableNames = Object.keys(remoteTablesData).filter(
       tableName => !isInternalTable(tableName)
     );
     
-    // Get all backup tables for this backend
-    const backupTablesQuery = `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_name LIKE 'backup_%'
-      ORDER BY table_name;
-    `;
-    const backupTablesResult = await prisma.$queryRawUnsafe(backupTablesQuery);
+    // Get all backup tables for this backend (from its own schema)
+    const backupTablesResult = await listBackupTables(backendName);
     // Filter out backup tables that correspond to internal Prisma schema tables
     // Internal tables from schema.prisma: settings, backup_statuses
     const backupTableNames = backupTablesResult
-      .map(row => row.table_name)
       .filter(tableName => {
         if (!tableName) return false;
         
@@ -83,6 +116,11 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
         if (isInternalTable(withoutFirstPrefix)) {
           return false;
         }
+
+        // Skip backups of tables that are excluded now
+        if (!isTableIncluded(withoutFirstPrefix, tableFilters)) {
+          return false;
+        }
         
         return true;
       });
@@ -92,6 +130,7 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
     
     const comparison = {
       backendName,
+      backupSchema: getBackupSchemaName(backendName),
       totalRemoteTables: remoteTableNames.length,
       totalBackupTables: backupTableNames.length,
       tablesComparison: [],
@@ -101,7 +140,8 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
         fullyBackedUp: 0,
         partiallyBackedUp: 0,
         notBackedUp: 0,
-        missingInRemote: 0
+        missingInRemote: 0,
+        modifiedSinceBackup: 0
       }
     };
 
@@ -115,6 +155,7 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
       const backupTableName = `backup_${remoteTableName}`;
       const existsInBackup = backupTableNames.includes(backupTableName);
       
+      const rowFilter = remoteTableInfo.rowFilter || null;
       let backupCount = 0;
       let missingRecords = [];
       let progress = 0;
@@ -123,12 +164,7 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
       if (existsInBackup) {
         try {
           // Get backup table count
-          const countQuery = `SELECT COUNT(*) as total FROM "${backupTableName}"`;
-          const countResult = await prisma.$queryRawUnsafe(countQuery);
-          const countValue = countResult[0].total;
-          backupCount = typeof countValue === 'bigint' 
-            ? Number(countValue) 
-            : (typeof countValue === 'string' ? parseInt(countValue) : countValue);
+          backupCount = await countBackupRows(getBackupTableRef(backendName, backupTableName), rowFilter);
           
           // Calculate progress
           if (remoteCount > 0) {
@@ -149,9 +185,13 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
             comparison.summary.notBackedUp++;
           }
 
+          // Find rows changed at the source since their backed-up version
+          const modifiedData = await findModifiedRecords(databaseUrl, remoteTableName, getBackupTableRef(backendName, backupTableName), rowFilter);
+          comparison.summary.modifiedSinceBackup += modifiedData.totalModified;
+
           // Find missing records (compare IDs if available)
           if (remoteCount > backupCount && remoteCount > 0) {
-            const missingData = await findMissingRecords(databaseUrl, remoteTableName, backupTableName, remoteCount, backupCount);
+            const missingData = await findMissingRecords(databaseUrl, remoteTableName, getBackupTableRef(backendName, backupTableName), remoteCount, backupCount, rowFilter);
             missingRecords = missingData.records || [];
             const missingIds = missingData.ids || [];
             const totalMissing = missingData.totalMissing || 0;
@@ -164,9 +204,12 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
               difference: Number(remoteCount) - Number(backupCount),
               progress: Number(progress),
               status: tableStatus,
+              rowFilter,
               missingRecordsCount: totalMissing,
               missingRecordsIds: missingIds.slice(0, 100), // First 100 IDs
               missingRecords: missingRecords.slice(0, 100), // First 100 full records
+              modifiedRecordsCount: modifiedData.totalModified,
+              modifiedRecordsIds: modifiedData.ids
             });
           } else {
             // No missing records or no need to check
@@ -178,9 +221,12 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
               difference: Number(remoteCount) - Number(backupCount),
               progress: Number(progress),
               status: tableStatus,
+              rowFilter,
               missingRecordsCount: 0,
               missingRecordsIds: [],
-              missingRecords: []
+              missingRecords: [],
+              modifiedRecordsCount: modifiedData.totalModified,
+              modifiedRecordsIds: modifiedData.ids
             });
           }
         } catch (error) {
@@ -196,7 +242,9 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
             status: 'error',
             missingRecordsCount: 0,
             missingRecordsIds: [],
-            missingRecords: []
+            missingRecords: [],
+            modifiedRecordsCount: 0,
+            modifiedRecordsIds: []
           });
         }
       } else {
@@ -217,7 +265,9 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
           status: 'not_backed_up',
           missingRecordsCount: 0,
           missingRecordsIds: [],
-          missingRecords: []
+          missingRecords: [],
+          modifiedRecordsCount: 0,
+          modifiedRecordsIds: []
         });
       }
 
@@ -263,7 +313,7 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
       
       if (!remoteTableNames.includes(originalTableName)) {
         try {
-          const countQuery = `SELECT COUNT(*) as total FROM "${backupTableName}"`;
+          const countQuery = `SELECT COUNT(*) as total FROM ${getBackupTableRef(backendName, backupTableName)} WHERE ${CURRENT_ROWS_CONDITION}`;
           const countResult = await prisma.$queryRawUnsafe(countQuery);
           const countValue = countResult[0].total;
           const backupCount = typeof countValue === 'bigint' 
@@ -291,8 +341,9 @@ export async function compareBackupWithRemote(databaseUrl, backendName) {
 
 /**
  * Find missing records by comparing IDs and return full record data
+ * Only remote rows inside the table's row filter are expected in the backup
  */
-async function findMissingRecords(databaseUrl, remoteTableName, backupTableName, remoteCount, backupCount) {
+async function findMissingRecords(databaseUrl, remoteTableName, backupTableRef, remoteCount, backupCount, rowFilter = null) {
   try {
     const client = new Client({
       connectionString: databaseUrl
@@ -301,7 +352,7 @@ async function findMissingRecords(databaseUrl, remoteTableName, backupTableName,
     await client.connect();
 
     // Get remote table IDs (assuming 'id' column exists)
-    const remoteIdsQuery = `SELECT id FROM "${remoteTableName}" ORDER BY id`;
+    const remoteIdsQuery = `SELECT id FROM ${getRemoteTableRef(remoteTableName)}${rowFilter ? ` WHERE ${rowFilter}` : ''} ORDER BY id`;
     const remoteIdsResult = await client.query(remoteIdsQuery);
     const remoteIds = new Set(remoteIdsResult.rows.map(row => {
       const id = row.id;
@@ -309,7 +360,7 @@ async function findMissingRecords(databaseUrl, remoteTableName, backupTableName,
     }));
 
     // Get backup table IDs
-    const backupIdsQuery = `SELECT id FROM "${backupTableName}" ORDER BY id`;
+    const backupIdsQuery = `SELECT id FROM ${backupTableRef} WHERE ${CURRENT_ROWS_CONDITION} ORDER BY id`;
     const backupIdsResult = await prisma.$queryRawUnsafe(backupIdsQuery);
     const backupIds = new Set(backupIdsResult.map(row => {
       const id = row.id;
@@ -332,7 +383,7 @@ async function findMissingRecords(databaseUrl, remoteTableName, backupTableName,
         const idsToFetch = missingIds.slice(0, 100);
         
         // Build query - handle both numeric and string IDs
-        const sanitizedTableName = remoteTableName.replace(/[^a-zA-Z0-9_]/g, '');
+        const remoteTableRef = getRemoteTableRef(remoteTableName);
         let missingRecordsQuery;
         
         // Try to determine if IDs are numeric
@@ -342,11 +393,11 @@ async function findMissingRecords(databaseUrl, remoteTableName, backupTableName,
         if (isNumeric) {
           // Numeric IDs
           const numericIds = idsToFetch.map(id => Number(id));
-          missingRecordsQuery = `SELECT * FROM "${sanitizedTableName}" WHERE id = ANY(ARRAY[${numericIds.join(',')}]) LIMIT 100`;
+          missingRecordsQuery = `SELECT * FROM ${remoteTableRef} WHERE id = ANY(ARRAY[${numericIds.join(',')}]) LIMIT 100`;
         } else {
           // String IDs - escape properly
           const escapedIds = idsToFetch.map(id => `'${String(id).replace(/'/g, "''")}'`).join(',');
-          missingRecordsQuery = `SELECT * FROM "${sanitizedTableName}" WHERE id IN (${escapedIds}) LIMIT 100`;
+          missingRecordsQuery = `SELECT * FROM ${remoteTableRef} WHERE id IN (${escapedIds}) LIMIT 100`;
         }
         
         const missingRecordsResult = await client.query(missingRecordsQuery);
@@ -390,3 +441,46 @@ async function findMissingRecords(databaseUrl, remoteTableName, backupTableName,
     };
   }
 }
+
+/**
+ * Find rows whose source content differs from their current backed-up version
+ * Remote rows are hashed the same way the backup hashes them and compared by id
+ * Rows backed up before change capture (no hash yet) are not reported
+ */
+async function findModifiedRecords(databaseUrl, remoteTableName, backupTableRef, rowFilter = null) {
+  try {
+    const backupHashesResult = await prisma.$queryRawUnsafe(
+      `SELECT id::text AS id, backup_row_hash FROM ${backupTableRef} WHERE ${CURRENT_ROWS_CONDITION} AND backup_row_hash IS NOT NULL`
+    );
+    const backupHashes = new Map(backupHashesResult.map(row => [row.id, row.backup_row_hash]));
+
+    const modifiedIds = [];
+    if (backupHashes.size === 0) {
+      return { ids: [], totalModified: 0 };
+    }
+
+    // Stream the remote table and hash rows the same way the backup does
+    await streamTableRows(databaseUrl, remoteTableName, async (rows, fields) => {
+      const columnNames = fields.map(field => field.name);
+
+      for (const row of rows) {
+        if (row.id === null || row.id === undefined) {
+          continue;
+        }
+        const backupHash = backupHashes.get(String(row.id));
+        if (backupHash && backupHash !== computeRowHash(row, columnNames)) {
+          modifiedIds.push(String(row.id));
+        }
+      }
+    }, 1000, rowFilter);
+
+    return {
+      ids: modifiedIds.slice(0, 100), // First 100 IDs
+      totalModified: modifiedIds.length
+    };
+  } catch (error) {
+    // If 'id' column doesn't exist or other error, report nothing
+    console.warn(`Could not find modified records for ${remoteTableName}:`, error.message);
+    return { ids: [], totalModified: 0 };
+  }
+}
@@ -0,0 +1,337 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { spawn } from 'child_process';
+import { Client } from 'pg';
+import { getDatabaseScope } from './fhsDatabaseService.js';
+import { getTableFilters } from './filterService.js';
+import { getBackupEncoding, getEncodingSummary, encodeFile, decodeFile, readEnvelope } from './encryptionService.js';
+
+// Dump archives live next to the file backups (a reserved name, see validateSetting)
+const DUMPS_DIRECTORY = '.dumps';
+
+const DUMP_EXTENSION = '.dump';
+
+/**
+ * Resolve the directory holding the dump archives of a backend
+ * BACKUP_UPLOAD_PATH/.dumps/{backendName}
+ */
+export function getDumpDirectory(backendName) {
+  const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+  const baseBackupPath = path.isAbsolute(backupPathEnv)
+    ? backupPathEnv
+    : path.resolve(process.cwd(), backupPathEnv);
+
+  return path.join(baseBackupPath, DUMPS_DIRECTORY, backendName);
+}
+
+/**
+ * Resolve an archive file name inside a backend's dump directory
+ * Only plain file names are accepted, so a request can't point outside the directory
+ */
+function getDumpPath(backendName, fileName) {
+  if (!fileName || path.basename(fileName) !== fileName || !fileName.endsWith(DUMP_EXTENSION)) {
+    throw new Error(`Invalid dump file name: ${fileName}`);
+  }
+  return path.join(getDumpDirectory(backendName), fileName);
+}
+
+/**
+ * Hide the password of a connection URL for logs and job results
+ */
+function maskDatabaseUrl(databaseUrl) {
+  try {
+    const url = new URL(databaseUrl);
+    if (url.password) {
+      url.password = '****';
+    }
+    return url.toString();
+  } catch (error) {
+    return '(invalid database URL)';
+  }
+}
+
+/**
+ * Split a connection URL for the PostgreSQL client tools
+ * The password is handed over in PGPASSWORD, so it doesn't show in the process list
+ * @returns {Object} { dbname: URL without the password, env: { PGPASSWORD } when it has one }
+ */
+function getToolConnection(databaseUrl) {
+  let url;
+  try {
+    url = new URL(databaseUrl);
+  } catch (error) {
+    throw new Error('Invalid database URL');
+  }
+
+  const password = url.password ? decodeURIComponent(url.password) : url.searchParams.get('password');
+  url.password = '';
+  url.searchParams.delete('password');
+
+  return {
+    dbname: url.toString(),
+    env: password ? { PGPASSWORD: password } : {}
+  };
+}
+
+/**
+ * Run a PostgreSQL client tool and collect its stderr
+ * @param {string} command - Executable (pg_dump, pg_restore)
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - { env: added to the tool's environment, signal: terminates the tool once aborted }
+ * @returns {Promise<string>} Output written to stderr (warnings)
+ */
+function runTool(command, args, { env = {}, signal = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      env: { ...process.env, ...env },
+      ...(signal && { signal })
+    });
+    let stderr = '';
+
+    child.stderr.on('data', (chunk) => {
+      // Keep the tail; a failing restore can print one line per object
+      stderr = (stderr + chunk.toString()).slice(-20000);
+    });
+
+    child.on('error', (error) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+      reject(new Error(error.code === 'ENOENT'
+        ? `${command} not found; install the PostgreSQL client tools or set its path in the environment`
+        : error.message));
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve(stderr.trim());
+      } else {
+        reject(new Error(`${path.basename(command)} exited with code ${code}: ${stderr.trim() || 'no output'}`));
+      }
+    });
+  });
+}
+
+/**
+ * Create a pg_dump custom-format archive of a backend's database
+ * The archive keeps what the row copy can't: sequences, indexes, constraints,
+ * functions, triggers and views. DB_SCHEMAS limits the dump to those schemas,
+ * and tables matched by TABLE_EXCLUDE are dumped without their data.
+ * The archive is compressed and encrypted as configured (see getBackupEncoding); pg_dump
+ * already compresses its data, so BACKUP_COMPRESSION gains little here.
+ * @param {string} databaseUrl - Remote database URL
+ * @param {string} backendName - Backend name
+ * @param {Object} options - { jobId, attributes, signal (AbortSignal: stops pg_dump, no archive is kept) }
+ * @returns {Promise<Object>} Archive details
+ */
+export async function createDump(databaseUrl, backendName, options = {}) {
+  const startedAt = Date.now();
+  const dumpDirectory = getDumpDirectory(backendName);
+  const fileName = `${options.jobId || `dump_${Date.now()}`}${DUMP_EXTENSION}`.replace(/[^a-zA-Z0-9_.-]/g, '_');
+  const archivePath = path.join(dumpDirectory, fileName);
+  const partialPath = `${archivePath}.partial`;
+  const encodedPath = `${archivePath}.encoding`;
+
+  try {
+    const encoding = getBackupEncoding(options.attributes);
+    await fs.mkdir(dumpDirectory, { recursive: true });
+
+    const args = ['--format=custom', '--no-password', `--file=${partialPath}`];
+
+    // Only restrict schemas when they were configured explicitly
+    if (options.attributes?.DB_SCHEMAS) {
+      getDatabaseScope(options.attributes).schemas.forEach(schema => args.push(`--schema=${schema}`));
+    }
+    getTableFilters(options.attributes).exclude.forEach(pattern => args.push(`--exclude-table-data=${pattern}`));
+
+    const connection = getToolConnection(databaseUrl);
+    args.push(`--dbname=${connection.dbname}`);
+
+    console.log(`🗄️ Dumping ${maskDatabaseUrl(databaseUrl)} to ${archivePath}`);
+    const warnings = await runTool(process.env.PG_DUMP_PATH || 'pg_dump', args, {
+      env: connection.env,
+      signal: options.signal
+    });
+
+    // Only a complete archive gets the final name
+    const encryption = getEncodingSummary(encoding);
+    if (encryption) {
+      await encodeFile(partialPath, encodedPath, encoding);
+      await fs.rename(encodedPath, archivePath);
+      await fs.unlink(partialPath);
+    } else {
+      await fs.rename(partialPath, archivePath);
+    }
+    const stats = await fs.stat(archivePath);
+
+    return {
+      fileName,
+      archivePath,
+      sizeBytes: stats.size,
+      encryption,
+      durationMs: Date.now() - startedAt,
+      warnings: warnings ? warnings.split('\n') : []
+    };
+  } catch (error) {
+    await fs.unlink(partialPath).catch(() => {});
+    await fs.unlink(encodedPath).catch(() => {});
+    throw new Error(`Database dump failed: ${error.message}`);
+  }
+}
+
+/**
+ * List the dump archives of a backend (newest first)
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Array>} Array of { fileName, sizeBytes, createdAt, keyId, compression }
+ */
+export async function listDumps(backendName) {
+  try {
+    const dumpDirectory = getDumpDirectory(backendName);
+    const entries = await fs.readdir(dumpDirectory).catch(() => []);
+    const dumps = [];
+
+    for (const entry of entries) {
+      if (!entry.endsWith(DUMP_EXTENSION)) {
+        continue;
+      }
+      const stats = await fs.stat(path.join(dumpDirectory, entry));
+      const envelope = await readEnvelope(path.join(dumpDirectory, entry));
+      dumps.push({
+        fileName: entry,
+        sizeBytes: stats.size,
+        createdAt: stats.mtime.toISOString(),
+        keyId: envelope?.header.encryption?.keyId || null,
+        compression: envelope?.header.compression || null
+      });
+    }
+
+    return dumps.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  } catch (error) {
+    throw new Error(`Failed to list dumps: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a dump archive of a backend (used by retention)
+ * @param {string} backendName - Backend name
+ * @param {string} fileName - Archive file name from listDumps
+ */
+export async function deleteDump(backendName, fileName) {
+  try {
+    await fs.rm(getDumpPath(backendName, fileName), { force: true });
+  } catch (error) {
+    throw new Error(`Failed to delete dump: ${error.message}`);
+  }
+}
+
+/**
+ * Create an empty scratch database on the server of a database URL
+ * @returns {Promise<Object>} { databaseName, databaseUrl }
+ */
+async function createScratchDatabase(databaseUrl, backendName) {
+  const slug = backendName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 30);
+  const databaseName = `restore_${slug}_${Date.now()}`;
+
+  const client = new Client({ connectionString: databaseUrl });
+  try {
+    await client.connect();
+    await client.query(`CREATE DATABASE "${databaseName}"`);
+  } finally {
+    await client.end();
+  }
+
+  const url = new URL(databaseUrl);
+  url.pathname = `/${databaseName}`;
+  return { databaseName, databaseUrl: url.toString() };
+}
+
+/**
+ * Drop a scratch database left behind by a failed restore
+ */
+async function dropScratchDatabase(databaseUrl, databaseName) {
+  const client = new Client({ connectionString: databaseUrl });
+  try {
+    await client.connect();
+    await client.query(`DROP DATABASE IF EXISTS "${databaseName}"`);
+  } catch (error) {
+    console.error(`Error dropping scratch database ${databaseName}:`, error.message);
+  } finally {
+    await client.end().catch(() => {});
+  }
+}
+
+/**
+ * Restore a dump archive with pg_restore
+ * The restore runs in a single transaction and stops at the first error, so the
+ * target is left untouched when it fails. Objects are restored without their
+ * original owner and privileges, which may not exist on the target server.
+ * Encrypted or compressed archives are decoded next to the archive for pg_restore.
+ * @param {string} backendName - Backend name
+ * @param {string} fileName - Archive file name (from listDumps)
+ * @param {string} databaseUrl - Target database URL (the backend's DBurl)
+ * @param {Object} options - { target: 'database' | 'scratch', clean, signal }
+ *   target 'scratch' restores into a new database on the same server;
+ *   clean drops existing objects before recreating them;
+ *   aborting signal stops pg_restore, whose single transaction is rolled back
+ * @returns {Promise<Object>} Restore details
+ */
+export async function restoreDump(backendName, fileName, databaseUrl, options = {}) {
+  const startedAt = Date.now();
+  let scratchDatabase = null;
+  let decodedPath = null;
+
+  try {
+    const archivePath = getDumpPath(backendName, fileName);
+    await fs.access(archivePath).catch(() => {
+      throw new Error(`Dump ${fileName} not found for backend ${backendName}`);
+    });
+
+    let restorePath = archivePath;
+    if (await readEnvelope(archivePath)) {
+      decodedPath = `${archivePath}.decoded`;
+      await decodeFile(archivePath, decodedPath);
+      restorePath = decodedPath;
+    }
+
+    let targetUrl = databaseUrl;
+    if (options.target === 'scratch') {
+      const scratch = await createScratchDatabase(databaseUrl, backendName);
+      scratchDatabase = scratch.databaseName;
+      targetUrl = scratch.databaseUrl;
+    }
+
+    const args = ['--no-password', '--no-owner', '--no-privileges', '--single-transaction', '--exit-on-error'];
+    if (options.clean && options.target !== 'scratch') {
+      args.push('--clean', '--if-exists');
+    }
+    const connection = getToolConnection(targetUrl);
+    args.push(`--dbname=${connection.dbname}`, restorePath);
+
+    console.log(`🗄️ Restoring ${fileName} into ${maskDatabaseUrl(targetUrl)}`);
+    const warnings = await runTool(process.env.PG_RESTORE_PATH || 'pg_restore', args, {
+      env: connection.env,
+      signal: options.signal
+    });
+
+    return {
+      fileName,
+      target: options.target === 'scratch' ? 'scratch' : 'database',
+      targetDatabase: maskDatabaseUrl(targetUrl),
+      scratchDatabase,
+      clean: !!options.clean && options.target !== 'scratch',
+      durationMs: Date.now() - startedAt,
+      warnings: warnings ? warnings.split('\n') : []
+    };
+  } catch (error) {
+    if (scratchDatabase) {
+      await dropScratchDatabase(databaseUrl, scratchDatabase);
+    }
+    throw new Error(`Dump restore failed: ${error.message}`);
+  } finally {
+    if (decodedPath) {
+      await fs.unlink(decodedPath).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import zlib from 'zlib';
+import { createReadStream, createWriteStream, readFileSync } from 'fs';
+import { PassThrough, Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { globToRegExp } from './filterService.js';
+
+const CIPHER_ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const AUTH_TAG_LENGTH = 16;
+
+// Encoded files start with this marker, the length of their JSON header and the header itself
+const ENVELOPE_MAGIC = Buffer.from('BKPENC01');
+const ENVELOPE_PREFIX_LENGTH = ENVELOPE_MAGIC.length + 4;
+const MAX_HEADER_LENGTH = 64 * 1024;
+
+const COMPRESSIONS = ['gzip', 'zstd'];
+
+// Encrypted column values: enc:v1:{keyId}:{base64 of IV, auth tag and ciphertext}
+const VALUE_PREFIX = 'enc:v1:';
+const VALUE_PATTERN = /^enc:v1:([a-f0-9]{16}):([A-Za-z0-9+/]+={0,2})$/;
+
+let keyring = null;
+
+/**
+ * Parse a 32-byte key given as 64 hex characters or base64
+ * A key file may also hold the 32 raw bytes
+ */
+function parseKey(value, source) {
+  let key;
+  if (Buffer.isBuffer(value) && value.length === KEY_LENGTH) {
+    key = value;
+  } else {
+    const text = String(value).trim();
+    key = /^[a-f0-9]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  }
+
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${source} must be a 32-byte key (64 hex characters or base64)`);
+  }
+
+  // The ID names the key in backups and job results without revealing it
+  return {
+    keyId: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16),
+    key
+  };
+}
+
+/**
+ * Load the encryption keys from the environment (once)
+ * - BACKUP_ENCRYPTION_KEY, or BACKUP_ENCRYPTION_KEY_FILE: key new backups are encrypted with
+ * - BACKUP_ENCRYPTION_PREVIOUS_KEYS: comma separated keys kept to read backups made before a rotation
+ * @returns {Object} { active, keys (Map by key ID) }
+ */
+function loadKeyring() {
+  if (keyring) {
+    return keyring;
+  }
+
+  let active = null;
+  if (process.env.BACKUP_ENCRYPTION_KEY) {
+    active = parseKey(process.env.BACKUP_ENCRYPTION_KEY, 'BACKUP_ENCRYPTION_KEY');
+  } else if (process.env.BACKUP_ENCRYPTION_KEY_FILE) {
+    let content;
+    try {
+      content = readFileSync(process.env.BACKUP_ENCRYPTION_KEY_FILE);
+    } catch (error) {
+      throw new Error(`Failed to read BACKUP_ENCRYPTION_KEY_FILE: ${error.message}`);
+    }
+    active = parseKey(content, 'BACKUP_ENCRYPTION_KEY_FILE');
+  }
+
+  const keys = new Map();
+  String(process.env.BACKUP_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .map(value => value.trim())
+    .filter(Boolean)
+    .forEach(value => {
+      const key = parseKey(value, 'BACKUP_ENCRYPTION_PREVIOUS_KEYS');
+      keys.set(key.keyId, key);
+    });
+  if (active) {
+    keys.set(active.keyId, active);
+  }
+
+  keyring = { active, keys };
+  return keyring;
+}
+
+/**
+ * Find the key a backup was encrypted with
+ */
+function getKey(keyId) {
+  const key = loadKeyring().keys.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key ${keyId} is not configured (add it to BACKUP_ENCRYPTION_PREVIOUS_KEYS after a rotation)`);
+  }
+  return key;
+}
+
+/**
+ * Resolve how a backend's file backups and dumps are written
+ * Backups are encrypted whenever a key is configured, unless BACKUP_ENCRYPTION is false
+ * in the Setting's attributes. BACKUP_COMPRESSION ('gzip' or 'zstd', from the attributes,
+ * then the environment) compresses them before encryption.
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} { compression, key } (null when not used)
+ */
+export function getBackupEncoding(attributes = {}) {
+  const compressionSetting = String(attributes?.BACKUP_COMPRESSION || process.env.BACKUP_COMPRESSION || '').trim().toLowerCase();
+  const compression = ['', 'none'].includes(compressionSetting) ? null : compressionSetting;
+
+  if (compression && !COMPRESSIONS.includes(compression)) {
+    throw new Error(`Unsupported BACKUP_COMPRESSION "${compression}" (use gzip or zstd)`);
+  }
+  if (compression === 'zstd' && typeof zlib.createZstdCompress !== 'function') {
+    throw new Error(`zstd compression needs Node.js 22.15 or newer (running ${process.version}); use gzip`);
+  }
+
+  const disabled = attributes?.BACKUP_ENCRYPTION === false ||
+    String(attributes?.BACKUP_ENCRYPTION ?? '').trim().toLowerCase() === 'false';
+
+  return {
+    compression,
+    key: disabled ? null : loadKeyring().active
+  };
+}
+
+/**
+ * Get the encryption key for table columns
+ * @throws {Error} When no key is configured
+ */
+export function getColumnEncryptionKey() {
+  const { active } = loadKeyring();
+  if (!active) {
+    throw new Error('TABLE_ENCRYPTED_COLUMNS is set but no encryption key is configured (BACKUP_ENCRYPTION_KEY or BACKUP_ENCRYPTION_KEY_FILE)');
+  }
+  return active;
+}
+
+/**
+ * Describe an encoding for job results, so key rotations are traceable
+ * @returns {Object|null} { algorithm, keyId, compression }, or null for plaintext backups
+ */
+export function getEncodingSummary(encoding) {
+  if (!encoding || (!encoding.key && !encoding.compression)) {
+    return null;
+  }
+  return {
+    algorithm: encoding.key ? CIPHER_ALGORITHM : null,
+    keyId: encoding.key ? encoding.key.keyId : null,
+    compression: encoding.compression
+  };
+}
+
+/**
+ * Get the columns of a table to store encrypted
+ * TABLE_ENCRYPTED_COLUMNS maps table names or globs to column names (an array or a comma
+ * separated string), or "*" for every column; an exact name wins over globs.
+ * e.g. { "users": ["email", "phone"], "payments": "*" }
+ * @param {string} tableName - Qualified table name
+ * @param {Object} attributes - Setting attributes
+ * @returns {Array<string>} Column names (may contain "*")
+ */
+export function getEncryptedColumns(tableName, attributes = {}) {
+  const encryptedColumns = attributes?.TABLE_ENCRYPTED_COLUMNS;
+  if (!encryptedColumns || typeof encryptedColumns !== 'object') {
+    return [];
+  }
+
+  const entries = Object.entries(encryptedColumns);
+  const match = entries.find(([key]) => key === tableName) ||
+    entries.find(([key]) => globToRegExp(key).test(tableName));
+  if (!match || !match[1]) {
+    return [];
+  }
+
+  const columns = Array.isArray(match[1]) ? match[1] : String(match[1]).split(',');
+  return columns.map(column => String(column).trim()).filter(Boolean);
+}
+
+/**
+ * Create the compression stream of an encoding
+ */
+function createCompressStream(compression) {
+  return compression === 'zstd' ? zlib.createZstdCompress() : zlib.createGzip();
+}
+
+/**
+ * Create the decompression stream of an encoded file
+ */
+function createDecompressStream(compression) {
+  if (compression === 'zstd') {
+    if (typeof zlib.createZstdDecompress !== 'function') {
+      throw new Error(`zstd compressed backups need Node.js 22.15 or newer (running ${process.version})`);
+    }
+    return zlib.createZstdDecompress();
+  }
+  if (compression === 'gzip') {
+    return zlib.createGunzip();
+  }
+  throw new Error(`Unsupported compression "${compression}"`);
+}
+
+/**
+ * Stream writing the envelope of an encoded file: marker, header, (encrypted) body and,
+ * when encrypted, the authentication tag. The header is authenticated with the body.
+ */
+function createEnvelopeStream(compression, key) {
+  const iv = key ? crypto.randomBytes(IV_LENGTH) : null;
+  const header = Buffer.from(JSON.stringify({
+    version: 1,
+    compression,
+    encryption: key ? { algorithm: CIPHER_ALGORITHM, keyId: key.keyId, iv: iv.toString('base64') } : null
+  }));
+
+  const prefix = Buffer.alloc(ENVELOPE_PREFIX_LENGTH);
+  ENVELOPE_MAGIC.copy(prefix);
+  prefix.writeUInt32BE(header.length, ENVELOPE_MAGIC.length);
+
+  const cipher = key ? crypto.createCipheriv(CIPHER_ALGORITHM, key.key, iv) : null;
+  if (cipher) {
+    cipher.setAAD(header);
+  }
+
+  let started = false;
+  const start = (stream) => {
+    if (!started) {
+      started = true;
+      stream.push(Buffer.concat([prefix, header]));
+    }
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      start(this);
+      callback(null, cipher ? cipher.update(chunk) : chunk);
+    },
+    flush(callback) {
+      start(this);
+      if (cipher) {
+        this.push(cipher.final());
+        this.push(cipher.getAuthTag());
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Create the streams that encode plaintext for storage (compression, then encryption)
+ * Meant to be spread into a pipeline; empty when the backup is stored as it is
+ * @param {Object} encoding - Encoding from getBackupEncoding
+ * @returns {Array<Transform>} Streams
+ */
+export function createEncodeStreams(encoding) {
+  if (!encoding || (!encoding.key && !encoding.compression)) {
+    return [];
+  }
+
+  const streams = [];
+  if (encoding.compression) {
+    streams.push(createCompressStream(encoding.compression));
+  }
+  streams.push(createEnvelopeStream(encoding.compression, encoding.key));
+  return streams;
+}
+
+/**
+ * Read the envelope of an encoded file
+ * @param {string} filePath - File path
+ * @returns {Promise<Object|null>} { header, headerBytes, bodyStart, bodyEnd, authTag }, or null for plain files
+ */
+export async function readEnvelope(filePath) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+    if (size < ENVELOPE_PREFIX_LENGTH) {
+      return null;
+    }
+
+    const prefix = Buffer.alloc(ENVELOPE_PREFIX_LENGTH);
+    await handle.read(prefix, 0, ENVELOPE_PREFIX_LENGTH, 0);
+    if (!prefix.subarray(0, ENVELOPE_MAGIC.length).equals(ENVELOPE_MAGIC)) {
+      return null;
+    }
+
+    const headerLength = prefix.readUInt32BE(ENVELOPE_MAGIC.length);
+    const bodyStart = ENVELOPE_PREFIX_LENGTH + headerLength;
+    if (headerLength > MAX_HEADER_LENGTH || bodyStart > size) {
+      throw new Error('Invalid backup file header');
+    }
+
+    const headerBytes = Buffer.alloc(headerLength);
+    await handle.read(headerBytes, 0, headerLength, ENVELOPE_PREFIX_LENGTH);
+    const header = JSON.parse(headerBytes.toString('utf8'));
+
+    let bodyEnd = size;
+    let authTag = null;
+    if (header.encryption) {
+      bodyEnd = size - AUTH_TAG_LENGTH;
+      if (bodyEnd < bodyStart) {
+        throw new Error('Encrypted backup file is truncated');
+      }
+      authTag = Buffer.alloc(AUTH_TAG_LENGTH);
+      await handle.read(authTag, 0, AUTH_TAG_LENGTH, bodyEnd);
+    }
+
+    return { header, headerBytes, bodyStart, bodyEnd, authTag };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Open a backed-up file for reading its original content
+ * Encoded files are decrypted and decompressed on the fly; plain files are read as they are.
+ * A file that fails authentication errors the stream.
+ * @param {string} filePath - File path
+ * @returns {Promise<Readable>} Plaintext stream
+ */
+export async function createBackupReadStream(filePath) {
+  const envelope = await readEnvelope(filePath);
+  if (!envelope) {
+    return createReadStream(filePath);
+  }
+
+  const { header, headerBytes, bodyStart, bodyEnd, authTag } = envelope;
+  const streams = [
+    bodyEnd > bodyStart
+      ? createReadStream(filePath, { start: bodyStart, end: bodyEnd - 1 })
+      : Readable.from([])
+  ];
+
+  if (header.encryption) {
+    const key = getKey(header.encryption.keyId);
+    const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key.key, Buffer.from(header.encryption.iv, 'base64'));
+    decipher.setAAD(headerBytes);
+    decipher.setAuthTag(authTag);
+    streams.push(decipher);
+  }
+  if (header.compression) {
+    streams.push(createDecompressStream(header.compression));
+  }
+
+  const output = new PassThrough();
+  pipeline(...streams, output).catch(error => {
+    output.destroy(new Error(`Failed to decode backup file: ${error.message}`));
+  });
+  return output;
+}
+
+/**
+ * Write an encoded copy of a file
+ * @param {string} sourcePath - Plaintext file
+ * @param {string} targetPath - Encoded file to write
+ * @param {Object} encoding - Encoding from getBackupEncoding
+ */
+export async function encodeFile(sourcePath, targetPath, encoding) {
+  await pipeline(createReadStream(sourcePath), ...createEncodeStreams(encoding), createWriteStream(targetPath));
+}
+
+/**
+ * Write the original content of an encoded (or plain) file
+ */
+export async function decodeFile(sourcePath, targetPath) {
+  await pipeline(await createBackupReadStream(sourcePath), createWriteStream(targetPath));
+}
+
+/**
+ * Encrypt a column value (in text format)
+ * @param {*} value - Value; null stays null
+ * @param {Object} key - Key from getColumnEncryptionKey
+ * @returns {string|null} enc:v1:{keyId}:{payload}
+ */
+export function encryptValue(value, key) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER_ALGORITHM, key.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return `${VALUE_PREFIX}${key.keyId}:${Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64')}`;
+}
+
+/**
+ * Decrypt a column value written by encryptValue; other values are returned as they are
+ */
+export function decryptValue(value) {
+  if (typeof value !== 'string' || !value.startsWith(VALUE_PREFIX)) {
+    return value;
+  }
+
+  const match = VALUE_PATTERN.exec(value);
+  if (!match) {
+    return value;
+  }
+
+  const key = getKey(match[1]);
+  const payload = Buffer.from(match[2], 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER_ALGORITHM, key.key, payload.subarray(0, IV_LENGTH));
+  decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + AUTH_TAG_LENGTH));
+
+  try {
+    return Buffer.concat([
+      decipher.update(payload.subarray(IV_LENGTH + AUTH_TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new Error(`Failed to decrypt value encrypted with key ${match[1]}: ${error.message}`);
+  }
+}
+
+/**
+ * Decrypt every encrypted value of a backup row
+ */
+export function decryptRow(row) {
+  const decrypted = {};
+  for (const [column, value] of Object.entries(row)) {
+    decrypted[column] = decryptValue(value);
+  }
+  return decrypted;
+}
@@ -1,37 +1,117 @@
 import { Client } from 'pg';
+import { isTableIncluded, getRowFilterCondition } from './filterService.js';
 
 /**
- * Get all table names from a database
+ * Resolve which relations of a remote database are backed up, from a Setting's attributes
+ * - DB_SCHEMAS: schemas to include, as an array or comma separated string (default: public)
+ * - DB_INCLUDE_VIEWS: also include views
+ * - DB_INCLUDE_MATERIALIZED_VIEWS: also include materialized views
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} { schemas, includeViews, includeMaterializedViews }
+ */
+export function getDatabaseScope(attributes = {}) {
+  const configuredSchemas = Array.isArray(attributes?.DB_SCHEMAS)
+    ? attributes.DB_SCHEMAS
+    : String(attributes?.DB_SCHEMAS || '').split(',');
+  const schemas = configuredSchemas.map(schema => String(schema).trim()).filter(Boolean);
+  const isEnabled = (value) => value === true || String(value).toLowerCase() === 'true';
+
+  return {
+    schemas: schemas.length > 0 ? schemas : ['public'],
+    includeViews: isEnabled(attributes?.DB_INCLUDE_VIEWS),
+    includeMaterializedViews: isEnabled(attributes?.DB_INCLUDE_MATERIALIZED_VIEWS)
+  };
+}
+
+/**
+ * Split a table name into schema and table
+ * Tables outside public are named `schema.table`; plain names are in public
+ * @param {string} tableName - Table name, optionally schema qualified
+ * @returns {Object} { schema, table } (sanitized)
+ */
+export function parseTableName(tableName) {
+  const sanitize = (part) => part.replace(/[^a-zA-Z0-9_]/g, '');
+  const [first, ...rest] = String(tableName).split('.');
+
+  return rest.length > 0
+    ? { schema: sanitize(first), table: sanitize(rest.join('')) }
+    : { schema: 'public', table: sanitize(first) };
+}
+
+/**
+ * Get the qualified name used for a table throughout the app
+ * @returns {string} `table` for public tables, `schema.table` otherwise
+ */
+export function getQualifiedTableName(schema, table) {
+  return schema === 'public' ? table : `${schema}.${table}`;
+}
+
+/**
+ * Get the quoted SQL reference to a remote table
+ * @param {string} tableName - Table name, optionally schema qualified
+ * @returns {string} e.g. "billing"."invoices"
+ */
+export function getRemoteTableRef(tableName) {
+  const { schema, table } = parseTableName(tableName);
+  return `"${schema}"."${table}"`;
+}
+
+/**
+ * Get all relations (tables, and optionally views) of the configured schemas
  * @param {string} databaseUrl - Database connection URL
- * @returns {Promise<Array>} Array of table names
+ * @param {Object} scope - Scope from getDatabaseScope
+ * @returns {Promise<Array>} Array of { name, schema, table, type }
  */
-export async function getAllTableNames(databaseUrl) {
+export async function getAllRelations(databaseUrl, scope = getDatabaseScope()) {
   const client = new Client({
     connectionString: databaseUrl
   });
 
   try {
     await client.connect();
-    
-    // Query to get all table names from PostgreSQL
+
+    const tableTypes = ['BASE TABLE', ...(scope.includeViews ? ['VIEW'] : [])];
+
+    // Materialized views are not listed in information_schema
     const result = await client.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_type = 'BASE TABLE'
-      ORDER BY table_name;
-    `);
-
-    return result.rows.map(row => row.table_name);
+      SELECT table_schema, table_name,
+        CASE table_type WHEN 'VIEW' THEN 'view' ELSE 'table' END AS relation_type
+      FROM information_schema.tables
+      WHERE table_schema = ANY($1)
+      AND table_type = ANY($2)
+      UNION ALL
+      SELECT schemaname, matviewname, 'materialized_view'
+      FROM pg_matviews
+      WHERE $3 AND schemaname = ANY($1)
+      ORDER BY 1, 2;
+    `, [scope.schemas, tableTypes, scope.includeMaterializedViews]);
+
+    return result.rows.map(row => ({
+      name: getQualifiedTableName(row.table_schema, row.table_name),
+      schema: row.table_schema,
+      table: row.table_name,
+      type: row.relation_type
+    }));
   } finally {
     await client.end();
   }
 }
 
+/**
+ * Get all table names from a database
+ * @param {string} databaseUrl - Database connection URL
+ * @param {Object} scope - Scope from getDatabaseScope (default: tables in public)
+ * @returns {Promise<Array>} Array of table names (`schema.table` outside public)
+ */
+export async function getAllTableNames(databaseUrl, scope = getDatabaseScope()) {
+  const relations = await getAllRelations(databaseUrl, scope);
+  return relations.map(relation => relation.name);
+}
+
 /**
  * Get all data from a specific table
  * @param {string} databaseUrl - Database connection URL
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table (`schema.table` outside public)
  * @returns {Promise<Array>} Array of rows from the table
  */
 export async function getTableData(databaseUrl, tableName) {
@@ -44,8 +124,7 @@ export async function getTableData(databaseUrl, tableName) {
     
     // Use parameterized query to prevent SQL injection
     // Note: PostgreSQL doesn't allow table names as parameters, so we validate the table name
-    const validTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '');
-    const query = `SELECT * FROM "${validTableName}"`;
+    const query = `SELECT * FROM ${getRemoteTableRef(tableName)}`;
     
     const result = await client.query(query);
     return result.rows;
@@ -60,7 +139,7 @@ export async function getTableData(databaseUrl, tableName) {
 /**
  * Get paginated data from a specific table
  * @param {string} databaseUrl - Database connection URL
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table (`schema.table` outside public)
  * @param {number} page - Page number (1-based)
  * @param {number} limit - Number of records per page
  * @returns {Promise<Object>} Object with data, total count, page, and limit
@@ -73,16 +152,16 @@ export async function getTableDataPaginated(databaseUrl, tableName, page = 1, li
   try {
     await client.connect();
     
-    const validTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '');
+    const tableRef = getRemoteTableRef(tableName);
     const offset = (page - 1) * limit;
     
     // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM "${validTableName}"`;
+    const countQuery = `SELECT COUNT(*) as total FROM ${tableRef}`;
     const countResult = await client.query(countQuery);
     const total = parseInt(countResult.rows[0].total);
     
     // Get paginated data
-    const dataQuery = `SELECT * FROM "${validTableName}" LIMIT $1 OFFSET $2`;
+    const dataQuery = `SELECT * FROM ${tableRef} LIMIT $1 OFFSET $2`;
     const dataResult = await client.query(dataQuery, [limit, offset]);
     
     return {
@@ -100,13 +179,70 @@ export async function getTableDataPaginated(databaseUrl, tableName, page = 1, li
   }
 }
 
+/**
+ * Stream all rows of a table in batches through a server-side cursor
+ * The read runs in a single repeatable-read transaction, so all batches come
+ * from one consistent view of the table, without OFFSET scans.
+ * Values are returned in PostgreSQL text format, so they can be written back
+ * into a column of the same type without loss
+ * @param {string} databaseUrl - Database connection URL
+ * @param {string} tableName - Name of the table (`schema.table` outside public)
+ * @param {Function} onBatch - Async callback receiving (rows, fields) for every batch
+ * @param {number} batchSize - Number of rows fetched per batch
+ * @param {string|null} where - Optional row filter condition (see getRowFilterCondition)
+ * @returns {Promise<number>} Total rows read
+ */
+export async function streamTableRows(databaseUrl, tableName, onBatch, batchSize = 1000, where = null) {
+  const client = new Client({
+    connectionString: databaseUrl,
+    types: { getTypeParser: () => (value) => value }
+  });
+
+  try {
+    await client.connect();
+
+    const fetchSize = parseInt(batchSize) || 1000;
+
+    await client.query('BEGIN ISOLATION LEVEL REPEATABLE READ READ ONLY');
+    const whereClause = where ? ` WHERE ${where}` : '';
+    await client.query(`DECLARE backup_cursor NO SCROLL CURSOR FOR SELECT * FROM ${getRemoteTableRef(tableName)}${whereClause}`);
+
+    let totalRows = 0;
+    while (true) {
+      const result = await client.query(`FETCH ${fetchSize} FROM backup_cursor`);
+
+      if (result.rows.length === 0) {
+        break;
+      }
+
+      totalRows += result.rows.length;
+      await onBatch(result.rows, result.fields);
+
+      if (result.rows.length < fetchSize) {
+        break;
+      }
+    }
+
+    await client.query('CLOSE backup_cursor');
+    await client.query('COMMIT');
+    return totalRows;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    console.error(`Error streaming data from table ${tableName}:`, error);
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
 /**
  * Get row count for a specific table
  * @param {string} databaseUrl - Database connection URL
- * @param {string} tableName - Name of the table
+ * @param {string} tableName - Name of the table (`schema.table` outside public)
+ * @param {string|null} where - Optional row filter condition (see getRowFilterCondition)
  * @returns {Promise<number>} Total row count
  */
-export async function getTableRowCount(databaseUrl, tableName) {
+export async function getTableRowCount(databaseUrl, tableName, where = null) {
   const client = new Client({
     connectionString: databaseUrl
   });
@@ -114,8 +250,7 @@ export async function getTableRowCount(databaseUrl, tableName) {
   try {
     await client.connect();
     
-    const validTableName = tableName.replace(/[^a-zA-Z0-9_]/g, '');
-    const query = `SELECT COUNT(*) as total FROM "${validTableName}"`;
+    const query = `SELECT COUNT(*) as total FROM ${getRemoteTableRef(tableName)}${where ? ` WHERE ${where}` : ''}`;
     const result = await client.query(query);
     
     return parseInt(result.rows[0].total);
@@ -127,25 +262,58 @@ export async function getTableRowCount(databaseUrl, tableName) {
   }
 }
 
+/**
+ * Get the highest value of a column, in PostgreSQL text format
+ * @param {string} databaseUrl - Database connection URL
+ * @param {string} tableName - Name of the table (`schema.table` outside public)
+ * @param {string} column - Column name
+ * @param {string|null} where - Optional row filter condition (see getRowFilterCondition)
+ * @returns {Promise<string|null>} Highest value, or null for an empty table
+ */
+export async function getColumnMaxValue(databaseUrl, tableName, column, where = null) {
+  const client = new Client({
+    connectionString: databaseUrl
+  });
+
+  try {
+    await client.connect();
+
+    const colName = column.replace(/[^a-zA-Z0-9_]/g, '');
+    const result = await client.query(
+      `SELECT MAX("${colName}")::text AS value FROM ${getRemoteTableRef(tableName)}${where ? ` WHERE ${where}` : ''}`
+    );
+
+    return result.rows[0].value;
+  } finally {
+    await client.end();
+  }
+}
+
 /**
  * Get all tables with their row counts from a database
  * @param {string} databaseUrl - Database connection URL
- * @returns {Promise<Object>} Object with table names as keys and their row counts as values
+ * @param {Object} scope - Scope from getDatabaseScope (default: tables in public)
+ * @param {Object|null} filters - Table filters from getTableFilters; excluded tables are left out
+ *   and row filtered tables count only the rows that are backed up
+ * @returns {Promise<Object>} Object with table names as keys and { count, type } as values
  */
-export async function getAllTablesWithCounts(databaseUrl) {
+export async function getAllTablesWithCounts(databaseUrl, scope = getDatabaseScope(), filters = null) {
   try {
-    const tableNames = await getAllTableNames(databaseUrl);
+    const relations = (await getAllRelations(databaseUrl, scope))
+      .filter(relation => isTableIncluded(relation.name, filters));
     const result = {};
 
     // Get row count for each table
-    for (const tableName of tableNames) {
+    for (const relation of relations) {
       try {
-        const count = await getTableRowCount(databaseUrl, tableName);
-        result[tableName] = { count };
+        const rowFilter = getRowFilterCondition(relation.name, filters);
+        const count = await getTableRowCount(databaseUrl, relation.name, rowFilter);
+        result[relation.name] = { count, type: relation.type, ...(rowFilter ? { rowFilter } : {}) };
       } catch (error) {
-        result[tableName] = {
+        result[relation.name] = {
           error: `Failed to get count: ${error.message}`,
-          count: 0
+          count: 0,
+          type: relation.type
         };
       }
     }
@@ -159,11 +327,12 @@ export async function getAllTablesWithCounts(databaseUrl) {
 /**
  * Get all tables with their data from a database
  * @param {string} databaseUrl - Database connection URL
+ * @param {Object} scope - Scope from getDatabaseScope (default: tables in public)
  * @returns {Promise<Object>} Object with table names as keys and their data as values
  */
-export async function getAllTablesWithData(databaseUrl) {
+export async function getAllTablesWithData(databaseUrl, scope = getDatabaseScope()) {
   try {
-    const tableNames = await getAllTableNames(databaseUrl);
+    const tableNames = await getAllTableNames(databaseUrl, scope);
     const result = {};
 
     // Get data from each table
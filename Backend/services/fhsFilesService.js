@@ -1,131 +1,5 @@
-import { S3Client, ListObjectsV2Command } from '@aws-sdk/client-s3';
-import https from 'https';
-import http from 'http';
-
-/**
- * Get all files from S3 bucket using AWS SDK
- * @param {string} bucketUrl - Bucket URL
- * @param {Object} attributes - Attributes containing S3 credentials
- * @returns {Promise<Array>} Array of file objects
- */
-async function getAllFilesFromS3(bucketUrl, attributes) {
-  try {
-    const url = new URL(bucketUrl);
-    const endpoint = `${url.protocol}//${url.host}`;
-    const bucketName = url.pathname.replace(/^\//, '').replace(/\/$/, '');
-
-    // Get credentials from attributes or use defaults
-    const region = attributes.S3_REGION || process.env.S3_REGION || 'us-east-1';
-    const accessKeyId = attributes.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || '';
-    const secretAccessKey = attributes.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || '';
-
-    if (!accessKeyId || !secretAccessKey) {
-      throw new Error('AWS credentials not found in attributes or environment variables');
-    }
-
-    const s3Client = new S3Client({
-      endpoint: endpoint,
-      region: region,
-      credentials: {
-        accessKeyId: accessKeyId,
-        secretAccessKey: secretAccessKey
-      },
-      forcePathStyle: true
-    });
-
-    const files = [];
-    let continuationToken = null;
-
-    do {
-      const command = new ListObjectsV2Command({
-        Bucket: bucketName,
-        ...(continuationToken && { ContinuationToken: continuationToken })
-      });
-
-      const response = await s3Client.send(command);
-
-      if (response.Contents) {
-        for (const obj of response.Contents) {
-          // Skip folder markers (empty objects ending with /)
-          if (obj.Key.endsWith('/')) {
-            continue;
-          }
-
-          files.push({
-            key: obj.Key,
-            name: obj.Key.split('/').pop(),
-            size: obj.Size,
-            lastModified: obj.LastModified ? obj.LastModified.toISOString() : null,
-            etag: obj.ETag
-          });
-        }
-      }
-
-      continuationToken = response.NextContinuationToken;
-    } while (continuationToken);
-
-    return files;
-  } catch (error) {
-    console.error('Error listing S3 files:', error);
-    throw new Error(`Failed to list S3 files: ${error.message}`);
-  }
-}
-
-/**
- * Get all files directly from HTTP/HTTPS URL
- * @param {string} bucketUrl - Bucket URL
- * @returns {Promise<Array>} Array of file objects
- */
-async function getAllFilesFromHttp(bucketUrl) {
-  return new Promise((resolve, reject) => {
-    try {
-      const url = new URL(bucketUrl);
-      const protocol = url.protocol === 'https:' ? https : http;
-      
-      const options = {
-        hostname: url.hostname,
-        port: url.port || (url.protocol === 'https:' ? 443 : 80),
-        path: url.pathname + (url.search || ''),
-        method: 'GET',
-        headers: {
-          'User-Agent': 'BackupSystem/1.0'
-        }
-      };
-
-      const req = protocol.request(options, (res) => {
-        let data = '';
-        
-        res.on('data', (chunk) => {
-          data += chunk;
-        });
-        
-        res.on('end', () => {
-          try {
-            // Try to parse as JSON
-            const files = JSON.parse(data);
-            resolve(Array.isArray(files) ? files : []);
-          } catch (error) {
-            // If not JSON, return empty array
-            resolve([]);
-          }
-        });
-      });
-
-      req.on('error', (error) => {
-        reject(new Error(`Failed to fetch files: ${error.message}`));
-      });
-
-      req.setTimeout(10000, () => {
-        req.destroy();
-        reject(new Error('Request timeout'));
-      });
-
-      req.end();
-    } catch (error) {
-      reject(new Error(`Invalid bucket URL: ${error.message}`));
-    }
-  });
-}
+import { getFileFilters, hasFileFilters, isFileIncluded, isFileKeyIncluded } from './filterService.js';
+import { getStorageDriver } from './storageDrivers/index.js';
 
 /**
  * Organize files by folder structure
@@ -179,47 +53,75 @@ function organizeFilesByFolder(files) {
   return folderStructure;
 }
 
+/**
+ * Get the key prefixes to list from the bucket
+ * Include prefixes are listed one by one (prefixes inside another are dropped), else the whole bucket
+ */
+function getListingPrefixes(filters) {
+  const prefixes = filters.includePrefixes.filter(prefix =>
+    !filters.includePrefixes.some(other => other !== prefix && prefix.startsWith(other))
+  );
+  return prefixes.length > 0 ? [...new Set(prefixes)] : [''];
+}
+
 /**
  * Get all files from bucket URL
- * First tries S3 if attributes have credentials, otherwise tries direct HTTP
+ * Files are listed through the backend's storage driver (see storageDrivers/index.js).
+ * When S3 is only inferred from the credentials and listing fails, the bucket URL is
+ * tried as a plain HTTP endpoint.
+ * The backend's file filters are applied (see getFileFilters): files they leave out are
+ * counted under `excluded` on the returned structure, with the keys left out for their size
+ * (they are still in the bucket).
  * @param {string} bucketUrl - Bucket URL
- * @param {Object} attributes - Attributes JSON containing S3 credentials
+ * @param {Object} attributes - Attributes JSON containing the storage driver, its credentials and file filters
+ * @param {Object} options - { driver (open driver to list with; closed by the caller) }
  * @returns {Promise<Object>} Folder-organized structure with files
  */
-export async function getAllFiles(bucketUrl, attributes = {}) {
+export async function getAllFiles(bucketUrl, attributes = {}, options = {}) {
   if (!bucketUrl) {
     throw new Error('Bucket URL is required');
   }
 
   let files = [];
+  const filters = getFileFilters(attributes);
+  const driver = options.driver || getStorageDriver(bucketUrl, attributes);
 
-  // Check if attributes have S3 credentials
-  const hasS3Credentials = attributes.S3_REGION && 
-                          attributes.AWS_ACCESS_KEY_ID && 
-                          attributes.AWS_SECRET_ACCESS_KEY;
-
-  // Check if bucketUrl is HTTP/HTTPS (could be S3)
-  const isHttpUrl = bucketUrl.startsWith('http://') || bucketUrl.startsWith('https://');
-
-  // If we have S3 credentials and it's an HTTP URL, try S3 first
-  if (hasS3Credentials && isHttpUrl) {
-    try {
-      files = await getAllFilesFromS3(bucketUrl, attributes);
-    } catch (error) {
-      console.warn('S3 method failed, trying direct HTTP:', error.message);
-      // Fallback to direct HTTP
-      files = await getAllFilesFromHttp(bucketUrl);
+  try {
+    files = await driver.listFiles(getListingPrefixes(filters));
+  } catch (error) {
+    if (driver.name !== 's3' || attributes.STORAGE_DRIVER) {
+      throw error;
     }
-  } else if (isHttpUrl) {
-    // If it's an HTTP URL but no credentials, try direct HTTP
-    files = await getAllFilesFromHttp(bucketUrl);
-  } else {
-    // If not HTTP URL, throw error
-    throw new Error('Bucket URL must be a valid HTTP/HTTPS URL');
+    console.warn('S3 method failed, trying direct HTTP:', error.message);
+    // Fallback to direct HTTP
+    files = await getStorageDriver(bucketUrl, { ...attributes, STORAGE_DRIVER: 'http' }).listFiles();
+  } finally {
+    if (!options.driver) {
+      await driver.close();
+    }
+  }
+
+  // Leave out files the backend's filters exclude
+  const excluded = { files: 0, bytes: 0, oversizedKeys: [] };
+  if (hasFileFilters(filters)) {
+    files = files.filter(file => {
+      const key = file.key || file.name || file;
+      if (isFileIncluded({ key, size: file.size }, filters)) {
+        return true;
+      }
+      excluded.files++;
+      excluded.bytes += Number(file.size) || 0;
+      if (isFileKeyIncluded(key, filters)) {
+        excluded.oversizedKeys.push(key);
+      }
+      return false;
+    });
   }
 
   // Organize files by folder structure
   const folderStructure = organizeFilesByFolder(files);
+  folderStructure.driver = driver.name;
+  folderStructure.excluded = excluded;
 
   return folderStructure;
 }
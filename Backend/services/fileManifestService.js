@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { createBackupReadStream } from './encryptionService.js';
+
+/**
+ * Normalize an ETag for comparisons (listings return it quoted)
+ */
+export function normalizeEtag(etag) {
+  return etag ? String(etag).replace(/"/g, '') : null;
+}
+
+/**
+ * Format manifest entry
+ */
+function formatEntry(entry) {
+  return {
+    key: entry.key,
+    size: Number(entry.size),
+    etag: entry.etag,
+    lastModified: entry.lastModified ? entry.lastModified.toISOString() : null,
+    sha256: entry.sha256,
+    storage: entry.storage,
+    blobId: entry.blobId,
+    backedUpAt: entry.backedUpAt.toISOString()
+  };
+}
+
+/**
+ * Load the file manifest of a backend
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Map>} Entries keyed by object key
+ */
+export async function loadManifest(backendName) {
+  try {
+    const entries = await prisma.backupFileEntry.findMany({
+      where: { backendName }
+    });
+
+    return new Map(entries.map(entry => [entry.key, formatEntry(entry)]));
+  } catch (error) {
+    throw new Error(`Failed to load file manifest: ${error.message}`);
+  }
+}
+
+/**
+ * Record a backed-up file in the manifest
+ * @param {string} backendName - Backend name
+ * @param {Object} entry - { key, size, etag, lastModified, sha256, storage ('plain' or 'store'),
+ *   blobId (store blob, see getBlobId) }
+ */
+export async function saveManifestEntry(backendName, entry) {
+  try {
+    const data = {
+      size: BigInt(entry.size || 0),
+      etag: normalizeEtag(entry.etag),
+      lastModified: entry.lastModified ? new Date(entry.lastModified) : null,
+      sha256: entry.sha256 || null,
+      storage: entry.storage || 'plain',
+      blobId: entry.storage === 'store' ? (entry.blobId || null) : null,
+      backedUpAt: new Date()
+    };
+
+    await prisma.backupFileEntry.upsert({
+      where: { backendName_key: { backendName, key: entry.key } },
+      update: data,
+      create: { backendName, key: entry.key, ...data }
+    });
+  } catch (error) {
+    throw new Error(`Failed to save file manifest entry: ${error.message}`);
+  }
+}
+
+/**
+ * Remove a file from the manifest (the object was deleted from the bucket)
+ * @param {string} backendName - Backend name
+ * @param {string} key - Object key
+ */
+export async function deleteManifestEntry(backendName, key) {
+  try {
+    await prisma.backupFileEntry.deleteMany({
+      where: { backendName, key }
+    });
+  } catch (error) {
+    throw new Error(`Failed to delete file manifest entry: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether a bucket object differs from its manifest entry
+ * The ETag changes with the content; lastModified catches stores without stable ETags
+ * @param {Object} file - File from the bucket listing
+ * @param {Object} entry - Manifest entry
+ * @returns {boolean} True if the object changed since it was backed up
+ */
+export function hasObjectChanged(file, entry) {
+  const etag = normalizeEtag(file.etag);
+  if (etag && entry.etag && etag !== entry.etag) {
+    return true;
+  }
+  if (file.lastModified && entry.lastModified &&
+      new Date(file.lastModified).getTime() !== new Date(entry.lastModified).getTime()) {
+    return true;
+  }
+  return file.size !== undefined && file.size !== null && Number(file.size) !== entry.size;
+}
+
+/**
+ * Hash a local file
+ * Encrypted or compressed backups are hashed by their original content (see encryptionService)
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} { bytes, md5, sha256 } (hex digests)
+ */
+export async function hashLocalFile(filePath) {
+  const md5 = crypto.createHash('md5');
+  const sha256 = crypto.createHash('sha256');
+  let bytes = 0;
+
+  for await (const chunk of await createBackupReadStream(filePath)) {
+    md5.update(chunk);
+    sha256.update(chunk);
+    bytes += chunk.length;
+  }
+
+  return { bytes, md5: md5.digest('hex'), sha256: sha256.digest('hex') };
+}
@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { readEnvelope } from './encryptionService.js';
+
+// Deduplicated contents live next to the file backups (a reserved name, see validateSetting)
+const STORE_DIRECTORY = '.store';
+
+// Downloads land here before they are moved to their hash
+const INCOMING_DIRECTORY = '.incoming';
+
+// Unreferenced blobs younger than this are kept: a running backup may be about to reference them
+const PRUNE_MIN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Resolve the directory of the content-addressed store
+ * BACKUP_UPLOAD_PATH/.store (shared by every backend)
+ */
+export function getStoreDirectory() {
+  const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+  const baseBackupPath = path.isAbsolute(backupPathEnv)
+    ? backupPathEnv
+    : path.resolve(process.cwd(), backupPathEnv);
+
+  return path.join(baseBackupPath, STORE_DIRECTORY);
+}
+
+/**
+ * Get the storage mode of a backend's file backups
+ * FILE_STORAGE_MODE: 'plain' (default) keeps a copy per backend under BACKUP_UPLOAD_PATH/{backendName},
+ * 'dedup' stores each distinct content once by its SHA-256
+ * @param {Object} attributes - Setting attributes
+ * @returns {string} 'plain' or 'dedup'
+ */
+export function getFileStorageMode(attributes = {}) {
+  return String(attributes?.FILE_STORAGE_MODE || '').trim().toLowerCase() === 'dedup' ? 'dedup' : 'plain';
+}
+
+/**
+ * Identify a blob by its content and how it is encoded on disk: {sha256}[-k{keyId}][-{compression}]
+ * Backends only share a blob when they store the content the same way, so one backend's
+ * encryption never ends up applied (or missing) on another's files
+ * @param {string} sha256 - SHA-256 of the original content
+ * @param {Object} encoding - { keyId, compression } of the encoded file (empty for plain files)
+ */
+export function getBlobId(sha256, { keyId = null, compression = null } = {}) {
+  return [sha256, keyId && `k${keyId}`, compression].filter(Boolean).join('-');
+}
+
+/**
+ * Get the blob a manifest entry refers to
+ * Entries stored before blobs carried their encoding refer to a blob named by sha256
+ */
+export function getEntryBlobId(entry) {
+  return entry.blobId || entry.sha256;
+}
+
+/**
+ * Resolve the path of a blob: .store/{first two hex digits}/{blobId}
+ */
+export function getBlobPath(blobId) {
+  if (!/^[a-f0-9]{64}(-[a-z0-9]+)*$/.test(String(blobId || ''))) {
+    throw new Error(`Invalid blob: ${blobId}`);
+  }
+  return path.join(getStoreDirectory(), blobId.slice(0, 2), blobId);
+}
+
+/**
+ * Reserve a path for a download headed for the store
+ */
+export async function getIncomingPath() {
+  const incomingDirectory = path.join(getStoreDirectory(), INCOMING_DIRECTORY);
+  await fs.mkdir(incomingDirectory, { recursive: true });
+  return path.join(incomingDirectory, crypto.randomUUID());
+}
+
+/**
+ * Move a file into the store under its hash and encoding (see getBlobId)
+ * If the same content is stored already with the same encoding, the file is removed and the
+ * blob's mtime refreshed, so a concurrent prune doesn't take it
+ * @param {string} filePath - File to store (moved)
+ * @param {string} sha256 - SHA-256 of the file's original content
+ * @returns {Promise<Object>} { path, blobId, created }
+ */
+export async function storeBlob(filePath, sha256) {
+  try {
+    const envelope = await readEnvelope(filePath);
+    const blobId = getBlobId(sha256, {
+      keyId: envelope?.header.encryption?.keyId,
+      compression: envelope?.header.compression
+    });
+    const blobPath = getBlobPath(blobId);
+    await fs.mkdir(path.dirname(blobPath), { recursive: true });
+
+    try {
+      await fs.access(blobPath);
+      const now = new Date();
+      await fs.utimes(blobPath, now, now);
+      await fs.rm(filePath, { force: true });
+      return { path: blobPath, blobId, created: false };
+    } catch (error) {
+      await fs.rename(filePath, blobPath);
+      return { path: blobPath, blobId, created: true };
+    }
+  } catch (error) {
+    throw new Error(`Failed to store file: ${error.message}`);
+  }
+}
+
+/**
+ * Check whether the content of a stored entry is present
+ */
+export async function hasBlob(blobId) {
+  try {
+    await fs.access(getBlobPath(blobId));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * List the blobs manifest entries refer to
+ * @returns {Promise<Array<string>>} Distinct blob ids
+ */
+async function listReferencedBlobs() {
+  const referenced = await prisma.backupFileEntry.findMany({
+    where: { storage: 'store', sha256: { not: null } },
+    select: { sha256: true, blobId: true },
+    distinct: ['sha256', 'blobId']
+  });
+  return [...new Set(referenced.map(getEntryBlobId))];
+}
+
+/**
+ * Delete blobs no manifest entry refers to any more
+ * @returns {Promise<Object>} { removedBlobs, freedBytes }
+ */
+export async function pruneStore() {
+  try {
+    const referencedBlobs = new Set(await listReferencedBlobs());
+
+    const storeDirectory = getStoreDirectory();
+    let prefixes = [];
+    try {
+      prefixes = await fs.readdir(storeDirectory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { removedBlobs: 0, freedBytes: 0 };
+      }
+      throw error;
+    }
+
+    let removedBlobs = 0;
+    let freedBytes = 0;
+    const cutoff = Date.now() - PRUNE_MIN_AGE_MS;
+
+    for (const prefix of prefixes.filter(entry => entry.isDirectory() && /^[a-f0-9]{2}$/.test(entry.name))) {
+      const prefixPath = path.join(storeDirectory, prefix.name);
+
+      for (const blob of await fs.readdir(prefixPath)) {
+        if (referencedBlobs.has(blob)) {
+          continue;
+        }
+
+        const blobPath = path.join(prefixPath, blob);
+        const stats = await fs.stat(blobPath);
+        if (stats.mtimeMs < cutoff) {
+          await fs.rm(blobPath, { force: true });
+          removedBlobs++;
+          freedBytes += stats.size;
+        }
+      }
+    }
+
+    if (removedBlobs > 0) {
+      console.log(`🧹 Pruned ${removedBlobs} unreferenced blobs from the file store (${freedBytes} bytes)`);
+    }
+
+    return { removedBlobs, freedBytes };
+  } catch (error) {
+    throw new Error(`Failed to prune file store: ${error.message}`);
+  }
+}
+
+/**
+ * Get the deduplication savings of the store
+ * logicalBytes is what the stored files would take as plain copies, storedBytes what their
+ * distinct blobs take on disk (compressed and encrypted as stored)
+ * @returns {Promise<Object>} { logicalBytes, storedBytes, savedBytes, savedPercent, files, blobs, backends }
+ */
+export async function getStoreStats() {
+  try {
+    const backendRows = await prisma.$queryRawUnsafe(`
+      SELECT "backendName", COUNT(*)::int AS files, COALESCE(SUM(size), 0)::bigint AS bytes
+      FROM backup_file_entries
+      WHERE storage = 'store'
+      GROUP BY "backendName"
+      ORDER BY "backendName"
+    `);
+    const blobIds = await listReferencedBlobs();
+
+    // The manifest has the original sizes; a blob's encoding changes what it takes
+    let storedBytes = 0;
+    for (const blobId of blobIds) {
+      try {
+        storedBytes += (await fs.stat(getBlobPath(blobId))).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    const backends = backendRows.map(row => ({
+      backendName: row.backendName,
+      files: row.files,
+      logicalBytes: Number(row.bytes)
+    }));
+    const logicalBytes = backends.reduce((sum, backend) => sum + backend.logicalBytes, 0);
+    const savedBytes = logicalBytes - storedBytes;
+
+    return {
+      logicalBytes,
+      storedBytes,
+      savedBytes,
+      savedPercent: logicalBytes > 0 ? parseFloat(((savedBytes / logicalBytes) * 100).toFixed(2)) : 0,
+      files: backends.reduce((sum, backend) => sum + backend.files, 0),
+      blobs: blobIds.length,
+      backends
+    };
+  } catch (error) {
+    throw new Error(`Failed to get file store stats: ${error.message}`);
+  }
+}
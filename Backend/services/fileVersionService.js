@@ -0,0 +1,253 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { uploadFiles } from './uploadService.js';
+import { loadManifest } from './fileManifestService.js';
+
+// Old copies live next to the file backups (a reserved name, see validateSetting)
+const VERSIONS_DIRECTORY = '.versions';
+
+// Version file names: archive time (ISO with ":" and "." replaced) and why it was archived
+const VERSION_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(changed|deleted)$/;
+
+/**
+ * Resolve the directory holding the old file versions of a backend
+ * BACKUP_UPLOAD_PATH/.versions/{backendName}
+ */
+export function getVersionDirectory(backendName) {
+  const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+  const baseBackupPath = path.isAbsolute(backupPathEnv)
+    ? backupPathEnv
+    : path.resolve(process.cwd(), backupPathEnv);
+
+  return path.join(baseBackupPath, VERSIONS_DIRECTORY, backendName);
+}
+
+/**
+ * Resolve the directory holding the versions of one object key
+ * Keys come from requests, so they can't climb out of the backend's directory
+ */
+function getKeyDirectory(backendName, key) {
+  const parts = String(key || '').split('/').filter(part => part.length > 0);
+  if (parts.length === 0 || parts.some(part => part === '.' || part === '..')) {
+    throw new Error(`Invalid file key: ${key}`);
+  }
+  return path.join(getVersionDirectory(backendName), ...parts);
+}
+
+/**
+ * Parse a version file name
+ * @returns {Object|null} { versionId, archivedAt, reason }, or null for other files
+ */
+function parseVersionId(versionId) {
+  const match = VERSION_PATTERN.exec(versionId);
+  if (!match) {
+    return null;
+  }
+
+  const [date, time] = match[1].split('T');
+  const [hours, minutes, seconds, milliseconds] = time.replace('Z', '').split('-');
+  return {
+    versionId,
+    archivedAt: new Date(`${date}T${hours}:${minutes}:${seconds}.${milliseconds}Z`).toISOString(),
+    reason: match[2]
+  };
+}
+
+/**
+ * Keep the current local copy of a file as a dated version
+ * A changed file is hard-linked (copied where links aren't supported), as the
+ * download replacing it may still fail; a deleted file is moved, unless it is a
+ * deduplicated blob other files may share (see fileStoreService).
+ * @param {string} backendName - Backend name
+ * @param {string} key - Object key
+ * @param {string} filePath - Current local copy
+ * @param {string} reason - 'changed' (overwritten in the bucket) or 'deleted' (removed from the bucket)
+ * @param {Object} options - { shared: true to never move the local copy }
+ * @returns {Promise<Object>} { versionId, archivedAt, reason, path }
+ */
+export async function archiveFileVersion(backendName, key, filePath, reason, options = {}) {
+  try {
+    const keyDirectory = getKeyDirectory(backendName, key);
+    await fs.mkdir(keyDirectory, { recursive: true });
+
+    const archivedAt = new Date().toISOString();
+    const versionId = `${archivedAt.replace(/[:.]/g, '-')}-${reason}`;
+    const versionPath = path.join(keyDirectory, versionId);
+
+    if (reason === 'deleted' && !options.shared) {
+      await fs.rename(filePath, versionPath);
+    } else {
+      try {
+        await fs.link(filePath, versionPath);
+      } catch (error) {
+        await fs.copyFile(filePath, versionPath);
+      }
+    }
+
+    return { versionId, archivedAt, reason, path: versionPath };
+  } catch (error) {
+    throw new Error(`Failed to archive file version: ${error.message}`);
+  }
+}
+
+/**
+ * Remove an archived version (used when the download it was kept for failed)
+ */
+export async function discardFileVersion(versionPath) {
+  await fs.rm(versionPath, { force: true });
+}
+
+/**
+ * Delete an archived version of an object key (used by retention)
+ * The key's directory is removed once its last version is gone
+ * @param {string} backendName - Backend name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version from listFileVersions
+ */
+export async function deleteFileVersion(backendName, key, versionId) {
+  if (!parseVersionId(String(versionId || ''))) {
+    throw new Error(`Invalid version: ${versionId}`);
+  }
+
+  try {
+    const keyDirectory = getKeyDirectory(backendName, key);
+    await fs.rm(path.join(keyDirectory, versionId), { force: true });
+
+    // Fails while other versions (or keys nested under this one) remain
+    await fs.rmdir(keyDirectory).catch(() => {});
+  } catch (error) {
+    throw new Error(`Failed to delete file version: ${error.message}`);
+  }
+}
+
+/**
+ * List the versions of an object key (newest first)
+ * @param {string} backendName - Backend name
+ * @param {string} key - Object key
+ * @returns {Promise<Array>} Versions: { versionId, archivedAt, reason, size }
+ */
+export async function listFileVersions(backendName, key) {
+  try {
+    const keyDirectory = getKeyDirectory(backendName, key);
+
+    let entries;
+    try {
+      entries = await fs.readdir(keyDirectory, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const versions = [];
+    for (const entry of entries) {
+      const version = entry.isFile() ? parseVersionId(entry.name) : null;
+      if (version) {
+        const stats = await fs.stat(path.join(keyDirectory, entry.name));
+        versions.push({ ...version, size: stats.size });
+      }
+    }
+
+    return versions.sort((a, b) => b.versionId.localeCompare(a.versionId));
+  } catch (error) {
+    throw new Error(`Failed to list file versions: ${error.message}`);
+  }
+}
+
+/**
+ * List every object key of a backend that has archived versions
+ * A file is deleted when it has neither a manifest entry nor a plain local copy
+ * @param {string} backendName - Backend name
+ * @param {string} backupPath - Backend's backup directory (to tell deleted objects apart)
+ * @returns {Promise<Array>} { key, versions, latestArchivedAt, latestReason, deleted }
+ */
+export async function listVersionedFiles(backendName, backupPath) {
+  try {
+    const versionDirectory = getVersionDirectory(backendName);
+    const manifest = await loadManifest(backendName);
+    const files = [];
+
+    async function scanDirectory(dirPath, relativePath = '') {
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      const versions = entries
+        .filter(entry => entry.isFile())
+        .map(entry => parseVersionId(entry.name))
+        .filter(Boolean)
+        .sort((a, b) => b.versionId.localeCompare(a.versionId));
+
+      if (relativePath && versions.length > 0) {
+        let deleted = !manifest.has(relativePath);
+        if (deleted) {
+          try {
+            await fs.access(path.join(backupPath, relativePath));
+            deleted = false;
+          } catch {
+            // No local copy either
+          }
+        }
+
+        files.push({
+          key: relativePath,
+          versions: versions.length,
+          latestArchivedAt: versions[0].archivedAt,
+          latestReason: versions[0].reason,
+          deleted
+        });
+      }
+
+      for (const entry of entries.filter(entry => entry.isDirectory())) {
+        await scanDirectory(
+          path.join(dirPath, entry.name),
+          relativePath ? `${relativePath}/${entry.name}` : entry.name
+        );
+      }
+    }
+
+    try {
+      await scanDirectory(versionDirectory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return files.sort((a, b) => a.key.localeCompare(b.key));
+  } catch (error) {
+    throw new Error(`Failed to list versioned files: ${error.message}`);
+  }
+}
+
+/**
+ * Upload an archived version back to the bucket under its key
+ * The version is staged as the only file of a temporary directory and uploaded with uploadFiles
+ * @param {string} backendName - Backend name
+ * @param {string} key - Object key
+ * @param {string} versionId - Version from listFileVersions
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes (storage driver and its credentials)
+ * @param {Object} options - uploadFiles options ({ targetPrefix, overwrite })
+ * @returns {Promise<Object>} uploadFiles result with { key, versionId }
+ */
+export async function restoreFileVersion(backendName, key, versionId, bucketUrl, attributes, options = {}) {
+  if (!parseVersionId(String(versionId || ''))) {
+    throw new Error(`Invalid version: ${versionId}`);
+  }
+
+  const versionPath = path.join(getKeyDirectory(backendName, key), versionId);
+  const stagingPath = await fs.mkdtemp(path.join(os.tmpdir(), 'file-version-'));
+
+  try {
+    const stagedFile = path.join(stagingPath, ...key.split('/').filter(part => part.length > 0));
+    await fs.mkdir(path.dirname(stagedFile), { recursive: true });
+    await fs.copyFile(versionPath, stagedFile);
+
+    const result = await uploadFiles(stagingPath, bucketUrl, attributes, options);
+    return { key, versionId, ...result };
+  } catch (error) {
+    throw new Error(`Failed to restore file version: ${error.message}`);
+  } finally {
+    await fs.rm(stagingPath, { recursive: true, force: true });
+  }
+}
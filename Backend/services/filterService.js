@@ -0,0 +1,199 @@
+/**
+ * Convert a glob pattern into a regular expression
+ * `*` matches any run of characters (including `.` and `/`), `?` a single character
+ * @param {string} pattern - Glob pattern, e.g. `*_logs` or `audit.*`
+ * @returns {RegExp} Case-insensitive, anchored expression
+ */
+export function globToRegExp(pattern) {
+  const source = String(pattern)
+    .trim()
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Read a list setting given as an array or a comma separated string
+ */
+function parseList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Resolve the table filters of a backend from a Setting's attributes
+ * - TABLE_INCLUDE: table names or globs to back up (default: every table)
+ * - TABLE_EXCLUDE: table names or globs to skip; wins over TABLE_INCLUDE
+ * - TABLE_ROW_FILTERS: per-table row filters, keyed by table name or glob:
+ *   { "orders": { "where": "status <> 'draft'" }, "events": { "column": "created_at", "lastDays": 30 } }
+ *   A plain string value is used as the WHERE clause
+ * Tables are matched by their qualified name (`schema.table` outside public)
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} { include, exclude, rowFilters }
+ */
+export function getTableFilters(attributes = {}) {
+  const rowFilters = attributes?.TABLE_ROW_FILTERS && typeof attributes.TABLE_ROW_FILTERS === 'object'
+    ? attributes.TABLE_ROW_FILTERS
+    : {};
+
+  return {
+    include: parseList(attributes?.TABLE_INCLUDE),
+    exclude: parseList(attributes?.TABLE_EXCLUDE),
+    rowFilters
+  };
+}
+
+/**
+ * Check whether a table passes the include/exclude rules
+ * @param {string} tableName - Qualified table name
+ * @param {Object} filters - Filters from getTableFilters
+ * @returns {boolean} True if the table is backed up and compared
+ */
+export function isTableIncluded(tableName, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  const matches = (patterns) => patterns.some(pattern => globToRegExp(pattern).test(tableName));
+
+  if (filters.include.length > 0 && !matches(filters.include)) {
+    return false;
+  }
+  return !matches(filters.exclude);
+}
+
+/**
+ * Build the SQL condition limiting which rows of a table are backed up
+ * An exact table name takes precedence over glob keys
+ * @param {string} tableName - Qualified table name
+ * @param {Object} filters - Filters from getTableFilters
+ * @returns {string|null} Condition for a WHERE clause, or null when every row is included
+ */
+export function getRowFilterCondition(tableName, filters) {
+  if (!filters) {
+    return null;
+  }
+
+  const entries = Object.entries(filters.rowFilters);
+  const match = entries.find(([key]) => key === tableName) ||
+    entries.find(([key]) => globToRegExp(key).test(tableName));
+  if (!match) {
+    return null;
+  }
+
+  const rowFilter = typeof match[1] === 'string' ? { where: match[1] } : (match[1] || {});
+  const conditions = [];
+
+  if (rowFilter.where) {
+    const where = String(rowFilter.where).trim();
+    // The condition is embedded in larger statements; a single expression only
+    if (where.includes(';')) {
+      throw new Error(`Invalid row filter for ${tableName}: WHERE clause must not contain ";"`);
+    }
+    conditions.push(`(${where})`);
+  }
+
+  if (rowFilter.lastDays !== undefined && rowFilter.lastDays !== null) {
+    const days = parseInt(rowFilter.lastDays);
+    const column = String(rowFilter.column || '').replace(/[^a-zA-Z0-9_]/g, '');
+    if (!column || isNaN(days) || days < 0) {
+      throw new Error(`Invalid row filter for ${tableName}: lastDays needs a column and a non-negative number of days`);
+    }
+    conditions.push(`"${column}" >= CURRENT_TIMESTAMP - INTERVAL '${days} days'`);
+  }
+
+  return conditions.length > 0 ? conditions.join(' AND ') : null;
+}
+
+// Size units accepted by FILE_MAX_SIZE
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+/**
+ * Parse a size given in bytes or with a unit (e.g. 500MB, 2 GB)
+ * @returns {number|null} Bytes, or null when not set
+ */
+function parseSize(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+  if (!match) {
+    throw new Error(`Invalid ${name} "${value}" (use bytes or a size such as 500MB)`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Resolve the file filters of a backend from a Setting's attributes
+ * - FILE_INCLUDE_PREFIXES / FILE_EXCLUDE_PREFIXES: object key prefixes, e.g. `media/`
+ * - FILE_INCLUDE_PATTERNS / FILE_EXCLUDE_PATTERNS: globs matched against the whole key, e.g. `*.jpg`
+ * - FILE_MAX_SIZE: largest object to back up, in bytes or with a unit (`500MB`)
+ * Lists are given as arrays or comma separated strings
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} { includePrefixes, excludePrefixes, includePatterns, excludePatterns, maxSize }
+ */
+export function getFileFilters(attributes = {}) {
+  const parsePrefixes = (value) => parseList(value).map(prefix => prefix.replace(/^\/+/, ''));
+
+  return {
+    includePrefixes: parsePrefixes(attributes?.FILE_INCLUDE_PREFIXES),
+    excludePrefixes: parsePrefixes(attributes?.FILE_EXCLUDE_PREFIXES),
+    includePatterns: parseList(attributes?.FILE_INCLUDE_PATTERNS),
+    excludePatterns: parseList(attributes?.FILE_EXCLUDE_PATTERNS),
+    maxSize: parseSize(attributes?.FILE_MAX_SIZE, 'FILE_MAX_SIZE')
+  };
+}
+
+/**
+ * Check whether any file filter is configured
+ */
+export function hasFileFilters(filters) {
+  return !!filters && (
+    filters.includePrefixes.length > 0 ||
+    filters.excludePrefixes.length > 0 ||
+    filters.includePatterns.length > 0 ||
+    filters.excludePatterns.length > 0 ||
+    filters.maxSize !== null
+  );
+}
+
+/**
+ * Check whether an object key passes the prefix and pattern rules
+ * A key must match one of the include prefixes and one of the include patterns (when
+ * either is set); matching any exclude prefix or pattern skips it
+ * @param {string} key - Object key
+ * @param {Object} filters - Filters from getFileFilters
+ * @returns {boolean} True if the key is in the backup's scope
+ */
+export function isFileKeyIncluded(key, filters) {
+  if (!filters) {
+    return true;
+  }
+
+  const hasPrefix = (prefixes) => prefixes.some(prefix => key.startsWith(prefix));
+  const matches = (patterns) => patterns.some(pattern => globToRegExp(pattern).test(key));
+
+  if (filters.includePrefixes.length > 0 && !hasPrefix(filters.includePrefixes)) {
+    return false;
+  }
+  if (filters.includePatterns.length > 0 && !matches(filters.includePatterns)) {
+    return false;
+  }
+  return !hasPrefix(filters.excludePrefixes) && !matches(filters.excludePatterns);
+}
+
+/**
+ * Check whether a listed file passes the file filters (key rules and FILE_MAX_SIZE)
+ * @param {Object} file - File from the bucket listing ({ key, size })
+ * @param {Object} filters - Filters from getFileFilters
+ * @returns {boolean} True if the file is backed up and compared
+ */
+export function isFileIncluded(file, filters) {
+  if (!isFileKeyIncluded(file.key, filters)) {
+    return false;
+  }
+  return !filters || filters.maxSize === null || !(Number(file.size) > filters.maxSize);
+}
@@ -0,0 +1,579 @@
+import os from 'os';
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+
+// Advisory lock held while a job is claimed, so the concurrency limits hold across servers
+const CLAIM_LOCK_ID = 482061;
+
+// Identifies this server on the jobs it leases
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Job handlers by kind: { run(job, signal), interrupted(job, requeued), cancelled(job) }
+const handlers = new Map();
+
+// Jobs running on this server, by queue id
+const runningJobs = new Map();
+
+// Abort controllers of the jobs running on this server, by queue id
+const jobControllers = new Map();
+
+let pollTimer = null;
+let polling = false;
+let pollAgain = false;
+
+/**
+ * Read a positive integer from the environment
+ */
+function getEnvInt(name, defaultValue) {
+  const value = parseInt(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : defaultValue;
+}
+
+/**
+ * Get the queue limits
+ * JOB_QUEUE_CONCURRENCY jobs run at once over all servers, at most
+ * JOB_QUEUE_BACKEND_CONCURRENCY of them for the same backend
+ */
+export function getJobQueueConfig() {
+  return {
+    concurrency: getEnvInt('JOB_QUEUE_CONCURRENCY', 2),
+    backendConcurrency: getEnvInt('JOB_QUEUE_BACKEND_CONCURRENCY', 1),
+    leaseSeconds: getEnvInt('JOB_QUEUE_LEASE_SECONDS', 60),
+    pollSeconds: getEnvInt('JOB_QUEUE_POLL_SECONDS', 5)
+  };
+}
+
+/**
+ * Format queued job for API responses
+ */
+function formatJob(job) {
+  return {
+    id: job.id,
+    jobId: job.jobId,
+    kind: job.kind,
+    type: job.type,
+    backendName: job.backendName,
+    priority: job.priority,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    leaseOwner: job.leaseOwner,
+    leaseExpiresAt: job.leaseExpiresAt ? job.leaseExpiresAt.toISOString() : null,
+    error: job.error,
+    payload: job.payload,
+    cancelRequestedAt: job.cancelRequestedAt ? job.cancelRequestedAt.toISOString() : null,
+    startedAt: job.startedAt ? job.startedAt.toISOString() : null,
+    finishedAt: job.finishedAt ? job.finishedAt.toISOString() : null,
+    createdAt: job.createdAt.toISOString()
+  };
+}
+
+/**
+ * Register the handler of a job kind
+ * @param {string} kind - Job kind, e.g. 'backup'
+ * @param {Object} handler - { run(job, signal): Promise, interrupted(job, requeued): Promise,
+ *   cancelled(job): Promise }
+ *   run throws when the job failed, and should stop soon after signal is aborted (the job
+ *   was cancelled); interrupted updates the job's status after a stopped server left it
+ *   unfinished (requeued: it will run again); cancelled updates the status of a job
+ *   cancelled before it ran
+ */
+export function registerJobHandler(kind, handler) {
+  handlers.set(kind, handler);
+}
+
+/**
+ * Get the queued or running job holding a dedupe key
+ * @param {string} dedupeKey - Dedupe key
+ * @returns {Promise<Object|null>} Job, or null if the key is free
+ */
+export async function getActiveJob(dedupeKey) {
+  const job = await prisma.queuedJob.findUnique({
+    where: { dedupeKey }
+  });
+  return job ? formatJob(job) : null;
+}
+
+/**
+ * Add a job to the queue
+ * Only one queued or running job can hold a dedupe key; a second one is refused
+ * @param {Object} job - Job
+ * @param {string} job.jobId - jobId of the status row the job reports to
+ * @param {string} job.kind - Registered job kind
+ * @param {string} job.type - 'files', 'database' or 'dump'
+ * @param {string} job.backendName - Backend name
+ * @param {Object} job.payload - Parameters passed to the handler
+ * @param {number} job.priority - Higher runs first (default: 0)
+ * @param {number} job.maxAttempts - Runs allowed when a stopped server interrupts the job (default: 1)
+ * @param {string} job.dedupeKey - Key of the work the job does, e.g. backup:fhs-app:files
+ * @returns {Promise<Object>} { job } when queued, { duplicate } with the job holding the key otherwise
+ */
+export async function enqueueJob({ jobId, kind, type, backendName, payload = {}, priority = 0, maxAttempts = 1, dedupeKey }) {
+  try {
+    if (!prisma.queuedJob) {
+      throw new Error('QueuedJob model not found. Please run: npx prisma generate');
+    }
+
+    const existing = await getActiveJob(dedupeKey);
+    if (existing) {
+      return { duplicate: existing };
+    }
+
+    let job;
+    try {
+      job = await prisma.queuedJob.create({
+        data: { jobId, kind, type, backendName, payload, priority, maxAttempts, dedupeKey }
+      });
+    } catch (error) {
+      // Another request queued the same work in the meantime
+      if (error.code === 'P2002') {
+        const duplicate = await getActiveJob(dedupeKey);
+        if (duplicate) {
+          return { duplicate };
+        }
+      }
+      throw error;
+    }
+
+    pollJobs();
+    return { job: formatJob(job) };
+  } catch (error) {
+    throw new Error(`Failed to queue job: ${error.message}`);
+  }
+}
+
+/**
+ * Claim the next job this server may run
+ * Highest priority first, then oldest; backends at their limit are skipped
+ * @returns {Promise<Object|null>} Claimed job, or null if none can run now
+ */
+async function claimJob() {
+  const { concurrency, backendConcurrency, leaseSeconds } = getJobQueueConfig();
+
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRawUnsafe(`SELECT pg_advisory_xact_lock(${CLAIM_LOCK_ID})`);
+
+    const running = await tx.queuedJob.groupBy({
+      by: ['backendName'],
+      where: { status: 'running' },
+      _count: { _all: true }
+    });
+
+    const runningTotal = running.reduce((total, entry) => total + entry._count._all, 0);
+    if (runningTotal >= concurrency) {
+      return null;
+    }
+
+    const busyBackends = running
+      .filter(entry => entry._count._all >= backendConcurrency)
+      .map(entry => entry.backendName);
+
+    const next = await tx.queuedJob.findFirst({
+      where: {
+        status: 'queued',
+        kind: { in: [...handlers.keys()] },
+        ...(busyBackends.length > 0 && { backendName: { notIn: busyBackends } })
+      },
+      orderBy: [{ priority: 'desc' }, { createdAt: 'asc' }]
+    });
+
+    if (!next) {
+      return null;
+    }
+
+    return tx.queuedJob.update({
+      where: { id: next.id },
+      data: {
+        status: 'running',
+        attempts: { increment: 1 },
+        leaseOwner: WORKER_ID,
+        leaseExpiresAt: new Date(Date.now() + leaseSeconds * 1000),
+        startedAt: new Date()
+      }
+    });
+  });
+}
+
+/**
+ * Run a claimed job, renewing its lease until it finishes
+ * Updates are scoped to this attempt, so a run that outlived its lease can't touch a later one
+ */
+async function runJob(job) {
+  const { leaseSeconds } = getJobQueueConfig();
+  const handler = handlers.get(job.kind);
+  const controller = new AbortController();
+  jobControllers.set(job.id, controller);
+
+  const heartbeat = setInterval(async () => {
+    try {
+      const renewed = await prisma.queuedJob.updateMany({
+        where: { id: job.id, status: 'running', leaseOwner: WORKER_ID, attempts: job.attempts },
+        data: { leaseExpiresAt: new Date(Date.now() + leaseSeconds * 1000) }
+      });
+      if (renewed.count === 0) {
+        console.warn(`⚠️  Lost the lease of job ${job.jobId}`);
+        return;
+      }
+
+      // The job may have been cancelled through another server
+      const current = await prisma.queuedJob.findUnique({
+        where: { id: job.id },
+        select: { cancelRequestedAt: true }
+      });
+      if (current?.cancelRequestedAt) {
+        abortJob(job.id);
+      }
+    } catch (error) {
+      console.error(`Error renewing the lease of job ${job.jobId}:`, error.message);
+    }
+  }, (leaseSeconds * 1000) / 3);
+
+  let error = null;
+  try {
+    console.log(`▶️  Running ${job.kind} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    await handler.run(job, controller.signal);
+  } catch (runError) {
+    error = runError;
+  } finally {
+    clearInterval(heartbeat);
+    jobControllers.delete(job.id);
+  }
+
+  const cancelled = !!error && controller.signal.aborted;
+  if (cancelled) {
+    console.log(`⏹️  Cancelled ${job.kind} job ${job.jobId}`);
+  }
+
+  try {
+    await prisma.queuedJob.updateMany({
+      where: { id: job.id, status: 'running', leaseOwner: WORKER_ID, attempts: job.attempts },
+      data: {
+        status: cancelled ? 'cancelled' : (error ? 'failed' : 'completed'),
+        error: error ? error.message : null,
+        dedupeKey: null,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        finishedAt: new Date()
+      }
+    });
+  } catch (updateError) {
+    console.error(`Error finishing job ${job.jobId}:`, updateError.message);
+  }
+}
+
+/**
+ * Start every job that fits in the concurrency limits
+ * Calls made while a poll runs are folded into one more pass
+ */
+export async function pollJobs() {
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+
+  polling = true;
+  try {
+    do {
+      pollAgain = false;
+      await recoverOrphanedJobs();
+
+      let job;
+      while ((job = await claimJob())) {
+        const claimed = job;
+        const run = runJob(claimed).finally(() => {
+          runningJobs.delete(claimed.id);
+          // A slot is free
+          pollJobs();
+        });
+        runningJobs.set(claimed.id, run);
+      }
+    } while (pollAgain);
+  } catch (error) {
+    if (error.code !== 'P2021' && !error.message?.includes('does not exist')) {
+      console.error('Error polling the job queue:', error.message);
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Re-queue or fail running jobs whose lease expired
+ * Their server stopped (or hung) before finishing them. A job is queued again while it
+ * has attempts left and failed otherwise; its handler updates the job's status.
+ * @returns {Promise<number>} Number of recovered jobs
+ */
+export async function recoverOrphanedJobs() {
+  const orphans = await prisma.queuedJob.findMany({
+    where: {
+      status: 'running',
+      leaseExpiresAt: { lt: new Date() }
+    }
+  });
+
+  let recovered = 0;
+  for (const job of orphans) {
+    // A job cancelled while its server was gone isn't run again
+    const cancelled = !!job.cancelRequestedAt;
+    const requeued = !cancelled && job.attempts < job.maxAttempts;
+
+    // Only the server that wins the update recovers the job
+    const result = await prisma.queuedJob.updateMany({
+      where: { id: job.id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+      data: requeued
+        ? { status: 'queued', leaseOwner: null, leaseExpiresAt: null }
+        : {
+            status: cancelled ? 'cancelled' : 'failed',
+            error: cancelled ? null : 'Server stopped while the job was running',
+            dedupeKey: null,
+            leaseOwner: null,
+            leaseExpiresAt: null,
+            finishedAt: new Date()
+          }
+    });
+
+    if (result.count === 0) {
+      continue;
+    }
+
+    recovered++;
+    console.log(`⚠️  ${requeued ? 'Re-queued' : (cancelled ? 'Cancelled' : 'Failed')} orphaned ${job.kind} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const handler = handlers.get(job.kind);
+      await (cancelled ? handler?.cancelled(job) : handler?.interrupted(job, requeued));
+    } catch (error) {
+      console.error(`Error updating the status of job ${job.jobId}:`, error.message);
+    }
+  }
+
+  return recovered;
+}
+
+/**
+ * Abort a job running on this server
+ * @returns {boolean} false if the job doesn't run here
+ */
+function abortJob(id) {
+  const controller = jobControllers.get(id);
+  if (!controller) {
+    return false;
+  }
+  if (!controller.signal.aborted) {
+    controller.abort(new Error('Cancelled by request'));
+  }
+  return true;
+}
+
+/**
+ * Cancel a queued or running job
+ * A queued job is cancelled right away (its handler updates the status). A running job is
+ * asked to stop: its signal is aborted, here or by the heartbeat of the server running it,
+ * and it ends as 'cancelled' once the handler returns.
+ * @param {string} jobId - jobId of the job's status row
+ * @param {string} kind - Job kind, e.g. 'backup'
+ * @returns {Promise<Object|null>} { status: 'cancelled' | 'cancelling', job }, or null if the
+ *   job isn't queued or running
+ */
+export async function cancelJob(jobId, kind) {
+  try {
+    if (!prisma.queuedJob) {
+      return null;
+    }
+
+    const job = await prisma.queuedJob.findFirst({
+      where: { jobId, kind, status: { in: ['queued', 'running'] } }
+    });
+    if (!job) {
+      return null;
+    }
+
+    const now = new Date();
+
+    if (job.status === 'queued') {
+      const result = await prisma.queuedJob.updateMany({
+        where: { id: job.id, status: 'queued' },
+        data: { status: 'cancelled', cancelRequestedAt: now, dedupeKey: null, finishedAt: now }
+      });
+
+      if (result.count > 0) {
+        console.log(`⏹️  Cancelled queued ${kind} job ${jobId}`);
+        await handlers.get(kind)?.cancelled(job);
+        return { status: 'cancelled', job: formatJob(job) };
+      }
+      // Claimed in the meantime: cancel it as a running job
+    }
+
+    await prisma.queuedJob.updateMany({
+      where: { id: job.id, status: 'running' },
+      data: { cancelRequestedAt: now }
+    });
+    abortJob(job.id);
+
+    return { status: 'cancelling', job: formatJob(job) };
+  } catch (error) {
+    throw new Error(`Failed to cancel job: ${error.message}`);
+  }
+}
+
+/**
+ * Get the latest queue entry of a job
+ * A resumed job is queued again under its jobId, so a jobId can have several entries
+ * @param {string} jobId - jobId of the job's status row
+ * @returns {Promise<Object|null>} Job with its payload, or null if not found
+ */
+export async function getQueuedJob(jobId) {
+  try {
+    if (!prisma.queuedJob) {
+      return null;
+    }
+
+    const job = await prisma.queuedJob.findFirst({
+      where: { jobId },
+      orderBy: { createdAt: 'desc' }
+    });
+    return job ? formatJob(job) : null;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return null;
+    }
+    throw new Error(`Failed to get queued job: ${error.message}`);
+  }
+}
+
+/**
+ * Get the jobIds of queued and running jobs
+ * Their status rows are still in use and must not be marked interrupted on startup
+ * @returns {Promise<Array<string>>}
+ */
+export async function getActiveJobIds() {
+  try {
+    if (!prisma.queuedJob) {
+      return [];
+    }
+
+    const jobs = await prisma.queuedJob.findMany({
+      where: { status: { in: ['queued', 'running'] } },
+      select: { jobId: true }
+    });
+    return jobs.map(job => job.jobId);
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return [];
+    }
+    throw new Error(`Failed to get active jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Get queued jobs, newest first
+ * @param {Object} filters - status, backendName, limit
+ * @returns {Promise<Array>}
+ */
+export async function getQueuedJobs({ status, backendName, limit = 50 } = {}) {
+  try {
+    if (!prisma.queuedJob) {
+      return [];
+    }
+
+    const jobs = await prisma.queuedJob.findMany({
+      where: {
+        ...(status && { status }),
+        ...(backendName && { backendName })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+    return jobs.map(formatJob);
+  } catch (error) {
+    throw new Error(`Failed to get queued jobs: ${error.message}`);
+  }
+}
+
+/**
+ * Get the queue's limits and how many jobs are queued and running
+ */
+export async function getJobQueueStats() {
+  try {
+    const counts = prisma.queuedJob
+      ? await prisma.queuedJob.groupBy({
+          by: ['status'],
+          where: { status: { in: ['queued', 'running'] } },
+          _count: { _all: true }
+        })
+      : [];
+    const countOf = (status) => counts.find(entry => entry.status === status)?._count._all || 0;
+
+    return {
+      ...getJobQueueConfig(),
+      queued: countOf('queued'),
+      running: countOf('running'),
+      runningOnThisServer: runningJobs.size,
+      workerId: WORKER_ID
+    };
+  } catch (error) {
+    throw new Error(`Failed to get job queue stats: ${error.message}`);
+  }
+}
+
+/**
+ * Start the queue worker
+ * Orphaned jobs are recovered right away; the queue is then polled every JOB_QUEUE_POLL_SECONDS,
+ * and whenever a job is queued or finishes
+ */
+export async function startJobQueue() {
+  const { concurrency, backendConcurrency, pollSeconds } = getJobQueueConfig();
+
+  try {
+    await recoverOrphanedJobs();
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      console.warn('⚠️  QueuedJob table does not exist yet. Please run: npx prisma migrate dev');
+    } else {
+      console.error('Error recovering orphaned jobs:', error.message);
+    }
+  }
+
+  if (pollTimer) {
+    clearInterval(pollTimer);
+  }
+  pollTimer = setInterval(pollJobs, pollSeconds * 1000);
+  pollJobs();
+
+  console.log(`✅ Job queue started (${concurrency} job(s) at once, ${backendConcurrency} per backend)`);
+}
+
+/**
+ * Cleanup old finished jobs
+ */
+export async function cleanupOldJobs() {
+  try {
+    if (!prisma.queuedJob) {
+      return 0;
+    }
+
+    const cleanupDays = parseInt(process.env.BACKUP_STATUS_CLEANUP_DAYS || '7');
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - cleanupDays);
+
+    const result = await prisma.queuedJob.deleteMany({
+      where: {
+        createdAt: {
+          lt: cutoffDate
+        },
+        status: {
+          in: ['completed', 'failed', 'cancelled']
+        }
+      }
+    });
+
+    console.log(`✅ Cleaned up ${result.count} old queued jobs`);
+    return result.count;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return 0;
+    }
+    console.error('Error cleaning up old queued jobs:', error.message);
+    return 0;
+  }
+}
@@ -0,0 +1,426 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import prisma from '../config/database.js';
+import Setting from '../models/Setting.js';
+import { getStorageDriver } from './storageDrivers/index.js';
+import { loadManifest } from './fileManifestService.js';
+import { getBlobPath, getEntryBlobId } from './fileStoreService.js';
+import { getDumpDirectory } from './dumpService.js';
+import {
+  setReplicationStatus,
+  generateReplicationJobId
+} from './replicationStatusService.js';
+
+// Backup types whose artifacts are replicated (database backups live in the local PostgreSQL)
+const REPLICATED_BACKUP_TYPES = ['files', 'dump'];
+
+// Replications running per backend: { jobId, rerun (trigger of a follow-up run) }
+const runningReplications = new Map();
+
+/**
+ * Resolve a backend's file backup directory: BACKUP_UPLOAD_PATH/{backendName}
+ */
+function getBackupDirectory(backendName) {
+  const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+  const baseBackupPath = path.isAbsolute(backupPathEnv)
+    ? backupPathEnv
+    : path.resolve(process.cwd(), backupPathEnv);
+
+  return path.join(baseBackupPath, backendName);
+}
+
+/**
+ * Remove credentials from a target URL, for job records and responses
+ */
+function maskTargetUrl(targetUrl) {
+  try {
+    const url = new URL(targetUrl);
+    url.username = '';
+    url.password = '';
+    return url.toString();
+  } catch (error) {
+    // Plain directory paths carry no credentials
+    return targetUrl;
+  }
+}
+
+/**
+ * Get the replication target of a backend
+ * REPLICATION_TARGET in the setting's attributes is a URL, or an object with `url` and the
+ * target's storage driver attributes (STORAGE_DRIVER, S3_REGION, AWS_ACCESS_KEY_ID, ...), kept
+ * apart from the bucket's own credentials. Without it, REPLICATION_TARGET_URL (and
+ * REPLICATION_STORAGE_DRIVER) from the environment apply to every backend.
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object|null} { url, attributes, label (URL without credentials), auto }, or null
+ *   when replication is not configured
+ */
+export function getReplicationTarget(attributes = {}) {
+  const configured = attributes?.REPLICATION_TARGET;
+  let url = null;
+  let driverAttributes = {};
+
+  if (configured && typeof configured === 'object') {
+    const { url: targetUrl, ...rest } = configured;
+    url = targetUrl;
+    driverAttributes = rest;
+  } else if (configured) {
+    url = String(configured);
+  } else if (process.env.REPLICATION_TARGET_URL) {
+    url = process.env.REPLICATION_TARGET_URL;
+    if (process.env.REPLICATION_STORAGE_DRIVER) {
+      driverAttributes = { STORAGE_DRIVER: process.env.REPLICATION_STORAGE_DRIVER };
+    }
+  }
+
+  if (!url) {
+    return null;
+  }
+
+  return {
+    url,
+    attributes: driverAttributes,
+    label: maskTargetUrl(url),
+    // Replicate after each completed files backup or dump unless turned off
+    auto: attributes?.REPLICATION_AUTO !== false && attributes?.REPLICATION_AUTO !== 'false'
+  };
+}
+
+/**
+ * List the backup artifacts of a backend, with the key each is replicated under
+ * - Files backups: every file of the manifest, read from the backend's directory or the
+ *   deduplicated store, as {backendName}/files/{key}
+ * - Dumps: every archive, as {backendName}/dumps/{fileName}
+ * Artifacts are copied as stored, so encrypted backups stay encrypted on the target.
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Object>} { artifacts: [{ key, path, size, modifiedAt }], missing }
+ */
+async function collectArtifacts(backendName) {
+  const artifacts = [];
+  let missing = 0;
+
+  const addArtifact = async (key, filePath) => {
+    try {
+      const stats = await fs.stat(filePath);
+      artifacts.push({ key, path: filePath, size: stats.size, modifiedAt: stats.mtime });
+    } catch (error) {
+      // Listed in the manifest but not on disk (removed by hand); the next backup restores it
+      missing++;
+    }
+  };
+
+  const backupDirectory = getBackupDirectory(backendName);
+  const manifest = await loadManifest(backendName);
+  for (const entry of manifest.values()) {
+    const filePath = entry.storage === 'store' && entry.sha256
+      ? getBlobPath(getEntryBlobId(entry))
+      : path.join(backupDirectory, ...entry.key.split('/').filter(part => part.length > 0));
+    await addArtifact(`${backendName}/files/${entry.key}`, filePath);
+  }
+
+  let dumps = [];
+  try {
+    dumps = await fs.readdir(getDumpDirectory(backendName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  for (const fileName of dumps.filter(name => name.endsWith('.dump'))) {
+    await addArtifact(`${backendName}/dumps/${fileName}`, path.join(getDumpDirectory(backendName), fileName));
+  }
+
+  return { artifacts, missing };
+}
+
+/**
+ * Copy a backend's backup artifacts to its replication target
+ * Artifacts already replicated with the same size and modification time are skipped (see
+ * ReplicationEntry), so each run only copies what changed since the last one. Artifacts
+ * removed locally are kept on the target.
+ * @param {Object} setting - Backend setting
+ * @param {Object} options - { onProgress (async callback) }
+ * @returns {Promise<Object>} Replication result
+ */
+export async function replicateBackend(setting, options = {}) {
+  const backendName = setting.backendname;
+  const target = getReplicationTarget(setting.attributes || {});
+  if (!target) {
+    throw new Error(`Replication target not configured for backend "${backendName}"`);
+  }
+
+  let driver = null;
+
+  try {
+    driver = getStorageDriver(target.url, target.attributes);
+    if (!driver.putObject) {
+      throw new Error(`The ${driver.name} storage driver is read-only`);
+    }
+
+    const { artifacts, missing } = await collectArtifacts(backendName);
+    const entries = await prisma.replicationEntry.findMany({
+      where: { backendName, target: target.label }
+    });
+    const replicated = new Map(entries.map(entry => [entry.key, entry]));
+
+    let replicatedFiles = 0;
+    let skippedFiles = 0;
+    let failedFiles = 0;
+    let replicatedBytes = 0;
+    const errors = [];
+
+    for (const [index, artifact] of artifacts.entries()) {
+      const entry = replicated.get(artifact.key);
+      if (entry && Number(entry.size) === artifact.size &&
+          entry.modifiedAt.getTime() === artifact.modifiedAt.getTime()) {
+        skippedFiles++;
+      } else {
+        try {
+          // Streamed: dumps can be larger than a Buffer can hold
+          await driver.putObject(artifact.key, createReadStream(artifact.path), { size: artifact.size });
+
+          const data = {
+            size: BigInt(artifact.size),
+            modifiedAt: artifact.modifiedAt,
+            replicatedAt: new Date()
+          };
+          await prisma.replicationEntry.upsert({
+            where: { backendName_target_key: { backendName, target: target.label, key: artifact.key } },
+            update: data,
+            create: { backendName, target: target.label, key: artifact.key, ...data }
+          });
+
+          replicatedFiles++;
+          replicatedBytes += artifact.size;
+        } catch (error) {
+          failedFiles++;
+          errors.push({ key: artifact.key, error: error.message });
+        }
+      }
+
+      if (options.onProgress && ((index + 1) % 25 === 0 || index + 1 === artifacts.length)) {
+        await options.onProgress({
+          processedFiles: index + 1,
+          totalFiles: artifacts.length,
+          replicatedFiles,
+          failedFiles
+        });
+      }
+    }
+
+    return {
+      success: failedFiles === 0,
+      target: target.label,
+      storageDriver: driver.name,
+      totalFiles: artifacts.length,
+      replicatedFiles,
+      skippedFiles,
+      failedFiles,
+      missingFiles: missing,
+      replicatedBytes,
+      errors: errors.length > 0 ? errors : undefined
+    };
+  } catch (error) {
+    throw new Error(`Replication failed: ${error.message}`);
+  } finally {
+    if (driver) {
+      await driver.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * Run a replication job in background
+ */
+async function processReplicationInBackground(jobId, setting) {
+  const backendName = setting.backendname;
+
+  try {
+    const result = await replicateBackend(setting, {
+      onProgress: (progress) => setReplicationStatus(jobId, {
+        status: 'processing',
+        progress: Math.round((progress.processedFiles / progress.totalFiles) * 100),
+        message: `Processed ${progress.processedFiles}/${progress.totalFiles} files, ` +
+          `replicated ${progress.replicatedFiles}` +
+          (progress.failedFiles > 0 ? `, ${progress.failedFiles} failed` : '')
+      })
+    });
+
+    if (result.failedFiles > 0) {
+      await setReplicationStatus(jobId, {
+        status: 'failed',
+        message: `Replication finished with ${result.failedFiles} failed files`,
+        error: `${result.failedFiles} files could not be replicated`,
+        result
+      });
+      console.error(`❌ Replication of ${backendName} finished with ${result.failedFiles} failed files`);
+    } else {
+      await setReplicationStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: 'Replication completed successfully',
+        result
+      });
+      console.log(`✅ Replicated ${result.replicatedFiles} files of ${backendName} to ${result.target}`);
+    }
+  } catch (error) {
+    console.error(`❌ Replication of ${backendName} failed:`, error.message);
+    await setReplicationStatus(jobId, {
+      status: 'failed',
+      error: error.message || 'Replication failed'
+    });
+  } finally {
+    const running = runningReplications.get(backendName);
+    runningReplications.delete(backendName);
+
+    // Backups completed during the run are replicated by a follow-up run
+    if (running?.rerun) {
+      const current = await Setting.findByBackendName(backendName).catch(() => null);
+      if (current) {
+        startReplication(current, { trigger: running.rerun }).catch(error => {
+          console.error(`Error starting replication for ${backendName}:`, error.message);
+        });
+      }
+    }
+  }
+}
+
+/**
+ * Start a replication job for a backend - runs in background
+ * One replication runs per backend at a time. When one is running, the existing job is
+ * returned; with `queue`, another run follows it.
+ * @param {Object} setting - Backend setting
+ * @param {Object} options - { trigger ('manual' or the backup jobId), queue }
+ * @returns {Promise<Object>} { jobId, started }
+ */
+export async function startReplication(setting, options = {}) {
+  const backendName = setting.backendname;
+  const target = getReplicationTarget(setting.attributes || {});
+  if (!target) {
+    throw new Error(`Replication target not configured for backend "${backendName}"`);
+  }
+
+  const running = runningReplications.get(backendName);
+  if (running) {
+    if (options.queue) {
+      running.rerun = options.trigger || 'manual';
+    }
+    return { jobId: running.jobId, started: false };
+  }
+
+  const jobId = generateReplicationJobId(backendName);
+  runningReplications.set(backendName, { jobId, rerun: null });
+
+  await setReplicationStatus(jobId, {
+    status: 'processing',
+    backendName,
+    target: target.label,
+    trigger: options.trigger || 'manual',
+    progress: 0,
+    message: 'Replication started...'
+  });
+
+  // Start replication in background (don't await)
+  processReplicationInBackground(jobId, setting);
+
+  return { jobId, started: true };
+}
+
+/**
+ * Replicate a backend after one of its backups completed
+ * Does nothing for database backups, backends without a replication target or with
+ * REPLICATION_AUTO false. Never throws: a replication problem doesn't fail the backup.
+ * @param {Object} setting - Backend setting
+ * @param {string} backupJobId - Completed backup job
+ * @param {string} type - Backup type
+ */
+export async function replicateAfterBackup(setting, backupJobId, type) {
+  try {
+    const target = getReplicationTarget(setting.attributes || {});
+    if (!target || !target.auto || !REPLICATED_BACKUP_TYPES.includes(type)) {
+      return;
+    }
+
+    const { jobId, started } = await startReplication(setting, { trigger: backupJobId, queue: true });
+    console.log(started
+      ? `🔁 Replication ${jobId} started for ${setting.backendname}`
+      : `🔁 Replication queued for ${setting.backendname} after ${jobId}`);
+  } catch (error) {
+    console.error(`Error starting replication for ${setting.backendname}:`, error.message);
+  }
+}
+
+/**
+ * Get the replication lag of every backend
+ * The lag runs from the first files backup or dump completed after the start of the last
+ * completed replication (the artifacts it copied) until now; 0 when nothing is waiting.
+ * @returns {Promise<Array>} [{ backendName, enabled, target, state ('in_sync', 'behind',
+ *   'replicating' or 'failed'), lagSeconds, pendingSince, lastBackupAt, lastReplicatedAt,
+ *   lastJob }]
+ */
+export async function getReplicationLag() {
+  try {
+    const settings = await Setting.findAll();
+    const now = Date.now();
+    const lag = [];
+
+    for (const setting of settings) {
+      const backendName = setting.backendname;
+      const target = getReplicationTarget(setting.attributes || {});
+      if (!target) {
+        lag.push({ backendName, enabled: false });
+        continue;
+      }
+
+      const [lastReplication, lastJob, lastBackup] = await Promise.all([
+        prisma.replicationStatus.findFirst({
+          where: { backendName, status: 'completed' },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.replicationStatus.findFirst({
+          where: { backendName },
+          orderBy: { createdAt: 'desc' }
+        }),
+        prisma.backupStatus.findFirst({
+          where: { backendName, status: 'completed', type: { in: REPLICATED_BACKUP_TYPES } },
+          orderBy: { updatedAt: 'desc' }
+        })
+      ]);
+
+      const pendingBackup = await prisma.backupStatus.findFirst({
+        where: {
+          backendName,
+          status: 'completed',
+          type: { in: REPLICATED_BACKUP_TYPES },
+          ...(lastReplication && { updatedAt: { gt: lastReplication.createdAt } })
+        },
+        orderBy: { updatedAt: 'asc' }
+      });
+
+      let state = 'in_sync';
+      if (lastJob?.status === 'processing') {
+        state = 'replicating';
+      } else if (pendingBackup) {
+        state = lastJob && lastJob.status !== 'completed' ? 'failed' : 'behind';
+      }
+
+      lag.push({
+        backendName,
+        enabled: true,
+        target: target.label,
+        state,
+        lagSeconds: pendingBackup ? Math.max(0, Math.round((now - pendingBackup.updatedAt.getTime()) / 1000)) : 0,
+        pendingSince: pendingBackup ? pendingBackup.updatedAt.toISOString() : null,
+        lastBackupAt: lastBackup ? lastBackup.updatedAt.toISOString() : null,
+        lastReplicatedAt: lastReplication ? lastReplication.updatedAt.toISOString() : null,
+        lastJob: lastJob
+          ? { jobId: lastJob.jobId, status: lastJob.status, error: lastJob.error }
+          : null
+      });
+    }
+
+    return lag;
+  } catch (error) {
+    throw new Error(`Failed to get replication lag: ${error.message}`);
+  }
+}
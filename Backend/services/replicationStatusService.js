@@ -0,0 +1,207 @@
+import prisma from '../config/database.js';
+
+/**
+ * Format replication status
+ */
+function formatStatus(status) {
+  return {
+    jobId: status.jobId,
+    status: status.status,
+    backendName: status.backendName,
+    target: status.target,
+    trigger: status.trigger,
+    progress: status.progress,
+    message: status.message,
+    result: status.result,
+    error: status.error,
+    createdAt: status.createdAt.toISOString(),
+    updatedAt: status.updatedAt.toISOString()
+  };
+}
+
+/**
+ * Set replication status
+ */
+export async function setReplicationStatus(jobId, status) {
+  try {
+    if (!prisma.replicationStatus) {
+      console.warn('⚠️  ReplicationStatus model not found. Please run: npx prisma generate');
+      return;
+    }
+
+    const existingRecord = await prisma.replicationStatus.findUnique({
+      where: { jobId },
+      select: { id: true }
+    });
+
+    if (existingRecord) {
+      // Update existing record
+      await prisma.replicationStatus.update({
+        where: { jobId },
+        data: {
+          status: status.status,
+          ...(status.progress !== undefined && { progress: status.progress }),
+          ...(status.message !== undefined && { message: status.message }),
+          ...(status.result !== undefined && { result: status.result }),
+          ...(status.error !== undefined && { error: status.error }),
+          updatedAt: new Date()
+        }
+      });
+    } else {
+      // Create new record
+      if (!status.backendName || !status.target) {
+        throw new Error(`Missing required fields: backendName=${status.backendName}, target=${status.target}`);
+      }
+
+      await prisma.replicationStatus.create({
+        data: {
+          jobId,
+          status: status.status,
+          backendName: status.backendName,
+          target: status.target,
+          trigger: status.trigger || 'manual',
+          progress: status.progress || 0,
+          message: status.message || null,
+          result: status.result || null,
+          error: status.error || null
+        }
+      });
+    }
+  } catch (error) {
+    console.error('Error setting replication status:', error);
+    // Don't throw - allow background process to continue
+  }
+}
+
+/**
+ * Get replication status by jobId
+ */
+export async function getReplicationStatus(jobId) {
+  try {
+    if (!prisma.replicationStatus) {
+      return null;
+    }
+
+    const status = await prisma.replicationStatus.findUnique({
+      where: { jobId }
+    });
+
+    return status ? formatStatus(status) : null;
+  } catch (error) {
+    console.error('Error getting replication status:', error);
+    return null;
+  }
+}
+
+/**
+ * Get replication statuses, newest first
+ * @param {string} backendName - Only this backend's jobs (optional)
+ * @param {number} limit - Maximum number of jobs
+ */
+export async function getReplicationStatuses(backendName = null, limit = 50) {
+  try {
+    if (!prisma.replicationStatus) {
+      return [];
+    }
+
+    const statuses = await prisma.replicationStatus.findMany({
+      where: backendName ? { backendName } : {},
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    return statuses.map(formatStatus);
+  } catch (error) {
+    console.error('Error getting replication statuses:', error);
+    return [];
+  }
+}
+
+/**
+ * Mark replications left in processing by a stopped server as interrupted
+ * Runs on startup; the next replication of the backend copies what they missed
+ * @returns {Promise<number>} Number of interrupted jobs
+ */
+export async function markInterruptedReplications() {
+  try {
+    if (!prisma.replicationStatus) {
+      return 0;
+    }
+
+    const result = await prisma.replicationStatus.updateMany({
+      where: { status: 'processing' },
+      data: {
+        status: 'interrupted',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the replication was running'
+      }
+    });
+
+    if (result.count > 0) {
+      console.log(`⚠️  Marked ${result.count} unfinished replication job(s) as interrupted`);
+    }
+    return result.count;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return 0;
+    }
+    console.error('Error marking interrupted replications:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Cleanup old replication statuses
+ * The last completed job of each backend is kept, since the replication lag is measured from it
+ */
+export async function cleanupOldReplicationStatuses() {
+  try {
+    if (!prisma.replicationStatus) {
+      return 0;
+    }
+
+    const cleanupDays = parseInt(process.env.BACKUP_STATUS_CLEANUP_DAYS || '7');
+    const cutoffDate = new Date();
+    cutoffDate.setDate(cutoffDate.getDate() - cleanupDays);
+
+    const lastCompleted = await prisma.replicationStatus.groupBy({
+      by: ['backendName'],
+      where: { status: 'completed' },
+      _max: { createdAt: true }
+    });
+
+    const result = await prisma.replicationStatus.deleteMany({
+      where: {
+        createdAt: {
+          lt: cutoffDate
+        },
+        status: {
+          in: ['completed', 'failed', 'interrupted']
+        },
+        ...(lastCompleted.length > 0 && {
+          NOT: lastCompleted.map(entry => ({
+            backendName: entry.backendName,
+            createdAt: entry._max.createdAt
+          }))
+        })
+      }
+    });
+
+    console.log(`✅ Cleaned up ${result.count} old replication statuses`);
+    return result.count;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      console.warn('⚠️  ReplicationStatus table does not exist yet. Please run: npx prisma migrate dev');
+      return 0;
+    }
+    console.error('Error cleaning up old replication statuses:', error.message);
+    return 0;
+  }
+}
+
+/**
+ * Generate unique job ID
+ */
+export function generateReplicationJobId(backendName) {
+  return `replication_${backendName}_${Date.now()}`;
+}
@@ -1,5 +1,8 @@
 import prisma from '../config/database.js';
+import Setting from '../models/Setting.js';
 import { getAllBackupTables } from './backupService.js';
+import { getStoreStats } from './fileStoreService.js';
+import { getReplicationLag } from './replicationService.js';
 
 /**
  * Get comprehensive reports data
@@ -7,8 +10,9 @@ import { getAllBackupTables } from './backupService.js';
  */
 export async function getReportsData() {
   try {
-    // Get all backup statuses
+    // Get all backup statuses (retention runs are not backups)
     const allStatuses = await prisma.backupStatus.findMany({
+      where: { type: { not: 'retention' } },
       orderBy: { createdAt: 'desc' }
     });
 
@@ -47,28 +51,52 @@ export async function getReportsData() {
       if (status.type === 'files') backendStats[status.backendName].files++;
     });
 
-    // Get backup data counts (from backup tables)
-    // Note: getAllBackupTables returns all backup tables (backendName is just for return object)
+    // Get backup data counts (from each backend's backup schema)
     let totalBackupRecords = 0;
     let totalBackupTables = 0;
+    const backendTableCounts = {};
 
     try {
-      const backupDataCounts = await getAllBackupTables(null);
-      
-      if (backupDataCounts && backupDataCounts.tables) {
-        Object.entries(backupDataCounts.tables).forEach(([tableName, tableInfo]) => {
-          if (!tableInfo.error) {
-            const count = tableInfo.count || 0;
-            totalBackupRecords += count;
-            totalBackupTables++;
-          }
-        });
+      const settings = await Setting.findAll();
+
+      for (const setting of settings) {
+        const backupDataCounts = await getAllBackupTables(setting.backendname);
+        const backendCounts = { totalTables: 0, totalRecords: 0 };
+
+        if (backupDataCounts && backupDataCounts.tables) {
+          Object.values(backupDataCounts.tables).forEach(tableInfo => {
+            if (!tableInfo.error) {
+              backendCounts.totalRecords += tableInfo.count || 0;
+              backendCounts.totalTables++;
+            }
+          });
+        }
+
+        backendTableCounts[setting.backendname] = backendCounts;
+        totalBackupRecords += backendCounts.totalRecords;
+        totalBackupTables += backendCounts.totalTables;
       }
     } catch (error) {
       console.error('Error getting backup tables:', error.message);
       // Continue with 0 values if backup tables can't be accessed
     }
 
+    // Deduplication savings of the file store
+    let fileStorage = null;
+    try {
+      fileStorage = await getStoreStats();
+    } catch (error) {
+      console.error('Error getting file store stats:', error.message);
+    }
+
+    // Replication lag of the backends with a replication target
+    let replication = [];
+    try {
+      replication = (await getReplicationLag()).filter(backend => backend.enabled);
+    } catch (error) {
+      console.error('Error getting replication lag:', error.message);
+    }
+
     // Get backup data by backend
     // We'll aggregate by checking result field in statuses for database backups
     const backendBackupData = {};
@@ -116,15 +144,10 @@ export async function getReportsData() {
         }
       });
       
-      // If no data from status results, try to get from backup tables
-      // (This is a fallback - we can't easily filter backup tables by backend)
-      if (backendTotalTables === 0 && backupDataCounts && backupDataCounts.tables) {
-        // Count tables that might belong to this backend (heuristic)
-        const backendTableCount = Object.keys(backupDataCounts.tables).length;
-        if (backendTableCount > 0) {
-          backendTotalTables = backendTableCount;
-          backendTotalRecords = totalBackupRecords;
-        }
+      // If no data from status results, fall back to this backend's backup tables
+      if (backendTotalTables === 0 && backendTableCounts[backendName]) {
+        backendTotalTables = backendTableCounts[backendName].totalTables;
+        backendTotalRecords = backendTableCounts[backendName].totalRecords;
       }
       
       backendBackupData[backendName] = {
@@ -196,6 +219,8 @@ export async function getReportsData() {
         typeMetrics,
         backendStats,
         backendBackupData,
+        fileStorage,
+        replication,
         dailyChartData,
         statusDistribution,
         typeDistribution,
@@ -0,0 +1,278 @@
+import cron from 'node-cron';
+import Setting from '../models/Setting.js';
+import { applyRetention, getRetentionPolicy, hasRetentionPolicy } from './retentionService.js';
+import { setBackupStatus, deleteBackupStatus } from './backupStatusService.js';
+import { enqueueJob, getActiveJob, cancelJob } from './jobQueueService.js';
+
+// Queue priority: pruning waits for every backup and upload
+export const RETENTION_PRIORITY = -10;
+
+// Scheduled pruner cron job and its status
+let retentionCronJob = null;
+let retentionPrunerStatus = {
+  enabled: false,
+  schedule: null,
+  lastRun: null
+};
+
+/**
+ * Dedupe key of a prune: one per backend at a time
+ */
+function getRetentionDedupeKey(backendName) {
+  return `retention:${backendName}`;
+}
+
+/**
+ * Generate unique job ID
+ */
+function generateRetentionJobId(backendName) {
+  return `${backendName}_retention_${Date.now()}`;
+}
+
+/**
+ * Describe what a prune removed, for status messages
+ */
+function describeSummary(summary) {
+  return `${summary.snapshots} snapshot(s) with ${summary.rowVersions} row version(s), ` +
+    `${summary.dumps} dump(s) and ${summary.fileVersions} file version(s)`;
+}
+
+/**
+ * Queue a prune of a backend's backups by its retention policy
+ * The run is recorded in the backup job history (BackupStatus, type 'retention') with
+ * everything it removed
+ * @param {Object} setting - Setting of the backend
+ * @param {Object} options - { isAutomatic: started by the scheduled pruner, retryOf }
+ * @returns {Promise<Object>} { jobId } when queued, { duplicateJobId } when a prune of the
+ *   backend is already queued or running
+ */
+export async function queueRetentionJob(setting, options = {}) {
+  const backendName = setting.backendname;
+  const dedupeKey = getRetentionDedupeKey(backendName);
+  const isAutomatic = options.isAutomatic === true;
+
+  const active = await getActiveJob(dedupeKey);
+  if (active) {
+    return { duplicateJobId: active.jobId };
+  }
+
+  const jobId = generateRetentionJobId(backendName);
+
+  await setBackupStatus(jobId, {
+    status: 'queued',
+    type: 'retention',
+    backendName,
+    progress: 0,
+    message: 'Waiting in queue...',
+    result: null,
+    error: null,
+    isAutomatic
+  });
+
+  const { duplicate } = await enqueueJob({
+    jobId,
+    kind: 'retention',
+    type: 'retention',
+    backendName,
+    payload: {
+      isAutomatic,
+      ...(options.retryOf && { retryOf: options.retryOf })
+    },
+    priority: RETENTION_PRIORITY,
+    // Pruning again only removes what is still past the policy, so it is safe to repeat
+    maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS || '3'),
+    dedupeKey
+  });
+
+  // Lost a race with another request for the same backend
+  if (duplicate) {
+    await deleteBackupStatus(jobId);
+    return { duplicateJobId: duplicate.jobId };
+  }
+
+  return { jobId };
+}
+
+/**
+ * Cancel a queued or running prune
+ * A running prune stops before its next deletion; what it removed so far stays recorded
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Same as cancelJob
+ */
+export async function cancelRetentionJob(jobId) {
+  return cancelJob(jobId, 'retention');
+}
+
+/**
+ * Run a queued prune job
+ * @param {Object} job - Queued job
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ */
+async function runRetentionJob(job, signal) {
+  const { jobId } = job;
+  // Latest partial result, recorded even when the prune stops part way
+  let latest = null;
+
+  try {
+    const setting = await Setting.findByBackendName(job.backendName);
+    if (!setting) {
+      throw new Error(`Setting with backend name "${job.backendName}" not found`);
+    }
+
+    await setBackupStatus(jobId, {
+      status: 'processing',
+      progress: 10,
+      message: 'Applying retention policy...'
+    });
+
+    const result = await applyRetention(setting, {
+      signal,
+      onProgress: async (partial, target) => {
+        latest = partial;
+        await setBackupStatus(jobId, {
+          status: 'processing',
+          progress: 50,
+          message: `Pruned ${target}: ${describeSummary(partial.summary)} removed so far`,
+          result: partial
+        });
+      }
+    });
+
+    await setBackupStatus(jobId, {
+      status: 'completed',
+      progress: 100,
+      message: `Retention applied: removed ${describeSummary(result.summary)}`,
+      result
+    });
+
+    console.log(`🧹 Retention applied for ${job.backendName}: removed ${describeSummary(result.summary)}`);
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log(`⏹️  Retention run cancelled for ${job.backendName}`);
+      await setBackupStatus(jobId, {
+        status: 'cancelled',
+        error: null,
+        message: latest ? `Retention run cancelled after removing ${describeSummary(latest.summary)}` : 'Retention run cancelled',
+        ...(latest && { result: latest })
+      });
+      throw error;
+    }
+
+    console.error(`❌ Retention run failed for ${job.backendName}:`, error.message);
+    await setBackupStatus(jobId, {
+      status: 'failed',
+      error: error.message,
+      message: `Retention run failed: ${error.message}`,
+      ...(latest && { result: latest })
+    });
+    throw error;
+  }
+}
+
+/**
+ * Update the status of a prune job a stopped server left unfinished
+ */
+async function retentionJobInterrupted(job, requeued) {
+  await setBackupStatus(job.jobId, requeued
+    ? {
+        status: 'queued',
+        message: 'Server stopped while the retention run was running, waiting in queue to run again...'
+      }
+    : {
+        status: 'interrupted',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the retention run was running'
+      });
+}
+
+/**
+ * Update the status of a prune job cancelled before it ran
+ */
+async function retentionJobCancelled(job) {
+  await setBackupStatus(job.jobId, {
+    status: 'cancelled',
+    message: 'Cancelled before it started'
+  });
+}
+
+export const retentionJobHandler = {
+  run: runRetentionJob,
+  interrupted: retentionJobInterrupted,
+  cancelled: retentionJobCancelled
+};
+
+/**
+ * Queue a prune of every backend that has a retention policy
+ * Backends with an invalid policy are skipped with an error in the log
+ */
+async function runScheduledRetention() {
+  console.log(`🧹 Starting scheduled retention run at ${new Date().toISOString()}`);
+  retentionPrunerStatus.lastRun = new Date().toISOString();
+
+  try {
+    const settings = await Setting.findAll();
+
+    for (const setting of settings) {
+      try {
+        if (!hasRetentionPolicy(getRetentionPolicy(setting.attributes || {}))) {
+          continue;
+        }
+
+        const { duplicateJobId } = await queueRetentionJob(setting, { isAutomatic: true });
+        if (duplicateJobId) {
+          console.log(`⏭️  Skipped retention run for ${setting.backendname}: ${duplicateJobId} is still queued or running`);
+        }
+      } catch (error) {
+        console.error(`Error starting retention run for ${setting.backendname}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error in scheduled retention run:', error);
+  }
+}
+
+/**
+ * Start the scheduled pruner
+ * RETENTION_ENABLED turns it on; RETENTION_SCHEDULE is its cron expression (default: 4 AM daily)
+ */
+export function startRetentionPruner() {
+  if (retentionCronJob) {
+    retentionCronJob.stop();
+    retentionCronJob = null;
+  }
+
+  const enabled = process.env.RETENTION_ENABLED === 'true';
+  const schedule = process.env.RETENTION_SCHEDULE || '0 4 * * *';
+
+  if (!enabled) {
+    console.log('📅 Scheduled retention pruning is disabled');
+    retentionPrunerStatus = { enabled: false, schedule: null, lastRun: null };
+    return;
+  }
+
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid cron schedule for retention pruning: ${schedule}`);
+    retentionPrunerStatus = { enabled: false, schedule: null, lastRun: null };
+    return;
+  }
+
+  retentionCronJob = cron.schedule(schedule, runScheduledRetention, {
+    name: 'retention-pruner',
+    timezone: process.env.TZ || 'UTC'
+  });
+  retentionPrunerStatus = { enabled: true, schedule, lastRun: null };
+
+  console.log(`✅ Retention pruning scheduled: ${schedule}`);
+}
+
+/**
+ * Get the scheduled pruner's status
+ * @returns {Object} { enabled, schedule, lastRun, nextRun }
+ */
+export function getRetentionPrunerStatus() {
+  const nextRun = retentionCronJob?.getNextRun();
+  return {
+    ...retentionPrunerStatus,
+    nextRun: nextRun ? nextRun.toISOString() : null
+  };
+}
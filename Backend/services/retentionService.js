@@ -0,0 +1,370 @@
+import path from 'path';
+import prisma from '../config/database.js';
+import { listSnapshots, pruneRowVersions, deleteSnapshots } from './snapshotService.js';
+import { listDumps, deleteDump } from './dumpService.js';
+import { listVersionedFiles, listFileVersions, deleteFileVersion } from './fileVersionService.js';
+
+// What a policy can prune, as named in RETENTION_POLICY overrides and results
+export const RETENTION_TARGETS = ['snapshots', 'dumps', 'fileVersions'];
+
+// Rotation periods, finest first
+const RETENTION_PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Read a "keep" count: a non-negative integer, 0 when not set
+ */
+function parseKeepCount(value, name) {
+  if (value === undefined || value === null || value === '') {
+    return 0;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid retention policy: ${name} must be a non-negative integer (got ${value})`);
+  }
+  return count;
+}
+
+/**
+ * Build a rule from { daily, weekly, monthly }
+ * @returns {Object|null} Rule, or null when it keeps nothing by period (the target is not pruned)
+ */
+function parseRule(config, label) {
+  const rule = {};
+  for (const period of RETENTION_PERIODS) {
+    rule[period] = parseKeepCount(config?.[period], `${label}.${period}`);
+  }
+  return RETENTION_PERIODS.some(period => rule[period] > 0) ? rule : null;
+}
+
+/**
+ * Get the retention policy of a backend
+ * RETENTION_POLICY in the setting's attributes is { daily, weekly, monthly }, with optional
+ * per-target overrides ({ snapshots: {...}, dumps: {...}, fileVersions: {...} }, or false to
+ * leave a target alone), or false to turn retention off for the backend. Without it,
+ * RETENTION_KEEP_DAILY, RETENTION_KEEP_WEEKLY and RETENTION_KEEP_MONTHLY from the environment
+ * apply to every target of every backend.
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} { snapshots, dumps, fileVersions }: each a rule, or null when not pruned
+ */
+export function getRetentionPolicy(attributes = {}) {
+  const configured = attributes?.RETENTION_POLICY;
+  const policy = Object.fromEntries(RETENTION_TARGETS.map(target => [target, null]));
+
+  if (configured === false || configured === 'false') {
+    return policy;
+  }
+
+  let base;
+  if (configured && typeof configured === 'object') {
+    base = configured;
+  } else if (configured) {
+    throw new Error('Invalid retention policy: RETENTION_POLICY must be an object or false');
+  } else {
+    base = {
+      daily: process.env.RETENTION_KEEP_DAILY,
+      weekly: process.env.RETENTION_KEEP_WEEKLY,
+      monthly: process.env.RETENTION_KEEP_MONTHLY
+    };
+  }
+
+  for (const target of RETENTION_TARGETS) {
+    const override = base[target];
+    if (override === false || override === 'false') {
+      continue;
+    }
+    policy[target] = parseRule({ ...base, ...(override && typeof override === 'object' ? override : {}) }, target);
+  }
+
+  return policy;
+}
+
+/**
+ * Whether a policy prunes anything
+ */
+export function hasRetentionPolicy(policy) {
+  return RETENTION_TARGETS.some(target => policy[target]);
+}
+
+/**
+ * Time zone that days, weeks and months are counted in (the one cron jobs use)
+ */
+function getRetentionTimeZone() {
+  return process.env.TZ || 'UTC';
+}
+
+/**
+ * Get the day, ISO week or month a date falls in, as a sortable key
+ * @param {Date} date - Date
+ * @param {string} period - 'daily', 'weekly' or 'monthly'
+ * @param {string} timeZone - IANA time zone
+ */
+function getPeriodKey(date, period, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(date)
+      .map(part => [part.type, part.value])
+  );
+
+  if (period === 'daily') {
+    return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+  if (period === 'monthly') {
+    return `${parts.year}-${parts.month}`;
+  }
+
+  // ISO week: the week (Monday to Sunday) belongs to the year of its Thursday
+  const day = new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)));
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Apply a grandfather-father-son rule to a list of items
+ * For each period the newest item of each of the last N days, weeks or months that have
+ * one is kept; the newest item overall is always kept.
+ * @param {Array} items - Items with a `date`, newest first
+ * @param {Object} rule - { daily, weekly, monthly }
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} { kept: [{ item, keptFor }], removed: [item] }
+ */
+export function selectRetainedItems(items, rule, timeZone = getRetentionTimeZone()) {
+  const keptFor = new Map();
+
+  if (items.length > 0) {
+    keptFor.set(0, ['latest']);
+  }
+
+  for (const period of RETENTION_PERIODS) {
+    const periods = new Set();
+
+    for (let index = 0; index < items.length && periods.size < rule[period]; index++) {
+      const key = getPeriodKey(items[index].date, period, timeZone);
+      if (periods.has(key)) {
+        continue;
+      }
+      periods.add(key);
+      keptFor.set(index, [...(keptFor.get(index) || []), period]);
+    }
+  }
+
+  const kept = [];
+  const removed = [];
+  items.forEach((item, index) => {
+    if (keptFor.has(index)) {
+      kept.push({ item, keptFor: keptFor.get(index) });
+    } else {
+      removed.push(item);
+    }
+  });
+
+  return { kept, removed };
+}
+
+/**
+ * Prune the database snapshots of a backend
+ * Only completed snapshots are rotated; running ones are kept, and failed ones are removed
+ * once a newer snapshot completed. Row versions no kept snapshot can see are removed with them.
+ */
+async function pruneSnapshots(backendName, rule, timeZone, report, options) {
+  if (!prisma.backupSnapshot) {
+    report.skipped = 'BackupSnapshot model not found';
+    return;
+  }
+
+  const snapshots = await listSnapshots(backendName);
+  const completed = snapshots
+    .filter(snapshot => snapshot.status === 'completed')
+    .map(snapshot => ({ ...snapshot, date: new Date(snapshot.createdAt) }));
+
+  if (completed.length === 0) {
+    report.skipped = 'No completed snapshots';
+    return;
+  }
+
+  const { kept, removed } = selectRetainedItems(completed, rule, timeZone);
+  const latestCompleted = completed[0].snapshotNumber;
+  const failed = snapshots.filter(snapshot => snapshot.status === 'failed' && snapshot.snapshotNumber < latestCompleted);
+  const removedNumbers = new Set([...removed, ...failed].map(snapshot => snapshot.snapshotNumber));
+
+  // Every snapshot that stays, running and newer failed ones included, keeps its row versions
+  const keptNumbers = snapshots
+    .map(snapshot => snapshot.snapshotNumber)
+    .filter(snapshotNumber => !removedNumbers.has(snapshotNumber));
+  const removedSnapshots = [...removed, ...failed]
+    .sort((a, b) => b.snapshotNumber - a.snapshotNumber)
+    .map(snapshot => ({
+      snapshotNumber: snapshot.snapshotNumber,
+      jobId: snapshot.jobId,
+      status: snapshot.status,
+      createdAt: snapshot.createdAt
+    }));
+
+  report.kept = kept.map(({ item, keptFor }) => ({
+    snapshotNumber: item.snapshotNumber,
+    createdAt: item.createdAt,
+    keptFor
+  }));
+  report.removed = [];
+  report.rowVersions = {};
+  report.removedRowVersions = 0;
+
+  // Row versions first: a run stopped in between finds the same snapshots to remove next time
+  await pruneRowVersions(backendName, keptNumbers, {
+    ...options,
+    onTable: (tableName, count) => {
+      report.rowVersions[tableName] = count;
+      report.removedRowVersions += count;
+    }
+  });
+
+  if (!options.dryRun) {
+    await deleteSnapshots(backendName, removedSnapshots.map(snapshot => snapshot.snapshotNumber));
+  }
+  report.removed = removedSnapshots;
+}
+
+/**
+ * Prune the pg_dump archives of a backend
+ */
+async function pruneDumps(backendName, rule, timeZone, report, options) {
+  const dumps = (await listDumps(backendName)).map(dump => ({ ...dump, date: new Date(dump.createdAt) }));
+  const { kept, removed } = selectRetainedItems(dumps, rule, timeZone);
+
+  report.kept = kept.map(({ item, keptFor }) => ({ fileName: item.fileName, createdAt: item.createdAt, keptFor }));
+  report.removed = [];
+  report.removedBytes = 0;
+
+  for (const dump of removed) {
+    options.signal?.throwIfAborted();
+    if (!options.dryRun) {
+      await deleteDump(backendName, dump.fileName);
+    }
+    report.removed.push({ fileName: dump.fileName, createdAt: dump.createdAt, sizeBytes: dump.sizeBytes });
+    report.removedBytes += dump.sizeBytes;
+  }
+}
+
+/**
+ * Prune the archived versions of changed and deleted files, rotated per object key
+ * The newest version of every key is kept, so a deleted file can always be restored
+ */
+async function pruneFileVersions(backendName, rule, timeZone, report, options) {
+  const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+  const baseBackupPath = path.isAbsolute(backupPathEnv)
+    ? backupPathEnv
+    : path.resolve(process.cwd(), backupPathEnv);
+
+  const files = await listVersionedFiles(backendName, path.join(baseBackupPath, backendName));
+
+  report.keys = files.length;
+  report.kept = 0;
+  report.removed = [];
+  report.removedBytes = 0;
+
+  for (const file of files) {
+    options.signal?.throwIfAborted();
+
+    const versions = (await listFileVersions(backendName, file.key))
+      .map(version => ({ ...version, date: new Date(version.archivedAt) }));
+    const { kept, removed } = selectRetainedItems(versions, rule, timeZone);
+    report.kept += kept.length;
+
+    for (const version of removed) {
+      if (!options.dryRun) {
+        await deleteFileVersion(backendName, file.key, version.versionId);
+      }
+      report.removed.push({
+        key: file.key,
+        versionId: version.versionId,
+        archivedAt: version.archivedAt,
+        reason: version.reason,
+        size: version.size
+      });
+      report.removedBytes += version.size;
+    }
+  }
+}
+
+/**
+ * Count what a (partial) prune result removed
+ */
+function summarizeRetention(result) {
+  return {
+    snapshots: result.snapshots?.removed?.length || 0,
+    rowVersions: result.snapshots?.removedRowVersions || 0,
+    dumps: result.dumps?.removed?.length || 0,
+    fileVersions: result.fileVersions?.removed?.length || 0,
+    bytes: (result.dumps?.removedBytes || 0) + (result.fileVersions?.removedBytes || 0)
+  };
+}
+
+const TARGET_PRUNERS = {
+  snapshots: pruneSnapshots,
+  dumps: pruneDumps,
+  fileVersions: pruneFileVersions
+};
+
+/**
+ * Apply a backend's retention policy
+ * With dryRun nothing is deleted and the result is a preview of what a prune would remove.
+ * @param {Object} setting - Backend setting
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would be removed
+ * @param {AbortSignal} options.signal - Stops the prune between deletions
+ * @param {Function} options.onProgress - Called with the result so far after each target,
+ *   and before a stopped or failed prune throws, so what it removed is always recorded
+ * @returns {Promise<Object>} { backendName, dryRun, timeZone, policy, snapshots, dumps,
+ *   fileVersions, summary }; a target without a rule is null
+ */
+export async function applyRetention(setting, options = {}) {
+  const backendName = setting.backendname;
+  const policy = getRetentionPolicy(setting.attributes || {});
+  const timeZone = getRetentionTimeZone();
+  const dryRun = options.dryRun === true;
+
+  const result = {
+    backendName,
+    dryRun,
+    timeZone,
+    policy,
+    snapshots: null,
+    dumps: null,
+    fileVersions: null,
+    summary: { snapshots: 0, rowVersions: 0, dumps: 0, fileVersions: 0, bytes: 0 }
+  };
+
+  for (const target of RETENTION_TARGETS) {
+    if (!policy[target]) {
+      continue;
+    }
+
+    options.signal?.throwIfAborted();
+    result[target] = {};
+
+    try {
+      await TARGET_PRUNERS[target](backendName, policy[target], timeZone, result[target], {
+        dryRun,
+        signal: options.signal
+      });
+    } catch (error) {
+      result.summary = summarizeRetention(result);
+      if (options.onProgress) {
+        await options.onProgress(result, target);
+      }
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      throw new Error(`Failed to prune ${target}: ${error.message}`);
+    }
+
+    result.summary = summarizeRetention(result);
+    if (options.onProgress) {
+      await options.onProgress(result, target);
+    }
+  }
+
+  return result;
+}
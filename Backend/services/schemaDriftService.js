@@ -0,0 +1,293 @@
+import prisma from '../config/database.js';
+import { getBackupTableName, getBackupTableRef } from './backupSchemaService.js';
+import { getBackupColumns, getBackupColumnType } from './tableDefinitionService.js';
+
+// Integer types ordered by width
+const INTEGER_WIDTHS = { smallint: 1, integer: 2, bigint: 3 };
+
+// Types that accept any character data without limit
+const UNBOUNDED_TEXT_TYPES = ['text', 'character varying'];
+
+/**
+ * Split a SQL type into name, modifiers and array flag
+ * e.g. `numeric(10,2)` -> { name: 'numeric', modifiers: [10, 2], isArray: false }
+ */
+function parseType(type) {
+  let normalized = String(type).replace(/"/g, '').toLowerCase().trim();
+  const isArray = normalized.endsWith('[]');
+  if (isArray) {
+    normalized = normalized.slice(0, -2);
+  }
+
+  const modifierMatch = normalized.match(/\(([\d,\s]+)\)/);
+  const modifiers = modifierMatch ? modifierMatch[1].split(',').map(value => parseInt(value)) : [];
+  const name = normalized.replace(/\([\d,\s]+\)/, '').replace(/\s+/g, ' ').trim();
+
+  return { name, modifiers, isArray };
+}
+
+/**
+ * Check whether a column of type `targetType` can store every value of `valueType`
+ * without loss (text holds anything in its text form)
+ */
+function canHoldType(targetType, valueType) {
+  const target = parseType(targetType);
+  const value = parseType(valueType);
+
+  if (target.name === 'text' && !target.isArray) {
+    return true;
+  }
+  if (target.isArray !== value.isArray) {
+    return false;
+  }
+
+  if (target.name === value.name) {
+    if (target.name === 'numeric') {
+      if (target.modifiers.length === 0) {
+        return true;
+      }
+      if (value.modifiers.length === 0) {
+        return false;
+      }
+      const [targetPrecision, targetScale = 0] = target.modifiers;
+      const [valuePrecision, valueScale = 0] = value.modifiers;
+      return targetScale >= valueScale && (targetPrecision - targetScale) >= (valuePrecision - valueScale);
+    }
+    // Length or precision: no modifier means unlimited (or the maximum)
+    if (target.modifiers.length === 0) {
+      return true;
+    }
+    return value.modifiers.length > 0 && target.modifiers[0] >= value.modifiers[0];
+  }
+
+  if (INTEGER_WIDTHS[target.name] && INTEGER_WIDTHS[value.name]) {
+    return INTEGER_WIDTHS[target.name] >= INTEGER_WIDTHS[value.name];
+  }
+  if (target.name === 'numeric' && target.modifiers.length === 0 && INTEGER_WIDTHS[value.name]) {
+    return true;
+  }
+  if (UNBOUNDED_TEXT_TYPES.includes(target.name) && target.modifiers.length === 0 &&
+      [...UNBOUNDED_TEXT_TYPES, 'character'].includes(value.name)) {
+    return true;
+  }
+  if (target.name === 'double precision' && value.name === 'real') {
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * Build a schema change event
+ */
+function schemaChange(changeType, columnName, { breaking = false, applied = true, details = null } = {}) {
+  return { changeType, columnName, breaking, applied, details };
+}
+
+/**
+ * Compare a source table with its existing backup table and migrate the backup table
+ * Additive changes are applied automatically:
+ * - new source columns are added (nullable, older versions have no value)
+ * - columns that became nullable, or disappeared at the source, lose NOT NULL
+ * - types that were widened at the source are widened in the backup
+ * Breaking changes are recorded; a column retyped incompatibly is stored as text from
+ * then on, so existing versions and new values both keep their exact text form.
+ * The previous stored definition is used to tell renames and primary key changes apart.
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @param {Object} definition - Current source definition
+ * @param {Object|null} previousDefinition - Definition stored by the previous run
+ * @returns {Promise<Array>} Schema change events
+ */
+export async function migrateBackupTable(backendName, tableName, definition, previousDefinition) {
+  const backupTableName = getBackupTableName(tableName);
+  const backupTableRef = getBackupTableRef(backendName, tableName);
+  const backupColumns = await getBackupColumns(backendName, tableName);
+  const sourceColumnNames = definition.columns.map(col => col.name);
+  const changes = [];
+
+  // Renames: a column disappeared and another with the same definition took its position
+  const renamedFrom = {};
+  if (previousDefinition) {
+    const previousNames = previousDefinition.columns.map(col => col.name);
+    previousDefinition.columns.forEach((previousColumn, index) => {
+      if (sourceColumnNames.includes(previousColumn.name)) {
+        return;
+      }
+      const candidate = definition.columns[index];
+      if (candidate && !previousNames.includes(candidate.name) && candidate.definition === previousColumn.definition) {
+        renamedFrom[candidate.name] = previousColumn.name;
+      }
+    });
+  }
+  const renamedColumns = Object.values(renamedFrom);
+
+  for (const column of definition.columns) {
+    const colName = column.name.replace(/[^a-zA-Z0-9_]/g, '');
+    const columnType = getBackupColumnType(backendName, column);
+    const backupColumn = backupColumns[colName];
+
+    if (!backupColumn) {
+      await prisma.$executeRawUnsafe(`ALTER TABLE ${backupTableRef} ADD COLUMN IF NOT EXISTS "${colName}" ${columnType}`);
+
+      if (renamedFrom[column.name]) {
+        // Older versions keep their values under the old column name
+        changes.push(schemaChange('column_renamed', column.name, {
+          breaking: true,
+          details: { from: renamedFrom[column.name], to: column.name, type: column.definition }
+        }));
+      } else {
+        changes.push(schemaChange('column_added', column.name, {
+          details: { type: column.definition }
+        }));
+      }
+      continue;
+    }
+
+    if (!canHoldType(backupColumn.type, columnType)) {
+      if (canHoldType(columnType, backupColumn.type)) {
+        await prisma.$executeRawUnsafe(
+          `ALTER TABLE ${backupTableRef} ALTER COLUMN "${colName}" TYPE ${columnType} USING "${colName}"::${columnType}`
+        );
+        changes.push(schemaChange('column_widened', column.name, {
+          details: { from: backupColumn.type, to: column.definition }
+        }));
+      } else {
+        await prisma.$executeRawUnsafe(
+          `ALTER TABLE ${backupTableRef} ALTER COLUMN "${colName}" TYPE TEXT USING "${colName}"::text`
+        );
+        changes.push(schemaChange('column_retyped', column.name, {
+          breaking: true,
+          details: { from: backupColumn.type, to: column.definition, storedAs: 'text' }
+        }));
+      }
+    }
+
+    if (backupColumn.notNull && !column.notNull) {
+      await prisma.$executeRawUnsafe(`ALTER TABLE ${backupTableRef} ALTER COLUMN "${colName}" DROP NOT NULL`);
+      changes.push(schemaChange('column_nullable', column.name));
+    }
+  }
+
+  // Columns gone from the source stay in the backup for older versions
+  const ownColumns = ['id', ...Object.keys(backupColumns).filter(name => name.startsWith('backup_'))];
+  for (const [name, backupColumn] of Object.entries(backupColumns)) {
+    if (sourceColumnNames.includes(name) || ownColumns.includes(name)) {
+      continue;
+    }
+
+    if (backupColumn.notNull) {
+      await prisma.$executeRawUnsafe(`ALTER TABLE ${backupTableRef} ALTER COLUMN "${name}" DROP NOT NULL`);
+    }
+
+    const wasInPreviousDefinition = previousDefinition?.columns.some(col => col.name === name);
+    if ((wasInPreviousDefinition || backupColumn.notNull) && !renamedColumns.includes(name)) {
+      changes.push(schemaChange('column_dropped', name, {
+        breaking: true,
+        details: { type: backupColumn.type }
+      }));
+    }
+  }
+
+  if (previousDefinition) {
+    const previousKey = previousDefinition.primaryKey || [];
+    if (previousKey.join(',') !== definition.primaryKey.join(',')) {
+      // Rows are matched by the new key from now on
+      let applied = true;
+      await prisma.$executeRawUnsafe(`DROP INDEX IF EXISTS ${backupTableRef.split('.')[0]}."${backupTableName}_current_key"`);
+      if (definition.primaryKey.length > 0) {
+        try {
+          await prisma.$executeRawUnsafe(
+            `CREATE UNIQUE INDEX "${backupTableName}_current_key" ON ${backupTableRef} (${definition.primaryKey.map(col => `"${col}"`).join(', ')}) WHERE backup_valid_to IS NULL`
+          );
+        } catch (error) {
+          applied = false;
+        }
+      }
+      changes.push(schemaChange('primary_key_changed', null, {
+        breaking: true,
+        applied,
+        details: { from: previousKey, to: definition.primaryKey }
+      }));
+    }
+
+    const previousUnique = previousDefinition.uniqueConstraints || [];
+    definition.uniqueConstraints.forEach(constraint => {
+      if (!previousUnique.some(previous => previous.name === constraint.name)) {
+        changes.push(schemaChange('unique_constraint_added', null, { details: constraint }));
+      }
+    });
+    previousUnique.forEach(previous => {
+      if (!definition.uniqueConstraints.some(constraint => constraint.name === previous.name)) {
+        changes.push(schemaChange('unique_constraint_dropped', null, { details: previous }));
+      }
+    });
+  }
+
+  return changes;
+}
+
+/**
+ * Record schema change events of a backup run
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @param {Array} changes - Events from migrateBackupTable
+ * @param {Object} run - { jobId, snapshotNumber } of the backup run
+ */
+export async function recordSchemaChanges(backendName, tableName, changes, run = {}) {
+  if (changes.length === 0) {
+    return;
+  }
+
+  try {
+    await prisma.backupSchemaChange.createMany({
+      data: changes.map(change => ({
+        backendName,
+        tableName,
+        changeType: change.changeType,
+        columnName: change.columnName,
+        breaking: change.breaking,
+        applied: change.applied,
+        details: change.details ?? undefined,
+        jobId: run.jobId || null,
+        snapshotNumber: run.snapshotNumber ?? null
+      }))
+    });
+  } catch (error) {
+    throw new Error(`Failed to record schema changes: ${error.message}`);
+  }
+}
+
+/**
+ * Get the schema history of a backend's backup tables (newest first)
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Optional source table name, with or without backup_ prefix
+ * @returns {Promise<Array>} Schema change events
+ */
+export async function getSchemaHistory(backendName, tableName = null) {
+  try {
+    const where = { backendName };
+    if (tableName) {
+      where.tableName = tableName.replace(/^backup_/, '');
+    }
+
+    const changes = await prisma.backupSchemaChange.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+    });
+
+    return changes.map(change => ({
+      tableName: change.tableName,
+      changeType: change.changeType,
+      columnName: change.columnName,
+      breaking: change.breaking,
+      applied: change.applied,
+      details: change.details,
+      jobId: change.jobId,
+      snapshotNumber: change.snapshotNumber,
+      createdAt: change.createdAt.toISOString()
+    }));
+  } catch (error) {
+    throw new Error(`Failed to get schema history: ${error.message}`);
+  }
+}
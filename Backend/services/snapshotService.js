@@ -0,0 +1,339 @@
+import prisma from '../config/database.js';
+import {
+  getBackupTableName,
+  getBackupTableRef,
+  backupTableExists,
+  listBackupTables,
+  queryBackupRows
+} from './backupSchemaService.js';
+
+/**
+ * Format snapshot record for API responses
+ */
+function formatSnapshot(snapshot) {
+  return {
+    snapshotNumber: snapshot.snapshotNumber,
+    jobId: snapshot.jobId,
+    backendName: snapshot.backendName,
+    status: snapshot.status,
+    tables: snapshot.tables,
+    error: snapshot.error,
+    createdAt: snapshot.createdAt.toISOString(),
+    completedAt: snapshot.completedAt ? snapshot.completedAt.toISOString() : null
+  };
+}
+
+/**
+ * SQL condition selecting the row versions that were current at a snapshot
+ * A version is current from backup_snapshot until backup_valid_to (exclusive);
+ * rows backed up before snapshots existed have no number and count as snapshot 0
+ */
+function asOfSnapshotCondition(snapshotNumber) {
+  const snapshot = parseInt(snapshotNumber);
+  return `COALESCE(backup_snapshot, 0) <= ${snapshot} AND (backup_valid_to IS NULL OR backup_valid_to > ${snapshot})`;
+}
+
+/**
+ * Create the next numbered snapshot for a backend
+ * A job run again after a server restart keeps the jobId, and with it the snapshot it
+ * started: the snapshot is reopened, as the rows it already wrote carry its number
+ * @param {string} backendName - Backend name
+ * @param {string} jobId - BackupStatus jobId of the run producing the snapshot
+ * @returns {Promise<Object>} Created (or reopened) snapshot
+ */
+export async function createSnapshot(backendName, jobId) {
+  try {
+    const existing = await prisma.backupSnapshot.findUnique({
+      where: { jobId },
+      select: { id: true }
+    });
+
+    if (existing) {
+      const snapshot = await prisma.backupSnapshot.update({
+        where: { jobId },
+        data: {
+          status: 'processing',
+          error: null,
+          completedAt: null
+        }
+      });
+      return formatSnapshot(snapshot);
+    }
+  } catch (error) {
+    throw new Error(`Failed to create snapshot: ${error.message}`);
+  }
+
+  // Two runs for the same backend can race for the next number; retry on conflict
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    try {
+      const latest = await prisma.backupSnapshot.findFirst({
+        where: { backendName },
+        orderBy: { snapshotNumber: 'desc' },
+        select: { snapshotNumber: true }
+      });
+
+      const snapshot = await prisma.backupSnapshot.create({
+        data: {
+          backendName,
+          jobId,
+          snapshotNumber: (latest?.snapshotNumber || 0) + 1,
+          status: 'processing'
+        }
+      });
+
+      return formatSnapshot(snapshot);
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt === 3) {
+        throw new Error(`Failed to create snapshot: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Mark snapshot as completed
+ * @param {string} jobId - BackupStatus jobId of the snapshot
+ * @param {Object} tables - Per-table counts captured by the run
+ */
+export async function completeSnapshot(jobId, tables) {
+  try {
+    await prisma.backupSnapshot.update({
+      where: { jobId },
+      data: {
+        status: 'completed',
+        tables,
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error completing snapshot:', error);
+  }
+}
+
+/**
+ * Mark snapshot as failed
+ * Does nothing when the job never got to create its snapshot
+ * @param {string} jobId - BackupStatus jobId of the snapshot
+ * @param {string} errorMessage - Failure reason
+ */
+export async function failSnapshot(jobId, errorMessage) {
+  try {
+    await prisma.backupSnapshot.updateMany({
+      where: { jobId, status: 'processing' },
+      data: {
+        status: 'failed',
+        error: errorMessage,
+        completedAt: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error failing snapshot:', error);
+  }
+}
+
+/**
+ * List all snapshots for a backend (newest first)
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Array>} Array of snapshots
+ */
+export async function listSnapshots(backendName) {
+  try {
+    const snapshots = await prisma.backupSnapshot.findMany({
+      where: { backendName },
+      orderBy: { snapshotNumber: 'desc' }
+    });
+
+    return snapshots.map(formatSnapshot);
+  } catch (error) {
+    throw new Error(`Failed to list snapshots: ${error.message}`);
+  }
+}
+
+/**
+ * Get a snapshot with the row count of every backup table as of that snapshot
+ * @param {string} backendName - Backend name
+ * @param {number} snapshotNumber - Snapshot number
+ * @returns {Promise<Object|null>} Snapshot with tables, or null if not found
+ */
+export async function getSnapshot(backendName, snapshotNumber) {
+  try {
+    const snapshot = await prisma.backupSnapshot.findUnique({
+      where: {
+        backendName_snapshotNumber: {
+          backendName,
+          snapshotNumber: parseInt(snapshotNumber)
+        }
+      }
+    });
+
+    if (!snapshot) {
+      return null;
+    }
+
+    const tables = await listBackupTables(backendName);
+    const tablesAsOf = {};
+
+    for (const tableName of tables) {
+      try {
+        const countQuery = `
+          SELECT COUNT(*) as total
+          FROM ${getBackupTableRef(backendName, tableName)}
+          WHERE ${asOfSnapshotCondition(snapshot.snapshotNumber)}
+        `;
+        const countResult = await prisma.$queryRawUnsafe(countQuery);
+        tablesAsOf[tableName] = {
+          count: Number(countResult[0].total),
+          originalTableName: tableName.replace('backup_', '')
+        };
+      } catch (error) {
+        tablesAsOf[tableName] = {
+          count: 0,
+          error: error.message,
+          originalTableName: tableName.replace('backup_', '')
+        };
+      }
+    }
+
+    return {
+      ...formatSnapshot(snapshot),
+      tablesAsOf
+    };
+  } catch (error) {
+    throw new Error(`Failed to get snapshot: ${error.message}`);
+  }
+}
+
+/**
+ * Get rows of a backup table as of a snapshot, with pagination
+ * @param {string} backendName - Backend name
+ * @param {number} snapshotNumber - Snapshot number
+ * @param {string} tableName - Table name, with or without backup_ prefix
+ * @param {number} page - Page number
+ * @param {number} limit - Records per page
+ * @returns {Promise<Object>} Paginated rows
+ */
+export async function getSnapshotTableData(backendName, snapshotNumber, tableName, page = 1, limit = 10) {
+  try {
+    const snapshot = await prisma.backupSnapshot.findUnique({
+      where: {
+        backendName_snapshotNumber: {
+          backendName,
+          snapshotNumber: parseInt(snapshotNumber)
+        }
+      }
+    });
+
+    if (!snapshot) {
+      throw new Error(`Snapshot ${snapshotNumber} not found for backend ${backendName}`);
+    }
+
+    const backupTableName = getBackupTableName(tableName);
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Table ${backupTableName} does not exist for backend ${backendName}`);
+    }
+
+    const backupTableRef = getBackupTableRef(backendName, backupTableName);
+    const condition = asOfSnapshotCondition(snapshot.snapshotNumber);
+    const offset = (page - 1) * limit;
+
+    const countResult = await prisma.$queryRawUnsafe(
+      `SELECT COUNT(*) as total FROM ${backupTableRef} WHERE ${condition}`
+    );
+    const total = Number(countResult[0].total);
+
+    const dataResult = await queryBackupRows(
+      `SELECT * FROM ${backupTableRef} WHERE ${condition} ORDER BY id DESC LIMIT $1 OFFSET $2`,
+      [limit, offset]
+    );
+
+    return {
+      snapshot: formatSnapshot(snapshot),
+      tableName: backupTableName,
+      data: dataResult,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  } catch (error) {
+    throw new Error(`Failed to get snapshot data: ${error.message}`);
+  }
+}
+
+/**
+ * SQL condition selecting the row versions no kept snapshot can see
+ * Current versions (backup_valid_to NULL) are always kept
+ */
+function unreachableByKeptCondition(keptSnapshotNumbers) {
+  const kept = keptSnapshotNumbers.map(number => parseInt(number)).filter(Number.isInteger);
+  return `backup_valid_to IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM unnest(ARRAY[${kept.join(', ')}]::int[]) AS kept(snapshot_number)
+    WHERE kept.snapshot_number >= COALESCE(backup_snapshot, 0) AND kept.snapshot_number < backup_valid_to
+  )`;
+}
+
+/**
+ * Remove the row versions that only pruned snapshots could see
+ * @param {string} backendName - Backend name
+ * @param {Array<number>} keptSnapshotNumbers - Snapshots that stay browsable
+ * @param {Object} options - { dryRun: count instead of deleting, signal: stops between tables,
+ *   onTable: called with (tableName, count) as each table is done }
+ * @returns {Promise<Object>} Removed (or removable) versions per backup table
+ */
+export async function pruneRowVersions(backendName, keptSnapshotNumbers, options = {}) {
+  try {
+    const condition = unreachableByKeptCondition(keptSnapshotNumbers);
+    const tables = await listBackupTables(backendName);
+    const removed = {};
+
+    for (const tableName of tables) {
+      options.signal?.throwIfAborted();
+      const backupTableRef = getBackupTableRef(backendName, tableName);
+
+      if (options.dryRun) {
+        const countResult = await prisma.$queryRawUnsafe(
+          `SELECT COUNT(*) as total FROM ${backupTableRef} WHERE ${condition}`
+        );
+        removed[tableName] = Number(countResult[0].total);
+      } else {
+        removed[tableName] = await prisma.$executeRawUnsafe(
+          `DELETE FROM ${backupTableRef} WHERE ${condition}`
+        );
+      }
+      options.onTable?.(tableName, removed[tableName]);
+    }
+
+    return removed;
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw error;
+    }
+    throw new Error(`Failed to prune row versions: ${error.message}`);
+  }
+}
+
+/**
+ * Delete snapshot records of a backend
+ * Their row versions go with pruneRowVersions, which must run first
+ * @param {string} backendName - Backend name
+ * @param {Array<number>} snapshotNumbers - Snapshots to delete
+ * @returns {Promise<number>} Number of deleted snapshots
+ */
+export async function deleteSnapshots(backendName, snapshotNumbers) {
+  try {
+    if (snapshotNumbers.length === 0) {
+      return 0;
+    }
+
+    const result = await prisma.backupSnapshot.deleteMany({
+      where: {
+        backendName,
+        snapshotNumber: { in: snapshotNumbers.map(number => parseInt(number)) }
+      }
+    });
+
+    return result.count;
+  } catch (error) {
+    throw new Error(`Failed to delete snapshots: ${error.message}`);
+  }
+}
@@ -0,0 +1,88 @@
+import https from 'https';
+import http from 'http';
+
+/**
+ * Send a GET request and resolve with the response once its status is 200
+ */
+function get(url, timeoutMs = 0) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const protocol = urlObj.protocol === 'https:' ? https : http;
+
+    const options = {
+      hostname: urlObj.hostname,
+      port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
+      path: urlObj.pathname + (urlObj.search || ''),
+      method: 'GET',
+      headers: {
+        'User-Agent': 'BackupSystem/1.0'
+      }
+    };
+
+    const req = protocol.get(options, (res) => {
+      if (res.statusCode === 200) {
+        resolve(res);
+      } else {
+        res.resume();
+        reject(new Error(`Failed to download: ${res.statusCode}`));
+      }
+    });
+
+    req.on('error', reject);
+
+    if (timeoutMs > 0) {
+      req.setTimeout(timeoutMs, () => {
+        req.destroy();
+        reject(new Error('Request timeout'));
+      });
+    }
+  });
+}
+
+/**
+ * Plain HTTP endpoint (read-only)
+ * The bucket URL returns a JSON array of files ({ key, size, lastModified, etag } or key
+ * strings); each file is downloaded from {bucketUrl}/{key}
+ * @param {string} bucketUrl - Bucket URL
+ * @returns {Object} Storage driver (see storageDrivers/index.js)
+ */
+export function createHttpDriver(bucketUrl) {
+  return {
+    name: 'http',
+
+    async listFiles() {
+      let data = '';
+      try {
+        const res = await get(bucketUrl, 10000);
+        for await (const chunk of res) {
+          data += chunk;
+        }
+      } catch (error) {
+        throw new Error(`Failed to fetch files: ${error.message}`);
+      }
+
+      let files;
+      try {
+        files = JSON.parse(data);
+      } catch (error) {
+        // If not JSON, there is nothing to list
+        return [];
+      }
+
+      return (Array.isArray(files) ? files : []).map(file => (
+        typeof file === 'string' ? { key: file } : { ...file, key: file.key || file.name }
+      ));
+    },
+
+    async getObject(file) {
+      const fileUrl = bucketUrl.endsWith('/')
+        ? `${bucketUrl}${file.key}`
+        : `${bucketUrl}/${file.key}`;
+
+      // Web server ETags are not content hashes; only an ETag from the listing is trusted
+      return { body: await get(fileUrl), etagIsMd5: true };
+    },
+
+    async close() {}
+  };
+}
@@ -0,0 +1,86 @@
+import path from 'path';
+import { createS3Driver } from './s3Driver.js';
+import { createHttpDriver } from './httpDriver.js';
+import { createLocalDriver } from './localDriver.js';
+import { createSftpDriver } from './sftpDriver.js';
+import { createWebdavDriver } from './webdavDriver.js';
+
+/**
+ * Storage drivers
+ * Every bucket is read and written through a driver with this interface:
+ *   name                  - Driver name
+ *   listFiles(prefixes)   - Files as { key, name, size, lastModified, etag }; drivers that can
+ *                           list by prefix only list the given prefixes (default: everything).
+ *                           A root directory that doesn't exist yet lists as empty
+ *   getObject(file)       - Open a listed file: { body (readable stream), partSize,
+ *                           checksumSha256, etag, etagIsMd5 }; only body is required
+ *   putObject(key, body, options)
+ *                         - Write a file from a Buffer or a readable stream; options.size is
+ *                           the stream's length where known. Left out by read-only drivers
+ *   close()               - Release connections
+ */
+const STORAGE_DRIVERS = {
+  s3: createS3Driver,
+  http: createHttpDriver,
+  local: createLocalDriver,
+  sftp: createSftpDriver,
+  webdav: createWebdavDriver
+};
+
+/**
+ * Get the storage driver name for a backend
+ * STORAGE_DRIVER in the attributes picks the driver; without it the bucket URL decides:
+ * sftp:// is SFTP, file:// or an absolute path is a local directory, webdav(s):// is WebDAV
+ * and http(s):// is S3 when the attributes have S3 credentials, else a plain HTTP endpoint.
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes
+ * @returns {string} Driver name
+ */
+export function getStorageDriverName(bucketUrl, attributes = {}) {
+  const configured = attributes?.STORAGE_DRIVER;
+  if (configured) {
+    const name = String(configured).toLowerCase();
+    if (!STORAGE_DRIVERS[name]) {
+      throw new Error(`Invalid STORAGE_DRIVER "${configured}": expected one of ${Object.keys(STORAGE_DRIVERS).join(', ')}`);
+    }
+    return name;
+  }
+
+  if (/^sftp:\/\//i.test(bucketUrl)) {
+    return 'sftp';
+  }
+  if (/^file:\/\//i.test(bucketUrl) || path.isAbsolute(bucketUrl)) {
+    return 'local';
+  }
+  if (/^webdavs?:\/\//i.test(bucketUrl)) {
+    return 'webdav';
+  }
+  if (/^https?:\/\//i.test(bucketUrl)) {
+    const hasS3Credentials = attributes?.S3_REGION &&
+                            attributes?.AWS_ACCESS_KEY_ID &&
+                            attributes?.AWS_SECRET_ACCESS_KEY;
+    return hasS3Credentials ? 's3' : 'http';
+  }
+
+  throw new Error('Bucket URL must be an HTTP/HTTPS, SFTP, WebDAV or file URL, or an absolute path');
+}
+
+/**
+ * Get the storage driver for a backend's bucket
+ * Callers close the driver when they are done with it.
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes (STORAGE_DRIVER and the driver's credentials)
+ * @returns {Object} Storage driver
+ */
+export function getStorageDriver(bucketUrl, attributes = {}) {
+  if (!bucketUrl) {
+    throw new Error('Bucket URL is required');
+  }
+
+  const name = getStorageDriverName(bucketUrl, attributes);
+  try {
+    return STORAGE_DRIVERS[name](bucketUrl, attributes || {});
+  } catch (error) {
+    throw new Error(`Failed to create ${name} storage driver: ${error.message}`);
+  }
+}
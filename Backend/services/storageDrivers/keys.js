@@ -0,0 +1,13 @@
+/**
+ * Split an object key into path segments
+ * Keys come from listings and requests, so they can't climb out of the storage root
+ * @param {string} key - Object key
+ * @returns {Array<string>} Segments
+ */
+export function splitObjectKey(key) {
+  const parts = String(key || '').split('/').filter(part => part.length > 0);
+  if (parts.length === 0 || parts.some(part => part === '.' || part === '..')) {
+    throw new Error(`Invalid file key: ${key}`);
+  }
+  return parts;
+}
@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { splitObjectKey } from './keys.js';
+
+/**
+ * Local directory or mounted network share (NFS, SMB)
+ * Bucket URL: file:///mnt/share or an absolute path; keys are paths below it
+ * @param {string} bucketUrl - Bucket URL
+ * @returns {Object} Storage driver (see storageDrivers/index.js)
+ */
+export function createLocalDriver(bucketUrl) {
+  const rootPath = bucketUrl.startsWith('file:') ? fileURLToPath(bucketUrl) : path.resolve(bucketUrl);
+
+  const resolvePath = (key) => path.join(rootPath, ...splitObjectKey(key));
+
+  return {
+    name: 'local',
+
+    async listFiles() {
+      const files = [];
+
+      async function scanDirectory(dirPath, relativePath = '') {
+        const entries = await fs.readdir(dirPath, { withFileTypes: true });
+
+        for (const entry of entries) {
+          const fullPath = path.join(dirPath, entry.name);
+          const key = relativePath ? `${relativePath}/${entry.name}` : entry.name;
+
+          if (entry.isDirectory()) {
+            await scanDirectory(fullPath, key);
+          } else if (entry.isFile()) {
+            const stats = await fs.stat(fullPath);
+            files.push({
+              key,
+              name: entry.name,
+              size: stats.size,
+              lastModified: stats.mtime.toISOString()
+            });
+          }
+        }
+      }
+
+      try {
+        await scanDirectory(rootPath);
+      } catch (error) {
+        // A root that doesn't exist yet holds no files, like an unused prefix of a bucket
+        if (error.code === 'ENOENT' && error.path === rootPath) {
+          return files;
+        }
+        throw new Error(`Failed to list ${rootPath}: ${error.message}`);
+      }
+      return files;
+    },
+
+    async getObject(file) {
+      const filePath = resolvePath(file.key);
+      // Open first, so a missing file fails here rather than mid-pipeline
+      const handle = await fs.open(filePath, 'r');
+      return { body: handle.createReadStream() };
+    },
+
+    async putObject(key, body) {
+      const filePath = resolvePath(key);
+      const tempPath = `${filePath}.upload`;
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      try {
+        // Streams are written as they are read
+        await fs.writeFile(tempPath, body);
+        await fs.rename(tempPath, filePath);
+      } catch (error) {
+        await fs.unlink(tempPath).catch(() => {});
+        throw error;
+      }
+    },
+
+    async close() {}
+  };
+}
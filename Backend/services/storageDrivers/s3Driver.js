@@ -0,0 +1,141 @@
+import { S3Client, ListObjectsV2Command, GetObjectCommand, HeadObjectCommand } from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+
+/**
+ * S3-compatible storage (AWS S3, MinIO, Ceph, Wasabi, ...)
+ * Bucket URL: {endpoint}/{bucket}, e.g. https://s3.us-east-1.amazonaws.com/my-bucket
+ * Credentials: S3_REGION, AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY from the attributes,
+ * then the environment
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} Storage driver (see storageDrivers/index.js)
+ */
+export function createS3Driver(bucketUrl, attributes = {}) {
+  const url = new URL(bucketUrl);
+  const endpoint = `${url.protocol}//${url.host}`;
+  const bucketName = url.pathname.replace(/^\//, '').replace(/\/$/, '');
+
+  // Get credentials from attributes or use defaults
+  const region = attributes.S3_REGION || process.env.S3_REGION || 'us-east-1';
+  const accessKeyId = attributes.AWS_ACCESS_KEY_ID || process.env.AWS_ACCESS_KEY_ID || '';
+  const secretAccessKey = attributes.AWS_SECRET_ACCESS_KEY || process.env.AWS_SECRET_ACCESS_KEY || '';
+
+  if (!accessKeyId || !secretAccessKey) {
+    throw new Error('AWS credentials not found in attributes or environment variables');
+  }
+
+  const s3Client = new S3Client({
+    endpoint: endpoint,
+    region: region,
+    credentials: {
+      accessKeyId: accessKeyId,
+      secretAccessKey: secretAccessKey
+    },
+    forcePathStyle: true
+  });
+
+  return {
+    name: 's3',
+
+    async listFiles(prefixes = ['']) {
+      const files = [];
+
+      try {
+        for (const prefix of prefixes) {
+          let continuationToken = null;
+
+          do {
+            const response = await s3Client.send(new ListObjectsV2Command({
+              Bucket: bucketName,
+              ...(prefix && { Prefix: prefix }),
+              ...(continuationToken && { ContinuationToken: continuationToken })
+            }));
+
+            for (const obj of response.Contents || []) {
+              // Skip folder markers (empty objects ending with /)
+              if (obj.Key.endsWith('/')) {
+                continue;
+              }
+
+              files.push({
+                key: obj.Key,
+                name: obj.Key.split('/').pop(),
+                size: obj.Size,
+                lastModified: obj.LastModified ? obj.LastModified.toISOString() : null,
+                etag: obj.ETag
+              });
+            }
+
+            continuationToken = response.NextContinuationToken;
+          } while (continuationToken);
+        }
+      } catch (error) {
+        console.error('Error listing S3 files:', error);
+        throw new Error(`Failed to list S3 files: ${error.message}`);
+      }
+
+      return files;
+    },
+
+    async getObject(file) {
+      const etag = file.etag ? String(file.etag) : null;
+
+      // A multipart ETag can only be rebuilt knowing the part size
+      let partSize = 0;
+      if (etag && etag.includes('-')) {
+        const head = await s3Client.send(new HeadObjectCommand({
+          Bucket: bucketName,
+          Key: file.key,
+          PartNumber: 1
+        }));
+        partSize = Number(head.ContentLength) || 0;
+      }
+
+      try {
+        // IfMatch fails the request if the object changed since it was listed
+        const response = await s3Client.send(new GetObjectCommand({
+          Bucket: bucketName,
+          Key: file.key,
+          ChecksumMode: 'ENABLED',
+          ...(etag && { IfMatch: etag })
+        }));
+
+        return {
+          body: response.Body,
+          partSize,
+          // Checksums of multipart uploads are checksums of part checksums
+          checksumSha256: response.ChecksumSHA256 && !response.ChecksumSHA256.includes('-')
+            ? response.ChecksumSHA256
+            : null,
+          etag: response.ETag,
+          // ETags of KMS or customer-key encrypted objects are not MD5s
+          etagIsMd5: response.ServerSideEncryption !== 'aws:kms' && !response.SSECustomerAlgorithm
+        };
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 412) {
+          const changedError = new Error('Object changed since it was listed');
+          changedError.retryable = false;
+          throw changedError;
+        }
+        throw error;
+      }
+    },
+
+    async putObject(key, body) {
+      // Multipart for large bodies, so streams of any size are sent part by part
+      const upload = new Upload({
+        client: s3Client,
+        params: {
+          Bucket: bucketName,
+          Key: key,
+          Body: body
+        }
+      });
+      await upload.done();
+    },
+
+    async close() {
+      s3Client.destroy();
+    }
+  };
+}
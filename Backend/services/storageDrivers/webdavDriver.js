@@ -0,0 +1,187 @@
+import https from 'https';
+import http from 'http';
+import { pipeline } from 'stream/promises';
+import { splitObjectKey } from './keys.js';
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>' +
+  '<d:propfind xmlns:d="DAV:"><d:prop>' +
+  '<d:resourcetype/><d:getcontentlength/><d:getlastmodified/>' +
+  '</d:prop></d:propfind>';
+
+/**
+ * Decode the XML entities used in PROPFIND responses
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the text of the first element with this local name (any namespace prefix)
+ */
+function getElementText(xml, name) {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${name}>`, 'i'));
+  return match ? decodeXml(match[1].trim()) : null;
+}
+
+/**
+ * Parse a PROPFIND multistatus response into { path, isCollection, size, lastModified }
+ */
+function parseMultistatus(xml) {
+  const responses = xml.match(/<(?:[\w-]+:)?response[\s>][\s\S]*?<\/(?:[\w-]+:)?response>/gi) || [];
+
+  return responses.map(response => {
+    const href = getElementText(response, 'href') || '';
+    const lastModified = getElementText(response, 'getlastmodified');
+
+    return {
+      path: decodeURIComponent(new URL(href, 'http://localhost').pathname),
+      isCollection: /<(?:[\w-]+:)?collection\s*\/?>/i.test(response),
+      size: Number(getElementText(response, 'getcontentlength')) || 0,
+      lastModified: lastModified ? new Date(lastModified).toISOString() : null
+    };
+  });
+}
+
+/**
+ * WebDAV server (Nextcloud, ownCloud, Apache mod_dav, ...)
+ * Bucket URL: webdav://host/path or webdavs://host/path (or http(s) with STORAGE_DRIVER=webdav);
+ * keys are paths below it
+ * Credentials: WEBDAV_USERNAME and WEBDAV_PASSWORD from the attributes, or the URL's
+ * @param {string} bucketUrl - Bucket URL
+ * @param {Object} attributes - Setting attributes
+ * @returns {Object} Storage driver (see storageDrivers/index.js)
+ */
+export function createWebdavDriver(bucketUrl, attributes = {}) {
+  const url = new URL(bucketUrl.replace(/^webdav(s?):/, 'http$1:'));
+  const protocol = url.protocol === 'https:' ? https : http;
+  const rootPath = url.pathname.replace(/\/$/, '');
+  const username = attributes.WEBDAV_USERNAME || decodeURIComponent(url.username);
+  const password = attributes.WEBDAV_PASSWORD || decodeURIComponent(url.password);
+  const authorization = username
+    ? `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
+    : null;
+
+  const getPath = (parts) => `${rootPath}/${parts.map(encodeURIComponent).join('/')}`;
+
+  /**
+   * Send a request; resolves with the response for the expected statuses
+   */
+  const request = (method, requestPath, { headers = {}, body = null, size = null, expected = [200] } = {}) => {
+    const isStream = typeof body?.pipe === 'function';
+    // Streams of unknown length are sent chunked
+    const contentLength = isStream ? size : (body !== null ? Buffer.byteLength(body) : null);
+
+    return new Promise((resolve, reject) => {
+      const req = protocol.request({
+        hostname: url.hostname,
+        port: url.port || (url.protocol === 'https:' ? 443 : 80),
+        path: requestPath,
+        method,
+        headers: {
+          'User-Agent': 'BackupSystem/1.0',
+          ...(authorization && { Authorization: authorization }),
+          ...(contentLength !== null && { 'Content-Length': contentLength }),
+          ...headers
+        }
+      }, (res) => {
+        if (expected.includes(res.statusCode)) {
+          resolve(res);
+        } else {
+          res.resume();
+          reject(new Error(`${method} ${requestPath} failed: ${res.statusCode}`));
+        }
+      });
+
+      req.on('error', reject);
+      req.setTimeout(30000, () => {
+        req.destroy(new Error('Request timeout'));
+      });
+      if (isStream) {
+        pipeline(body, req).catch(reject);
+      } else {
+        req.end(body);
+      }
+    });
+  };
+
+  const readBody = async (res) => {
+    let data = '';
+    for await (const chunk of res) {
+      data += chunk;
+    }
+    return data;
+  };
+
+  return {
+    name: 'webdav',
+
+    async listFiles() {
+      const files = [];
+
+      // Depth 1 at each level: many servers refuse Depth infinity
+      async function scanCollection(collectionPath, relativePath = '') {
+        const res = await request('PROPFIND', `${collectionPath}/`, {
+          headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+          body: PROPFIND_BODY,
+          expected: [207, 404]
+        });
+        if (res.statusCode === 404) {
+          res.resume();
+          // A root that doesn't exist yet holds no files, like an unused prefix of a bucket
+          if (collectionPath === rootPath) {
+            return;
+          }
+          throw new Error(`PROPFIND ${collectionPath}/ failed: 404`);
+        }
+        const entries = parseMultistatus(await readBody(res));
+        const selfPath = decodeURIComponent(collectionPath).replace(/\/$/, '');
+
+        for (const entry of entries) {
+          const entryPath = entry.path.replace(/\/$/, '');
+          // The collection itself is listed first
+          if (entryPath === selfPath) {
+            continue;
+          }
+
+          const name = entryPath.split('/').pop();
+          const key = relativePath ? `${relativePath}/${name}` : name;
+
+          if (entry.isCollection) {
+            await scanCollection(`${collectionPath}/${encodeURIComponent(name)}`, key);
+          } else {
+            files.push({ key, name, size: entry.size, lastModified: entry.lastModified });
+          }
+        }
+      }
+
+      await scanCollection(rootPath);
+      return files;
+    },
+
+    async getObject(file) {
+      return { body: await request('GET', getPath(splitObjectKey(file.key))) };
+    },
+
+    async putObject(key, body, options = {}) {
+      const parts = splitObjectKey(key);
+
+      // Create missing parent collections (405 when one already exists)
+      for (let i = 1; i < parts.length; i++) {
+        const res = await request('MKCOL', getPath(parts.slice(0, i)), { expected: [201, 405] });
+        res.resume();
+      }
+
+      const res = await request('PUT', getPath(parts), { body, size: options.size ?? null, expected: [200, 201, 204] });
+      res.resume();
+    },
+
+    async close() {}
+  };
+}
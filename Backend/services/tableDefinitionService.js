@@ -0,0 +1,422 @@
+import { Client } from 'pg';
+import prisma from '../config/database.js';
+import { getBackupSchemaName, getBackupTableName, getBackupTableRef } from './backupSchemaService.js';
+import { parseTableName, getRemoteTableRef } from './fhsDatabaseService.js';
+
+// Types from these schemas exist in every PostgreSQL database
+const BUILT_IN_TYPE_SCHEMAS = ['pg_catalog', 'information_schema'];
+
+/**
+ * Quote a value as a SQL string literal
+ */
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Get the exact definition of a source table (or view) from pg_catalog
+ * Columns keep their full type (precision, length, time zone, arrays, enums),
+ * nullability, default expression, identity and generated flags
+ * @param {string} databaseUrl - Remote database URL
+ * @param {string} tableName - Source table name (`schema.table` outside public)
+ * @returns {Promise<Object>} { columns, primaryKey, uniqueConstraints }
+ */
+export async function getSourceTableDefinition(databaseUrl, tableName) {
+  const client = new Client({
+    connectionString: databaseUrl
+  });
+
+  try {
+    await client.connect();
+    const { schema, table } = parseTableName(tableName);
+
+    // attidentity (PG 10+) and attgenerated (PG 12+) are read through to_jsonb
+    // so the query also works against older servers
+    const columnsResult = await client.query(`
+      SELECT
+        a.attname AS name,
+        format_type(a.atttypid, a.atttypmod) AS definition,
+        a.attnotnull AS not_null,
+        pg_get_expr(d.adbin, d.adrelid) AS column_default,
+        NULLIF(COALESCE(to_jsonb(a) ->> 'attidentity', ''), '') AS identity,
+        COALESCE(to_jsonb(a) ->> 'attgenerated', '') <> '' AS generated,
+        t.typcategory = 'A' AS is_array,
+        bt.typtype AS type_kind,
+        bt.typname AS type_name,
+        btn.nspname AS type_schema,
+        CASE WHEN bt.typtype = 'd' THEN format_type(bt.typbasetype, bt.typtypmod) END AS base_type,
+        CASE WHEN bt.typtype = 'e' THEN (
+          SELECT array_agg(e.enumlabel::text ORDER BY e.enumsortorder)
+          FROM pg_enum e
+          WHERE e.enumtypid = bt.oid
+        ) END AS enum_labels
+      FROM pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_type t ON t.oid = a.atttypid
+      JOIN pg_type bt ON bt.oid = CASE WHEN t.typcategory = 'A' THEN t.typelem ELSE t.oid END
+      JOIN pg_namespace btn ON btn.oid = bt.typnamespace
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+      WHERE n.nspname = $1
+      AND c.relname = $2
+      AND a.attnum > 0
+      AND NOT a.attisdropped
+      ORDER BY a.attnum;
+    `, [schema, table]);
+
+    const constraintsResult = await client.query(`
+      SELECT
+        con.conname AS name,
+        con.contype AS type,
+        pg_get_constraintdef(con.oid) AS definition,
+        ARRAY(
+          SELECT a.attname::text
+          FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+          JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+          ORDER BY k.ord
+        ) AS columns
+      FROM pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      WHERE n.nspname = $1
+      AND c.relname = $2
+      AND con.contype IN ('p', 'u')
+      ORDER BY con.contype, con.conname;
+    `, [schema, table]);
+
+    const primaryKeyConstraint = constraintsResult.rows.find(row => row.type === 'p');
+
+    return {
+      columns: columnsResult.rows.map(row => ({
+        name: row.name,
+        definition: row.definition,
+        notNull: row.not_null,
+        default: row.column_default,
+        identity: row.identity,
+        generated: row.generated,
+        isArray: row.is_array,
+        typeKind: row.type_kind,
+        typeName: row.type_name,
+        typeSchema: row.type_schema,
+        baseType: row.base_type,
+        enumLabels: row.enum_labels
+      })),
+      primaryKey: primaryKeyConstraint ? primaryKeyConstraint.columns : [],
+      uniqueConstraints: constraintsResult.rows
+        .filter(row => row.type === 'u')
+        .map(row => ({
+          name: row.name,
+          columns: row.columns,
+          definition: row.definition
+        }))
+    };
+  } finally {
+    await client.end();
+  }
+}
+
+/**
+ * Get the column type used in a backend's backup table
+ * Enums are recreated in the backup schema, domains are stored as their base type,
+ * and types that only exist at the source (extensions, composites) are stored as text.
+ * Encrypted columns (flagged `encrypted`, see TABLE_ENCRYPTED_COLUMNS) hold their ciphertext as text.
+ * @param {string} backendName - Backend name
+ * @param {Object} column - Column from getSourceTableDefinition
+ * @returns {string} SQL type
+ */
+export function getBackupColumnType(backendName, column) {
+  if (column.encrypted) {
+    return 'TEXT';
+  }
+
+  const arraySuffix = column.isArray ? '[]' : '';
+
+  if (column.typeKind === 'e') {
+    return `"${getBackupSchemaName(backendName)}"."${column.typeName}"${arraySuffix}`;
+  }
+  if (column.typeKind === 'd') {
+    return `${column.baseType}${arraySuffix}`;
+  }
+  if (!BUILT_IN_TYPE_SCHEMAS.includes(column.typeSchema)) {
+    return 'TEXT';
+  }
+  return column.definition;
+}
+
+/**
+ * Get the default expression to use in a backup table, or null
+ * Sequence defaults, generated expressions and defaults of encrypted columns are not
+ * copied: backup rows always carry the source values. Enum casts are pointed at the backup schema's enum.
+ */
+function getBackupColumnDefault(backendName, column) {
+  if (!column.default || column.generated || column.identity || column.encrypted || /^nextval\(/i.test(column.default)) {
+    return null;
+  }
+
+  if (column.typeKind === 'e') {
+    const typePattern = new RegExp(
+      `::(?:"?${escapeRegExp(column.typeSchema)}"?\\.)?"?${escapeRegExp(column.typeName)}"?`,
+      'g'
+    );
+    return column.default.replace(typePattern, `::"${getBackupSchemaName(backendName)}"."${column.typeName}"`);
+  }
+
+  if (column.typeKind === 'd' || !BUILT_IN_TYPE_SCHEMAS.includes(column.typeSchema)) {
+    return null;
+  }
+
+  return column.default;
+}
+
+/**
+ * Build the statements that create (or extend) an enum type
+ * Labels missing from an existing type are appended
+ */
+function buildEnumStatements(typeRef, labels) {
+  const quotedLabels = (labels || []).map(quoteLiteral);
+
+  return [
+    `DO $$ BEGIN CREATE TYPE ${typeRef} AS ENUM (${quotedLabels.join(', ')}); EXCEPTION WHEN duplicate_object THEN NULL; END $$`,
+    ...quotedLabels.map(label => `ALTER TYPE ${typeRef} ADD VALUE IF NOT EXISTS ${label}`)
+  ];
+}
+
+/**
+ * Create the enum types used by a table in the backend's backup schema
+ * @param {string} backendName - Backend name
+ * @param {Array} columns - Columns from getSourceTableDefinition
+ */
+export async function ensureBackupEnumTypes(backendName, columns) {
+  const schemaName = getBackupSchemaName(backendName);
+  const enumColumns = columns.filter(col => col.typeKind === 'e' && !col.encrypted);
+
+  for (const column of enumColumns) {
+    const statements = buildEnumStatements(`"${schemaName}"."${column.typeName}"`, column.enumLabels);
+    for (const statement of statements) {
+      await prisma.$executeRawUnsafe(statement);
+    }
+  }
+}
+
+/**
+ * Build the CREATE TABLE statement of a backup table
+ * Source columns keep their exact type and NOT NULL; the backup metadata columns are appended.
+ * Tables without a source "id" get their own serial id; the name is case-sensitive, so a
+ * source "ID" doesn't stand in for it.
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @param {Object} definition - Definition from getSourceTableDefinition
+ * @param {Object} metadataColumns - Backup metadata column definitions
+ * @returns {string} CREATE TABLE statement
+ */
+export function buildBackupTableStatement(backendName, tableName, definition, metadataColumns) {
+  const hasIdColumn = definition.columns.some(col => col.name === 'id');
+
+  const columnDefinitions = definition.columns.map(col => {
+    const colName = col.name.replace(/[^a-zA-Z0-9_]/g, '');
+    return `"${colName}" ${getBackupColumnType(backendName, col)}${col.notNull ? ' NOT NULL' : ''}`;
+  });
+
+  const metadataDefinitions = Object.entries(metadataColumns)
+    .map(([name, columnDefinition]) => `${name} ${columnDefinition}`);
+
+  const allDefinitions = [
+    ...(hasIdColumn ? [] : ['id SERIAL PRIMARY KEY']),
+    ...columnDefinitions,
+    ...metadataDefinitions
+  ];
+
+  return `CREATE TABLE IF NOT EXISTS ${getBackupTableRef(backendName, tableName)} (\n    ${allDefinitions.join(',\n    ')}\n);`;
+}
+
+/**
+ * Copy source column defaults onto a newly created backup table
+ * A default that cannot be applied locally is reported and skipped
+ * @returns {Promise<Array>} Warnings for defaults that were skipped
+ */
+export async function applyBackupColumnDefaults(backendName, tableName, columns) {
+  const backupTableRef = getBackupTableRef(backendName, tableName);
+  const warnings = [];
+
+  for (const column of columns) {
+    const defaultExpression = getBackupColumnDefault(backendName, column);
+    if (!defaultExpression) {
+      continue;
+    }
+
+    const colName = column.name.replace(/[^a-zA-Z0-9_]/g, '');
+    try {
+      await prisma.$executeRawUnsafe(
+        `ALTER TABLE ${backupTableRef} ALTER COLUMN "${colName}" SET DEFAULT ${defaultExpression}`
+      );
+    } catch (error) {
+      warnings.push(`Default of ${tableName}.${column.name} not copied: ${error.message}`);
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Get the actual columns of a backup table
+ * @returns {Promise<Object>} Map of column name to { type, notNull }
+ */
+export async function getBackupColumns(backendName, tableName) {
+  const result = await prisma.$queryRawUnsafe(`
+    SELECT a.attname AS name, format_type(a.atttypid, a.atttypmod) AS type, a.attnotnull AS not_null
+    FROM pg_attribute a
+    JOIN pg_class c ON c.oid = a.attrelid
+    JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE n.nspname = $1
+    AND c.relname = $2
+    AND a.attnum > 0
+    AND NOT a.attisdropped;
+  `, getBackupSchemaName(backendName), getBackupTableName(tableName));
+
+  const columns = {};
+  result.forEach(row => {
+    columns[row.name] = { type: row.type, notNull: row.not_null };
+  });
+  return columns;
+}
+
+/**
+ * Get the actual column types of a backup table
+ * @returns {Promise<Object>} Map of column name to SQL type
+ */
+export async function getBackupColumnTypes(backendName, tableName) {
+  const columns = await getBackupColumns(backendName, tableName);
+
+  const types = {};
+  Object.entries(columns).forEach(([name, column]) => {
+    types[name] = column.type;
+  });
+  return types;
+}
+
+/**
+ * Store the source definition of a backed-up table
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @param {Object} definition - Definition from getSourceTableDefinition
+ */
+export async function saveTableDefinition(backendName, tableName, definition) {
+  try {
+    await prisma.backupTableDefinition.upsert({
+      where: {
+        backendName_tableName: { backendName, tableName }
+      },
+      update: {
+        columns: definition.columns,
+        primaryKey: definition.primaryKey,
+        uniqueConstraints: definition.uniqueConstraints
+      },
+      create: {
+        backendName,
+        tableName,
+        columns: definition.columns,
+        primaryKey: definition.primaryKey,
+        uniqueConstraints: definition.uniqueConstraints
+      }
+    });
+  } catch (error) {
+    throw new Error(`Failed to save table definition: ${error.message}`);
+  }
+}
+
+/**
+ * Get the stored source definition of a backed-up table
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name, with or without backup_ prefix
+ * @returns {Promise<Object|null>} Definition, or null if the table was never backed up with one
+ */
+export async function getTableDefinition(backendName, tableName) {
+  try {
+    const record = await prisma.backupTableDefinition.findUnique({
+      where: {
+        backendName_tableName: {
+          backendName,
+          tableName: tableName.replace(/^backup_/, '')
+        }
+      }
+    });
+
+    if (!record) {
+      return null;
+    }
+
+    return {
+      columns: record.columns,
+      primaryKey: record.primaryKey || [],
+      uniqueConstraints: record.uniqueConstraints || []
+    };
+  } catch (error) {
+    throw new Error(`Failed to get table definition: ${error.message}`);
+  }
+}
+
+/**
+ * Build the statements that recreate a source table from its stored definition
+ * Used when restoring into a database where the table doesn't exist yet
+ * @param {string} tableName - Target table name (`schema.table` outside public)
+ * @param {Object} definition - Stored definition
+ * @returns {Array<string>} Statements to run in order
+ */
+export function buildRestoreTableStatements(tableName, definition) {
+  const statements = [];
+  const createdEnums = new Set();
+
+  const columnDefinitions = definition.columns.map(col => {
+    let columnType = col.definition;
+
+    if (col.typeKind === 'e') {
+      const typeRef = `"${col.typeSchema}"."${col.typeName}"`;
+      if (!createdEnums.has(typeRef)) {
+        createdEnums.add(typeRef);
+        statements.push(...buildEnumStatements(typeRef, col.enumLabels));
+      }
+      columnType = `${typeRef}${col.isArray ? '[]' : ''}`;
+    } else if (col.typeKind === 'd') {
+      columnType = `${col.baseType}${col.isArray ? '[]' : ''}`;
+    }
+
+    let columnDefinition = `"${col.name}" ${columnType}`;
+    if (col.generated && col.default) {
+      columnDefinition += ` GENERATED ALWAYS AS (${col.default}) STORED`;
+    } else if (col.identity) {
+      columnDefinition += col.identity === 'a' ? ' GENERATED ALWAYS AS IDENTITY' : ' GENERATED BY DEFAULT AS IDENTITY';
+    } else if (col.default && /^nextval\(/i.test(col.default)) {
+      // serial columns: the source sequence doesn't exist here
+      columnDefinition += ' GENERATED BY DEFAULT AS IDENTITY';
+    } else if (col.default) {
+      columnDefinition += ` DEFAULT ${col.default}`;
+    }
+    if (col.notNull) {
+      columnDefinition += ' NOT NULL';
+    }
+    return columnDefinition;
+  });
+
+  const constraintDefinitions = [];
+  if (definition.primaryKey && definition.primaryKey.length > 0) {
+    constraintDefinitions.push(`PRIMARY KEY (${definition.primaryKey.map(col => `"${col}"`).join(', ')})`);
+  }
+  (definition.uniqueConstraints || []).forEach(constraint => {
+    constraintDefinitions.push(`CONSTRAINT "${constraint.name}" ${constraint.definition}`);
+  });
+
+  const { schema } = parseTableName(tableName);
+  statements.push(
+    `CREATE SCHEMA IF NOT EXISTS "${schema}"`,
+    `CREATE TABLE IF NOT EXISTS ${getRemoteTableRef(tableName)} (\n    ${[...columnDefinitions, ...constraintDefinitions].join(',\n    ')}\n);`
+  );
+
+  return statements;
+}
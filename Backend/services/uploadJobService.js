@@ -0,0 +1,358 @@
+import path from 'path';
+import Setting from '../models/Setting.js';
+import { uploadTableRecords, uploadFiles, getBackupTableData } from './uploadService.js';
+import { getTableDefinition } from './tableDefinitionService.js';
+import { listDumps, restoreDump } from './dumpService.js';
+import { restoreFileVersion } from './fileVersionService.js';
+import { setUploadStatus, generateUploadJobId } from './uploadStatusService.js';
+import { enqueueJob, getActiveJob, cancelJob } from './jobQueueService.js';
+
+// Queue priority: restores go before backups
+export const UPLOAD_PRIORITY = 20;
+
+/**
+ * Dedupe key of an upload: one per backend and type at a time, per table for database uploads
+ */
+function getUploadDedupeKey(backendName, type, tableName) {
+  return `upload:${backendName}:${type}${type === 'database' ? `:${tableName}` : ''}`;
+}
+
+/**
+ * Queue an upload job
+ * Uploads are not run again after a server restart interrupts them: they write to the
+ * backend's own database and bucket, so a person decides whether to repeat one.
+ * @param {Object} setting - Setting of the backend
+ * @param {string} type - 'files', 'database' or 'dump'
+ * @param {Object} options - Upload parameters (backupTableName, remoteTableName, fileName, target,
+ *   clean, key, versionId, targetBucketUrl, targetPrefix, keys, overwrite, retryOf) and priority
+ * @returns {Promise<Object>} { jobId } when queued, { duplicateJobId } when the same upload
+ *   is already queued or running
+ */
+export async function queueUploadJob(setting, type, options = {}) {
+  const backendName = setting.backendname;
+  const { priority, ...payload } = options;
+  const dedupeKey = getUploadDedupeKey(backendName, type, payload.remoteTableName);
+
+  const active = await getActiveJob(dedupeKey);
+  if (active) {
+    return { duplicateJobId: active.jobId };
+  }
+
+  // Job ID uses the original table name with backup_ prefix for job tracking
+  const jobId = generateUploadJobId(backendName, type, payload.backupTableName);
+
+  // Status stores the remote table name without backup_ prefix
+  await setUploadStatus(jobId, {
+    status: 'queued',
+    type,
+    backendName,
+    tableName: payload.remoteTableName || null,
+    progress: 0,
+    message: 'Waiting in queue...',
+    result: null,
+    error: null
+  });
+
+  const { duplicate } = await enqueueJob({
+    jobId,
+    kind: 'upload',
+    type,
+    backendName,
+    payload,
+    priority: Number.isInteger(priority) ? priority : UPLOAD_PRIORITY,
+    maxAttempts: 1,
+    dedupeKey
+  });
+
+  // Lost a race with another request for the same upload
+  if (duplicate) {
+    await setUploadStatus(jobId, {
+      status: 'failed',
+      error: `The same upload is already queued or running (${duplicate.jobId})`
+    });
+    return { duplicateJobId: duplicate.jobId };
+  }
+
+  return { jobId };
+}
+
+/**
+ * Get the files an upload failed on
+ * Database uploads are retried whole: records are upserted, so writing them again is safe
+ * @param {Object} status - Upload status
+ * @returns {Array<string>} Object keys of the failed files, without the target prefix; empty
+ *   when the result records none
+ */
+export function getFailedUploadItems(status) {
+  if (status.type !== 'files') {
+    return [];
+  }
+  return [...new Set((status.result?.errors || []).map(error => error.file).filter(Boolean))];
+}
+
+/**
+ * Queue an upload again with the parameters of an earlier job
+ * With onlyFailed a files upload covers only the files the earlier job failed on
+ * @param {Object} status - Upload status of the earlier job
+ * @param {Object} queued - Queue entry of the earlier job (see getQueuedJob), for its parameters
+ * @param {Object} setting - Setting of the backend
+ * @param {Object} options - { onlyFailed }
+ * @returns {Promise<Object>} Same as queueUploadJob
+ */
+export async function retryUploadJob(status, queued, setting, options = {}) {
+  const payload = { ...queued.payload };
+  const failed = options.onlyFailed ? getFailedUploadItems(status) : [];
+
+  if (failed.length > 0) {
+    payload.keys = failed;
+  }
+
+  return queueUploadJob(setting, status.type, { ...payload, retryOf: status.jobId });
+}
+
+/**
+ * Cancel a queued or running upload
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Same as cancelJob
+ */
+export async function cancelUploadJob(jobId) {
+  return cancelJob(jobId, 'upload');
+}
+
+/**
+ * Run a queued upload job
+ * @param {Object} job - Queued job
+ * @param {AbortSignal} signal - Aborted when the job is cancelled
+ */
+async function runUploadJob(job, signal) {
+  const { jobId, type, payload: options = {} } = job;
+  const { backupTableName, remoteTableName } = options;
+
+  try {
+    const setting = await Setting.findByBackendName(job.backendName);
+    if (!setting) {
+      throw new Error(`Setting with backend name "${job.backendName}" not found`);
+    }
+
+    if (type === 'files') {
+      // Upload files (to the backend's bucket unless another target was given)
+      const bucketUrl = options.targetBucketUrl || setting.bucketurl;
+      const restoreOptions = {
+        targetPrefix: options.targetPrefix,
+        overwrite: options.overwrite
+      };
+
+      if (!bucketUrl) {
+        throw new Error('Bucket URL not configured for this backend');
+      }
+
+      if (options.versionId) {
+        await setUploadStatus(jobId, {
+          status: 'processing',
+          progress: 30,
+          message: `Uploading version ${options.versionId} of ${options.key}...`
+        });
+
+        const result = await restoreFileVersion(
+          setting.backendname,
+          options.key,
+          options.versionId,
+          bucketUrl,
+          setting.attributes || {},
+          restoreOptions
+        );
+
+        await setUploadStatus(jobId, {
+          status: 'completed',
+          progress: 100,
+          message: 'Version restored successfully',
+          result: {
+            type: 'files',
+            backendName: setting.backendname,
+            ...result
+          }
+        });
+        return;
+      }
+
+      await setUploadStatus(jobId, {
+        status: 'processing',
+        progress: 10,
+        message: 'Reading local files...'
+      });
+
+      // Get local backup path
+      const backupPathEnv = process.env.BACKUP_UPLOAD_PATH || './backups/files';
+      const baseBackupPath = path.isAbsolute(backupPathEnv) 
+        ? backupPathEnv 
+        : path.resolve(process.cwd(), backupPathEnv);
+      const localPath = path.join(baseBackupPath, setting.backendname);
+
+      await setUploadStatus(jobId, {
+        status: 'processing',
+        progress: 30,
+        message: 'Uploading files to remote...'
+      });
+
+      const result = await uploadFiles(localPath, bucketUrl, setting.attributes || {}, {
+        backendName: setting.backendname,
+        keys: options.keys,
+        signal,
+        ...restoreOptions
+      });
+
+      await setUploadStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: 'Upload completed successfully',
+        result: {
+          type: 'files',
+          backendName: setting.backendname,
+          ...result
+        }
+      });
+
+    } else if (type === 'database') {
+      // Upload database table
+      if (!setting.DBurl) {
+        throw new Error('Database URL not configured for this backend');
+      }
+
+      await setUploadStatus(jobId, {
+        status: 'processing',
+        progress: 10,
+        message: `Fetching data from local backup table: ${backupTableName}...`
+      });
+
+      // Get all data from backup table (fetch in chunks)
+      // Use backupTableName (with backup_ prefix) to fetch from local backup
+      let allRecords = [];
+      let page = 1;
+      const limit = 1000;
+      let hasMore = true;
+
+      while (hasMore) {
+        signal?.throwIfAborted();
+        const pageData = await getBackupTableData(backupTableName.replace(/^backup_/i, ''), setting.backendname, page, limit);
+        allRecords = [...allRecords, ...pageData.data];
+        
+        if (pageData.data.length < limit || page >= pageData.totalPages) {
+          hasMore = false;
+        } else {
+          page++;
+        }
+      }
+
+      await setUploadStatus(jobId, {
+        status: 'processing',
+        progress: 50,
+        message: `Uploading ${allRecords.length} records to remote table: ${remoteTableName}...`
+      });
+
+      // Stored source definition lets the upload recreate a missing table exactly
+      const definition = await getTableDefinition(setting.backendname, backupTableName);
+
+      // Use remoteTableName (without backup_ prefix) to upload to remote database
+      const result = await uploadTableRecords(setting.DBurl, remoteTableName, allRecords, definition, { signal });
+
+      await setUploadStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: 'Upload completed successfully',
+        result: {
+          type: 'database',
+          backendName: setting.backendname,
+          tableName: remoteTableName, // Store remote table name (without backup_ prefix)
+          backupTableName: backupTableName, // Also store backup table name for reference
+          ...result
+        }
+      });
+
+    } else if (type === 'dump') {
+      // Restore a pg_dump archive
+      if (!setting.DBurl) {
+        throw new Error('Database URL not configured for this backend');
+      }
+
+      let fileName = options.fileName;
+      if (!fileName) {
+        const dumps = await listDumps(setting.backendname);
+        if (dumps.length === 0) {
+          throw new Error(`No dumps found for backend ${setting.backendname}`);
+        }
+        fileName = dumps[0].fileName;
+      }
+
+      await setUploadStatus(jobId, {
+        status: 'processing',
+        progress: 10,
+        message: `Restoring ${fileName} with pg_restore${options.target === 'scratch' ? ' into a scratch database' : ''}...`
+      });
+
+      const result = await restoreDump(setting.backendname, fileName, setting.DBurl, {
+        target: options.target,
+        clean: options.clean,
+        signal
+      });
+
+      await setUploadStatus(jobId, {
+        status: 'completed',
+        progress: 100,
+        message: 'Restore completed successfully',
+        result: {
+          type: 'dump',
+          backendName: setting.backendname,
+          ...result
+        }
+      });
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      await setUploadStatus(jobId, {
+        status: 'cancelled',
+        error: null,
+        message: 'Upload cancelled'
+      });
+      throw error;
+    }
+
+    await setUploadStatus(jobId, {
+      status: 'failed',
+      error: error.message,
+      message: `Upload failed: ${error.message}`
+    });
+    throw error;
+  }
+}
+
+/**
+ * Update the status of an upload job a stopped server left unfinished
+ */
+async function uploadJobInterrupted(job, requeued) {
+  await setUploadStatus(job.jobId, requeued
+    ? {
+        status: 'queued',
+        message: 'Server stopped while the upload was running, waiting in queue to run again...'
+      }
+    : {
+        status: 'failed',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the upload was running'
+      });
+}
+
+/**
+ * Update the status of an upload job cancelled before it ran
+ */
+async function uploadJobCancelled(job) {
+  await setUploadStatus(job.jobId, {
+    status: 'cancelled',
+    message: 'Cancelled before it started'
+  });
+}
+
+export const uploadJobHandler = {
+  run: runUploadJob,
+  interrupted: uploadJobInterrupted,
+  cancelled: uploadJobCancelled
+};
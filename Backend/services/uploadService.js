@@ -1,13 +1,35 @@
 import { Client } from 'pg';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
 import fs from 'fs/promises';
 import path from 'path';
 import prisma from '../config/database.js';
+import {
+  BACKUP_METADATA_COLUMNS,
+  getBackupTableName,
+  getBackupTableRef,
+  backupTableExists,
+  queryBackupRows
+} from './backupSchemaService.js';
+import { buildRestoreTableStatements } from './tableDefinitionService.js';
+import { parseTableName, getRemoteTableRef } from './fhsDatabaseService.js';
+import { loadManifest } from './fileManifestService.js';
+import { getBlobPath, getEntryBlobId } from './fileStoreService.js';
+import { createBackupReadStream, readEnvelope } from './encryptionService.js';
+import { getStorageDriver } from './storageDrivers/index.js';
+import { splitObjectKey } from './storageDrivers/keys.js';
 
 /**
  * Upload table records from local backup to remote database
+ * Records carry values in PostgreSQL text format (see getBackupTableData), which the
+ * target columns parse back into their exact types.
+ * If the table doesn't exist remotely it is created from the stored source definition.
+ * @param {string} remoteDbUrl - Remote database URL
+ * @param {string} tableName - Target table name
+ * @param {Array} records - Backup records
+ * @param {Object|null} definition - Stored source definition (from tableDefinitionService)
+ * @param {Object} options - { signal: AbortSignal, checked between batches; records already
+ *   written stay in the target table }
  */
-export async function uploadTableRecords(remoteDbUrl, tableName, records) {
+export async function uploadTableRecords(remoteDbUrl, tableName, records, definition = null, options = {}) {
   const client = new Client({
     connectionString: remoteDbUrl
   });
@@ -26,82 +48,134 @@ export async function uploadTableRecords(remoteDbUrl, tableName, records) {
 
     let uploadedCount = 0;
     let matchedCount = 0;
+    let createdTable = false;
     const errors = [];
 
-    // Get table columns to determine primary key
+    // Get table columns (generated columns can't be written, identity ALWAYS needs an override)
     const columnsQuery = `
-      SELECT column_name, data_type, is_nullable
+      SELECT column_name, data_type, is_nullable, is_generated, identity_generation
       FROM information_schema.columns
-      WHERE table_schema = 'public' AND table_name = $1
+      WHERE table_schema = $1 AND table_name = $2
       ORDER BY ordinal_position;
     `;
-    const columnsResult = await client.query(columnsQuery, [tableName]);
+    const { schema, table } = parseTableName(tableName);
+    const tableRef = getRemoteTableRef(tableName);
+    let columnsResult = await client.query(columnsQuery, [schema, table]);
+
+    if (columnsResult.rows.length === 0 && definition) {
+      for (const statement of buildRestoreTableStatements(tableName, definition)) {
+        await client.query(statement);
+      }
+      createdTable = true;
+      columnsResult = await client.query(columnsQuery, [schema, table]);
+    }
+
     const columns = columnsResult.rows;
 
     if (columns.length === 0) {
       throw new Error(`Table ${tableName} does not exist in remote database`);
     }
 
-    // Find primary key column
+    // Backed-up views can only be restored into a table
+    const relationResult = await client.query(
+      `SELECT c.relkind FROM pg_class c JOIN pg_namespace n ON n.oid = c.relnamespace WHERE n.nspname = $1 AND c.relname = $2`,
+      [schema, table]
+    );
+    if (['v', 'm'].includes(relationResult.rows[0]?.relkind)) {
+      throw new Error(`${tableName} is a view in remote database; records can only be restored into a table`);
+    }
+
+    const writableColumns = new Set(
+      columns.filter(col => col.is_generated !== 'ALWAYS').map(col => col.column_name)
+    );
+    const identityAlwaysColumns = new Set(
+      columns.filter(col => col.identity_generation === 'ALWAYS').map(col => col.column_name)
+    );
+
+    // Find primary key columns
     const pkQuery = `
       SELECT a.attname
       FROM pg_index i
       JOIN pg_attribute a ON a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)
-      WHERE i.indrelid = $1::regclass AND i.indisprimary;
+      WHERE i.indrelid = $1::regclass AND i.indisprimary
+      ORDER BY array_position(i.indkey, a.attnum);
     `;
-    const pkResult = await client.query(pkQuery, [`"${tableName}"`]);
-    const primaryKey = pkResult.rows.length > 0 ? pkResult.rows[0].attname : 'id';
+    const pkResult = await client.query(pkQuery, [tableRef]);
+    const primaryKey = pkResult.rows.map(row => row.attname);
 
     // Process records in batches
     const batchSize = 100;
     for (let i = 0; i < records.length; i += batchSize) {
+      options.signal?.throwIfAborted();
       const batch = records.slice(i, i + batchSize);
 
       for (const record of batch) {
         try {
-          // Remove backup_created_at and backup_updated_at if present
+          // Remove backup metadata columns (versioning, timestamps) if present
           const cleanRecord = { ...record };
-          delete cleanRecord.backup_created_at;
-          delete cleanRecord.backup_updated_at;
+          for (const metadataColumn of Object.keys(BACKUP_METADATA_COLUMNS)) {
+            delete cleanRecord[metadataColumn];
+          }
 
-          // Build INSERT ... ON CONFLICT UPDATE query
-          const recordColumns = Object.keys(cleanRecord).filter(key => cleanRecord[key] !== undefined);
+          // Build INSERT ... ON CONFLICT UPDATE query (only columns the target can take)
+          const recordColumns = Object.keys(cleanRecord)
+            .filter(key => cleanRecord[key] !== undefined && writableColumns.has(key));
           const values = recordColumns.map((_, index) => `$${index + 1}`);
-          const setClause = recordColumns.map((col, index) => `"${col}" = EXCLUDED."${col}"`).join(', ');
+          const overriding = recordColumns.some(col => identityAlwaysColumns.has(col))
+            ? 'OVERRIDING SYSTEM VALUE'
+            : '';
+          const updateColumns = recordColumns.filter(col => !primaryKey.includes(col));
+
+          let conflictClause = '';
+          if (primaryKey.length > 0) {
+            conflictClause = updateColumns.length > 0
+              ? `ON CONFLICT (${primaryKey.map(c => `"${c}"`).join(', ')}) DO UPDATE SET ${updateColumns.map(col => `"${col}" = EXCLUDED."${col}"`).join(', ')}`
+              : `ON CONFLICT (${primaryKey.map(c => `"${c}"`).join(', ')}) DO NOTHING`;
+          }
 
+          // xmax is 0 for a freshly inserted row and set when an existing row was updated
           const insertQuery = `
-            INSERT INTO "${tableName}" (${recordColumns.map(c => `"${c}"`).join(', ')})
+            INSERT INTO ${tableRef} (${recordColumns.map(c => `"${c}"`).join(', ')})
+            ${overriding}
             VALUES (${values.join(', ')})
-            ON CONFLICT ("${primaryKey}") DO UPDATE SET ${setClause}
-            RETURNING "${primaryKey}";
+            ${conflictClause}
+            RETURNING (xmax = 0) AS inserted;
           `;
 
           const result = await client.query(insertQuery, recordColumns.map(col => cleanRecord[col]));
 
-          if (result.rows.length > 0) {
-            // Check if it was an update (matched) or insert (new)
-            const checkQuery = `SELECT COUNT(*) as count FROM "${tableName}" WHERE "${primaryKey}" = $1`;
-            const checkResult = await client.query(checkQuery, [result.rows[0][primaryKey]]);
-            
-            if (checkResult.rows[0].count > 0) {
-              matchedCount++;
-            } else {
-              uploadedCount++;
-            }
+          if (result.rows.length > 0 && result.rows[0].inserted) {
+            uploadedCount++;
+          } else {
+            matchedCount++;
           }
         } catch (error) {
           errors.push({
-            record: record[primaryKey] || 'unknown',
+            record: primaryKey.length > 0 ? primaryKey.map(col => record[col]).join(', ') : 'unknown',
             error: error.message
           });
         }
       }
     }
 
+    // Move serial/identity sequences past the restored values
+    const sequencesResult = await client.query(
+      `SELECT column_name, pg_get_serial_sequence($1, column_name) AS sequence_name
+       FROM unnest($2::text[]) AS column_name`,
+      [tableRef, columns.map(col => col.column_name)]
+    );
+    for (const row of sequencesResult.rows.filter(r => r.sequence_name)) {
+      await client.query(
+        `SELECT setval($1::regclass, COALESCE(MAX("${row.column_name}"), 1), MAX("${row.column_name}") IS NOT NULL) FROM ${tableRef}`,
+        [row.sequence_name]
+      );
+    }
+
     return {
       totalRecords: records.length,
       uploadedRecords: uploadedCount,
       matchedRecords: matchedCount,
+      createdTable,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
@@ -111,19 +185,100 @@ export async function uploadTableRecords(remoteDbUrl, tableName, records) {
   }
 }
 
+// What a files restore does with a file that already exists at the target
+export const OVERWRITE_POLICIES = ['overwrite', 'skip-if-exists', 'only-if-newer'];
+
+/**
+ * Normalize a key prefix or selected key: no leading slash, no '.' or '..' segments
+ * @param {string} value - Key, folder or prefix
+ * @param {boolean} folder - Keep (or add) the trailing slash of a folder
+ */
+function normalizeKeyPath(value, folder = false) {
+  const normalized = splitObjectKey(String(value).replace(/\\/g, '/')).join('/');
+  return folder || String(value).endsWith('/') ? `${normalized}/` : normalized;
+}
+
+/**
+ * Whether a key is one of the selected keys or inside one of the selected folders
+ */
+function isKeySelected(key, selection) {
+  return selection.some(selected =>
+    selected.endsWith('/') ? key.startsWith(selected) : key === selected || key.startsWith(`${selected}/`)
+  );
+}
+
 /**
  * Upload files from local backup to remote bucket
+ * With a backendName, files the backend keeps in the deduplicated store are uploaded too,
+ * read from their blobs (see fileStoreService). Encrypted or compressed backups are
+ * uploaded with their original content (see encryptionService).
+ * Files are written through the backend's storage driver; read-only drivers (plain HTTP)
+ * can't be restored to.
+ * The bucket URL may be another bucket than the one backed up (a staging bucket), and files
+ * can be written under a key prefix. `keys` restores only those keys and folders (a folder
+ * is a key prefix; 'docs' selects 'docs/a.txt' but not 'docs2.txt').
+ * Files already at the target are handled by the overwrite policy:
+ * - overwrite (default): always uploaded
+ * - skip-if-exists: left as they are
+ * - only-if-newer: replaced when the backed up file is newer than the target's (the bucket
+ *   object's lastModified recorded at backup time, else the local file's modification time);
+ *   left as they are when the target has no modification time
+ * @param {string} localPath - Backend's backup directory
+ * @param {string} bucketUrl - Bucket URL to restore to
+ * @param {Object} attributes - Setting attributes (storage driver and its credentials)
+ * @param {Object} options - { backendName, keys, targetPrefix, overwrite }
  */
-export async function uploadFiles(localPath, bucketUrl, attributes) {
+export async function uploadFiles(localPath, bucketUrl, attributes, options = {}) {
+  let driver = null;
+
   try {
+    const overwrite = options.overwrite || 'overwrite';
+    if (!OVERWRITE_POLICIES.includes(overwrite)) {
+      throw new Error(`Invalid overwrite policy "${overwrite}": expected one of ${OVERWRITE_POLICIES.join(', ')}`);
+    }
+    const targetPrefix = options.targetPrefix ? normalizeKeyPath(options.targetPrefix, true) : '';
+    const selection = (options.keys || []).map(key => normalizeKeyPath(key));
+
     // Check if local path exists
-    const localFiles = await getAllFilesFromLocal(localPath);
-    
+    let localFiles = await getAllFilesFromLocal(localPath);
+    const manifest = options.backendName ? await loadManifest(options.backendName) : new Map();
+
+    if (options.backendName) {
+      const plainPaths = new Set(localFiles.map(file => file.relativePath));
+      for (const entry of manifest.values()) {
+        if (entry.storage === 'store' && !plainPaths.has(entry.key)) {
+          localFiles.push({
+            name: entry.key.split('/').pop(),
+            relativePath: entry.key,
+            size: entry.size,
+            path: getBlobPath(getEntryBlobId(entry))
+          });
+        }
+      }
+    }
+
+    // Only the selected keys and folders
+    let unmatchedKeys = [];
+    if (selection.length > 0) {
+      localFiles = localFiles.filter(file => isKeySelected(file.relativePath, selection));
+      unmatchedKeys = selection.filter(selected =>
+        !localFiles.some(file => isKeySelected(file.relativePath, [selected]))
+      );
+    }
+
+    const target = {
+      targetPrefix,
+      overwrite,
+      selectedKeys: selection.length > 0 ? selection : undefined,
+      unmatchedKeys: unmatchedKeys.length > 0 ? unmatchedKeys : undefined
+    };
+
     if (localFiles.length === 0) {
       return {
         totalFiles: 0,
         uploadedFiles: 0,
         matchedFiles: 0,
+        ...target,
         errors: []
       };
     }
@@ -132,51 +287,43 @@ export async function uploadFiles(localPath, bucketUrl, attributes) {
     let matchedCount = 0;
     const errors = [];
 
-    // Check if S3 credentials are available
-    const hasS3Credentials = attributes?.S3_REGION && 
-                            attributes?.AWS_ACCESS_KEY_ID && 
-                            attributes?.AWS_SECRET_ACCESS_KEY;
-
-    let s3Client = null;
-    let bucketName = '';
+    driver = getStorageDriver(bucketUrl, attributes || {});
+    if (!driver.putObject) {
+      throw new Error(`The ${driver.name} storage driver is read-only`);
+    }
 
-    if (hasS3Credentials && bucketUrl.startsWith('http')) {
-      try {
-        const url = new URL(bucketUrl);
-        const endpoint = `${url.protocol}//${url.host}`;
-        bucketName = url.pathname.replace(/^\//, '').replace(/\/$/, '');
-
-        s3Client = new S3Client({
-          endpoint: endpoint,
-          region: attributes.S3_REGION || 'us-east-1',
-          credentials: {
-            accessKeyId: attributes.AWS_ACCESS_KEY_ID,
-            secretAccessKey: attributes.AWS_SECRET_ACCESS_KEY
-          },
-          forcePathStyle: true
-        });
-      } catch (error) {
-        throw new Error(`Failed to create S3 client: ${error.message}`);
-      }
-    } else {
-      throw new Error('S3 credentials not available for file upload');
+    // Files already at the target, listed once (only the restored prefixes where the driver can)
+    let existing = null;
+    if (overwrite !== 'overwrite') {
+      const prefixes = selection.length > 0
+        ? selection.map(selected => `${targetPrefix}${selected}`)
+        : [targetPrefix];
+      existing = new Map((await driver.listFiles(prefixes)).map(file => [file.key, file]));
     }
 
     // Upload each file
     for (const file of localFiles) {
-      try {
-        const filePath = path.join(localPath, file.relativePath);
-        const fileContent = await fs.readFile(filePath);
+      options.signal?.throwIfAborted();
 
-        const key = file.relativePath.replace(/\\/g, '/'); // Normalize path separators
-
-        const command = new PutObjectCommand({
-          Bucket: bucketName,
-          Key: key,
-          Body: fileContent
-        });
+      try {
+        const relativeKey = file.relativePath.replace(/\\/g, '/'); // Normalize path separators
+        const key = `${targetPrefix}${relativeKey}`;
+
+        const current = existing?.get(key);
+        if (current) {
+          const backedUpAt = manifest.get(relativeKey)?.lastModified || file.modifiedAt;
+          const isNewer = overwrite === 'only-if-newer' && current.lastModified && backedUpAt &&
+            new Date(backedUpAt) > new Date(current.lastModified);
+          if (!isNewer) {
+            matchedCount++;
+            continue;
+          }
+        }
 
-        await s3Client.send(command);
+        // Streamed, decoded on the way; an encoded file decodes to the size in the manifest
+        const envelope = await readEnvelope(file.path);
+        const size = envelope ? (manifest.get(relativeKey)?.size ?? null) : file.size;
+        await driver.putObject(key, await createBackupReadStream(file.path), { size });
         uploadedCount++;
       } catch (error) {
         errors.push({
@@ -189,11 +336,17 @@ export async function uploadFiles(localPath, bucketUrl, attributes) {
     return {
       totalFiles: localFiles.length,
       uploadedFiles: uploadedCount,
-      matchedFiles: matchedCount, // S3 doesn't have a "match" concept, so this is 0
+      matchedFiles: matchedCount, // Already at the target and left as they are (overwrite policy)
+      storageDriver: driver.name,
+      ...target,
       errors: errors.length > 0 ? errors : undefined
     };
   } catch (error) {
     throw new Error(`Failed to upload files: ${error.message}`);
+  } finally {
+    if (driver) {
+      await driver.close().catch(() => {});
+    }
   }
 }
 
@@ -213,12 +366,14 @@ async function getAllFilesFromLocal(dirPath) {
 
         if (entry.isDirectory()) {
           await scanDirectory(fullPath, relativeFilePath);
-        } else if (entry.isFile()) {
+        } else if (entry.isFile() && !entry.name.endsWith('.download')) {
+          // Skip unfinished backup downloads
           const stats = await fs.stat(fullPath);
           files.push({
             name: entry.name,
             relativePath: relativeFilePath,
             size: stats.size,
+            modifiedAt: stats.mtime,
             path: fullPath
           });
         }
@@ -235,53 +390,34 @@ async function getAllFilesFromLocal(dirPath) {
 /**
  * Get backup table data from local database
  * @param {string} tableName - Table name WITHOUT backup_ prefix (will be added automatically)
- * @param {string} backendName - Backend name (not used but kept for compatibility)
+ * @param {string} backendName - Backend name (selects the backend's backup schema)
  * @param {number} page - Page number
  * @param {number} limit - Records per page
  */
 export async function getBackupTableData(tableName, backendName, page = 1, limit = 1000) {
   try {
     // Ensure table name has backup_ prefix
-    const backupTableName = tableName.startsWith('backup_') 
-      ? tableName 
-      : `backup_${tableName}`;
+    const backupTableName = getBackupTableName(tableName);
+    const backupTableRef = getBackupTableRef(backendName, backupTableName);
     
-    // Check if table exists
-    const tableExistsQuery = `
-      SELECT EXISTS (
-        SELECT FROM information_schema.tables 
-        WHERE table_schema = 'public' 
-        AND table_name = $1
-      );
-    `;
-    const tableExists = await prisma.$queryRawUnsafe(tableExistsQuery, backupTableName);
-    
-    if (!tableExists[0].exists) {
-      throw new Error(`Backup table ${backupTableName} does not exist in local database`);
+    // Check if table exists in this backend's schema
+    if (!(await backupTableExists(backendName, backupTableName))) {
+      throw new Error(`Backup table ${backupTableName} does not exist in local database for backend ${backendName}`);
     }
 
+    // Only current versions of rows that still exist at the source are restored
+    const currentCondition = 'backup_valid_to IS NULL AND backup_deleted = false';
+
     // Get total count
-    const countQuery = `SELECT COUNT(*) as total FROM "${backupTableName}"`;
+    const countQuery = `SELECT COUNT(*) as total FROM ${backupTableRef} WHERE ${currentCondition}`;
     const countResult = await prisma.$queryRawUnsafe(countQuery);
     const total = Number(countResult[0].total);
 
-    // Get paginated data
+    // Get paginated data, values in text format so every type round-trips;
+    // ordered by the backup key, so paging through the table sees every row once
     const offset = (page - 1) * limit;
-    const dataQuery = `SELECT * FROM "${backupTableName}" LIMIT $1 OFFSET $2`;
-    const dataResult = await prisma.$queryRawUnsafe(dataQuery, limit, offset);
-
-    // Convert BigInt to Number/String
-    const data = dataResult.map(row => {
-      const converted = {};
-      for (const [key, value] of Object.entries(row)) {
-        if (typeof value === 'bigint') {
-          converted[key] = Number(value);
-        } else {
-          converted[key] = value;
-        }
-      }
-      return converted;
-    });
+    const dataQuery = `SELECT * FROM ${backupTableRef} WHERE ${currentCondition} ORDER BY id LIMIT $1 OFFSET $2`;
+    const data = await queryBackupRows(dataQuery, [limit, offset]);
 
     return {
       data,
@@ -1,5 +1,25 @@
 import prisma from '../config/database.js';
 
+/**
+ * Format upload status record for API responses
+ */
+function formatUploadStatus(status) {
+  return {
+    id: status.id,
+    jobId: status.jobId,
+    status: status.status,
+    type: status.type,
+    backendName: status.backendName,
+    tableName: status.tableName,
+    progress: status.progress,
+    message: status.message,
+    result: status.result,
+    error: status.error,
+    createdAt: status.createdAt.toISOString(),
+    updatedAt: status.updatedAt.toISOString()
+  };
+}
+
 /**
  * Set upload status
  */
@@ -72,26 +92,34 @@ export async function getUploadStatusByBackend(backendName) {
       orderBy: { createdAt: 'desc' }
     });
 
-    return statuses.map(status => ({
-      id: status.id,
-      jobId: status.jobId,
-      status: status.status,
-      type: status.type,
-      backendName: status.backendName,
-      tableName: status.tableName,
-      progress: status.progress,
-      message: status.message,
-      result: status.result,
-      error: status.error,
-      createdAt: status.createdAt.toISOString(),
-      updatedAt: status.updatedAt.toISOString()
-    }));
+    return statuses.map(formatUploadStatus);
   } catch (error) {
     console.error('Error getting upload status:', error);
     return [];
   }
 }
 
+/**
+ * Get upload status by jobId
+ * @returns {Promise<Object|null>} Status, or null if not found
+ */
+export async function getUploadStatusByJobId(jobId) {
+  try {
+    if (!prisma.uploadStatus) {
+      return null;
+    }
+
+    const status = await prisma.uploadStatus.findUnique({
+      where: { jobId }
+    });
+
+    return status ? formatUploadStatus(status) : null;
+  } catch (error) {
+    console.error('Error getting upload status:', error);
+    return null;
+  }
+}
+
 /**
  * Delete upload status by ID
  */
@@ -106,6 +134,43 @@ export async function deleteUploadStatus(id) {
   }
 }
 
+/**
+ * Fail uploads left unfinished by a stopped server
+ * Runs on startup, before any new job is started
+ * @param {Array<string>} activeJobIds - Jobs still in the job queue, which recovers them itself
+ * @returns {Promise<number>} Number of failed uploads
+ */
+export async function markInterruptedUploadStatuses(activeJobIds = []) {
+  try {
+    if (!prisma.uploadStatus) {
+      return 0;
+    }
+
+    const result = await prisma.uploadStatus.updateMany({
+      where: {
+        status: { in: ['queued', 'processing'] },
+        ...(activeJobIds.length > 0 && { jobId: { notIn: activeJobIds } })
+      },
+      data: {
+        status: 'failed',
+        message: 'Interrupted by a server restart',
+        error: 'Server stopped while the upload was running'
+      }
+    });
+
+    if (result.count > 0) {
+      console.log(`⚠️  Marked ${result.count} unfinished upload job(s) as failed`);
+    }
+    return result.count;
+  } catch (error) {
+    if (error.code === 'P2021' || error.message?.includes('does not exist')) {
+      return 0;
+    }
+    console.error('Error marking interrupted uploads:', error.message);
+    return 0;
+  }
+}
+
 /**
  * Cleanup old upload statuses
  */
@@ -125,7 +190,7 @@ export async function cleanupOldUploadStatuses() {
           lt: cutoffDate
         },
         status: {
-          in: ['completed', 'failed']
+          in: ['completed', 'failed', 'cancelled']
         }
       }
     });
@@ -0,0 +1,138 @@
+import prisma from '../config/database.js';
+import { globToRegExp } from './filterService.js';
+
+/**
+ * Format watermark record for API responses
+ */
+function formatWatermark(watermark) {
+  return {
+    tableName: watermark.tableName,
+    column: watermark.column,
+    value: watermark.value,
+    jobId: watermark.jobId,
+    snapshotNumber: watermark.snapshotNumber,
+    fullSync: watermark.fullSync,
+    updatedAt: watermark.updatedAt.toISOString()
+  };
+}
+
+/**
+ * Get the watermark column configured for a table
+ * TABLE_WATERMARKS maps table names or globs to a column that only grows,
+ * e.g. { "orders": "updated_at", "events": "id" }; an exact name wins over globs
+ * @param {string} tableName - Qualified table name
+ * @param {Object} attributes - Setting attributes
+ * @returns {string|null} Column name, or null when the table is always read in full
+ */
+export function getWatermarkColumn(tableName, attributes = {}) {
+  const watermarks = attributes?.TABLE_WATERMARKS;
+  if (!watermarks || typeof watermarks !== 'object') {
+    return null;
+  }
+
+  const entries = Object.entries(watermarks);
+  const match = entries.find(([key]) => key === tableName) ||
+    entries.find(([key]) => globToRegExp(key).test(tableName));
+
+  return match && match[1] ? String(match[1]).trim() : null;
+}
+
+/**
+ * Build the SQL condition selecting rows from a watermark on
+ * Rows at the watermark itself are read again, since rows written after the last run may
+ * share its value; the ones already backed up match their stored hash and are only marked seen.
+ * Rows committed later with a value below the watermark are still missed until a full read.
+ * The value is compared as a literal, so PostgreSQL casts it to the column's type
+ * @param {string} column - Watermark column
+ * @param {string} value - Last watermark value (text format)
+ * @returns {string} Condition for a WHERE clause
+ */
+export function getWatermarkCondition(column, value) {
+  const colName = column.replace(/[^a-zA-Z0-9_]/g, '');
+  return `"${colName}" >= '${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Get the stored watermark of a table
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @returns {Promise<Object|null>} Watermark, or null if none is stored
+ */
+export async function getWatermark(backendName, tableName) {
+  try {
+    const watermark = await prisma.backupWatermark.findUnique({
+      where: { backendName_tableName: { backendName, tableName } }
+    });
+
+    return watermark ? formatWatermark(watermark) : null;
+  } catch (error) {
+    throw new Error(`Failed to get watermark: ${error.message}`);
+  }
+}
+
+/**
+ * Store the watermark reached by a backup run
+ * @param {string} backendName - Backend name
+ * @param {string} tableName - Source table name
+ * @param {Object} watermark - { column, value, jobId, snapshotNumber, fullSync }
+ */
+export async function saveWatermark(backendName, tableName, watermark) {
+  try {
+    const data = {
+      column: watermark.column,
+      value: watermark.value ?? null,
+      jobId: watermark.jobId || null,
+      snapshotNumber: watermark.snapshotNumber ?? null,
+      fullSync: !!watermark.fullSync
+    };
+
+    await prisma.backupWatermark.upsert({
+      where: { backendName_tableName: { backendName, tableName } },
+      update: data,
+      create: { backendName, tableName, ...data }
+    });
+  } catch (error) {
+    throw new Error(`Failed to save watermark: ${error.message}`);
+  }
+}
+
+/**
+ * List the stored watermarks of a backend
+ * @param {string} backendName - Backend name
+ * @returns {Promise<Object>} Watermarks keyed by source table name
+ */
+export async function listWatermarks(backendName) {
+  try {
+    const watermarks = await prisma.backupWatermark.findMany({
+      where: { backendName },
+      orderBy: { tableName: 'asc' }
+    });
+
+    return Object.fromEntries(watermarks.map(watermark => [watermark.tableName, formatWatermark(watermark)]));
+  } catch (error) {
+    throw new Error(`Failed to list watermarks: ${error.message}`);
+  }
+}
+
+/**
+ * Delete stored watermarks, so the next run reads the tables in full
+ * Called when backup rows are deleted: rows before the watermark would otherwise never come back
+ * @param {string} backendName - Backend name
+ * @param {Array<string>} tableNames - Source table names
+ * @returns {Promise<number>} Number of deleted watermarks
+ */
+export async function deleteWatermarks(backendName, tableNames) {
+  try {
+    if (tableNames.length === 0) {
+      return 0;
+    }
+
+    const result = await prisma.backupWatermark.deleteMany({
+      where: { backendName, tableName: { in: tableNames } }
+    });
+
+    return result.count;
+  } catch (error) {
+    throw new Error(`Failed to delete watermarks: ${error.message}`);
+  }
+}
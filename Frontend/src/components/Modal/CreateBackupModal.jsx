@@ -3,9 +3,16 @@ import Message from '../Message/Message'
 import './Modal.css'
 import './CreateBackupModal.css'
 
+// Key ID and compression recorded by encrypted or compressed backups
+const formatEncryption = (encryption) => [
+  encryption.keyId ? `AES-256-GCM, key ${encryption.keyId}` : 'Not encrypted',
+  encryption.compression ? `${encryption.compression} compressed` : null
+].filter(Boolean).join(', ')
+
 const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
   const [selectedBackend, setSelectedBackend] = useState('')
-  const [backupType, setBackupType] = useState('database') // 'files' or 'database'
+  const [backupType, setBackupType] = useState('database') // 'files', 'database' or 'dump'
+  const [forceFullResync, setForceFullResync] = useState(false)
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState({ type: '', text: '' })
   const [jobId, setJobId] = useState(null)
@@ -22,7 +29,7 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
           if (data.success) {
             setStatus(data)
 
-            if (data.status === 'completed' || data.status === 'failed') {
+            if (['completed', 'failed', 'interrupted', 'cancelled'].includes(data.status)) {
               clearInterval(interval)
               if (data.status === 'completed') {
                 setTimeout(() => {
@@ -57,7 +64,8 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
         },
         body: JSON.stringify({
           type: backupType,
-          backendName: selectedBackend
+          backendName: selectedBackend,
+          forceFullResync: backupType === 'database' && forceFullResync
         })
       })
 
@@ -66,9 +74,9 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
       if (data.success) {
         setJobId(data.jobId)
         setStatus({
-          status: 'processing',
+          status: 'queued',
           progress: 0,
-          message: 'Backup process started...'
+          message: 'Waiting in queue...'
         })
       } else {
         setMessage({ type: 'error', text: data.message || 'Failed to start backup' })
@@ -85,6 +93,7 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
     if (!status) return '#3498db'
     if (status.status === 'completed') return '#27ae60'
     if (status.status === 'failed') return '#e74c3c'
+    if (status.status === 'interrupted') return '#e67e22'
     return '#3498db'
   }
 
@@ -149,9 +158,34 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
                     />
                     <span>Files</span>
                   </label>
+                  <label className="radio-label">
+                    <input
+                      type="radio"
+                      name="backupType"
+                      value="dump"
+                      checked={backupType === 'dump'}
+                      onChange={(e) => setBackupType(e.target.value)}
+                      disabled={loading}
+                    />
+                    <span>Database Dump (pg_dump)</span>
+                  </label>
                 </div>
               </div>
 
+              {backupType === 'database' && (
+                <div className="form-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={forceFullResync}
+                      onChange={(e) => setForceFullResync(e.target.checked)}
+                      disabled={loading}
+                    />
+                    <span>Force full resync (read every table in full, ignoring watermarks)</span>
+                  </label>
+                </div>
+              )}
+
               <div className="info-box">
                 <strong>ℹ️ Info:</strong> The backup process will run in the background. You can close this modal and check the status later.
               </div>
@@ -194,15 +228,38 @@ const CreateBackupModal = ({ backendNames, onClose, onSuccess }) => {
                             <p><strong>Tables Processed:</strong> {status.result.processedTables || 0} / {status.result.totalTables || 0}</p>
                             <p><strong>Records Inserted:</strong> {status.result.insertedRecords || 0}</p>
                             <p><strong>Records Updated:</strong> {status.result.updatedRecords || 0}</p>
+                            <p><strong>Records Deleted:</strong> {status.result.deletedRecords || 0}</p>
+                            <p><strong>Incremental Tables:</strong> {status.result.incrementalTables || 0}</p>
+                            <p><strong>Duration:</strong> {((status.result.durationMs || 0) / 1000).toFixed(1)}s</p>
+                            <p><strong>Throughput:</strong> {status.result.rowsPerSecond || 0} rows/s</p>
+                          </>
+                        ) : status.result.type === 'dump' ? (
+                          <>
+                            <p><strong>Type:</strong> Database Dump</p>
+                            <p><strong>Archive:</strong> {status.result.fileName}</p>
+                            <p><strong>Size:</strong> {((status.result.sizeBytes || 0) / (1024 * 1024)).toFixed(2)} MB</p>
+                            <p><strong>Duration:</strong> {((status.result.durationMs || 0) / 1000).toFixed(1)}s</p>
                           </>
                         ) : (
                           <>
                             <p><strong>Type:</strong> Files</p>
                             <p><strong>Total Files:</strong> {status.result.totalFiles || 0}</p>
-                            <p><strong>Downloaded:</strong> {status.result.downloadedFiles || 0}</p>
+                            <p><strong>Downloaded:</strong> {status.result.downloadedFiles || 0} ({((status.result.downloadedBytes || 0) / (1024 * 1024)).toFixed(2)} MB)</p>
+                            <p><strong>Changed in Bucket:</strong> {status.result.refreshedFiles || 0}</p>
+                            <p><strong>Deleted in Bucket (kept as versions):</strong> {status.result.deletedFiles || 0}</p>
                             <p><strong>Skipped:</strong> {status.result.skippedFiles || 0}</p>
+                            {status.result.excludedFiles > 0 && (
+                              <p><strong>Excluded by Filters:</strong> {status.result.excludedFiles} ({((status.result.excludedBytes || 0) / (1024 * 1024)).toFixed(2)} MB)</p>
+                            )}
+                            <p><strong>Failed:</strong> {status.result.failedFiles || 0}</p>
+                            {status.result.files?.filter(file => file.status === 'failed').slice(0, 10).map(file => (
+                              <p key={file.key} className="failed-file"><strong>{file.key}:</strong> {file.error}</p>
+                            ))}
                           </>
                         )}
+                        {status.result.encryption && (
+                          <p><strong>Encryption:</strong> {formatEncryption(status.result.encryption)}</p>
+                        )}
                       </div>
                     </div>
                   )}
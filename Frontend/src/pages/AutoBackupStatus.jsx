@@ -1,14 +1,37 @@
 import { useState, useEffect } from 'react'
 import Message from '../components/Message/Message'
+import { settingsAPI } from '../services/api'
 import './AutoBackupStatus.css'
 
+const EMPTY_SCHEDULE = {
+  backendName: '',
+  type: 'files',
+  cron: '0 2 * * *',
+  timezone: 'UTC',
+  enabled: true
+}
+
 const AutoBackupStatus = () => {
-  const [activeTab, setActiveTab] = useState(null) // 'database' or 'files'
+  const [activeTab, setActiveTab] = useState(null) // 'database', 'files' or 'schedules'
   const [statusData, setStatusData] = useState([])
   const [loading, setLoading] = useState(false)
   const [message, setMessage] = useState({ type: '', text: '' })
+  const [schedules, setSchedules] = useState([])
+  const [backendNames, setBackendNames] = useState([])
+  const [scheduleForm, setScheduleForm] = useState(EMPTY_SCHEDULE)
+  const [editingScheduleId, setEditingScheduleId] = useState(null)
+  const [savingSchedule, setSavingSchedule] = useState(false)
+  const [globalJobs, setGlobalJobs] = useState(null)
+  const [restarting, setRestarting] = useState(false)
 
   useEffect(() => {
+    if (activeTab === 'schedules') {
+      fetchSchedules()
+      fetchBackendNames()
+      // Auto-refresh every 10 seconds
+      const interval = setInterval(() => fetchSchedules(), 10000)
+      return () => clearInterval(interval)
+    }
     if (activeTab) {
       fetchAutoBackupStatus(activeTab)
       // Auto-refresh every 10 seconds
@@ -45,6 +68,155 @@ const AutoBackupStatus = () => {
     }
   }
 
+  // Schedules and the global AUTO_BACKUP_* jobs, with their next runs
+  const fetchSchedules = async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/auto-backup/status`)
+      const data = await response.json()
+
+      if (data.success) {
+        setSchedules(data.data.schedules || [])
+        setGlobalJobs({ database: data.data.database, files: data.data.files })
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to fetch backup schedules' })
+        setSchedules([])
+      }
+    } catch (error) {
+      console.error('Error fetching backup schedules:', error)
+      setMessage({ type: 'error', text: 'Failed to fetch backup schedules' })
+      setSchedules([])
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const fetchBackendNames = async () => {
+    try {
+      const response = await settingsAPI.getAll()
+      const data = response.data || response
+      if (data.success) {
+        setBackendNames((data.data || []).map(setting => setting.backendname))
+      }
+    } catch (error) {
+      console.error('Error fetching backend names:', error)
+    }
+  }
+
+  // Create, update or delete a schedule; the backend applies it right away
+  const sendSchedule = async (method, path, body) => {
+    const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/auto-backup/schedules${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      ...(body && { body: JSON.stringify(body) })
+    })
+    const data = await response.json()
+
+    if (!data.success) {
+      const details = data.errors ? `: ${data.errors.join(', ')}` : ''
+      throw new Error(`${data.message || 'Request failed'}${details}`)
+    }
+    return data
+  }
+
+  const handleScheduleChange = (field, value) => {
+    setScheduleForm(prev => ({ ...prev, [field]: value }))
+  }
+
+  const handleScheduleSubmit = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSavingSchedule(true)
+      const data = editingScheduleId
+        ? await sendSchedule('PUT', `/${editingScheduleId}`, scheduleForm)
+        : await sendSchedule('POST', '', scheduleForm)
+
+      setMessage({ type: 'success', text: data.message })
+      setScheduleForm(EMPTY_SCHEDULE)
+      setEditingScheduleId(null)
+      fetchSchedules()
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to save backup schedule' })
+    } finally {
+      setSavingSchedule(false)
+    }
+  }
+
+  const handleEditSchedule = (schedule) => {
+    setEditingScheduleId(schedule.id)
+    setScheduleForm({
+      backendName: schedule.backendName,
+      type: schedule.type,
+      cron: schedule.cron,
+      timezone: schedule.timezone,
+      enabled: schedule.enabled
+    })
+  }
+
+  const handleCancelEdit = () => {
+    setEditingScheduleId(null)
+    setScheduleForm(EMPTY_SCHEDULE)
+  }
+
+  const handleToggleSchedule = async (schedule) => {
+    try {
+      const data = await sendSchedule('POST', `/${schedule.id}/${schedule.enabled ? 'pause' : 'resume'}`)
+      setMessage({ type: 'success', text: data.message })
+      fetchSchedules()
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to update backup schedule' })
+    }
+  }
+
+  const handleRunSchedule = async (schedule) => {
+    try {
+      const data = await sendSchedule('POST', `/${schedule.id}/run`)
+      setMessage({ type: 'success', text: `${data.message} (Job ID: ${data.jobId})` })
+      fetchSchedules()
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to run backup schedule' })
+    }
+  }
+
+  const handleRestart = async () => {
+    try {
+      setRestarting(true)
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/auto-backup/restart`, { method: 'POST' })
+      const data = await response.json()
+
+      if (data.success) {
+        setMessage({ type: 'success', text: data.message })
+        setSchedules(data.data.schedules || [])
+        setGlobalJobs({ database: data.data.database, files: data.data.files })
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to restart auto-backup jobs' })
+      }
+    } catch (error) {
+      console.error('Error restarting auto-backup jobs:', error)
+      setMessage({ type: 'error', text: 'Failed to restart auto-backup jobs' })
+    } finally {
+      setRestarting(false)
+    }
+  }
+
+  const handleDeleteSchedule = async (schedule) => {
+    if (!window.confirm(`Delete the ${schedule.type} schedule of ${schedule.backendName}?`)) {
+      return
+    }
+
+    try {
+      const data = await sendSchedule('DELETE', `/${schedule.id}`)
+      setMessage({ type: 'success', text: data.message })
+      if (editingScheduleId === schedule.id) {
+        handleCancelEdit()
+      }
+      fetchSchedules()
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to delete backup schedule' })
+    }
+  }
+
   // Auto-close message after 5 seconds
   useEffect(() => {
     if (message.text) {
@@ -76,7 +248,10 @@ const AutoBackupStatus = () => {
       case 'failed':
         return 'status-failed'
       case 'processing':
+      case 'queued':
         return 'status-processing'
+      case 'interrupted':
+        return 'status-failed'
       default:
         return 'status-unknown'
     }
@@ -88,7 +263,7 @@ const AutoBackupStatus = () => {
         <h1>🔄 Auto-Backup Status</h1>
         <button 
           className="refresh-btn" 
-          onClick={() => activeTab && fetchAutoBackupStatus(activeTab)} 
+          onClick={() => activeTab === 'schedules' ? fetchSchedules() : activeTab && fetchAutoBackupStatus(activeTab)} 
           disabled={loading || !activeTab}
         >
           🔄 Refresh
@@ -118,9 +293,15 @@ const AutoBackupStatus = () => {
           >
             📁 Files
           </button>
+          <button
+            className={`tab-btn ${activeTab === 'schedules' ? 'active' : ''}`}
+            onClick={() => handleTabClick('schedules')}
+          >
+            🗓️ Schedules
+          </button>
         </div>
 
-        {loading && statusData.length === 0 && (
+        {loading && statusData.length === 0 && activeTab !== 'schedules' && (
           <div className="loading-container">
             <div className="loading">Loading auto-backup status...</div>
           </div>
@@ -216,6 +397,168 @@ const AutoBackupStatus = () => {
           </div>
         )}
 
+        {/* Schedules Tab */}
+        {activeTab === 'schedules' && (
+          <div className="status-table-container">
+            <h2>Backup Schedules</h2>
+            <p className="schedule-hint">
+              Each schedule backs up one backend on its own cron expression and time zone.
+              Backends without a schedule of a type keep using the global AUTO_BACKUP_* settings.
+            </p>
+
+            <form className="schedule-form" onSubmit={handleScheduleSubmit}>
+              <div className="schedule-form-grid">
+                <label className="schedule-field">
+                  <span>Backend</span>
+                  <select
+                    value={scheduleForm.backendName}
+                    onChange={(e) => handleScheduleChange('backendName', e.target.value)}
+                    required
+                  >
+                    <option value="">Select backend</option>
+                    {backendNames.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="schedule-field">
+                  <span>Type</span>
+                  <select
+                    value={scheduleForm.type}
+                    onChange={(e) => handleScheduleChange('type', e.target.value)}
+                  >
+                    <option value="files">Files</option>
+                    <option value="database">Database</option>
+                    <option value="dump">Dump</option>
+                  </select>
+                </label>
+                <label className="schedule-field">
+                  <span>Cron</span>
+                  <input
+                    type="text"
+                    value={scheduleForm.cron}
+                    onChange={(e) => handleScheduleChange('cron', e.target.value)}
+                    placeholder="0 2 * * *"
+                    required
+                  />
+                </label>
+                <label className="schedule-field">
+                  <span>Time Zone</span>
+                  <input
+                    type="text"
+                    value={scheduleForm.timezone}
+                    onChange={(e) => handleScheduleChange('timezone', e.target.value)}
+                    placeholder="UTC"
+                  />
+                </label>
+                <label className="schedule-field schedule-checkbox">
+                  <input
+                    type="checkbox"
+                    checked={scheduleForm.enabled}
+                    onChange={(e) => handleScheduleChange('enabled', e.target.checked)}
+                  />
+                  <span>Enabled</span>
+                </label>
+              </div>
+              <div className="schedule-form-actions">
+                <button type="submit" className="refresh-btn" disabled={savingSchedule}>
+                  {editingScheduleId ? '💾 Update Schedule' : '➕ Add Schedule'}
+                </button>
+                {editingScheduleId && (
+                  <button type="button" className="secondary-btn" onClick={handleCancelEdit}>
+                    Cancel
+                  </button>
+                )}
+              </div>
+            </form>
+
+            {schedules.length > 0 ? (
+              <div className="table-wrapper">
+                <table className="status-table">
+                  <thead>
+                    <tr>
+                      <th>Backend</th>
+                      <th>Type</th>
+                      <th>Cron</th>
+                      <th>Time Zone</th>
+                      <th>Status</th>
+                      <th>Next Run</th>
+                      <th>Last Run</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {schedules.map((schedule) => (
+                      <tr key={schedule.id}>
+                        <td>{schedule.backendName}</td>
+                        <td>{schedule.type}</td>
+                        <td className="job-id-cell">{schedule.cron}</td>
+                        <td>{schedule.timezone}</td>
+                        <td>
+                          <span className={`status-badge ${schedule.enabled ? 'status-completed' : 'status-unknown'}`}>
+                            {schedule.enabled ? 'active' : 'paused'}
+                          </span>
+                        </td>
+                        <td>{schedule.enabled ? formatDate(schedule.nextRun) : '-'}</td>
+                        <td>{formatDate(schedule.lastRunAt)}</td>
+                        <td className="schedule-actions">
+                          <button className="secondary-btn" onClick={() => handleEditSchedule(schedule)}>Edit</button>
+                          <button className="secondary-btn" onClick={() => handleRunSchedule(schedule)}>Run Now</button>
+                          <button className="secondary-btn" onClick={() => handleToggleSchedule(schedule)}>
+                            {schedule.enabled ? 'Pause' : 'Resume'}
+                          </button>
+                          <button className="secondary-btn danger" onClick={() => handleDeleteSchedule(schedule)}>Delete</button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="no-data">
+                <p>{loading ? 'Loading backup schedules...' : 'No backup schedules yet'}</p>
+              </div>
+            )}
+
+            {globalJobs && (
+              <div className="global-jobs">
+                <div className="global-jobs-header">
+                  <h3>Global Jobs (AUTO_BACKUP_*)</h3>
+                  <button className="secondary-btn" onClick={handleRestart} disabled={restarting}>
+                    {restarting ? 'Restarting...' : '🔄 Restart'}
+                  </button>
+                </div>
+                <table className="status-table">
+                  <thead>
+                    <tr>
+                      <th>Type</th>
+                      <th>Status</th>
+                      <th>Cron</th>
+                      <th>Next Run</th>
+                      <th>Last Run</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {['database', 'files'].map(type => (
+                      <tr key={type}>
+                        <td>{type}</td>
+                        <td>
+                          <span className={`status-badge ${globalJobs[type].enabled ? 'status-completed' : 'status-unknown'}`}>
+                            {globalJobs[type].enabled ? 'enabled' : 'disabled'}
+                          </span>
+                        </td>
+                        <td className="job-id-cell">{globalJobs[type].schedule || '-'}</td>
+                        <td>{globalJobs[type].enabled ? formatDate(globalJobs[type].nextRun) : '-'}</td>
+                        <td>{formatDate(globalJobs[type].lastRun)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
         {/* No Tab Selected */}
         {!activeTab && (
           <div className="no-tab-selected">
@@ -23,6 +23,13 @@ const Backup = () => {
   const [deleteTableInfo, setDeleteTableInfo] = useState(null)
   const [viewRecordsTableInfo, setViewRecordsTableInfo] = useState(null)
   const [deletingStatusId, setDeletingStatusId] = useState(null)
+  const [resumingJobId, setResumingJobId] = useState(null)
+  const [statusAction, setStatusAction] = useState(null) // { jobId, action } while cancelling or retrying
+  const [fileVersions, setFileVersions] = useState([]) // Files with archived versions
+  const [expandedVersionKey, setExpandedVersionKey] = useState(null)
+  const [versionList, setVersionList] = useState([])
+  const [versionsLoading, setVersionsLoading] = useState(false)
+  const [restoringVersionId, setRestoringVersionId] = useState(null)
 
   useEffect(() => {
     fetchBackendNames()
@@ -105,6 +112,7 @@ const Backup = () => {
       if (data.success) {
         setBackupFiles(data.data)
         setMessage({ type: 'success', text: `Successfully fetched backup files from ${backendName}` })
+        fetchFileVersions(backendName)
       } else {
         setMessage({ type: 'error', text: data.message || 'Failed to fetch backup files' })
         setBackupFiles(null)
@@ -118,6 +126,77 @@ const Backup = () => {
     }
   }
 
+  const fetchFileVersions = async (backendName) => {
+    setExpandedVersionKey(null)
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/backup/files/versions/${backendName}`)
+      const data = await response.json()
+      setFileVersions(data.success ? data.files || [] : [])
+    } catch (error) {
+      console.error('Error fetching file versions:', error)
+      setFileVersions([])
+    }
+  }
+
+  const handleVersionsToggle = async (key) => {
+    if (expandedVersionKey === key) {
+      setExpandedVersionKey(null)
+      return
+    }
+
+    try {
+      setVersionsLoading(true)
+      setExpandedVersionKey(key)
+      setVersionList([])
+
+      const response = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/api/backup/files/versions/${selectedBackend}?key=${encodeURIComponent(key)}`
+      )
+      const data = await response.json()
+
+      if (data.success) {
+        setVersionList(data.versions || [])
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to fetch file versions' })
+      }
+    } catch (error) {
+      console.error('Error fetching file versions:', error)
+      setMessage({ type: 'error', text: 'Failed to fetch file versions' })
+    } finally {
+      setVersionsLoading(false)
+    }
+  }
+
+  const handleRestoreVersion = async (key, versionId) => {
+    if (!window.confirm(`Upload this version of ${key} to the bucket? The current object will be overwritten.`)) {
+      return
+    }
+
+    try {
+      setRestoringVersionId(versionId)
+
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/upload`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ type: 'files', backendName: selectedBackend, key, versionId })
+      })
+      const data = await response.json()
+
+      if (data.success) {
+        setMessage({ type: 'success', text: `Restore of ${key} started. Track it on the Upload page.` })
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to restore file version' })
+      }
+    } catch (error) {
+      console.error('Error restoring file version:', error)
+      setMessage({ type: 'error', text: 'Failed to restore file version' })
+    } finally {
+      setRestoringVersionId(null)
+    }
+  }
+
   const handleDeleteClick = (tableName, originalTableName) => {
     setDeleteTableInfo({
       backendName: selectedBackend,
@@ -205,10 +284,73 @@ const Backup = () => {
     }
   }
 
+  const handleResumeStatus = async (jobId) => {
+    try {
+      setResumingJobId(jobId)
+      setMessage({ type: '', text: '' })
+
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/backup/resume/${jobId}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      })
+      const data = await response.json()
+
+      if (data.success) {
+        setMessage({ type: 'success', text: data.message || 'Backup resumed' })
+        await fetchAllStatuses()
+      } else {
+        setMessage({ type: 'error', text: data.message || 'Failed to resume backup' })
+      }
+    } catch (error) {
+      console.error('Error resuming backup:', error)
+      setMessage({ type: 'error', text: `Failed to resume backup: ${error.message}` })
+    } finally {
+      setResumingJobId(null)
+    }
+  }
+
+  // action: 'cancel', 'retry' or 'retry-failed' (only the failed tables or files)
+  const handleStatusAction = async (jobId, action) => {
+    try {
+      setStatusAction({ jobId, action })
+      setMessage({ type: '', text: '' })
+
+      const endpoint = action === 'cancel' ? 'cancel' : 'retry'
+      const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/backup/status/${jobId}/${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(action === 'retry-failed' ? { onlyFailed: true } : {})
+      })
+      const data = await response.json()
+
+      if (data.success) {
+        setMessage({ type: 'success', text: data.message })
+        await fetchAllStatuses()
+      } else {
+        setMessage({ type: 'error', text: data.message || `Failed to ${endpoint} backup` })
+      }
+    } catch (error) {
+      console.error(`Error running ${action} on backup:`, error)
+      setMessage({ type: 'error', text: `Failed to ${action === 'cancel' ? 'cancel' : 'retry'} backup: ${error.message}` })
+    } finally {
+      setStatusAction(null)
+    }
+  }
+
+  // Tables or files a finished backup failed on
+  const hasFailedItems = (status) =>
+    (status.type === 'database' && status.result?.errors?.length > 0) ||
+    (status.type === 'files' && status.result?.failedFiles > 0)
+
   const getStatusColor = (status) => {
     if (status === 'completed') return '#27ae60'
     if (status === 'failed') return '#e74c3c'
-    if (status === 'processing') return '#3498db'
+    if (status === 'processing' || status === 'queued') return '#3498db'
+    if (status === 'interrupted') return '#e67e22'
     return '#95a5a6'
   }
 
@@ -224,7 +366,8 @@ const Backup = () => {
       tableName,
       originalTableName: tableInfo.originalTableName || tableName.replace('backup_', ''),
       count: tableInfo.count || 0,
-      error: tableInfo.error
+      error: tableInfo.error,
+      watermark: tableInfo.watermark
     }))
   }
 
@@ -236,19 +379,60 @@ const Backup = () => {
     return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i]
   }
 
+  const renderVersionList = (key, level = 0) => {
+    if (expandedVersionKey !== key) return null
+
+    return (
+      <div key={`versions-${key}`} className="version-list" style={{ marginLeft: `${level * 20 + 28}px` }}>
+        {versionsLoading ? (
+          <div className="version-item">Loading versions...</div>
+        ) : versionList.length === 0 ? (
+          <div className="version-item">No versions found</div>
+        ) : (
+          versionList.map((version) => (
+            <div key={version.versionId} className="version-item">
+              <span className="version-date">{new Date(version.archivedAt).toLocaleString()}</span>
+              <span className={`version-reason ${version.reason}`}>
+                {version.reason === 'deleted' ? 'Deleted from bucket' : 'Overwritten'}
+              </span>
+              <span className="file-size">{formatBytes(version.size || 0)}</span>
+              <button
+                className="version-restore-btn"
+                onClick={() => handleRestoreVersion(key, version.versionId)}
+                disabled={restoringVersionId === version.versionId}
+              >
+                {restoringVersionId === version.versionId ? 'Restoring...' : 'Restore'}
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    )
+  }
+
   const renderFileStructure = (structure, level = 0) => {
     const items = []
 
     // Render files in current folder
     if (structure.files && structure.files.length > 0) {
       structure.files.forEach((file, index) => {
+        const versions = fileVersions.find(entry => entry.key === file.key)
         items.push(
           <div key={`file-${index}`} className="file-item" style={{ paddingLeft: `${level * 20}px` }}>
             <span className="file-icon">📄</span>
             <span className="file-name">{file.name}</span>
+            {file.storage === 'dedup' && (
+              <span className="dedup-badge" title="Stored once in the deduplicated file store">dedup</span>
+            )}
+            {versions && (
+              <button className="versions-btn" onClick={() => handleVersionsToggle(file.key)}>
+                🕘 {versions.versions} {versions.versions === 1 ? 'version' : 'versions'}
+              </button>
+            )}
             <span className="file-size">{formatBytes(file.size || 0)}</span>
           </div>
         )
+        items.push(renderVersionList(file.key, level))
       })
     }
 
@@ -361,6 +545,7 @@ const Backup = () => {
                         <th>Table Name</th>
                         <th>Original Table Name</th>
                         <th>Record Count</th>
+                        <th>Watermark</th>
                         <th>Actions</th>
                       </tr>
                     </thead>
@@ -376,6 +561,19 @@ const Backup = () => {
                               <span className="count-badge">{row.count}</span>
                             )}
                           </td>
+                          <td>
+                            {row.watermark ? (
+                              <span
+                                className="watermark-cell"
+                                title={`Updated ${new Date(row.watermark.updatedAt).toLocaleString()}${row.watermark.fullSync ? ' (full sync)' : ''}`}
+                              >
+                                <span className="watermark-column">{row.watermark.column}</span>
+                                {row.watermark.value ?? '-'}
+                              </span>
+                            ) : (
+                              <span className="no-watermark">Full</span>
+                            )}
+                          </td>
                           <td>
                             <div className="action-buttons">
                               <button
@@ -459,6 +657,25 @@ const Backup = () => {
                   <p>No backup files found for this backend</p>
                 </div>
               )}
+
+              {fileVersions.some(entry => entry.deleted) && (
+                <div className="deleted-files">
+                  <h3>Deleted from Bucket</h3>
+                  <div className="files-structure">
+                    {fileVersions.filter(entry => entry.deleted).map((entry) => [
+                      <div key={`deleted-${entry.key}`} className="file-item">
+                        <span className="file-icon">🗑️</span>
+                        <span className="file-name">{entry.key}</span>
+                        <button className="versions-btn" onClick={() => handleVersionsToggle(entry.key)}>
+                          🕘 {entry.versions} {entry.versions === 1 ? 'version' : 'versions'}
+                        </button>
+                        <span className="file-size">{new Date(entry.latestArchivedAt).toLocaleDateString()}</span>
+                      </div>,
+                      renderVersionList(entry.key)
+                    ])}
+                  </div>
+                </div>
+              )}
             </div>
           )}
         </>
@@ -532,6 +749,46 @@ const Backup = () => {
                       <td className="date-cell">{formatDate(status.createdAt)}</td>
                       <td className="date-cell">{formatDate(status.updatedAt)}</td>
                       <td>
+                        {(status.status === 'queued' || status.status === 'processing') && (
+                          <button
+                            className="resume-status-btn"
+                            onClick={() => handleStatusAction(status.jobId, 'cancel')}
+                            disabled={statusAction?.jobId === status.jobId}
+                            title="Cancel this backup"
+                          >
+                            {statusAction?.jobId === status.jobId ? 'Cancelling...' : '⏹️ Cancel'}
+                          </button>
+                        )}
+                        {['failed', 'cancelled', 'interrupted'].includes(status.status) && (
+                          <button
+                            className="resume-status-btn"
+                            onClick={() => handleStatusAction(status.jobId, 'retry')}
+                            disabled={statusAction?.jobId === status.jobId}
+                            title="Run this backup again with the same parameters"
+                          >
+                            {statusAction?.action === 'retry' && statusAction.jobId === status.jobId ? 'Retrying...' : '🔁 Retry'}
+                          </button>
+                        )}
+                        {hasFailedItems(status) && (
+                          <button
+                            className="resume-status-btn"
+                            onClick={() => handleStatusAction(status.jobId, 'retry-failed')}
+                            disabled={statusAction?.jobId === status.jobId}
+                            title="Run this backup again for the tables or files that failed"
+                          >
+                            {statusAction?.action === 'retry-failed' && statusAction.jobId === status.jobId ? 'Retrying...' : '🔁 Retry Failed'}
+                          </button>
+                        )}
+                        {status.resumable && (
+                          <button
+                            className="resume-status-btn"
+                            onClick={() => handleResumeStatus(status.jobId)}
+                            disabled={resumingJobId === status.jobId}
+                            title="Resume this backup from its checkpoint"
+                          >
+                            {resumingJobId === status.jobId ? 'Resuming...' : '▶️ Resume'}
+                          </button>
+                        )}
                         <button
                           className="delete-status-btn"
                           onClick={() => handleDeleteStatus(status.jobId)}
@@ -249,6 +249,10 @@ const Comparison = () => {
                 <div className="summary-card-label">Missing in Remote</div>
                 <div className="summary-card-value">{comparisonData.summary?.missingInRemote ?? 0}</div>
               </div>
+              <div className="summary-card warning">
+                <div className="summary-card-label">Modified Since Backup</div>
+                <div className="summary-card-value">{comparisonData.summary?.modifiedSinceBackup ?? 0}</div>
+              </div>
             </div>
           </div>
 
@@ -267,6 +271,7 @@ const Comparison = () => {
                     <th>Progress</th>
                     <th>Status</th>
                     <th>Missing Records</th>
+                    <th>Modified</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
@@ -274,7 +279,12 @@ const Comparison = () => {
                   {(comparisonData.tablesComparison || []).map((table, index) => (
                     <>
                       <tr key={index} className={`table-row ${table.status}`}>
-                        <td className="table-name-cell">{table.tableName || '-'}</td>
+                        <td className="table-name-cell">
+                          {table.tableName || '-'}
+                          {table.rowFilter && (
+                            <span className="row-filter-badge" title={table.rowFilter}>filtered</span>
+                          )}
+                        </td>
                         <td>
                           {table.backupTableName ? (
                             <span className="backup-table-name">{table.backupTableName}</span>
@@ -318,6 +328,18 @@ const Comparison = () => {
                             <span className="no-missing">-</span>
                           )}
                         </td>
+                        <td>
+                          {(table.modifiedRecordsCount ?? 0) > 0 ? (
+                            <span
+                              className="modified-records-badge"
+                              title={(table.modifiedRecordsIds || []).length > 0 ? `IDs: ${table.modifiedRecordsIds.join(', ')}` : undefined}
+                            >
+                              {table.modifiedRecordsCount} modified
+                            </span>
+                          ) : (
+                            <span className="no-missing">-</span>
+                          )}
+                        </td>
                         <td>
                           {(table.missingRecordsCount ?? 0) > 0 && table.missingRecords && table.missingRecords.length > 0 && (
                             <button
@@ -331,7 +353,7 @@ const Comparison = () => {
                       </tr>
                       {expandedTables.has(table.tableName) && table.missingRecords && table.missingRecords.length > 0 && (
                         <tr key={`${index}-details`} className="details-row">
-                          <td colSpan="9" className="details-cell">
+                          <td colSpan="10" className="details-cell">
                             <div className="missing-records-details">
                               <h4>Missing Records ({(table.missingRecordsCount ?? 0)} total, showing first {table.missingRecords.length}):</h4>
                               <div className="missing-records-table-container">
@@ -449,6 +471,14 @@ const Comparison = () => {
                 <div className="summary-card-label">Different Files</div>
                 <div className="summary-card-value">{filesComparisonData.summary?.differentFiles || 0}</div>
               </div>
+              {(filesComparisonData.summary?.excludedBucketFiles > 0 || filesComparisonData.summary?.excludedLocalFiles > 0) && (
+                <div className="summary-card">
+                  <div className="summary-card-label">Excluded by Filters</div>
+                  <div className="summary-card-value">
+                    {(filesComparisonData.summary?.excludedBucketFiles || 0) + (filesComparisonData.summary?.excludedLocalFiles || 0)}
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -513,7 +543,7 @@ const Comparison = () => {
           {/* Different Files Section */}
           {(filesComparisonData.differentFiles || []).length > 0 && (
             <div className="missing-section different-files">
-              <h3>Files with Different Sizes ({(filesComparisonData.differentFiles || []).length})</h3>
+              <h3>Files with Different Content ({(filesComparisonData.differentFiles || []).length})</h3>
               <div className="files-list-container">
                 <table className="comparison-table">
                   <thead>
@@ -522,6 +552,7 @@ const Comparison = () => {
                       <th>Path</th>
                       <th>Bucket Size</th>
                       <th>Local Size</th>
+                      <th>Difference</th>
                       <th>Bucket Last Modified</th>
                       <th>Local Last Modified</th>
                     </tr>
@@ -533,6 +564,11 @@ const Comparison = () => {
                         <td className="file-path-cell">{file.key}</td>
                         <td>{formatBytes(file.bucketSize || 0)}</td>
                         <td>{formatBytes(file.localSize || 0)}</td>
+                        <td>
+                          <span className="difference-badge" title={`Compared by ${file.basis || 'size'}`}>
+                            {formatDifference(file.reason)}
+                          </span>
+                        </td>
                         <td>{file.bucketLastModified ? new Date(file.bucketLastModified).toLocaleString() : '-'}</td>
                         <td>{file.localLastModified ? new Date(file.localLastModified).toLocaleString() : '-'}</td>
                       </tr>
@@ -548,6 +584,17 @@ const Comparison = () => {
   )
 }
 
+const formatDifference = (reason) => {
+  switch (reason) {
+    case 'changed_in_bucket': return 'Changed in bucket'
+    case 'local_modified': return 'Local copy modified'
+    case 'content_mismatch': return 'Content differs'
+    case 'size_mismatch':
+    case undefined: return 'Size differs'
+    default: return reason
+  }
+}
+
 const formatBytes = (bytes) => {
   if (bytes === 0) return '0 Bytes'
   const k = 1024
@@ -79,7 +79,7 @@ const Dashboard = () => {
     )
   }
 
-  const { summary, statusDistribution, typeDistribution, dailyChartData, backendStats, recentBackups } = reportsData
+  const { summary, statusDistribution, typeDistribution, dailyChartData, backendStats, recentBackups, fileStorage, replication } = reportsData
 
   // Colors for charts
   const COLORS = ['#27ae60', '#e74c3c', '#3498db', '#f39c12', '#9b59b6']
@@ -279,6 +279,89 @@ const Dashboard = () => {
         </div>
       )}
 
+      {/* Deduplicated File Storage */}
+      {fileStorage && fileStorage.files > 0 && (
+        <div className="chart-card full-width">
+          <h3>Deduplicated File Storage</h3>
+          <div className="storage-stats">
+            <div className="storage-stat">
+              <span className="storage-stat-label">Files</span>
+              <span className="storage-stat-value">{fileStorage.files.toLocaleString()}</span>
+            </div>
+            <div className="storage-stat">
+              <span className="storage-stat-label">Distinct Contents</span>
+              <span className="storage-stat-value">{fileStorage.blobs.toLocaleString()}</span>
+            </div>
+            <div className="storage-stat">
+              <span className="storage-stat-label">Logical Size</span>
+              <span className="storage-stat-value">{formatBytes(fileStorage.logicalBytes)}</span>
+            </div>
+            <div className="storage-stat">
+              <span className="storage-stat-label">Stored Size</span>
+              <span className="storage-stat-value">{formatBytes(fileStorage.storedBytes)}</span>
+            </div>
+            <div className="storage-stat saved">
+              <span className="storage-stat-label">Saved</span>
+              <span className="storage-stat-value">
+                {formatBytes(fileStorage.savedBytes)} ({fileStorage.savedPercent}%)
+              </span>
+            </div>
+          </div>
+          {fileStorage.backends.length > 0 && (
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={fileStorage.backends.map(backend => ({ name: backend.backendName, files: backend.files }))}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="files" fill="#16a085" name="Deduplicated Files" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </div>
+      )}
+
+      {/* Offsite Replication */}
+      {replication && replication.length > 0 && (
+        <div className="recent-backups-card">
+          <h3>Offsite Replication</h3>
+          <div className="table-container">
+            <table className="recent-backups-table">
+              <thead>
+                <tr>
+                  <th>Backend</th>
+                  <th>Target</th>
+                  <th>State</th>
+                  <th>Lag</th>
+                  <th>Last Backup</th>
+                  <th>Last Replicated</th>
+                </tr>
+              </thead>
+              <tbody>
+                {replication.map((backend) => (
+                  <tr key={backend.backendName}>
+                    <td>{backend.backendName}</td>
+                    <td className="job-id-cell" title={backend.target}>{backend.target}</td>
+                    <td>
+                      <span
+                        className={`replication-badge ${backend.state}`}
+                        title={backend.lastJob?.error || ''}
+                      >
+                        {backend.state.replace('_', ' ')}
+                      </span>
+                    </td>
+                    <td>{formatLag(backend.lagSeconds)}</td>
+                    <td>{backend.lastBackupAt ? new Date(backend.lastBackupAt).toLocaleString() : '-'}</td>
+                    <td>{backend.lastReplicatedAt ? new Date(backend.lastReplicatedAt).toLocaleString() : 'Never'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Recent Backups Table */}
       {recentBackups && recentBackups.length > 0 && (
         <div className="recent-backups-card">
@@ -323,4 +406,20 @@ const Dashboard = () => {
   )
 }
 
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 Bytes'
+  const k = 1024
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB']
+  const i = Math.floor(Math.log(bytes) / Math.log(k))
+  return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i]
+}
+
+const formatLag = (seconds) => {
+  if (!seconds) return 'None'
+  if (seconds < 60) return `${seconds}s`
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`
+  return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`
+}
+
 export default Dashboard
@@ -535,6 +535,11 @@ const FhsDatabase = () => {
                     onClick={() => handleTableSelect(tableName)}
                   >
                     <span className="table-name">{tableName}</span>
+                    {databaseData.tables[tableName]?.type && databaseData.tables[tableName].type !== 'table' && (
+                      <span className="table-type">
+                        {databaseData.tables[tableName].type === 'materialized_view' ? 'mat. view' : 'view'}
+                      </span>
+                    )}
                     <span className="table-count">({rowCount})</span>
                   </button>
                 )
@@ -656,6 +661,14 @@ const FhsDatabase = () => {
                           {formatFileSize(calculateFolderSize(filesData.folderStructure))}
                         </span>
                       </div>
+                      {filesData.excludedFiles > 0 && (
+                        <div className="summary-item">
+                          <span className="summary-label">Excluded by Filters:</span>
+                          <span className="summary-value">
+                            {filesData.excludedFiles} ({formatFileSize(filesData.excludedBytes)})
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </>
@@ -9,9 +9,17 @@ const UploadLocalRemote = () => {
   const [selectedBackend, setSelectedBackend] = useState(null)
   
   // Upload form state
-  const [uploadType, setUploadType] = useState('database') // 'database' or 'files'
+  const [uploadType, setUploadType] = useState('database') // 'database', 'files' or 'dump'
   const [selectedTable, setSelectedTable] = useState('')
   const [availableTables, setAvailableTables] = useState([])
+  const [availableDumps, setAvailableDumps] = useState([])
+  const [selectedDump, setSelectedDump] = useState('')
+  const [restoreTarget, setRestoreTarget] = useState('database') // 'database' or 'scratch'
+  const [cleanRestore, setCleanRestore] = useState(false)
+  const [targetBucketUrl, setTargetBucketUrl] = useState('')
+  const [targetPrefix, setTargetPrefix] = useState('')
+  const [restoreKeys, setRestoreKeys] = useState('')
+  const [overwritePolicy, setOverwritePolicy] = useState('overwrite')
   const [uploadLoading, setUploadLoading] = useState(false)
   
   // Status state
@@ -42,6 +50,15 @@ const UploadLocalRemote = () => {
     }
   }, [selectedBackend, uploadType])
 
+  useEffect(() => {
+    if (selectedBackend && uploadType === 'dump') {
+      fetchDumps()
+    } else {
+      setAvailableDumps([])
+      setSelectedDump('')
+    }
+  }, [selectedBackend, uploadType])
+
   const fetchBackendNames = async () => {
     try {
       // Fetch from settings API (settings table)
@@ -111,6 +128,28 @@ const UploadLocalRemote = () => {
     }
   }
 
+  const fetchDumps = async () => {
+    if (!selectedBackend) return
+
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/api/backup/dumps/${selectedBackend}`
+      )
+      const data = await response.json()
+
+      if (data.success) {
+        setAvailableDumps(data.dumps || [])
+      } else {
+        setAvailableDumps([])
+        setMessage({ type: 'error', text: data.message || 'Failed to fetch dumps' })
+      }
+    } catch (error) {
+      console.error('Error fetching dumps:', error)
+      setMessage({ type: 'error', text: 'Failed to fetch dumps' })
+      setAvailableDumps([])
+    }
+  }
+
   const fetchUploadStatuses = async () => {
     if (!selectedBackend) return
 
@@ -166,6 +205,30 @@ const UploadLocalRemote = () => {
         body.tableName = selectedTableInfo ? selectedTableInfo.backupTableName : selectedTable
       }
 
+      if (uploadType === 'files') {
+        // Empty fields restore everything into the backend's own bucket
+        if (targetBucketUrl.trim()) {
+          body.targetBucketUrl = targetBucketUrl.trim()
+        }
+        if (targetPrefix.trim()) {
+          body.targetPrefix = targetPrefix.trim()
+        }
+        const keys = restoreKeys.split('\n').map(key => key.trim()).filter(Boolean)
+        if (keys.length > 0) {
+          body.keys = keys
+        }
+        body.overwrite = overwritePolicy
+      }
+
+      if (uploadType === 'dump') {
+        // Without a file name the backend restores the latest dump
+        if (selectedDump) {
+          body.fileName = selectedDump
+        }
+        body.target = restoreTarget
+        body.clean = restoreTarget === 'database' && cleanRestore
+      }
+
       const response = await fetch(`${import.meta.env.VITE_API_BASE_URL}/api/upload`, {
         method: 'POST',
         headers: {
@@ -223,6 +286,34 @@ const UploadLocalRemote = () => {
     }
   }
 
+  // action: 'cancel', 'retry' or 'retry-failed' (only the files that failed)
+  const handleStatusAction = async (jobId, action) => {
+    const endpoint = action === 'cancel' ? 'cancel' : 'retry'
+
+    try {
+      const response = await fetch(
+        `${import.meta.env.VITE_API_BASE_URL}/api/upload/status/${jobId}/${endpoint}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(action === 'retry-failed' ? { onlyFailed: true } : {})
+        }
+      )
+
+      const data = await response.json()
+
+      if (data.success) {
+        setMessage({ type: 'success', text: data.message })
+        fetchUploadStatuses()
+      } else {
+        setMessage({ type: 'error', text: data.message || `Failed to ${endpoint} upload` })
+      }
+    } catch (error) {
+      console.error(`Error running ${action} on upload:`, error)
+      setMessage({ type: 'error', text: `Failed to ${endpoint} upload` })
+    }
+  }
+
   // Auto-close message after 5 seconds
   useEffect(() => {
     if (message.text) {
@@ -249,6 +340,7 @@ const UploadLocalRemote = () => {
       case 'failed':
         return 'status-failed'
       case 'processing':
+      case 'queued':
         return 'status-processing'
       default:
         return 'status-unknown'
@@ -321,6 +413,7 @@ const UploadLocalRemote = () => {
                 >
                   <option value="database">Database Table</option>
                   <option value="files">Files</option>
+                  <option value="dump">Database Dump (pg_restore)</option>
                 </select>
               </div>
 
@@ -349,17 +442,126 @@ const UploadLocalRemote = () => {
               )}
 
               {uploadType === 'files' && (
-                <div className="form-group">
-                  <p className="form-info">
-                    This will upload all files from local backup directory to remote bucket.
-                  </p>
-                </div>
+                <>
+                  <div className="form-group">
+                    <p className="form-info">
+                      This will upload files from the local backup directory to the backend's bucket, or to another bucket or key prefix.
+                    </p>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="target-bucket-url">Target Bucket URL (optional):</label>
+                    <input
+                      id="target-bucket-url"
+                      type="text"
+                      value={targetBucketUrl}
+                      onChange={(e) => setTargetBucketUrl(e.target.value)}
+                      className="form-input"
+                      placeholder="Default: the backend's bucket URL"
+                      disabled={uploadLoading}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="target-prefix">Key Prefix (optional):</label>
+                    <input
+                      id="target-prefix"
+                      type="text"
+                      value={targetPrefix}
+                      onChange={(e) => setTargetPrefix(e.target.value)}
+                      className="form-input"
+                      placeholder="e.g. restore-test/"
+                      disabled={uploadLoading}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="restore-keys">Only These Keys or Folders (optional, one per line):</label>
+                    <textarea
+                      id="restore-keys"
+                      value={restoreKeys}
+                      onChange={(e) => setRestoreKeys(e.target.value)}
+                      className="form-input"
+                      rows={4}
+                      placeholder={'documents/invoices/\nimages/logo.png'}
+                      disabled={uploadLoading}
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="overwrite-policy">If a File Already Exists:</label>
+                    <select
+                      id="overwrite-policy"
+                      value={overwritePolicy}
+                      onChange={(e) => setOverwritePolicy(e.target.value)}
+                      className="form-select"
+                      disabled={uploadLoading}
+                    >
+                      <option value="overwrite">Overwrite it</option>
+                      <option value="skip-if-exists">Skip it</option>
+                      <option value="only-if-newer">Overwrite only if the backup is newer</option>
+                    </select>
+                  </div>
+                </>
+              )}
+
+              {uploadType === 'dump' && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="dump-select">Select Dump:</label>
+                    <select
+                      id="dump-select"
+                      value={selectedDump}
+                      onChange={(e) => setSelectedDump(e.target.value)}
+                      className="form-select"
+                      disabled={uploadLoading || !selectedBackend || availableDumps.length === 0}
+                    >
+                      <option value="">-- Latest dump --</option>
+                      {availableDumps.map((dump) => (
+                        <option key={dump.fileName} value={dump.fileName}>
+                          {dump.fileName} ({new Date(dump.createdAt).toLocaleString()}){dump.keyId ? ` - encrypted, key ${dump.keyId}` : ''}
+                        </option>
+                      ))}
+                    </select>
+                    {selectedBackend && availableDumps.length === 0 && (
+                      <p className="form-help">No dumps found for this backend</p>
+                    )}
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="restore-target">Restore Into:</label>
+                    <select
+                      id="restore-target"
+                      value={restoreTarget}
+                      onChange={(e) => setRestoreTarget(e.target.value)}
+                      className="form-select"
+                      disabled={uploadLoading}
+                    >
+                      <option value="database">Backend database (DBurl)</option>
+                      <option value="scratch">New scratch database on the same server</option>
+                    </select>
+                  </div>
+
+                  {restoreTarget === 'database' && (
+                    <div className="form-group">
+                      <label className="checkbox-label">
+                        <input
+                          type="checkbox"
+                          checked={cleanRestore}
+                          onChange={(e) => setCleanRestore(e.target.checked)}
+                          disabled={uploadLoading}
+                        />
+                        <span>Drop existing objects before restoring</span>
+                      </label>
+                    </div>
+                  )}
+                </>
               )}
 
               <button
                 type="submit"
                 className="upload-btn"
-                disabled={uploadLoading || !selectedBackend || (uploadType === 'database' && !selectedTable)}
+                disabled={uploadLoading || !selectedBackend || (uploadType === 'database' && !selectedTable) || (uploadType === 'dump' && availableDumps.length === 0)}
               >
                 {uploadLoading ? 'Starting Upload...' : '🚀 Start Upload'}
               </button>
@@ -426,6 +628,33 @@ const UploadLocalRemote = () => {
                         </td>
                         <td>{formatDate(status.createdAt)}</td>
                         <td>
+                          {(status.status === 'queued' || status.status === 'processing') && (
+                            <button
+                              className="job-action-btn"
+                              onClick={() => handleStatusAction(status.jobId, 'cancel')}
+                              title="Cancel upload"
+                            >
+                              ⏹️
+                            </button>
+                          )}
+                          {(status.status === 'failed' || status.status === 'cancelled') && (
+                            <button
+                              className="job-action-btn"
+                              onClick={() => handleStatusAction(status.jobId, 'retry')}
+                              title="Retry upload with the same parameters"
+                            >
+                              🔁
+                            </button>
+                          )}
+                          {status.type === 'files' && status.result?.errors?.length > 0 && (
+                            <button
+                              className="job-action-btn"
+                              onClick={() => handleStatusAction(status.jobId, 'retry-failed')}
+                              title="Retry only the files that failed"
+                            >
+                              🔁 Failed
+                            </button>
+                          )}
                           <button
                             className="delete-btn"
                             onClick={() => handleDeleteStatus(status.id)}